@@ -0,0 +1,43 @@
+import { useCallback, useMemo, useSyncExternalStore } from 'react';
+import { AudioEngineContext } from '../hooks/useAudioEngine';
+import {
+  initializeAudioContext,
+  resumeAudioContext,
+  setVolume,
+  subscribeAudioEngine,
+  getAudioEngineSnapshot
+} from '../utils/audioContext';
+import { subscribePlayback, getPlaybackSnapshot } from '../utils/playbackEngine';
+
+const AudioEngineProvider = ({ children }) => {
+  const engine = useSyncExternalStore(subscribeAudioEngine, getAudioEngineSnapshot);
+  const playback = useSyncExternalStore(subscribePlayback, getPlaybackSnapshot);
+
+  // Create/resume the context. Call from a user gesture before playing.
+  const start = useCallback(async () => {
+    const { isInitialized, error } = initializeAudioContext();
+    if (!isInitialized) {
+      throw new Error(error || 'Audio context initialization failed');
+    }
+    await resumeAudioContext();
+  }, []);
+
+  // Tracks play through the decoded-buffer playback engine
+  const isPlaying = playback.status === 'playing';
+
+  const value = useMemo(() => ({
+    ...engine,
+    playback,
+    isPlaying,
+    start,
+    setVolume
+  }), [engine, playback, isPlaying, start]);
+
+  return (
+    <AudioEngineContext.Provider value={value}>
+      {children}
+    </AudioEngineContext.Provider>
+  );
+};
+
+export default AudioEngineProvider;
@@ -1,185 +1,417 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useCallback } from 'react';
 import { motion } from 'framer-motion';
-import { Play, Pause, SkipBack, SkipForward, Volume2, VolumeX, Shuffle, Repeat } from 'lucide-react';
-import { audioSamples } from '../config/audioSamples';
-
-const AudioPlayer = ({ onAudioAnalyzer }) => {
-  const [isPlaying, setIsPlaying] = useState(false);
-  const [currentTrack, setCurrentTrack] = useState(0);
+import { Play, Pause, SkipBack, SkipForward, Volume2, VolumeX, Shuffle, Repeat, Upload, Download, AlertTriangle, ListOrdered, AudioWaveform } from 'lucide-react';
+import { useAudioEngine } from '../hooks/useAudioEngine';
+import { useLibraryContext } from '../hooks/useLibraryContext';
+import { usePlayQueue } from '../hooks/usePlayQueue';
+import { useLoudnessNormalization } from '../hooks/useLoudnessNormalization';
+import { useTrackSettings } from '../hooks/useTrackSettings';
+import { useLoopPractice } from '../hooks/useLoopPractice';
+import {
+  subscribePlayback,
+  getPlaybackSnapshot,
+  getPlaybackTime,
+  loadPlaybackTrack,
+  resumePlayback,
+  pausePlayback,
+  seekPlayback,
+  setNextPlaybackTrack,
+  setTrackPlaybackRate,
+  setCrossfade as setEngineCrossfade
+} from '../utils/playbackEngine';
+import { setPitchRatio, semitonesToRatio } from '../utils/pitchShift';
+import { playerConfig } from '../config/audioSamples';
+import { importAudioFiles, collectDroppedFiles } from '../utils/fileImport';
+import { isPlaylistFile, readPlaylistFile, downloadPlaylist } from '../utils/playlistFormats';
+import TrackImporter from './TrackImporter';
+import TrackList from './TrackList';
+import QueuePanel from './QueuePanel';
+import CrossfadeControl from './CrossfadeControl';
+import EqualizerControl from './EqualizerControl';
+import NormalizationControl from './NormalizationControl';
+import SpeedPitchControl from './SpeedPitchControl';
+import LoopControl from './LoopControl';
+import LoopMarkers from './LoopMarkers';
+import WaveformSeekBar from './WaveformSeekBar';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuTrigger
+} from './ui/dropdown-menu';
+
+// How often the playback position is written to the saved session
+const POSITION_SAVE_INTERVAL = 5;
+
+const AudioPlayer = () => {
   const [currentTime, setCurrentTime] = useState(0);
-  const [duration, setDuration] = useState(0);
   const [volume, setVolume] = useState(0.7);
   const [isMuted, setIsMuted] = useState(false);
   const [isShuffled, setIsShuffled] = useState(false);
   const [repeatMode, setRepeatMode] = useState('none'); // 'none', 'one', 'all'
-  const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+  const [isDragging, setIsDragging] = useState(false);
+  const [isRestored, setIsRestored] = useState(false);
+  const [showQueue, setShowQueue] = useState(false);
+  const [crossfade, setCrossfade] = useState({
+    enabled: playerConfig.ui.crossfade,
+    duration: playerConfig.ui.crossfadeDuration,
+    curve: playerConfig.ui.crossfadeCurve
+  });
+  const [normalization, setNormalization] = useState({
+    mode: playerConfig.ui.normalization,
+    limiter: playerConfig.ui.limiter
+  });
+  const [showWaveform, setShowWaveform] = useState(playerConfig.ui.waveformSeekBar);
+  const [practice, setPractice] = useState({
+    countInBeats: playerConfig.ui.countInBeats,
+    countInTempo: playerConfig.ui.countInTempo,
+    speedStep: playerConfig.ui.loopSpeedStep,
+    targetSpeed: playerConfig.ui.loopTargetSpeed
+  });
+
+  const pendingSeekRef = useRef(null);
+  const autoPlayRef = useRef(false);
+  const lastSavedPositionRef = useRef(0);
+  const playbackEventRef = useRef(null);
+  const playRequestRef = useRef(null);
+  const { start, setVolume: setEngineVolume, playback, audioContext } = useAudioEngine();
+  const isPlaying = playback.status === 'playing';
+  const isLoading = playback.status === 'loading';
+  const duration = playback.duration;
+  const library = useLibraryContext();
+  const {
+    session,
+    isLoaded: isLibraryLoaded,
+    saveSession,
+    queueTracks: tracks,
+    tracksById,
+    activePlaylist,
+    activePlaylistId,
+    setActivePlaylistId,
+    playRequest
+  } = library;
+
+  // The queue tracks the current track by id so it survives switching playlists
+  const queue = usePlayQueue({ tracks, tracksById, isShuffled, contextKey: activePlaylistId });
+  const { restore: restoreQueue } = queue;
+  const currentSample = tracksById.get(queue.currentTrackId) || tracks[0];
+
+  // Volume is applied on the engine's gain stage so the analyser sees the raw signal
+  useEffect(() => {
+    setEngineVolume(isMuted ? 0 : volume);
+  }, [volume, isMuted, setEngineVolume]);
 
-  const audioRef = useRef(null);
-  const audioContextRef = useRef(null);
-  const analyzerRef = useRef(null);
-  const sourceRef = useRef(null);
-  const animationRef = useRef(null);
+  useEffect(() => {
+    setEngineCrossfade({
+      duration: crossfade.enabled ? crossfade.duration : 0,
+      curve: crossfade.curve
+    });
+  }, [crossfade]);
 
-  // Initialize audio context and analyzer
+  // Restore the previous session once the library has loaded
   useEffect(() => {
-    const initAudioContext = async () => {
-      try {
-        if (!audioContextRef.current) {
-          audioContextRef.current = new (window.AudioContext || window.webkitAudioContext)();
-          analyzerRef.current = audioContextRef.current.createAnalyser();
-          analyzerRef.current.fftSize = 256;
-          analyzerRef.current.smoothingTimeConstant = 0.8;
-        }
-      } catch (err) {
-        console.error('Error initializing audio context:', err);
-        setError('Audio context initialization failed');
-      }
-    };
+    if (!isLibraryLoaded || isRestored) return;
+    setIsRestored(true);
+    if (!session) return;
+
+    if (session.activePlaylistId) setActivePlaylistId(session.activePlaylistId);
+    if (tracksById.has(session.currentTrackId)) {
+      restoreQueue(session.queue, session.currentTrackId);
+      pendingSeekRef.current = session.position || 0;
+    } else {
+      restoreQueue(session.queue);
+    }
+    if (typeof session.volume === 'number') setVolume(session.volume);
+    setIsMuted(!!session.isMuted);
+    setIsShuffled(!!session.isShuffled);
+    if (session.repeatMode) setRepeatMode(session.repeatMode);
+    if (session.crossfade) setCrossfade((current) => ({ ...current, ...session.crossfade }));
+    if (session.normalization) setNormalization((current) => ({ ...current, ...session.normalization }));
+    if (session.practice) setPractice((current) => ({ ...current, ...session.practice }));
+    if (typeof session.showWaveform === 'boolean') setShowWaveform(session.showWaveform);
+  }, [isLibraryLoaded, isRestored, session, tracksById, setActivePlaylistId, restoreQueue]);
+
+  // Persist the session whenever a setting or the current track changes
+  const persistSession = useCallback((position = pendingSeekRef.current ?? getPlaybackTime()) => {
+    if (!isRestored) return;
+    lastSavedPositionRef.current = position;
+    saveSession({
+      currentTrackId: currentSample?.id ?? null,
+      activePlaylistId,
+      position,
+      volume,
+      isMuted,
+      isShuffled,
+      repeatMode,
+      crossfade,
+      normalization,
+      practice,
+      showWaveform,
+      queue: queue.serialized
+    });
+  }, [isRestored, currentSample?.id, activePlaylistId, volume, isMuted, isShuffled, repeatMode, crossfade, normalization, practice, showWaveform, queue.serialized, saveSession]);
 
-    initAudioContext();
+  useEffect(() => {
+    persistSession();
+  }, [persistSession]);
 
-    return () => {
-      if (animationRef.current) {
-        cancelAnimationFrame(animationRef.current);
+  // Start or resume the loaded track; a track that failed to load is retried
+  const startPlayback = async () => {
+    try {
+      await start();
+      if (getPlaybackSnapshot().status === 'error') {
+        loadPlaybackTrack(currentSample, { autoplay: true, position: getPlaybackTime() });
+      } else {
+        await resumePlayback();
       }
-    };
-  }, []);
+      setError(null);
+    } catch (err) {
+      console.error('Playback error:', err);
+      setError('Playback failed');
+    }
+  };
 
-  // Connect audio element to analyzer when track changes
+  // Load a track the queue moved to, carrying on playing if we were
+  const loadTrack = (trackId, autoPlay = isPlaying) => {
+    if (!trackId) return;
+    setCurrentTime(0);
+    if (trackId === currentSample?.id) {
+      seekPlayback(0);
+      if (autoPlay) startPlayback();
+      return;
+    }
+    autoPlayRef.current = autoPlay;
+  };
+
+  // Hand the current track to the playback engine once the session is restored
   useEffect(() => {
-    if (audioRef.current && audioContextRef.current && analyzerRef.current) {
-      if (sourceRef.current) {
-        sourceRef.current.disconnect();
-      }
-      
-      try {
-        sourceRef.current = audioContextRef.current.createMediaElementSource(audioRef.current);
-        sourceRef.current.connect(analyzerRef.current);
-        analyzerRef.current.connect(audioContextRef.current.destination);
-        
-        // Pass analyzer to parent for visualizer
-        if (onAudioAnalyzer) {
-          onAudioAnalyzer(analyzerRef.current);
+    if (!isRestored || !currentSample || getPlaybackSnapshot().trackId === currentSample.id) return;
+    const position = pendingSeekRef.current || 0;
+    pendingSeekRef.current = null;
+    setCurrentTime(position);
+    loadPlaybackTrack(currentSample, { autoplay: autoPlayRef.current, position });
+    autoPlayRef.current = false;
+  }, [isRestored, currentSample]);
+
+  // Tell the engine what follows so it is decoded and scheduled ahead of time,
+  // which makes the transition gapless
+  const nextTrack = repeatMode === 'one'
+    ? currentSample
+    : tracksById.get(queue.peekNext({ wrap: repeatMode === 'all' })?.trackId);
+
+  useEffect(() => {
+    if (isRestored) setNextPlaybackTrack(nextTrack || null);
+  }, [isRestored, nextTrack]);
+
+  const loudness = useLoudnessNormalization({ track: currentSample, nextTrack, ...normalization });
+
+  // Per-track speed goes to the engine for both decks; pitch is shifted on the output,
+  // undoing the pitch change that comes with speed when it should be preserved
+  const { getTrackSettings, updateTrackSettings } = useTrackSettings();
+  const trackSettings = getTrackSettings(currentSample?.id);
+  const nextSpeed = nextTrack ? getTrackSettings(nextTrack.id).speed : 1;
+
+  const { pitch, preservePitch } = trackSettings;
+  const currentTrackId = currentSample?.id;
+  const updateCurrentTrackSettings = useCallback((changes) => {
+    if (currentTrackId) updateTrackSettings(currentTrackId, changes);
+  }, [currentTrackId, updateTrackSettings]);
+
+  const loopPractice = useLoopPractice({
+    track: currentSample,
+    settings: trackSettings,
+    updateSettings: updateCurrentTrackSettings,
+    practice
+  });
+  // The saved speed, or the loop's practice speed while it climbs
+  const { speed } = loopPractice;
+
+  useEffect(() => {
+    if (currentSample) setTrackPlaybackRate(currentSample.id, speed);
+  }, [currentSample, speed]);
+
+  useEffect(() => {
+    if (nextTrack) setTrackPlaybackRate(nextTrack.id, nextSpeed);
+  }, [nextTrack, nextSpeed]);
+
+  useEffect(() => {
+    setPitchRatio(semitonesToRatio(pitch) * (preservePitch ? 1 / speed : 1));
+  }, [speed, pitch, preservePitch, audioContext]);
+
+  const markTrackPlayed = (trackId) => {
+    if (tracksById.get(trackId)?.isLocal) library.markPlayed(trackId);
+  };
+
+  // Follow the engine: time updates, gapless track changes, end of queue and errors
+  const handlePlaybackEvent = (event) => {
+    switch (event.type) {
+      case 'timeupdate':
+        setCurrentTime(event.time);
+        if (Math.abs(event.time - lastSavedPositionRef.current) >= POSITION_SAVE_INTERVAL) {
+          persistSession(event.time);
         }
-      } catch (err) {
-        // Source might already be connected, ignore error
-        console.warn('Audio source connection warning:', err);
+        break;
+      case 'trackchange': {
+        markTrackPlayed(event.previousTrackId);
+        setCurrentTime(0);
+        if (repeatMode === 'one') break;
+        // The engine already moved on to the track it was given; bring the queue along
+        const wrap = repeatMode === 'all';
+        if (queue.peekNext({ wrap })?.trackId === event.trackId) queue.next({ wrap });
+        else queue.jumpTo(event.trackId);
+        break;
       }
+      case 'ended':
+        markTrackPlayed(event.trackId);
+        break;
+      case 'error':
+        setError('Failed to load audio track');
+        break;
+      default:
+        break;
     }
-  }, [currentTrack, onAudioAnalyzer]);
+  };
+
+  useEffect(() => {
+    playbackEventRef.current = handlePlaybackEvent;
+  });
+
+  useEffect(() => subscribePlayback((event) => playbackEventRef.current?.(event)), []);
+
+  // Play a newly selected playlist from its first track. Only a new request should
+  // restart, so the effect reads the latest queue through a ref
+  const handlePlayRequest = () => {
+    if (tracks.length) loadTrack(queue.restart(), true);
+  };
+
+  useEffect(() => {
+    playRequestRef.current = handlePlayRequest;
+  });
+
+  useEffect(() => {
+    if (playRequest) playRequestRef.current();
+  }, [playRequest]);
 
   // Handle play/pause
   const togglePlayPause = async () => {
-    if (!audioRef.current) return;
+    if (!currentSample) return;
 
+    if (isPlaying) {
+      pausePlayback();
+      persistSession();
+    } else {
+      await startPlayback();
+    }
+  };
+
+  // Import local files and append them to the track list. Playlist files become
+  // playlists once the audio dropped alongside them has been imported.
+  const handleImport = async (files) => {
+    setIsImporting(true);
     try {
-      if (audioContextRef.current?.state === 'suspended') {
-        await audioContextRef.current.resume();
+      const playlistFiles = files.filter(isPlaylistFile);
+      const imported = await importAudioFiles(files.filter((file) => !isPlaylistFile(file)));
+      if (imported.length) {
+        await library.addTracks(imported);
+      }
+
+      const knownTracks = [...library.allTracks, ...imported];
+      let unmatchedCount = 0;
+      for (const file of playlistFiles) {
+        const { name, matched, unmatched } = await readPlaylistFile(file, knownTracks);
+        library.createPlaylist(name, matched.map((track) => track.id), { missingEntries: unmatched });
+        unmatchedCount += unmatched.length;
       }
 
-      if (isPlaying) {
-        audioRef.current.pause();
+      if (!imported.length && !playlistFiles.length) {
+        setError('No playable audio files found');
+      } else if (unmatchedCount) {
+        setError(`${unmatchedCount} playlist ${unmatchedCount === 1 ? 'entry' : 'entries'} could not be matched`);
       } else {
-        setIsLoading(true);
-        await audioRef.current.play();
-        setIsLoading(false);
+        setError(null);
       }
-      setIsPlaying(!isPlaying);
-      setError(null);
     } catch (err) {
-      console.error('Playback error:', err);
-      setError('Playback failed');
-      setIsLoading(false);
+      console.error('Import error:', err);
+      setError('Failed to import files');
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  // Export what will play, in order: up-next and shuffle included, wrapping round
+  // when the whole list repeats
+  const exportQueue = (format) => {
+    downloadPlaylist(queue.getQueueTracks(repeatMode === 'all'), activePlaylist?.name || 'Library', format);
+  };
+
+  // Drag-and-drop handlers
+  const handleDragOver = (e) => {
+    if (!Array.from(e.dataTransfer.types).includes('Files')) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    setIsDragging(true);
+  };
+
+  const handleDragLeave = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) {
+      setIsDragging(false);
     }
   };
 
-  // Handle track navigation
+  const handleDrop = async (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    const files = await collectDroppedFiles(e.dataTransfer);
+    if (files.length) handleImport(files);
+  };
+
+  const handleSelectTrack = (track) => {
+    loadTrack(queue.jumpTo(track.id));
+  };
+
+  // Playlist actions from the track list context menu
+  const handleCreatePlaylist = (trackId) => {
+    library.createPlaylist(`Playlist ${library.playlists.length + 1}`, [trackId]);
+  };
+
+  const handleRemoveFromPlaylist = (trackId) => {
+    if (activePlaylist) library.removeFromPlaylist(activePlaylist.id, trackId);
+  };
+
+  const handleReorder = (trackIds) => {
+    if (activePlaylist) library.reorderPlaylist(activePlaylist.id, trackIds);
+  };
+
+  // Handle track navigation; "previous" walks back through what actually played
   const playPrevious = () => {
-    const newTrack = currentTrack > 0 ? currentTrack - 1 : audioSamples.length - 1;
-    setCurrentTrack(newTrack);
-    setCurrentTime(0);
+    loadTrack(queue.previous());
   };
 
   const playNext = () => {
-    if (isShuffled) {
-      const randomTrack = Math.floor(Math.random() * audioSamples.length);
-      setCurrentTrack(randomTrack);
-    } else {
-      const newTrack = currentTrack < audioSamples.length - 1 ? currentTrack + 1 : 0;
-      setCurrentTrack(newTrack);
-    }
-    setCurrentTime(0);
+    loadTrack(queue.next());
   };
 
   // Handle volume changes
   const handleVolumeChange = (e) => {
     const newVolume = parseFloat(e.target.value);
     setVolume(newVolume);
-    if (audioRef.current) {
-      audioRef.current.volume = newVolume;
-    }
     setIsMuted(newVolume === 0);
   };
 
   const toggleMute = () => {
-    if (audioRef.current) {
-      if (isMuted) {
-        audioRef.current.volume = volume;
-        setIsMuted(false);
-      } else {
-        audioRef.current.volume = 0;
-        setIsMuted(true);
-      }
-    }
+    setIsMuted(!isMuted);
   };
 
   // Handle progress bar
-  const handleProgressChange = (e) => {
-    const newTime = parseFloat(e.target.value);
-    setCurrentTime(newTime);
-    if (audioRef.current) {
-      audioRef.current.currentTime = newTime;
-    }
+  const seekTo = (time) => {
+    setCurrentTime(time);
+    seekPlayback(time);
   };
 
-  // Audio event handlers
-  const handleLoadedMetadata = () => {
-    if (audioRef.current) {
-      setDuration(audioRef.current.duration);
-      audioRef.current.volume = isMuted ? 0 : volume;
-    }
-  };
-
-  const handleTimeUpdate = () => {
-    if (audioRef.current) {
-      setCurrentTime(audioRef.current.currentTime);
-    }
-  };
-
-  const handleEnded = () => {
-    setIsPlaying(false);
-    
-    if (repeatMode === 'one') {
-      audioRef.current.currentTime = 0;
-      audioRef.current.play();
-      setIsPlaying(true);
-    } else if (repeatMode === 'all' || currentTrack < audioSamples.length - 1) {
-      playNext();
-      setTimeout(() => {
-        if (audioRef.current) {
-          audioRef.current.play();
-          setIsPlaying(true);
-        }
-      }, 100);
-    }
-  };
-
-  const handleError = (e) => {
-    console.error('Audio error:', e);
-    setError('Failed to load audio track');
-    setIsPlaying(false);
-    setIsLoading(false);
+  const handleProgressChange = (e) => {
+    seekTo(parseFloat(e.target.value));
   };
 
   // Format time display
@@ -198,25 +430,23 @@ const AudioPlayer = ({ onAudioAnalyzer }) => {
     setRepeatMode(nextMode);
   };
 
-  const currentSample = audioSamples[currentTrack];
-
   return (
     <motion.div
       initial={{ opacity: 0, y: 20 }}
       animate={{ opacity: 1, y: 0 }}
       transition={{ duration: 0.5 }}
-      className="backdrop-blur-md bg-white/10 border border-white/20 rounded-2xl p-6 shadow-xl"
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+      className="relative backdrop-blur-md bg-white/10 border border-white/20 rounded-2xl p-6 shadow-xl"
     >
-      {/* Hidden audio element */}
-      <audio
-        ref={audioRef}
-        src={currentSample?.url}
-        onLoadedMetadata={handleLoadedMetadata}
-        onTimeUpdate={handleTimeUpdate}
-        onEnded={handleEnded}
-        onError={handleError}
-        preload="metadata"
-      />
+      {/* Drop overlay */}
+      {isDragging && (
+        <div className="absolute inset-0 z-20 flex flex-col items-center justify-center rounded-2xl border-2 border-dashed border-blue-400 bg-blue-500/20 text-white pointer-events-none">
+          <Upload size={32} className="mb-2" />
+          <p className="text-sm">Drop audio files or folders</p>
+        </div>
+      )}
 
       {/* Track Info */}
       <div className="text-center mb-6">
@@ -255,25 +485,49 @@ const AudioPlayer = ({ onAudioAnalyzer }) => {
       <div className="mb-6">
         <div className="flex items-center justify-between text-sm text-white/70 mb-2">
           <span>{formatTime(currentTime)}</span>
+          <button
+            onClick={() => setShowWaveform(!showWaveform)}
+            className={`p-1 rounded transition-colors ${showWaveform ? 'text-blue-400' : 'hover:text-white'}`}
+            title={showWaveform ? 'Show progress bar' : 'Show waveform'}
+          >
+            <AudioWaveform size={16} />
+          </button>
           <span>{formatTime(duration)}</span>
         </div>
-        <div className="relative">
-          <input
-            type="range"
-            min="0"
-            max={duration || 0}
-            value={currentTime}
-            onChange={handleProgressChange}
-            className="w-full h-2 bg-white/20 rounded-lg appearance-none cursor-pointer slider"
-            style={{
-              background: `linear-gradient(to right, #3b82f6 0%, #3b82f6 ${
-                duration ? (currentTime / duration) * 100 : 0
-              }%, rgba(255,255,255,0.2) ${
-                duration ? (currentTime / duration) * 100 : 0
-              }%, rgba(255,255,255,0.2) 100%)`
-            }}
+        {showWaveform ? (
+          <WaveformSeekBar
+            track={currentSample}
+            duration={duration}
+            currentTime={currentTime}
+            isPlaying={isPlaying}
+            loopPractice={loopPractice}
+            onSeek={seekTo}
           />
-        </div>
+        ) : (
+          <div className="relative">
+            <LoopMarkers
+              loop={loopPractice.loop}
+              duration={duration}
+              isActive={loopPractice.isActive}
+              onChange={loopPractice.setRegion}
+            />
+            <input
+              type="range"
+              min="0"
+              max={duration || 0}
+              value={currentTime}
+              onChange={handleProgressChange}
+              className="w-full h-2 bg-white/20 rounded-lg appearance-none cursor-pointer slider"
+              style={{
+                background: `linear-gradient(to right, #3b82f6 0%, #3b82f6 ${
+                  duration ? (currentTime / duration) * 100 : 0
+                }%, rgba(255,255,255,0.2) ${
+                  duration ? (currentTime / duration) * 100 : 0
+                }%, rgba(255,255,255,0.2) 100%)`
+              }}
+            />
+          </div>
+        )}
       </div>
 
       {/* Main Controls */}
@@ -338,6 +592,15 @@ const AudioPlayer = ({ onAudioAnalyzer }) => {
             </span>
           )}
         </motion.button>
+
+        <LoopControl
+          loopPractice={loopPractice}
+          currentTime={currentTime}
+          practice={practice}
+          onPracticeChange={setPractice}
+        />
+        <CrossfadeControl crossfade={crossfade} onChange={setCrossfade} />
+        <EqualizerControl />
       </div>
 
       {/* Volume Control */}
@@ -367,30 +630,94 @@ const AudioPlayer = ({ onAudioAnalyzer }) => {
             }}
           />
         </div>
+
+        <SpeedPitchControl settings={trackSettings} onChange={updateCurrentTrackSettings} />
+        <NormalizationControl normalization={normalization} status={loudness} onChange={setNormalization} />
+      </div>
+
+      {/* Import */}
+      <div className="mt-6">
+        <TrackImporter onFiles={handleImport} disabled={isImporting} />
+        {isImporting && (
+          <p className="mt-2 text-xs text-white/60 text-center">Importing...</p>
+        )}
       </div>
 
       {/* Track List */}
-      <div className="mt-6 max-h-32 overflow-y-auto">
-        <div className="space-y-1">
-          {audioSamples.map((sample, index) => (
-            <motion.button
-              key={index}
-              whileHover={{ scale: 1.02 }}
-              whileTap={{ scale: 0.98 }}
-              onClick={() => {
-                setCurrentTrack(index);
-                setCurrentTime(0);
-              }}
-              className={`w-full text-left p-2 rounded-lg transition-colors ${
-                index === currentTrack
-                  ? 'bg-blue-500/30 text-white'
-                  : 'bg-white/10 text-white/70 hover:bg-white/20 hover:text-white'
-              }`}
+      <div className="mt-4">
+        <div className="flex items-center justify-between gap-2 mb-2 text-xs text-white/60">
+          <span className="truncate">
+            {showQueue ? 'Queue' : activePlaylist ? activePlaylist.name : 'Library'}
+          </span>
+          <div className="flex items-center gap-2 shrink-0">
+            {activePlaylist?.missingEntries?.length > 0 && (
+              <span
+                className="flex items-center gap-1 text-yellow-300"
+                title={activePlaylist.missingEntries
+                  .map((entry) => entry.title || entry.path)
+                  .join('\n')}
+              >
+                <AlertTriangle size={12} />
+                {activePlaylist.missingEntries.length} missing
+              </span>
+            )}
+            <span>{showQueue ? `${queue.upNext.length} queued` : `${tracks.length} tracks`}</span>
+            <button
+              onClick={() => setShowQueue(!showQueue)}
+              className={`p-1 rounded hover:bg-white/20 hover:text-white ${showQueue ? 'bg-white/20 text-white' : ''}`}
+              title={showQueue ? 'Show tracks' : 'Show queue'}
             >
-              <div className="text-sm font-medium truncate">{sample.title}</div>
-              <div className="text-xs opacity-70 truncate">{sample.artist}</div>
-            </motion.button>
-          ))}
+              <ListOrdered size={12} />
+            </button>
+            <DropdownMenu>
+              <DropdownMenuTrigger
+                disabled={!tracks.length}
+                className="p-1 rounded hover:bg-white/20 hover:text-white disabled:opacity-40"
+                title="Export queue"
+              >
+                <Download size={12} />
+              </DropdownMenuTrigger>
+              <DropdownMenuContent align="end" className="dark">
+                <DropdownMenuItem onSelect={() => exportQueue('m3u')}>
+                  Export as M3U8
+                </DropdownMenuItem>
+                <DropdownMenuItem onSelect={() => exportQueue('pls')}>
+                  Export as PLS
+                </DropdownMenuItem>
+              </DropdownMenuContent>
+            </DropdownMenu>
+          </div>
+        </div>
+        <div className="max-h-32 overflow-y-auto">
+          {showQueue ? (
+            <QueuePanel
+              nowPlaying={currentSample}
+              upNext={queue.upNext}
+              upcoming={queue.getUpcoming(repeatMode === 'all')}
+              history={queue.history}
+              contextName={activePlaylist ? activePlaylist.name : 'Library'}
+              onPlayQueued={(key) => loadTrack(queue.playQueued(key))}
+              onRemove={queue.removeFromQueue}
+              onReorder={queue.reorderQueue}
+              onClear={queue.clearQueue}
+              onSelect={handleSelectTrack}
+              onClearHistory={queue.clearHistory}
+            />
+          ) : (
+            <TrackList
+              tracks={tracks}
+              currentTrackId={currentSample?.id}
+              playlists={library.playlists}
+              activePlaylist={activePlaylist}
+              onSelect={handleSelectTrack}
+              onPlayNext={(track) => queue.playNext([track.id])}
+              onAddToQueue={(track) => queue.addToQueue([track.id])}
+              onAddToPlaylist={(playlistId, trackId) => library.addToPlaylist(playlistId, [trackId])}
+              onCreatePlaylist={handleCreatePlaylist}
+              onRemoveFromPlaylist={handleRemoveFromPlaylist}
+              onReorder={handleReorder}
+            />
+          )}
         </div>
       </div>
     </motion.div>
@@ -0,0 +1,81 @@
+import { motion } from 'framer-motion';
+import { Blend } from 'lucide-react';
+import { MAX_CROSSFADE } from '../utils/playbackEngine';
+import { Popover, PopoverContent, PopoverTrigger } from './ui/popover';
+import { Slider } from './ui/slider';
+import { Switch } from './ui/switch';
+import { Label } from './ui/label';
+import { ToggleGroup, ToggleGroupItem } from './ui/toggle-group';
+
+const CURVE_OPTIONS = [
+  { value: 'linear', label: 'Linear' },
+  { value: 'equal-power', label: 'Equal power' },
+  { value: 's-curve', label: 'S-curve' }
+];
+
+const CrossfadeControl = ({ crossfade, onChange }) => {
+  const update = (changes) => onChange({ ...crossfade, ...changes });
+
+  return (
+    <Popover>
+      <PopoverTrigger asChild>
+        <motion.button
+          whileHover={{ scale: 1.1 }}
+          whileTap={{ scale: 0.9 }}
+          className={`p-2 rounded-full transition-colors ${
+            crossfade.enabled ? 'bg-blue-500 text-white' : 'bg-white/20 text-white/70 hover:text-white'
+          }`}
+          title="Crossfade"
+        >
+          <Blend size={20} />
+        </motion.button>
+      </PopoverTrigger>
+      <PopoverContent className="dark w-72 space-y-4">
+        <div className="flex items-center justify-between">
+          <Label htmlFor="crossfade-enabled">Crossfade</Label>
+          <Switch
+            id="crossfade-enabled"
+            checked={crossfade.enabled}
+            onCheckedChange={(enabled) => update({ enabled })}
+          />
+        </div>
+
+        <div className="space-y-2">
+          <div className="flex justify-between text-sm">
+            <Label>Length</Label>
+            <span className="text-muted-foreground">{crossfade.duration.toFixed(1)} s</span>
+          </div>
+          <Slider
+            min={0}
+            max={MAX_CROSSFADE}
+            step={0.5}
+            value={[crossfade.duration]}
+            onValueChange={([duration]) => update({ duration })}
+            disabled={!crossfade.enabled}
+          />
+        </div>
+
+        <div className="space-y-2">
+          <Label>Curve</Label>
+          <ToggleGroup
+            type="single"
+            variant="outline"
+            size="sm"
+            value={crossfade.curve}
+            onValueChange={(curve) => curve && update({ curve })}
+            disabled={!crossfade.enabled}
+            className="justify-start"
+          >
+            {CURVE_OPTIONS.map(({ value, label }) => (
+              <ToggleGroupItem key={value} value={value}>
+                {label}
+              </ToggleGroupItem>
+            ))}
+          </ToggleGroup>
+        </div>
+      </PopoverContent>
+    </Popover>
+  );
+};
+
+export default CrossfadeControl;
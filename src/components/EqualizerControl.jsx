@@ -0,0 +1,227 @@
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { SlidersHorizontal, Save, Trash2 } from 'lucide-react';
+import { useEqualizer } from '../hooks/useEqualizer';
+import ParametricEqEditor from './ParametricEqEditor';
+import {
+  MAX_BAND_GAIN,
+  MAX_PREAMP,
+  filterHasGain,
+  getFilterSpecs,
+  getHeadroomPreamp
+} from '../utils/equalizer';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger
+} from './ui/dialog';
+import { Slider } from './ui/slider';
+import { Switch } from './ui/switch';
+import { Label } from './ui/label';
+import { Input } from './ui/input';
+import { Button } from './ui/button';
+import { ToggleGroup, ToggleGroupItem } from './ui/toggle-group';
+import {
+  Select,
+  SelectContent,
+  SelectGroup,
+  SelectItem,
+  SelectLabel,
+  SelectSeparator,
+  SelectTrigger,
+  SelectValue
+} from './ui/select';
+
+const formatFrequency = (frequency) => (
+  frequency >= 1000 ? `${frequency / 1000}k` : `${Math.round(frequency)}`
+);
+
+const formatGain = (gain) => `${gain > 0 ? '+' : ''}${gain.toFixed(1)}`;
+
+const EqualizerControl = () => {
+  const equalizer = useEqualizer();
+  const { settings, frequencies, presets, userPresets } = equalizer;
+  const [presetName, setPresetName] = useState('');
+  const userPreset = userPresets.find((preset) => preset.id === settings.preset);
+  const isActive = settings.enabled && (
+    settings.preamp !== 0 || getFilterSpecs(settings).some((band) => band.gain !== 0 || !filterHasGain(band.type))
+  );
+
+  const handleSave = (event) => {
+    event.preventDefault();
+    equalizer.savePreset(presetName);
+    setPresetName('');
+  };
+
+  return (
+    <Dialog>
+      <DialogTrigger asChild>
+        <motion.button
+          whileHover={{ scale: 1.1 }}
+          whileTap={{ scale: 0.9 }}
+          className={`p-2 rounded-full transition-colors ${
+            isActive ? 'bg-blue-500 text-white' : 'bg-white/20 text-white/70 hover:text-white'
+          }`}
+          title="Equalizer"
+        >
+          <SlidersHorizontal size={20} />
+        </motion.button>
+      </DialogTrigger>
+      <DialogContent className="dark text-foreground max-w-3xl">
+        <DialogHeader>
+          <DialogTitle>Equalizer</DialogTitle>
+          <DialogDescription>
+            Shape the sound with fixed bands or free parametric filters. Lower the pre-amp when
+            boosting to avoid clipping.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="flex flex-wrap items-center gap-4">
+          <div className="flex items-center gap-2">
+            <Switch id="eq-enabled" checked={settings.enabled} onCheckedChange={equalizer.setEnabled} />
+            <Label htmlFor="eq-enabled">Enabled</Label>
+          </div>
+
+          <ToggleGroup
+            type="single"
+            variant="outline"
+            size="sm"
+            value={settings.mode}
+            onValueChange={(mode) => mode && equalizer.setMode(mode)}
+          >
+            <ToggleGroupItem value="graphic">Graphic</ToggleGroupItem>
+            <ToggleGroupItem value="parametric">Parametric</ToggleGroupItem>
+          </ToggleGroup>
+
+          {settings.mode === 'graphic' && (
+            <ToggleGroup
+              type="single"
+              variant="outline"
+              size="sm"
+              value={String(frequencies.length)}
+              onValueChange={(count) => count && equalizer.setBandCount(Number(count))}
+            >
+              <ToggleGroupItem value="10">10 bands</ToggleGroupItem>
+              <ToggleGroupItem value="31">31 bands</ToggleGroupItem>
+            </ToggleGroup>
+          )}
+
+          <div className="flex items-center gap-2">
+            <Select value={settings.preset ?? ''} onValueChange={equalizer.applyPreset}>
+              <SelectTrigger className="w-40">
+                <SelectValue placeholder="Custom" />
+              </SelectTrigger>
+              <SelectContent className="dark">
+                <SelectGroup>
+                  {presets.map((preset) => (
+                    <SelectItem key={preset.id} value={preset.id}>{preset.name}</SelectItem>
+                  ))}
+                </SelectGroup>
+                {userPresets.length > 0 && (
+                  <>
+                    <SelectSeparator />
+                    <SelectGroup>
+                      <SelectLabel>My presets</SelectLabel>
+                      {userPresets.map((preset) => (
+                        <SelectItem key={preset.id} value={preset.id}>{preset.name}</SelectItem>
+                      ))}
+                    </SelectGroup>
+                  </>
+                )}
+              </SelectContent>
+            </Select>
+            {userPreset && (
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={() => equalizer.deletePreset(userPreset.id)}
+                title={`Delete "${userPreset.name}"`}
+              >
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            )}
+          </div>
+        </div>
+
+        {settings.mode === 'graphic' ? (
+          // Pre-amp, then one vertical slider per band
+          <div className={`flex gap-3 overflow-x-auto pb-2 ${settings.enabled ? '' : 'opacity-50'}`}>
+            <div className="flex flex-col items-center gap-2 border-r border-border pr-3">
+              <span className="text-xs tabular-nums">{formatGain(settings.preamp)}</span>
+              <Slider
+                orientation="vertical"
+                min={-MAX_PREAMP}
+                max={MAX_PREAMP}
+                step={0.5}
+                value={[settings.preamp]}
+                onValueChange={([preamp]) => equalizer.setPreamp(preamp)}
+                className="h-40"
+              />
+              <button
+                onClick={() => equalizer.setPreamp(getHeadroomPreamp(settings.gains))}
+                className="text-xs text-muted-foreground hover:text-foreground"
+                title="Set the pre-amp to cancel the largest boost"
+              >
+                Pre-amp
+              </button>
+            </div>
+
+            {frequencies.map((frequency, index) => (
+              <div key={frequency} className="flex min-w-6 flex-col items-center gap-2">
+                <span className="text-xs tabular-nums">{formatGain(settings.gains[index])}</span>
+                <Slider
+                  orientation="vertical"
+                  min={-MAX_BAND_GAIN}
+                  max={MAX_BAND_GAIN}
+                  step={0.5}
+                  value={[settings.gains[index]]}
+                  onValueChange={([gain]) => equalizer.setBandGain(index, gain)}
+                  className="h-40"
+                />
+                <span className="text-xs text-muted-foreground">{formatFrequency(frequency)}</span>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <>
+            <ParametricEqEditor
+              settings={settings}
+              onUpdateBand={equalizer.updateBand}
+              onAddBand={equalizer.addBand}
+              onRemoveBand={equalizer.removeBand}
+            />
+            <div className="flex items-center gap-3">
+              <Label className="shrink-0">Pre-amp</Label>
+              <Slider
+                min={-MAX_PREAMP}
+                max={MAX_PREAMP}
+                step={0.5}
+                value={[settings.preamp]}
+                onValueChange={([preamp]) => equalizer.setPreamp(preamp)}
+              />
+              <span className="w-12 shrink-0 text-right text-xs tabular-nums">{formatGain(settings.preamp)}</span>
+            </div>
+          </>
+        )}
+
+        <form onSubmit={handleSave} className="flex gap-2">
+          <Input
+            value={presetName}
+            onChange={(event) => setPresetName(event.target.value)}
+            placeholder="Preset name"
+            className="max-w-xs"
+          />
+          <Button type="submit" variant="secondary" disabled={!presetName.trim()}>
+            <Save className="mr-2 h-4 w-4" />
+            Save preset
+          </Button>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default EqualizerControl;
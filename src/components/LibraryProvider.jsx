@@ -0,0 +1,68 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { LibraryContext } from '../hooks/useLibraryContext';
+import { useLibrary } from '../hooks/useLibrary';
+import { usePlaylists } from '../hooks/usePlaylists';
+import { audioSamples } from '../config/audioSamples';
+
+const LibraryProvider = ({ children }) => {
+  const library = useLibrary();
+  const playlistStore = usePlaylists();
+  const { playlists, isLoaded: isPlaylistsLoaded } = playlistStore;
+
+  // null plays the whole library
+  const [activePlaylistId, setActivePlaylistId] = useState(null);
+  // Bumped to ask the player to start the active queue from the top
+  const [playRequest, setPlayRequest] = useState(0);
+
+  const allTracks = useMemo(() => [...audioSamples, ...library.tracks], [library.tracks]);
+  const tracksById = useMemo(
+    () => new Map(allTracks.map((track) => [track.id, track])),
+    [allTracks]
+  );
+
+  const activePlaylist = playlists.find((playlist) => playlist.id === activePlaylistId) || null;
+
+  // Playlists keep ids of removed tracks harmlessly; they are skipped here
+  const queueTracks = useMemo(() => (
+    activePlaylist
+      ? activePlaylist.trackIds.map((id) => tracksById.get(id)).filter(Boolean)
+      : allTracks
+  ), [activePlaylist, allTracks, tracksById]);
+
+  // Fall back to the library if the active playlist is deleted
+  useEffect(() => {
+    if (isPlaylistsLoaded && activePlaylistId && !activePlaylist) {
+      setActivePlaylistId(null);
+    }
+  }, [isPlaylistsLoaded, activePlaylistId, activePlaylist]);
+
+  const playPlaylist = useCallback((id) => {
+    setActivePlaylistId(id);
+    setPlayRequest((count) => count + 1);
+  }, []);
+
+  const value = useMemo(() => ({
+    ...library,
+    ...playlistStore,
+    isLoaded: library.isLoaded && isPlaylistsLoaded,
+    allTracks,
+    tracksById,
+    activePlaylist,
+    activePlaylistId,
+    setActivePlaylistId,
+    queueTracks,
+    playRequest,
+    playPlaylist
+  }), [
+    library, playlistStore, isPlaylistsLoaded, allTracks, tracksById, activePlaylist,
+    activePlaylistId, queueTracks, playRequest, playPlaylist
+  ]);
+
+  return (
+    <LibraryContext.Provider value={value}>
+      {children}
+    </LibraryContext.Provider>
+  );
+};
+
+export default LibraryProvider;
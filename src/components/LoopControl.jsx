@@ -0,0 +1,200 @@
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { IterationCw, Trash2 } from 'lucide-react';
+import { audioUtils } from '../config/audioSamples';
+import { Popover, PopoverContent, PopoverTrigger } from './ui/popover';
+import { Slider } from './ui/slider';
+import { Switch } from './ui/switch';
+import { Label } from './ui/label';
+import { Input } from './ui/input';
+import { Button } from './ui/button';
+import { ToggleGroup, ToggleGroupItem } from './ui/toggle-group';
+import { MIN_SPEED, MAX_SPEED } from './SpeedPitchControl';
+import { useTempo } from '../hooks/useTempo';
+
+const COUNT_IN_OPTIONS = [0, 2, 4, 8];
+const SPEED_STEP_OPTIONS = [0, 0.02, 0.05, 0.1];
+// Below this the detected tempo is not offered for the count-in
+const MIN_TEMPO_CONFIDENCE = 0.3;
+
+// Loop points need more precision than the track clock
+const formatLoopTime = (time) => `${audioUtils.formatTime(time)}.${Math.floor((time % 1) * 10)}`;
+
+const LoopControl = ({ loopPractice, currentTime, practice, onPracticeChange }) => {
+  const [loopName, setLoopName] = useState('');
+  const { loop, isActive, isValid, passes, speed, savedLoops } = loopPractice;
+  const tempo = useTempo();
+  const detectedTempo = tempo.bpm !== null && tempo.confidence >= MIN_TEMPO_CONFIDENCE
+    ? Math.round(tempo.bpm)
+    : null;
+  const updatePractice = (changes) => onPracticeChange({ ...practice, ...changes });
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    loopPractice.saveLoop(loopName);
+    setLoopName('');
+  };
+
+  return (
+    <Popover>
+      <PopoverTrigger asChild>
+        <motion.button
+          whileHover={{ scale: 1.1 }}
+          whileTap={{ scale: 0.9 }}
+          className={`p-2 rounded-full transition-colors ${
+            isActive ? 'bg-amber-500 text-white' : 'bg-white/20 text-white/70 hover:text-white'
+          }`}
+          title="A-B loop"
+        >
+          <IterationCw size={20} />
+        </motion.button>
+      </PopoverTrigger>
+      <PopoverContent className="dark w-80 space-y-4">
+        <div className="flex items-center justify-between">
+          <Label htmlFor="loop-enabled">A-B loop</Label>
+          <Switch
+            id="loop-enabled"
+            checked={loop.enabled}
+            onCheckedChange={loopPractice.setEnabled}
+            disabled={!isValid}
+          />
+        </div>
+
+        <div className="flex items-center gap-2">
+          <Button variant="secondary" size="sm" className="flex-1" onClick={() => loopPractice.setPointA(currentTime)}>
+            A {loop.start !== null ? formatLoopTime(loop.start) : '--'}
+          </Button>
+          <Button variant="secondary" size="sm" className="flex-1" onClick={() => loopPractice.setPointB(currentTime)}>
+            B {loop.end !== null ? formatLoopTime(loop.end) : '--'}
+          </Button>
+          <Button variant="ghost" size="sm" onClick={loopPractice.clearLoop} disabled={loop.start === null}>
+            Clear
+          </Button>
+        </div>
+        {isActive && passes > 0 && (
+          <p className="text-xs text-muted-foreground">Pass {passes + 1} at {speed.toFixed(2)}×</p>
+        )}
+
+        <div className="space-y-2">
+          <Label>Count-in</Label>
+          <div className="flex items-center gap-2">
+            <ToggleGroup
+              type="single"
+              variant="outline"
+              size="sm"
+              value={String(practice.countInBeats)}
+              onValueChange={(beats) => beats && updatePractice({ countInBeats: Number(beats) })}
+              className="justify-start"
+            >
+              {COUNT_IN_OPTIONS.map((beats) => (
+                <ToggleGroupItem key={beats} value={String(beats)}>
+                  {beats === 0 ? 'Off' : beats}
+                </ToggleGroupItem>
+              ))}
+            </ToggleGroup>
+            <Input
+              type="number"
+              min={40}
+              max={240}
+              value={practice.countInTempo}
+              onChange={(e) => {
+                const tempo = Number(e.target.value);
+                if (tempo >= 40 && tempo <= 240) updatePractice({ countInTempo: tempo });
+              }}
+              disabled={practice.countInBeats === 0}
+              className="h-8 w-20"
+              aria-label="Count-in tempo (BPM)"
+            />
+            <span className="text-xs text-muted-foreground">BPM</span>
+            {detectedTempo !== null && (
+              <Button
+                variant="ghost"
+                size="sm"
+                className="h-8 px-2"
+                onClick={() => updatePractice({ countInTempo: detectedTempo })}
+                disabled={practice.countInBeats === 0 || practice.countInTempo === detectedTempo}
+                title={`Detected tempo (${Math.round(tempo.confidence * 100)}% confidence)`}
+              >
+                Use {detectedTempo}
+              </Button>
+            )}
+          </div>
+        </div>
+
+        <div className="space-y-2">
+          <Label>Speed up after each pass</Label>
+          <ToggleGroup
+            type="single"
+            variant="outline"
+            size="sm"
+            value={String(practice.speedStep)}
+            onValueChange={(step) => step && updatePractice({ speedStep: Number(step) })}
+            className="justify-start"
+          >
+            {SPEED_STEP_OPTIONS.map((step) => (
+              <ToggleGroupItem key={step} value={String(step)}>
+                {step === 0 ? 'Off' : `+${Math.round(step * 100)}%`}
+              </ToggleGroupItem>
+            ))}
+          </ToggleGroup>
+          <div className="flex justify-between text-sm">
+            <span className="text-muted-foreground">Up to</span>
+            <span className="tabular-nums text-muted-foreground">{practice.targetSpeed.toFixed(2)}×</span>
+          </div>
+          <Slider
+            min={MIN_SPEED}
+            max={MAX_SPEED}
+            step={0.05}
+            value={[practice.targetSpeed]}
+            onValueChange={([targetSpeed]) => updatePractice({ targetSpeed })}
+            disabled={practice.speedStep === 0}
+          />
+        </div>
+
+        <div className="space-y-2">
+          <Label>Saved loops</Label>
+          <form onSubmit={handleSave} className="flex gap-2">
+            <Input
+              value={loopName}
+              onChange={(e) => setLoopName(e.target.value)}
+              placeholder="Loop name"
+              className="h-8"
+            />
+            <Button type="submit" size="sm" disabled={!isValid}>
+              Save
+            </Button>
+          </form>
+          {savedLoops.length > 0 && (
+            <ul className="max-h-40 overflow-y-auto space-y-1">
+              {savedLoops.map((saved) => (
+                <li key={saved.id} className="flex items-center gap-2">
+                  <button
+                    type="button"
+                    onClick={() => loopPractice.loadLoop(saved.id)}
+                    className="flex-1 flex justify-between rounded px-2 py-1 text-left text-sm hover:bg-accent"
+                  >
+                    <span className="truncate">{saved.name}</span>
+                    <span className="text-xs text-muted-foreground tabular-nums">
+                      {formatLoopTime(saved.start)}–{formatLoopTime(saved.end)}
+                    </span>
+                  </button>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    className="h-7 w-7"
+                    onClick={() => loopPractice.deleteLoop(saved.id)}
+                    title="Delete loop"
+                  >
+                    <Trash2 size={14} />
+                  </Button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </PopoverContent>
+    </Popover>
+  );
+};
+
+export default LoopControl;
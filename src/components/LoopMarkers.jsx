@@ -0,0 +1,68 @@
+import { useRef } from 'react';
+
+// Shortest loop the markers can be dragged to, in seconds
+const MIN_LOOP_LENGTH = 0.1;
+
+// A and B markers laid over the progress bar, with the loop region shaded between
+// them. Drag a marker to move that end of the loop. `viewStart`/`viewEnd` give the
+// part of the track the bar shows when it is zoomed in.
+const LoopMarkers = ({ loop, duration, isActive, onChange, viewStart = 0, viewEnd = duration }) => {
+  const containerRef = useRef(null);
+  if (!duration || loop.start === null) return null;
+
+  const viewLength = viewEnd - viewStart;
+  const toPercent = (time) => `${((time - viewStart) / viewLength) * 100}%`;
+  const isVisible = (time) => time >= viewStart && time <= viewEnd;
+
+  const handlePointerDown = (e) => {
+    e.preventDefault();
+    e.currentTarget.setPointerCapture(e.pointerId);
+  };
+
+  const handlePointerMove = (point) => (e) => {
+    if (!e.currentTarget.hasPointerCapture(e.pointerId)) return;
+    const rect = containerRef.current.getBoundingClientRect();
+    const time = viewStart + Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width)) * viewLength;
+
+    if (point === 'start') {
+      const limit = (loop.end ?? duration) - MIN_LOOP_LENGTH;
+      onChange({ start: Math.max(0, Math.min(time, limit)), end: loop.end });
+    } else {
+      onChange({ start: loop.start, end: Math.min(duration, Math.max(time, loop.start + MIN_LOOP_LENGTH)) });
+    }
+  };
+
+  const markers = [{ point: 'start', label: 'A', time: loop.start }];
+  if (loop.end !== null) markers.push({ point: 'end', label: 'B', time: loop.end });
+  // Region clipped to the visible part of the track
+  const regionStart = Math.max(loop.start, viewStart);
+  const regionEnd = loop.end === null ? null : Math.min(loop.end, viewEnd);
+
+  return (
+    <div ref={containerRef} className="absolute inset-0 pointer-events-none">
+      {regionEnd !== null && regionEnd > regionStart && (
+        <div
+          className={`absolute inset-y-0 rounded ${isActive ? 'bg-amber-400/40' : 'bg-white/20'}`}
+          style={{ left: toPercent(regionStart), width: toPercent(viewStart + regionEnd - regionStart) }}
+        />
+      )}
+      {markers.filter(({ time }) => isVisible(time)).map(({ point, label, time }) => (
+        <div
+          key={point}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove(point)}
+          className={`absolute -top-5 -translate-x-1/2 flex flex-col items-center cursor-ew-resize pointer-events-auto touch-none select-none ${
+            isActive ? 'text-amber-300' : 'text-white/70'
+          }`}
+          style={{ left: toPercent(time) }}
+          title={`Drag to move loop point ${label}`}
+        >
+          <span className="text-[10px] font-bold leading-none">{label}</span>
+          <span className="w-0.5 h-5 bg-current" />
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default LoopMarkers;
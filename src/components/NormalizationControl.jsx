@@ -0,0 +1,80 @@
+import { motion } from 'framer-motion';
+import { Gauge } from 'lucide-react';
+import { Popover, PopoverContent, PopoverTrigger } from './ui/popover';
+import { Switch } from './ui/switch';
+import { Label } from './ui/label';
+import { ToggleGroup, ToggleGroupItem } from './ui/toggle-group';
+
+const MODE_OPTIONS = [
+  { value: 'off', label: 'Off' },
+  { value: 'track', label: 'Track' },
+  { value: 'album', label: 'Album' }
+];
+
+const SOURCE_LABELS = {
+  tags: 'from tags',
+  analysis: 'measured'
+};
+
+const NormalizationControl = ({ normalization, status, onChange }) => {
+  const update = (changes) => onChange({ ...normalization, ...changes });
+  const isEnabled = normalization.mode !== 'off';
+
+  return (
+    <Popover>
+      <PopoverTrigger asChild>
+        <motion.button
+          whileHover={{ scale: 1.1 }}
+          whileTap={{ scale: 0.9 }}
+          className={`p-2 rounded-full transition-colors ${
+            isEnabled ? 'bg-blue-500 text-white' : 'bg-white/20 text-white/70 hover:text-white'
+          }`}
+          title="Loudness normalization"
+        >
+          <Gauge size={20} />
+        </motion.button>
+      </PopoverTrigger>
+      <PopoverContent className="dark w-72 space-y-4">
+        <div className="space-y-2">
+          <Label>Loudness normalization</Label>
+          <ToggleGroup
+            type="single"
+            variant="outline"
+            size="sm"
+            value={normalization.mode}
+            onValueChange={(mode) => mode && update({ mode })}
+            className="justify-start"
+          >
+            {MODE_OPTIONS.map(({ value, label }) => (
+              <ToggleGroupItem key={value} value={value}>
+                {label}
+              </ToggleGroupItem>
+            ))}
+          </ToggleGroup>
+        </div>
+
+        <div className="flex items-center justify-between">
+          <Label htmlFor="normalization-limiter">Peak limiter</Label>
+          <Switch
+            id="normalization-limiter"
+            checked={normalization.limiter}
+            onCheckedChange={(limiter) => update({ limiter })}
+            disabled={!isEnabled}
+          />
+        </div>
+
+        {isEnabled && (
+          <p className="text-xs text-muted-foreground">
+            {status.isMeasuring
+              ? 'Measuring loudness...'
+              : `${status.gain > 0 ? '+' : ''}${status.gain.toFixed(1)} dB${
+                status.source ? ` (${SOURCE_LABELS[status.source]})` : ''
+              }`}
+          </p>
+        )}
+      </PopoverContent>
+    </Popover>
+  );
+};
+
+export default NormalizationControl;
@@ -0,0 +1,332 @@
+import { useState, useRef, useEffect, useMemo } from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import { useAudioEngine } from '../hooks/useAudioEngine';
+import {
+  FILTER_TYPES,
+  MAX_BAND_GAIN,
+  MAX_FREQUENCY,
+  MAX_PARAMETRIC_BANDS,
+  MAX_Q,
+  MIN_FREQUENCY,
+  MIN_Q,
+  filterHasGain,
+  getEqualizerResponse
+} from '../utils/equalizer';
+import { Slider } from './ui/slider';
+import { Label } from './ui/label';
+import { Button } from './ui/button';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+
+const CURVE_COLOR = '#3b82f6';
+// Vertical scale of the curve, in dB either side of 0
+const DB_RANGE = MAX_BAND_GAIN + 6;
+const NODE_RADIUS = 7;
+const GRID_FREQUENCIES = [50, 100, 200, 500, 1000, 2000, 5000, 10000];
+const GRID_GAINS = [-12, -6, 0, 6, 12];
+
+// Log-spaced points the response curve is evaluated at
+const RESPONSE_FREQUENCIES = Float32Array.from({ length: 256 }, (_, i) => (
+  MIN_FREQUENCY * Math.pow(MAX_FREQUENCY / MIN_FREQUENCY, i / 255)
+));
+
+const LOG_SPAN = Math.log(MAX_FREQUENCY / MIN_FREQUENCY);
+const frequencyToUnit = (frequency) => Math.log(frequency / MIN_FREQUENCY) / LOG_SPAN;
+const unitToFrequency = (unit) => MIN_FREQUENCY * Math.exp(unit * LOG_SPAN);
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Pass and notch filters have no gain, so their nodes sit on the 0 dB line
+const getNodePosition = (band, width, height) => ({
+  x: frequencyToUnit(band.frequency) * width,
+  y: height / 2 - ((filterHasGain(band.type) ? band.gain : 0) / DB_RANGE) * (height / 2)
+});
+
+const formatFrequency = (frequency) => (
+  frequency >= 1000 ? `${(frequency / 1000).toFixed(frequency >= 10000 ? 0 : 1)} kHz` : `${Math.round(frequency)} Hz`
+);
+
+/**
+ * Parametric EQ editor: bands are nodes on the combined response curve, drawn over
+ * the live spectrum from the shared analyser. Drag a node to set frequency and gain,
+ * scroll over it to set Q, double-click empty space to add a band.
+ */
+const ParametricEqEditor = ({ settings, onUpdateBand, onAddBand, onRemoveBand }) => {
+  const canvasRef = useRef(null);
+  const dragRef = useRef(null);
+  const spectrumRef = useRef(null);
+  const [selected, setSelected] = useState(0);
+  const { analyser } = useAudioEngine();
+  const { bands } = settings;
+  const selectedBand = bands[selected];
+
+  const response = useMemo(() => getEqualizerResponse(settings, RESPONSE_FREQUENCIES), [settings]);
+
+  // Everything the draw loop and native listeners read, kept current without
+  // restarting them
+  const stateRef = useRef(null);
+  stateRef.current = { bands, selected, response, enabled: settings.enabled, onUpdateBand };
+
+  // Draw loop: grid, spectrum, response curve and band nodes
+  useEffect(() => {
+    let frame = null;
+
+    const draw = () => {
+      const canvas = canvasRef.current;
+      if (!canvas) return;
+      if (canvas.width !== canvas.clientWidth) canvas.width = canvas.clientWidth;
+      if (canvas.height !== canvas.clientHeight) canvas.height = canvas.clientHeight;
+
+      const ctx = canvas.getContext('2d');
+      const { width, height } = canvas;
+      const state = stateRef.current;
+      const toY = (db) => height / 2 - (db / DB_RANGE) * (height / 2);
+
+      ctx.clearRect(0, 0, width, height);
+
+      // Grid
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.35)';
+      ctx.font = '10px sans-serif';
+      ctx.lineWidth = 1;
+      GRID_FREQUENCIES.forEach((frequency) => {
+        const x = Math.round(frequencyToUnit(frequency) * width) + 0.5;
+        ctx.beginPath();
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, height);
+        ctx.stroke();
+        ctx.fillText(frequency >= 1000 ? `${frequency / 1000}k` : `${frequency}`, x + 3, height - 4);
+      });
+      GRID_GAINS.forEach((gain) => {
+        const y = Math.round(toY(gain)) + 0.5;
+        ctx.beginPath();
+        ctx.moveTo(0, y);
+        ctx.lineTo(width, y);
+        ctx.stroke();
+        ctx.fillText(`${gain > 0 ? '+' : ''}${gain} dB`, 3, y - 3);
+      });
+
+      // Spectrum of what is playing, after the EQ
+      if (analyser) {
+        if (spectrumRef.current?.length !== analyser.frequencyBinCount) {
+          spectrumRef.current = new Float32Array(analyser.frequencyBinCount);
+        }
+        const spectrum = spectrumRef.current;
+        analyser.getFloatFrequencyData(spectrum);
+        const binWidth = analyser.context.sampleRate / analyser.fftSize;
+        const range = analyser.maxDecibels - analyser.minDecibels;
+
+        ctx.beginPath();
+        ctx.moveTo(0, height);
+        for (let i = 1; i < spectrum.length; i++) {
+          const frequency = i * binWidth;
+          if (frequency < MIN_FREQUENCY) continue;
+          if (frequency > MAX_FREQUENCY) break;
+          const level = clamp((spectrum[i] - analyser.minDecibels) / range, 0, 1);
+          ctx.lineTo(frequencyToUnit(frequency) * width, height - level * height);
+        }
+        ctx.lineTo(width, height);
+        ctx.closePath();
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.12)';
+        ctx.fill();
+      }
+
+      // Response curve
+      ctx.beginPath();
+      state.response.forEach((db, i) => {
+        const x = (i / (state.response.length - 1)) * width;
+        const y = toY(clamp(db, -DB_RANGE * 2, DB_RANGE * 2));
+        if (i === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+      });
+      ctx.strokeStyle = state.enabled ? CURVE_COLOR : 'rgba(255, 255, 255, 0.4)';
+      ctx.lineWidth = 2;
+      ctx.shadowColor = CURVE_COLOR;
+      ctx.shadowBlur = state.enabled ? 8 : 0;
+      ctx.stroke();
+      ctx.shadowBlur = 0;
+
+      // Band nodes
+      state.bands.forEach((band, index) => {
+        const { x, y } = getNodePosition(band, width, height);
+        ctx.beginPath();
+        ctx.arc(x, y, NODE_RADIUS, 0, 2 * Math.PI);
+        ctx.fillStyle = index === state.selected ? '#ffffff' : CURVE_COLOR;
+        ctx.fill();
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.5)';
+        ctx.stroke();
+        ctx.fillStyle = index === state.selected ? CURVE_COLOR : '#ffffff';
+        ctx.fillText(String(index + 1), x - 3, y + 3.5);
+      });
+
+      frame = requestAnimationFrame(draw);
+    };
+
+    draw();
+    return () => cancelAnimationFrame(frame);
+  }, [analyser]);
+
+  // Scroll over the canvas to change the selected band's Q (needs a non-passive listener)
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const handleWheel = (event) => {
+      const { bands: currentBands, selected: index, onUpdateBand: update } = stateRef.current;
+      const band = currentBands[index];
+      if (!band) return;
+      event.preventDefault();
+      const Q = clamp(band.Q * Math.exp(-event.deltaY * 0.002), MIN_Q, MAX_Q);
+      update(index, { Q: Math.round(Q * 100) / 100 });
+    };
+    canvas.addEventListener('wheel', handleWheel, { passive: false });
+    return () => canvas.removeEventListener('wheel', handleWheel);
+  }, []);
+
+  const getPointer = (event) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return { x: event.clientX - rect.left, y: event.clientY - rect.top, width: rect.width, height: rect.height };
+  };
+
+  const findBandAt = ({ x, y, width, height }) => bands.findIndex((band) => {
+    const node = getNodePosition(band, width, height);
+    return Math.hypot(node.x - x, node.y - y) <= NODE_RADIUS + 4;
+  });
+
+  const handlePointerDown = (event) => {
+    const index = findBandAt(getPointer(event));
+    if (index === -1) return;
+    setSelected(index);
+    dragRef.current = index;
+    event.currentTarget.setPointerCapture(event.pointerId);
+  };
+
+  const handlePointerMove = (event) => {
+    const index = dragRef.current;
+    if (index === null) return;
+    const { x, y, width, height } = getPointer(event);
+    const band = bands[index];
+    const gain = (((height / 2) - y) / (height / 2)) * DB_RANGE;
+    onUpdateBand(index, {
+      frequency: Math.round(clamp(unitToFrequency(x / width), MIN_FREQUENCY, MAX_FREQUENCY)),
+      gain: filterHasGain(band.type) ? Math.round(clamp(gain, -MAX_BAND_GAIN, MAX_BAND_GAIN) * 10) / 10 : band.gain
+    });
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  const handleDoubleClick = (event) => {
+    const pointer = getPointer(event);
+    if (findBandAt(pointer) !== -1 || bands.length >= MAX_PARAMETRIC_BANDS) return;
+    const { x, y, width, height } = pointer;
+    onAddBand({
+      frequency: Math.round(unitToFrequency(x / width)),
+      gain: Math.round(clamp(((height / 2 - y) / (height / 2)) * DB_RANGE, -MAX_BAND_GAIN, MAX_BAND_GAIN) * 10) / 10
+    });
+    setSelected(bands.length);
+  };
+
+  const handleRemove = () => {
+    onRemoveBand(selected);
+    setSelected((index) => Math.max(0, index - 1));
+  };
+
+  return (
+    <div className="space-y-4">
+      <canvas
+        ref={canvasRef}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+        onDoubleClick={handleDoubleClick}
+        className="h-56 w-full touch-none rounded-lg bg-black/40"
+      />
+
+      {selectedBand ? (
+        <div className="grid gap-4 sm:grid-cols-[auto_1fr_1fr_1fr] sm:items-end">
+          <div className="space-y-2">
+            <Label>Band {selected + 1}</Label>
+            <Select value={selectedBand.type} onValueChange={(type) => onUpdateBand(selected, { type })}>
+              <SelectTrigger className="w-32">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent className="dark">
+                {FILTER_TYPES.map(({ value, label }) => (
+                  <SelectItem key={value} value={value}>{label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          <div className="space-y-3">
+            <div className="flex justify-between text-xs">
+              <Label>Frequency</Label>
+              <span className="tabular-nums text-muted-foreground">{formatFrequency(selectedBand.frequency)}</span>
+            </div>
+            <Slider
+              min={0}
+              max={1}
+              step={0.001}
+              value={[frequencyToUnit(selectedBand.frequency)]}
+              onValueChange={([unit]) => onUpdateBand(selected, { frequency: Math.round(unitToFrequency(unit)) })}
+            />
+          </div>
+
+          <div className="space-y-3">
+            <div className="flex justify-between text-xs">
+              <Label>Gain</Label>
+              <span className="tabular-nums text-muted-foreground">{selectedBand.gain.toFixed(1)} dB</span>
+            </div>
+            <Slider
+              min={-MAX_BAND_GAIN}
+              max={MAX_BAND_GAIN}
+              step={0.1}
+              value={[selectedBand.gain]}
+              onValueChange={([gain]) => onUpdateBand(selected, { gain })}
+              disabled={!filterHasGain(selectedBand.type)}
+            />
+          </div>
+
+          <div className="space-y-3">
+            <div className="flex justify-between text-xs">
+              <Label>Q</Label>
+              <span className="tabular-nums text-muted-foreground">{selectedBand.Q.toFixed(2)}</span>
+            </div>
+            <Slider
+              min={Math.log(MIN_Q)}
+              max={Math.log(MAX_Q)}
+              step={0.01}
+              value={[Math.log(selectedBand.Q)]}
+              onValueChange={([value]) => onUpdateBand(selected, { Q: Math.round(Math.exp(value) * 100) / 100 })}
+            />
+          </div>
+        </div>
+      ) : (
+        <p className="text-sm text-muted-foreground">Double-click the curve to add a band.</p>
+      )}
+
+      <div className="flex gap-2">
+        <Button
+          variant="secondary"
+          size="sm"
+          onClick={() => {
+            onAddBand({});
+            setSelected(bands.length);
+          }}
+          disabled={bands.length >= MAX_PARAMETRIC_BANDS}
+        >
+          <Plus className="mr-2 h-4 w-4" />
+          Add band
+        </Button>
+        {selectedBand && (
+          <Button variant="ghost" size="sm" onClick={handleRemove}>
+            <Trash2 className="mr-2 h-4 w-4" />
+            Remove band {selected + 1}
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ParametricEqEditor;
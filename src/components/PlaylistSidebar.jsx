@@ -0,0 +1,168 @@
+import { useState } from 'react';
+import { Copy, Library, ListMusic, MoreHorizontal, Pencil, Play, Plus, Trash2 } from 'lucide-react';
+import { useLibraryContext } from '../hooks/useLibraryContext';
+import {
+  Sidebar,
+  SidebarContent,
+  SidebarGroup,
+  SidebarGroupAction,
+  SidebarGroupContent,
+  SidebarGroupLabel,
+  SidebarHeader,
+  SidebarInput,
+  SidebarMenu,
+  SidebarMenuAction,
+  SidebarMenuBadge,
+  SidebarMenuButton,
+  SidebarMenuItem
+} from './ui/sidebar';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger
+} from './ui/dropdown-menu';
+
+const PlaylistSidebar = () => {
+  const {
+    allTracks,
+    playlists,
+    activePlaylistId,
+    setActivePlaylistId,
+    playPlaylist,
+    createPlaylist,
+    renamePlaylist,
+    duplicatePlaylist,
+    removePlaylist
+  } = useLibraryContext();
+
+  const [editingId, setEditingId] = useState(null);
+  const [draftName, setDraftName] = useState('');
+
+  const startRename = (playlist) => {
+    setEditingId(playlist.id);
+    setDraftName(playlist.name);
+  };
+
+  const commitRename = () => {
+    if (editingId) renamePlaylist(editingId, draftName);
+    setEditingId(null);
+  };
+
+  const handleCreate = () => {
+    const playlist = createPlaylist(`Playlist ${playlists.length + 1}`);
+    setActivePlaylistId(playlist.id);
+    startRename(playlist);
+  };
+
+  return (
+    <Sidebar className="dark">
+      <SidebarHeader>
+        <div className="flex items-center gap-2 px-2 py-1 text-sm font-semibold">
+          <ListMusic className="h-4 w-4" />
+          Music
+        </div>
+      </SidebarHeader>
+
+      <SidebarContent>
+        <SidebarGroup>
+          <SidebarGroupContent>
+            <SidebarMenu>
+              <SidebarMenuItem>
+                <SidebarMenuButton
+                  isActive={activePlaylistId === null}
+                  onClick={() => setActivePlaylistId(null)}
+                >
+                  <Library />
+                  <span>Library</span>
+                </SidebarMenuButton>
+                <SidebarMenuBadge>{allTracks.length}</SidebarMenuBadge>
+              </SidebarMenuItem>
+            </SidebarMenu>
+          </SidebarGroupContent>
+        </SidebarGroup>
+
+        <SidebarGroup>
+          <SidebarGroupLabel>Playlists</SidebarGroupLabel>
+          <SidebarGroupAction title="New playlist" onClick={handleCreate}>
+            <Plus />
+            <span className="sr-only">New playlist</span>
+          </SidebarGroupAction>
+          <SidebarGroupContent>
+            <SidebarMenu>
+              {playlists.map((playlist) => (
+                <SidebarMenuItem key={playlist.id}>
+                  {editingId === playlist.id ? (
+                    <form
+                      onSubmit={(e) => {
+                        e.preventDefault();
+                        commitRename();
+                      }}
+                    >
+                      <SidebarInput
+                        autoFocus
+                        value={draftName}
+                        onChange={(e) => setDraftName(e.target.value)}
+                        onBlur={commitRename}
+                        onKeyDown={(e) => e.key === 'Escape' && setEditingId(null)}
+                      />
+                    </form>
+                  ) : (
+                    <>
+                      <SidebarMenuButton
+                        isActive={activePlaylistId === playlist.id}
+                        onClick={() => setActivePlaylistId(playlist.id)}
+                        onDoubleClick={() => startRename(playlist)}
+                      >
+                        <ListMusic />
+                        <span>{playlist.name}</span>
+                      </SidebarMenuButton>
+                      <DropdownMenu>
+                        <DropdownMenuTrigger asChild>
+                          <SidebarMenuAction showOnHover>
+                            <MoreHorizontal />
+                            <span className="sr-only">Playlist actions</span>
+                          </SidebarMenuAction>
+                        </DropdownMenuTrigger>
+                        <DropdownMenuContent side="right" align="start" className="dark">
+                          <DropdownMenuItem onSelect={() => playPlaylist(playlist.id)}>
+                            <Play />
+                            Play
+                          </DropdownMenuItem>
+                          <DropdownMenuItem onSelect={() => startRename(playlist)}>
+                            <Pencil />
+                            Rename
+                          </DropdownMenuItem>
+                          <DropdownMenuItem onSelect={() => duplicatePlaylist(playlist.id)}>
+                            <Copy />
+                            Duplicate
+                          </DropdownMenuItem>
+                          <DropdownMenuSeparator />
+                          <DropdownMenuItem
+                            onSelect={() => removePlaylist(playlist.id)}
+                            className="text-red-400 focus:text-red-400"
+                          >
+                            <Trash2 />
+                            Delete
+                          </DropdownMenuItem>
+                        </DropdownMenuContent>
+                      </DropdownMenu>
+                    </>
+                  )}
+                </SidebarMenuItem>
+              ))}
+              {playlists.length === 0 && (
+                <p className="px-2 py-1 text-xs text-sidebar-foreground/60">
+                  No playlists yet
+                </p>
+              )}
+            </SidebarMenu>
+          </SidebarGroupContent>
+        </SidebarGroup>
+      </SidebarContent>
+    </Sidebar>
+  );
+};
+
+export default PlaylistSidebar;
@@ -0,0 +1,102 @@
+import { Reorder } from 'framer-motion';
+import { GripVertical, X } from 'lucide-react';
+
+const QueueRow = ({ track, onClick, isCurrent = false, children }) => (
+  <div
+    className={`flex items-center gap-2 p-2 rounded-lg transition-colors ${
+      isCurrent
+        ? 'bg-blue-500/30 text-white'
+        : 'bg-white/10 text-white/70 hover:bg-white/20 hover:text-white'
+    }`}
+  >
+    <button onClick={onClick} className="min-w-0 flex-1 text-left">
+      <div className="text-sm font-medium truncate">{track.title}</div>
+      <div className="flex justify-between gap-2 text-xs opacity-70">
+        <span className="truncate">{track.artist}</span>
+        <span>{track.duration}</span>
+      </div>
+    </button>
+    {children}
+  </div>
+);
+
+const SectionHeader = ({ title, action, onAction }) => (
+  <div className="flex items-center justify-between px-1 pt-2 text-[11px] uppercase tracking-wide text-white/50">
+    <span className="truncate">{title}</span>
+    {action && (
+      <button onClick={onAction} className="normal-case hover:text-white">
+        {action}
+      </button>
+    )}
+  </div>
+);
+
+const QueuePanel = ({
+  nowPlaying,
+  upNext,
+  upcoming,
+  history,
+  contextName,
+  onPlayQueued,
+  onRemove,
+  onReorder,
+  onClear,
+  onSelect,
+  onClearHistory
+}) => (
+  <div className="space-y-1">
+    {nowPlaying && (
+      <>
+        <SectionHeader title="Now playing" />
+        <QueueRow track={nowPlaying} isCurrent />
+      </>
+    )}
+
+    {upNext.length > 0 && (
+      <>
+        <SectionHeader title="Next in queue" action="Clear" onAction={onClear} />
+        <Reorder.Group
+          axis="y"
+          values={upNext.map((entry) => entry.key)}
+          onReorder={onReorder}
+          className="space-y-1"
+        >
+          {upNext.map(({ key, track }) => (
+            <Reorder.Item key={key} value={key}>
+              <QueueRow track={track} onClick={() => onPlayQueued(key)}>
+                <GripVertical size={14} className="shrink-0 cursor-grab opacity-50" />
+                <button
+                  onClick={() => onRemove(key)}
+                  className="shrink-0 opacity-60 hover:opacity-100"
+                  title="Remove from queue"
+                >
+                  <X size={14} />
+                </button>
+              </QueueRow>
+            </Reorder.Item>
+          ))}
+        </Reorder.Group>
+      </>
+    )}
+
+    {upcoming.length > 0 && (
+      <>
+        <SectionHeader title={`Next from ${contextName}`} />
+        {upcoming.map((track) => (
+          <QueueRow key={track.id} track={track} onClick={() => onSelect(track)} />
+        ))}
+      </>
+    )}
+
+    {history.length > 0 && (
+      <>
+        <SectionHeader title="History" action="Clear" onAction={onClearHistory} />
+        {history.map((track, index) => (
+          <QueueRow key={`${track.id}-${index}`} track={track} onClick={() => onSelect(track)} />
+        ))}
+      </>
+    )}
+  </div>
+);
+
+export default QueuePanel;
@@ -0,0 +1,395 @@
+import { Settings } from 'lucide-react';
+import { useSettings } from '../hooks/useSettings';
+import {
+  FFT_SIZES,
+  MIN_DECIBELS,
+  MAX_DECIBELS,
+  RENDERER_PREFERENCES,
+  getVisualizerPalette
+} from '../utils/settings';
+import { detectWebGL2 } from '../renderers';
+import { SCOPE_TIMEBASES, MIN_SCOPE_GAIN, MAX_SCOPE_GAIN } from '../utils/oscilloscope';
+import { SPECTROGRAM_SCALES } from '../utils/spectrogram';
+import { COLORMAPS, getColormapGradient } from '../utils/colormaps';
+import { MIN_PARTICLE_BUDGET, MAX_PARTICLE_BUDGET } from '../utils/particles';
+import { playerConfig, visualizerThemes } from '../config/audioSamples';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger
+} from './ui/dialog';
+import { Slider } from './ui/slider';
+import { Label } from './ui/label';
+import { Button } from './ui/button';
+import { Switch } from './ui/switch';
+import { ToggleGroup, ToggleGroupItem } from './ui/toggle-group';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from './ui/select';
+
+const NO_THEME = 'none';
+
+const RENDERER_LABELS = { auto: 'Auto', webgl2: 'WebGL2', canvas2d: 'Canvas 2D' };
+
+// Why the chosen renderer may not be the one drawing
+const getRendererNote = (preference) => {
+  if (preference === 'canvas2d') return null;
+  const { supported, software } = detectWebGL2();
+  if (!supported) return 'WebGL2 is not available here, so Canvas 2D is used.';
+  if (software && preference === 'auto') return 'Only software WebGL is available, so Auto uses Canvas 2D.';
+  return null;
+};
+
+const capitalize = (name) => name.charAt(0).toUpperCase() + name.slice(1);
+
+// Labelled slider with the current value on the right
+const SettingSlider = ({ label, value, format = (v) => v, onChange, ...props }) => (
+  <div className="space-y-2">
+    <div className="flex justify-between text-sm">
+      <Label>{label}</Label>
+      <span className="tabular-nums text-muted-foreground">{format(value)}</span>
+    </div>
+    <Slider value={[value]} onValueChange={([next]) => onChange(next)} {...props} />
+  </div>
+);
+
+const Swatches = ({ colors }) => (
+  <span className="flex">
+    {colors.map((color, index) => (
+      <span key={index} className="h-3 w-1.5 first:rounded-l last:rounded-r" style={{ background: color }} />
+    ))}
+  </span>
+);
+
+const SettingsPanel = () => {
+  const { settings, updateSettings, resetSettings } = useSettings();
+  const { analyser, visualizer } = settings;
+  const setAnalyser = (changes) => updateSettings('analyser', changes);
+  const setVisualizer = (changes) => updateSettings('visualizer', changes);
+  const rendererNote = getRendererNote(visualizer.renderer);
+
+  return (
+    <Dialog>
+      <DialogTrigger asChild>
+        <button
+          className="p-2 rounded-md text-white/70 hover:text-white hover:bg-white/10 transition-colors"
+          title="Settings"
+        >
+          <Settings size={20} />
+        </button>
+      </DialogTrigger>
+      <DialogContent className="dark text-foreground max-w-2xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Settings</DialogTitle>
+          <DialogDescription>
+            Changes apply immediately and are remembered on this device.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="grid gap-8 sm:grid-cols-2">
+          <section className="space-y-4">
+            <div className="flex items-center justify-between">
+              <h3 className="font-medium">Analyser</h3>
+              <Button variant="ghost" size="sm" onClick={() => resetSettings('analyser')}>
+                Reset
+              </Button>
+            </div>
+
+            <div className="space-y-2">
+              <Label>FFT size</Label>
+              <Select
+                value={String(analyser.fftSize)}
+                onValueChange={(size) => setAnalyser({ fftSize: Number(size) })}
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent className="dark">
+                  {FFT_SIZES.map((size) => (
+                    <SelectItem key={size} value={String(size)}>
+                      {size} ({size / 2} bins)
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <SettingSlider
+              label="Smoothing"
+              value={analyser.smoothingTimeConstant}
+              format={(v) => v.toFixed(2)}
+              min={0}
+              max={0.99}
+              step={0.01}
+              onChange={(smoothingTimeConstant) => setAnalyser({ smoothingTimeConstant })}
+            />
+            <SettingSlider
+              label="Floor"
+              value={analyser.minDecibels}
+              format={(v) => `${v} dB`}
+              min={MIN_DECIBELS}
+              max={analyser.maxDecibels - 10}
+              step={1}
+              onChange={(minDecibels) => setAnalyser({ minDecibels })}
+            />
+            <SettingSlider
+              label="Ceiling"
+              value={analyser.maxDecibels}
+              format={(v) => `${v} dB`}
+              min={analyser.minDecibels + 10}
+              max={MAX_DECIBELS}
+              step={1}
+              onChange={(maxDecibels) => setAnalyser({ maxDecibels })}
+            />
+          </section>
+
+          <section className="space-y-4">
+            <div className="flex items-center justify-between">
+              <h3 className="font-medium">Visualizer</h3>
+              <Button variant="ghost" size="sm" onClick={() => resetSettings('visualizer')}>
+                Reset
+              </Button>
+            </div>
+
+            <div className="space-y-2">
+              <Label>Theme</Label>
+              <Select
+                value={visualizer.theme || NO_THEME}
+                onValueChange={(theme) => setVisualizer({ theme: theme === NO_THEME ? null : theme })}
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent className="dark">
+                  <SelectItem value={NO_THEME}>None</SelectItem>
+                  {Object.entries(visualizerThemes).map(([name, theme]) => (
+                    <SelectItem key={name} value={name}>
+                      <span className="flex items-center gap-2">
+                        <Swatches colors={theme.barColors} />
+                        {capitalize(name)}
+                      </span>
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div className="space-y-2">
+              <Label>Color scheme</Label>
+              <Select
+                value={visualizer.colorScheme}
+                onValueChange={(colorScheme) => setVisualizer({ colorScheme })}
+                disabled={!!visualizer.theme}
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent className="dark">
+                  {Object.entries(playerConfig.colorSchemes).map(([name, colors]) => (
+                    <SelectItem key={name} value={name}>
+                      <span className="flex items-center gap-2">
+                        <Swatches colors={colors} />
+                        {capitalize(name)}
+                      </span>
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              {visualizer.theme && (
+                <p className="text-xs text-muted-foreground">
+                  Using the theme&apos;s colors <Swatches colors={getVisualizerPalette(visualizer)} />
+                </p>
+              )}
+            </div>
+
+            <div className="space-y-2">
+              <Label>Renderer</Label>
+              <ToggleGroup
+                type="single"
+                variant="outline"
+                size="sm"
+                value={visualizer.renderer}
+                onValueChange={(value) => value && setVisualizer({ renderer: value })}
+                className="justify-start"
+              >
+                {RENDERER_PREFERENCES.map((preference) => (
+                  <ToggleGroupItem key={preference} value={preference}>
+                    {RENDERER_LABELS[preference]}
+                  </ToggleGroupItem>
+                ))}
+              </ToggleGroup>
+              {rendererNote && <p className="text-xs text-muted-foreground">{rendererNote}</p>}
+            </div>
+
+            <SettingSlider
+              label="Bars"
+              value={visualizer.barCount}
+              min={8}
+              max={128}
+              step={4}
+              onChange={(barCount) => setVisualizer({ barCount })}
+            />
+            <SettingSlider
+              label="Bar spacing"
+              value={visualizer.barSpacing}
+              format={(v) => `${v} px`}
+              min={0}
+              max={8}
+              step={1}
+              onChange={(barSpacing) => setVisualizer({ barSpacing })}
+            />
+            <SettingSlider
+              label="Minimum bar height"
+              value={visualizer.minBarHeight}
+              format={(v) => `${v} px`}
+              min={0}
+              max={10}
+              step={1}
+              onChange={(minBarHeight) => setVisualizer({ minBarHeight })}
+            />
+            <SettingSlider
+              label="Sensitivity"
+              value={visualizer.sensitivity}
+              format={(v) => `${v.toFixed(1)}×`}
+              min={0.5}
+              max={3}
+              step={0.1}
+              onChange={(sensitivity) => setVisualizer({ sensitivity })}
+            />
+
+            <h4 className="pt-2 text-sm font-medium">Oscilloscope</h4>
+            <div className="space-y-2">
+              <Label>Timebase</Label>
+              <ToggleGroup
+                type="single"
+                variant="outline"
+                size="sm"
+                value={String(visualizer.scopeTimebase)}
+                onValueChange={(value) => value && setVisualizer({ scopeTimebase: Number(value) })}
+                className="justify-start"
+              >
+                {SCOPE_TIMEBASES.map((ms) => (
+                  <ToggleGroupItem key={ms} value={String(ms)}>
+                    {ms} ms
+                  </ToggleGroupItem>
+                ))}
+              </ToggleGroup>
+            </div>
+            <SettingSlider
+              label="Gain"
+              value={visualizer.scopeGain}
+              format={(v) => `${v.toFixed(2)}×`}
+              min={MIN_SCOPE_GAIN}
+              max={MAX_SCOPE_GAIN}
+              step={0.25}
+              onChange={(scopeGain) => setVisualizer({ scopeGain })}
+            />
+            <div className="flex items-center justify-between">
+              <Label htmlFor="scope-stereo">Overlay left and right</Label>
+              <Switch
+                id="scope-stereo"
+                checked={visualizer.scopeStereo}
+                onCheckedChange={(scopeStereo) => setVisualizer({ scopeStereo })}
+              />
+            </div>
+
+            <h4 className="pt-2 text-sm font-medium">Spectrogram</h4>
+            <div className="space-y-2">
+              <Label>Colormap</Label>
+              <Select
+                value={visualizer.spectrogramColormap}
+                onValueChange={(spectrogramColormap) => setVisualizer({ spectrogramColormap })}
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent className="dark">
+                  {COLORMAPS.map((name) => (
+                    <SelectItem key={name} value={name}>
+                      <span className="flex items-center gap-2">
+                        <span className="h-3 w-10 rounded" style={{ background: getColormapGradient(name) }} />
+                        {capitalize(name)}
+                      </span>
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label>Frequency axis</Label>
+              <ToggleGroup
+                type="single"
+                variant="outline"
+                size="sm"
+                value={visualizer.spectrogramScale}
+                onValueChange={(value) => value && setVisualizer({ spectrogramScale: value })}
+                className="justify-start"
+              >
+                {SPECTROGRAM_SCALES.map((scale) => (
+                  <ToggleGroupItem key={scale} value={scale}>
+                    {capitalize(scale)}
+                  </ToggleGroupItem>
+                ))}
+              </ToggleGroup>
+            </div>
+            <SettingSlider
+              label="Floor"
+              value={visualizer.spectrogramMinDecibels}
+              format={(v) => `${v} dB`}
+              min={MIN_DECIBELS}
+              max={visualizer.spectrogramMaxDecibels - 10}
+              step={1}
+              onChange={(spectrogramMinDecibels) => setVisualizer({ spectrogramMinDecibels })}
+            />
+            <SettingSlider
+              label="Ceiling"
+              value={visualizer.spectrogramMaxDecibels}
+              format={(v) => `${v} dB`}
+              min={visualizer.spectrogramMinDecibels + 10}
+              max={MAX_DECIBELS}
+              step={1}
+              onChange={(spectrogramMaxDecibels) => setVisualizer({ spectrogramMaxDecibels })}
+            />
+            <div className="flex items-center justify-between">
+              <Label htmlFor="spectrogram-waterfall">Waterfall (scroll down)</Label>
+              <Switch
+                id="spectrogram-waterfall"
+                checked={visualizer.spectrogramWaterfall}
+                onCheckedChange={(spectrogramWaterfall) => setVisualizer({ spectrogramWaterfall })}
+              />
+            </div>
+
+            <h4 className="pt-2 text-sm font-medium">Particles</h4>
+            <SettingSlider
+              label="Particle budget"
+              value={visualizer.particleBudget}
+              min={MIN_PARTICLE_BUDGET}
+              max={MAX_PARTICLE_BUDGET}
+              step={100}
+              onChange={(particleBudget) => setVisualizer({ particleBudget })}
+            />
+            <p className="text-xs text-muted-foreground">
+              Fewer particles are drawn while frames take too long.
+              {visualizerThemes[visualizer.theme]?.particleEffect && ' The current theme also adds particles to the other modes.'}
+            </p>
+          </section>
+        </div>
+
+        <div className="flex justify-end">
+          <Button variant="secondary" onClick={() => resetSettings()}>
+            Reset all to defaults
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default SettingsPanel;
@@ -0,0 +1,70 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { SettingsContext } from '../hooks/useSettings';
+import { isLibrarySupported, loadSessionValue, saveSessionValue } from '../utils/libraryDb';
+import { setAnalyserOptions } from '../utils/audioContext';
+import { createSettings } from '../utils/settings';
+
+const STORAGE_KEY = 'settings';
+
+// Settings start from playerConfig, take the user's saved overrides and are applied
+// to the audio graph as they change; renderers read them through useSettings
+const SettingsProvider = ({ children }) => {
+  const [settings, setSettings] = useState(createSettings);
+  const [isLoaded, setIsLoaded] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    if (!isLibrarySupported()) {
+      setIsLoaded(true);
+      return undefined;
+    }
+
+    loadSessionValue(STORAGE_KEY)
+      .then((stored) => {
+        if (!cancelled && stored) setSettings(createSettings(stored));
+      })
+      .catch((error) => console.error('Error loading settings:', error))
+      .finally(() => {
+        if (!cancelled) setIsLoaded(true);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!isLoaded || !isLibrarySupported()) return;
+    saveSessionValue(STORAGE_KEY, settings)
+      .catch((error) => console.error('Error saving settings:', error));
+  }, [isLoaded, settings]);
+
+  useEffect(() => {
+    setAnalyserOptions(settings.analyser);
+  }, [settings.analyser]);
+
+  // Merge changes into one section, e.g. updateSettings('visualizer', { barCount: 32 })
+  const updateSettings = useCallback((section, changes) => {
+    setSettings((prev) => createSettings({ ...prev, [section]: { ...prev[section], ...changes } }));
+  }, []);
+
+  // Back to playerConfig, for one section or everything
+  const resetSettings = useCallback((section) => {
+    setSettings((prev) => (section ? createSettings({ ...prev, [section]: undefined }) : createSettings()));
+  }, []);
+
+  const value = useMemo(() => ({
+    settings,
+    updateSettings,
+    resetSettings
+  }), [settings, updateSettings, resetSettings]);
+
+  return (
+    <SettingsContext.Provider value={value}>
+      {children}
+    </SettingsContext.Provider>
+  );
+};
+
+export default SettingsProvider;
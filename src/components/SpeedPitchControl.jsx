@@ -0,0 +1,92 @@
+import { motion } from 'framer-motion';
+import { Rabbit } from 'lucide-react';
+import { DEFAULT_TRACK_SETTINGS } from '../hooks/useTrackSettings';
+import { Popover, PopoverContent, PopoverTrigger } from './ui/popover';
+import { Slider } from './ui/slider';
+import { Switch } from './ui/switch';
+import { Label } from './ui/label';
+import { Button } from './ui/button';
+
+export const MIN_SPEED = 0.5;
+export const MAX_SPEED = 2;
+const MAX_PITCH = 12;
+
+const { speed: DEFAULT_SPEED, pitch: DEFAULT_PITCH, preservePitch: DEFAULT_PRESERVE_PITCH } = DEFAULT_TRACK_SETTINGS;
+
+const SpeedPitchControl = ({ settings, onChange }) => {
+  const isChanged = settings.speed !== 1 || settings.pitch !== 0;
+
+  return (
+    <Popover>
+      <PopoverTrigger asChild>
+        <motion.button
+          whileHover={{ scale: 1.1 }}
+          whileTap={{ scale: 0.9 }}
+          className={`p-2 rounded-full transition-colors ${
+            isChanged ? 'bg-blue-500 text-white' : 'bg-white/20 text-white/70 hover:text-white'
+          }`}
+          title="Speed and pitch"
+        >
+          <Rabbit size={20} />
+        </motion.button>
+      </PopoverTrigger>
+      <PopoverContent className="dark w-72 space-y-4">
+        <p className="text-xs text-muted-foreground">Saved for this track</p>
+
+        <div className="space-y-2">
+          <div className="flex justify-between text-sm">
+            <Label>Speed</Label>
+            <span className="tabular-nums text-muted-foreground">{settings.speed.toFixed(2)}×</span>
+          </div>
+          <Slider
+            min={MIN_SPEED}
+            max={MAX_SPEED}
+            step={0.05}
+            value={[settings.speed]}
+            onValueChange={([speed]) => onChange({ speed })}
+          />
+        </div>
+
+        <div className="flex items-center justify-between">
+          <Label htmlFor="preserve-pitch">Preserve pitch</Label>
+          <Switch
+            id="preserve-pitch"
+            checked={settings.preservePitch}
+            onCheckedChange={(preservePitch) => onChange({ preservePitch })}
+          />
+        </div>
+
+        <div className="space-y-2">
+          <div className="flex justify-between text-sm">
+            <Label>Pitch</Label>
+            <span className="tabular-nums text-muted-foreground">
+              {settings.pitch > 0 ? '+' : ''}{settings.pitch} st
+            </span>
+          </div>
+          <Slider
+            min={-MAX_PITCH}
+            max={MAX_PITCH}
+            step={1}
+            value={[settings.pitch]}
+            onValueChange={([pitch]) => onChange({ pitch })}
+          />
+        </div>
+
+        <Button
+          variant="secondary"
+          size="sm"
+          onClick={() => onChange({
+            speed: DEFAULT_SPEED,
+            pitch: DEFAULT_PITCH,
+            preservePitch: DEFAULT_PRESERVE_PITCH
+          })}
+          disabled={!isChanged && settings.preservePitch}
+        >
+          Reset
+        </Button>
+      </PopoverContent>
+    </Popover>
+  );
+};
+
+export default SpeedPitchControl;
@@ -0,0 +1,68 @@
+import { useRef, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { FilePlus, FolderPlus } from 'lucide-react';
+
+const TrackImporter = ({ onFiles, disabled = false }) => {
+  const fileInputRef = useRef(null);
+  const folderInputRef = useRef(null);
+
+  // React doesn't know the non-standard directory attributes
+  useEffect(() => {
+    if (folderInputRef.current) {
+      folderInputRef.current.setAttribute('webkitdirectory', '');
+      folderInputRef.current.setAttribute('directory', '');
+    }
+  }, []);
+
+  const handleChange = (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length) onFiles(files);
+  };
+
+  return (
+    <div className="flex items-center gap-2">
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="audio/*,.m3u,.m3u8,.pls"
+        multiple
+        onChange={handleChange}
+        className="hidden"
+      />
+      <input
+        ref={folderInputRef}
+        type="file"
+        multiple
+        onChange={handleChange}
+        className="hidden"
+      />
+
+      <motion.button
+        whileHover={{ scale: 1.05 }}
+        whileTap={{ scale: 0.95 }}
+        onClick={() => fileInputRef.current?.click()}
+        disabled={disabled}
+        title="Add files"
+        className="flex-1 flex items-center justify-center gap-2 p-2 bg-white/10 hover:bg-white/20 rounded-lg text-white/70 hover:text-white text-xs transition-colors disabled:opacity-50"
+      >
+        <FilePlus size={16} />
+        Add files
+      </motion.button>
+
+      <motion.button
+        whileHover={{ scale: 1.05 }}
+        whileTap={{ scale: 0.95 }}
+        onClick={() => folderInputRef.current?.click()}
+        disabled={disabled}
+        title="Add folder"
+        className="flex-1 flex items-center justify-center gap-2 p-2 bg-white/10 hover:bg-white/20 rounded-lg text-white/70 hover:text-white text-xs transition-colors disabled:opacity-50"
+      >
+        <FolderPlus size={16} />
+        Add folder
+      </motion.button>
+    </div>
+  );
+};
+
+export default TrackImporter;
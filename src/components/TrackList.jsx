@@ -0,0 +1,151 @@
+import { useState, useEffect } from 'react';
+import { Reorder } from 'framer-motion';
+import { GripVertical, ListEnd, ListPlus, ListStart, Play, Plus, Trash2 } from 'lucide-react';
+import {
+  ContextMenu,
+  ContextMenuContent,
+  ContextMenuItem,
+  ContextMenuSeparator,
+  ContextMenuSub,
+  ContextMenuSubContent,
+  ContextMenuSubTrigger,
+  ContextMenuTrigger
+} from './ui/context-menu';
+
+const TrackList = ({
+  tracks,
+  currentTrackId,
+  playlists = [],
+  activePlaylist = null,
+  onSelect,
+  onPlayNext,
+  onAddToQueue,
+  onAddToPlaylist,
+  onCreatePlaylist,
+  onRemoveFromPlaylist,
+  onReorder
+}) => {
+  // Local order while dragging; committed to the playlist on drop
+  const [order, setOrder] = useState(() => tracks.map((track) => track.id));
+  const [isDragging, setIsDragging] = useState(false);
+  const canReorder = !!activePlaylist && !!onReorder;
+
+  useEffect(() => {
+    if (!isDragging) setOrder(tracks.map((track) => track.id));
+  }, [tracks, isDragging]);
+
+  const tracksById = new Map(tracks.map((track) => [track.id, track]));
+
+  const handleDragEnd = () => {
+    setIsDragging(false);
+    const original = tracks.map((track) => track.id);
+    if (order.some((id, index) => id !== original[index])) {
+      onReorder(order);
+    }
+  };
+
+  const renderMenu = (track) => (
+    <ContextMenuContent className="w-52">
+      <ContextMenuItem onSelect={() => onSelect(track)}>
+        <Play className="mr-2 h-4 w-4" />
+        Play
+      </ContextMenuItem>
+      {onPlayNext && (
+        <ContextMenuItem onSelect={() => onPlayNext(track)}>
+          <ListStart className="mr-2 h-4 w-4" />
+          Play next
+        </ContextMenuItem>
+      )}
+      {onAddToQueue && (
+        <ContextMenuItem onSelect={() => onAddToQueue(track)}>
+          <ListEnd className="mr-2 h-4 w-4" />
+          Add to queue
+        </ContextMenuItem>
+      )}
+      <ContextMenuSeparator />
+      <ContextMenuSub>
+        <ContextMenuSubTrigger>
+          <ListPlus className="mr-2 h-4 w-4" />
+          Add to playlist
+        </ContextMenuSubTrigger>
+        <ContextMenuSubContent className="w-48">
+          {playlists.map((playlist) => (
+            <ContextMenuItem
+              key={playlist.id}
+              disabled={playlist.trackIds.includes(track.id)}
+              onSelect={() => onAddToPlaylist(playlist.id, track.id)}
+            >
+              <span className="truncate">{playlist.name}</span>
+            </ContextMenuItem>
+          ))}
+          {playlists.length > 0 && <ContextMenuSeparator />}
+          <ContextMenuItem onSelect={() => onCreatePlaylist(track.id)}>
+            <Plus className="mr-2 h-4 w-4" />
+            New playlist
+          </ContextMenuItem>
+        </ContextMenuSubContent>
+      </ContextMenuSub>
+      {activePlaylist && (
+        <ContextMenuItem onSelect={() => onRemoveFromPlaylist(track.id)}>
+          <Trash2 className="mr-2 h-4 w-4" />
+          Remove from {activePlaylist.name}
+        </ContextMenuItem>
+      )}
+    </ContextMenuContent>
+  );
+
+  if (!tracks.length) {
+    return (
+      <p className="p-4 text-center text-xs text-white/50">
+        {activePlaylist ? 'This playlist is empty. Right-click a track to add it.' : 'No tracks yet'}
+      </p>
+    );
+  }
+
+  return (
+    <Reorder.Group axis="y" values={order} onReorder={setOrder} className="space-y-1">
+      {order.map((id) => {
+        const track = tracksById.get(id);
+        if (!track) return null;
+        const isCurrent = id === currentTrackId;
+
+        return (
+          <Reorder.Item
+            key={id}
+            value={id}
+            drag={canReorder ? 'y' : false}
+            onDragStart={() => setIsDragging(true)}
+            onDragEnd={handleDragEnd}
+          >
+            <ContextMenu>
+              <ContextMenuTrigger asChild>
+                <button
+                  onClick={() => onSelect(track)}
+                  className={`w-full flex items-center gap-2 text-left p-2 rounded-lg transition-colors ${
+                    isCurrent
+                      ? 'bg-blue-500/30 text-white'
+                      : 'bg-white/10 text-white/70 hover:bg-white/20 hover:text-white'
+                  }`}
+                >
+                  {canReorder && (
+                    <GripVertical size={14} className="shrink-0 cursor-grab opacity-50" />
+                  )}
+                  <div className="min-w-0 flex-1">
+                    <div className="text-sm font-medium truncate">{track.title}</div>
+                    <div className="flex justify-between gap-2 text-xs opacity-70">
+                      <span className="truncate">{track.artist}</span>
+                      <span>{track.duration}</span>
+                    </div>
+                  </div>
+                </button>
+              </ContextMenuTrigger>
+              {renderMenu(track)}
+            </ContextMenu>
+          </Reorder.Item>
+        );
+      })}
+    </Reorder.Group>
+  );
+};
+
+export default TrackList;
@@ -1,246 +1,158 @@
 
-import React, { useRef, useEffect, useState, useCallback } from 'react';
+import React, { useState, useRef, useEffect, useCallback, useMemo } from 'react';
 import { motion } from 'framer-motion';
+import { useAudioEngine } from '../hooks/useAudioEngine';
+import { useSettings } from '../hooks/useSettings';
+import { getVisualizerPalette, getPaletteColor } from '../utils/settings';
+import { createVisualizerHost } from '../renderers/visualizerHost';
+import { visualizerThemes } from '../config/audioSamples';
+
+// Colors, bar layout and sensitivity come from the visualizer settings; `color` and
+// `sensitivity` props override them. `overlays` lists stereo displays (see
+// VISUALIZER_OVERLAYS) drawn small on top of the current mode.
+//
+// Drawing happens in renderers/visualizerScene.js, in a worker where possible; this
+// component only reads the analysers each frame and passes the settings along.
+
+const NO_OVERLAYS = [];
+
+const CANVAS_STYLE = {
+  background: 'transparent',
+  filter: 'drop-shadow(0 0 20px rgba(59, 130, 246, 0.1))'
+};
+
+// Canvases are made per host, since one handed to a worker cannot be drawn from here
+// again. The WebGL one sits under the 2D one, which keeps the other modes and overlays.
+const createCanvas = () => {
+  const canvas = document.createElement('canvas');
+  canvas.className = 'absolute inset-0 w-full h-full';
+  Object.assign(canvas.style, CANVAS_STYLE);
+  return canvas;
+};
 
 const Visualizer = ({ 
-  audioRef, 
-  isPlaying, 
   visualizerType = 'bars',
-  color = '#3b82f6',
-  sensitivity = 1
+  overlays = NO_OVERLAYS,
+  color,
+  sensitivity: sensitivityOverride
 }) => {
-  const canvasRef = useRef(null);
+  const layerRef = useRef(null);
+  const hostRef = useRef(null);
   const animationRef = useRef(null);
-  const audioContextRef = useRef(null);
-  const analyserRef = useRef(null);
-  const sourceRef = useRef(null);
-  const dataArrayRef = useRef(null);
-  const [isInitialized, setIsInitialized] = useState(false);
-
-  // Initialize Web Audio API
-  const initializeAudioContext = useCallback(async () => {
-    if (!audioRef?.current || isInitialized) return;
-
-    try {
-      // Create audio context
-      audioContextRef.current = new (window.AudioContext || window.webkitAudioContext)();
-      
-      // Create analyser
-      analyserRef.current = audioContextRef.current.createAnalyser();
-      analyserRef.current.fftSize = 256;
-      analyserRef.current.smoothingTimeConstant = 0.8;
-
-      // Create source from audio element
-      sourceRef.current = audioContextRef.current.createMediaElementSource(audioRef.current);
-      
-      // Connect nodes
-      sourceRef.current.connect(analyserRef.current);
-      analyserRef.current.connect(audioContextRef.current.destination);
-
-      // Create data array
-      const bufferLength = analyserRef.current.frequencyBinCount;
-      dataArrayRef.current = new Uint8Array(bufferLength);
-
-      setIsInitialized(true);
-    } catch (error) {
-      console.error('Error initializing audio context:', error);
-    }
-  }, [audioRef, isInitialized]);
-
-  // Resume audio context if suspended
-  const resumeAudioContext = useCallback(async () => {
-    if (audioContextRef.current?.state === 'suspended') {
-      await audioContextRef.current.resume();
-    }
-  }, []);
-
-  // Draw frequency bars visualization
-  const drawBars = useCallback((canvas, ctx, dataArray) => {
-    const width = canvas.width;
-    const height = canvas.height;
-    const barCount = dataArray.length;
-    const barWidth = width / barCount;
-
-    ctx.clearRect(0, 0, width, height);
-
-    // Create gradient
-    const gradient = ctx.createLinearGradient(0, height, 0, 0);
-    gradient.addColorStop(0, color + '40');
-    gradient.addColorStop(0.5, color + '80');
-    gradient.addColorStop(1, color);
-
-    ctx.fillStyle = gradient;
-
-    for (let i = 0; i < barCount; i++) {
-      const barHeight = (dataArray[i] / 255) * height * sensitivity;
-      const x = i * barWidth;
-      const y = height - barHeight;
-
-      // Draw bar with rounded top
-      ctx.beginPath();
-      ctx.roundRect(x + 1, y, barWidth - 2, barHeight, [2, 2, 0, 0]);
-      ctx.fill();
-
-      // Add glow effect
-      ctx.shadowColor = color;
-      ctx.shadowBlur = 10;
-      ctx.fill();
-      ctx.shadowBlur = 0;
-    }
-  }, [color, sensitivity]);
-
-  // Draw circular visualization
-  const drawCircular = useCallback((canvas, ctx, dataArray) => {
-    const width = canvas.width;
-    const height = canvas.height;
-    const centerX = width / 2;
-    const centerY = height / 2;
-    const radius = Math.min(width, height) / 4;
-
-    ctx.clearRect(0, 0, width, height);
-
-    // Draw outer circle
-    ctx.beginPath();
-    ctx.arc(centerX, centerY, radius + 20, 0, 2 * Math.PI);
-    ctx.strokeStyle = color + '20';
-    ctx.lineWidth = 2;
-    ctx.stroke();
-
-    // Draw frequency bars in circle
-    const barCount = dataArray.length;
-    const angleStep = (2 * Math.PI) / barCount;
-
-    for (let i = 0; i < barCount; i++) {
-      const angle = i * angleStep;
-      const barHeight = (dataArray[i] / 255) * 60 * sensitivity;
-      
-      const x1 = centerX + Math.cos(angle) * radius;
-      const y1 = centerY + Math.sin(angle) * radius;
-      const x2 = centerX + Math.cos(angle) * (radius + barHeight);
-      const y2 = centerY + Math.sin(angle) * (radius + barHeight);
-
-      // Create gradient for each bar
-      const gradient = ctx.createLinearGradient(x1, y1, x2, y2);
-      gradient.addColorStop(0, color + '40');
-      gradient.addColorStop(1, color);
-
-      ctx.beginPath();
-      ctx.moveTo(x1, y1);
-      ctx.lineTo(x2, y2);
-      ctx.strokeStyle = gradient;
-      ctx.lineWidth = 3;
-      ctx.lineCap = 'round';
-      ctx.stroke();
-
-      // Add glow effect
-      ctx.shadowColor = color;
-      ctx.shadowBlur = 5;
-      ctx.stroke();
-      ctx.shadowBlur = 0;
-    }
-
-    // Draw center circle
-    ctx.beginPath();
-    ctx.arc(centerX, centerY, 20, 0, 2 * Math.PI);
-    ctx.fillStyle = color + '60';
-    ctx.fill();
-  }, [color, sensitivity]);
-
-  // Draw waveform visualization
-  const drawWaveform = useCallback((canvas, ctx, dataArray) => {
-    const width = canvas.width;
-    const height = canvas.height;
-    const centerY = height / 2;
-
-    ctx.clearRect(0, 0, width, height);
-
-    // Create gradient
-    const gradient = ctx.createLinearGradient(0, 0, width, 0);
-    gradient.addColorStop(0, color + '60');
-    gradient.addColorStop(0.5, color);
-    gradient.addColorStop(1, color + '60');
-
-    ctx.strokeStyle = gradient;
-    ctx.lineWidth = 3;
-    ctx.lineCap = 'round';
-    ctx.lineJoin = 'round';
-
-    ctx.beginPath();
-
-    const sliceWidth = width / dataArray.length;
-    let x = 0;
-
-    for (let i = 0; i < dataArray.length; i++) {
-      const v = (dataArray[i] / 255) * sensitivity;
-      const y = centerY + (v * height / 2) - (height / 4);
-
-      if (i === 0) {
-        ctx.moveTo(x, y);
-      } else {
-        ctx.lineTo(x, y);
-      }
-
-      x += sliceWidth;
-    }
-
-    ctx.stroke();
-
-    // Add glow effect
-    ctx.shadowColor = color;
-    ctx.shadowBlur = 10;
-    ctx.stroke();
-    ctx.shadowBlur = 0;
-  }, [color, sensitivity]);
-
-  // Animation loop
+  const { analyser, channelAnalysers, isPlaying, playback } = useAudioEngine();
+  const { settings: { visualizer } } = useSettings();
+  const [rendererBackend, setRendererBackend] = useState(null);
+  const [isWorkerFailed, setIsWorkerFailed] = useState(false);
+  // Neither the worker nor the main thread could draw (no usable canvas context)
+  const [isUnsupported, setIsUnsupported] = useState(false);
+  const isInitialized = !!analyser;
+
+  const sensitivity = sensitivityOverride ?? visualizer.sensitivity;
+  const theme = visualizerThemes[visualizer.theme];
+  const glow = theme ? theme.glowEffect : true;
+  const palette = useMemo(() => (color ? [color] : getVisualizerPalette(visualizer)), [color, visualizer]);
+  const accent = getPaletteColor(palette, 0.5);
+
+  // Everything the scene draws with, see renderers/visualizerScene.js
+  const sceneOptions = useMemo(() => ({
+    mode: visualizerType,
+    overlays,
+    palette,
+    accent,
+    glow,
+    sensitivity,
+    bandCount: visualizer.barCount,
+    barSpacing: visualizer.barSpacing,
+    minBarHeight: visualizer.minBarHeight,
+    scopeTimebase: visualizer.scopeTimebase,
+    scopeGain: visualizer.scopeGain,
+    scopeStereo: visualizer.scopeStereo,
+    spectrogramColormap: visualizer.spectrogramColormap,
+    spectrogramScale: visualizer.spectrogramScale,
+    spectrogramMinDecibels: visualizer.spectrogramMinDecibels,
+    spectrogramMaxDecibels: visualizer.spectrogramMaxDecibels,
+    spectrogramWaterfall: visualizer.spectrogramWaterfall,
+    renderer: visualizer.renderer,
+    particleBudget: visualizer.particleBudget,
+    particleEffect: !!theme?.particleEffect,
+    trackId: playback.trackId
+  }), [visualizerType, overlays, palette, accent, glow, sensitivity, visualizer, theme, playback.trackId]);
+  const sceneOptionsRef = useRef(sceneOptions);
+
+  // Animation loop: read the analysers and hand the frame to the scene
   const animate = useCallback(() => {
-    if (!analyserRef.current || !dataArrayRef.current || !canvasRef.current) {
+    const host = hostRef.current;
+    if (!analyser || !host) {
       return;
     }
 
-    const canvas = canvasRef.current;
-    const ctx = canvas.getContext('2d');
-
-    // Get frequency data
-    analyserRef.current.getByteFrequencyData(dataArrayRef.current);
-
-    // Draw visualization based on type
-    switch (visualizerType) {
-      case 'circular':
-        drawCircular(canvas, ctx, dataArrayRef.current);
-        break;
-      case 'waveform':
-        drawWaveform(canvas, ctx, dataArrayRef.current);
-        break;
-      case 'bars':
-      default:
-        drawBars(canvas, ctx, dataArrayRef.current);
-        break;
-    }
+    host.pushFrame(analyser, channelAnalysers);
 
     if (isPlaying) {
       animationRef.current = requestAnimationFrame(animate);
     }
-  }, [isPlaying, visualizerType, drawBars, drawCircular, drawWaveform]);
+  }, [analyser, channelAnalysers, isPlaying]);
 
   // Handle canvas resize
   const resizeCanvas = useCallback(() => {
-    if (!canvasRef.current) return;
+    const layer = layerRef.current;
+    if (!layer) return;
 
-    const canvas = canvasRef.current;
-    const container = canvas.parentElement;
-    
-    canvas.width = container.clientWidth;
-    canvas.height = container.clientHeight;
+    hostRef.current?.resize(layer.clientWidth, layer.clientHeight);
   }, []);
 
-  // Initialize audio context when audio starts playing
+  // Draw in a worker unless it has failed, then on the main thread with new canvases
   useEffect(() => {
-    if (isPlaying && audioRef?.current) {
-      initializeAudioContext();
-      resumeAudioContext();
+    const layer = layerRef.current;
+    const glCanvas = createCanvas();
+    const canvas = createCanvas();
+    glCanvas.classList.add('hidden');
+    layer.append(glCanvas, canvas);
+
+    const handleBackendChange = (backend) => {
+      glCanvas.classList.toggle('hidden', backend !== 'webgl2');
+      setRendererBackend(backend);
+    };
+    const handleWorkerError = (error) => {
+      console.warn('Visualizer worker failed, drawing on the main thread:', error);
+      setIsWorkerFailed(true);
+    };
+
+    let host = null;
+    try {
+      host = createVisualizerHost({
+        canvas,
+        glCanvas,
+        options: sceneOptionsRef.current,
+        width: layer.clientWidth,
+        height: layer.clientHeight,
+        allowWorker: !isWorkerFailed,
+        onBackendChange: handleBackendChange,
+        onError: handleWorkerError
+      });
+    } catch (error) {
+      if (isWorkerFailed) {
+        console.error('Visualizer unavailable:', error);
+        setIsUnsupported(true);
+      } else {
+        handleWorkerError(error);
+      }
     }
-  }, [isPlaying, audioRef, initializeAudioContext, resumeAudioContext]);
+    hostRef.current = host;
+
+    return () => {
+      host?.destroy();
+      hostRef.current = null;
+      glCanvas.remove();
+      canvas.remove();
+    };
+  }, [isWorkerFailed]);
+
+  // Pass setting and mode changes on; the scene starts the cross-fade itself
+  useEffect(() => {
+    sceneOptionsRef.current = sceneOptions;
+    hostRef.current?.setOptions(sceneOptions);
+  }, [sceneOptions]);
 
   // Start/stop animation based on playing state
   useEffect(() => {
@@ -255,7 +167,7 @@ const Visualizer = ({
         cancelAnimationFrame(animationRef.current);
       }
     };
-  }, [isPlaying, isInitialized, animate]);
+  }, [isPlaying, isInitialized, isWorkerFailed, animate]);
 
   // Handle window resize
   useEffect(() => {
@@ -267,35 +179,18 @@ const Visualizer = ({
     };
   }, [resizeCanvas]);
 
-  // Cleanup on unmount
-  useEffect(() => {
-    return () => {
-      if (animationRef.current) {
-        cancelAnimationFrame(animationRef.current);
-      }
-      if (audioContextRef.current && audioContextRef.current.state !== 'closed') {
-        audioContextRef.current.close();
-      }
-    };
-  }, []);
-
   return (
     <motion.div
       className="relative w-full h-full min-h-[200px] rounded-xl overflow-hidden"
       initial={{ opacity: 0, scale: 0.95 }}
       animate={{ opacity: 1, scale: 1 }}
       transition={{ duration: 0.5 }}
+      style={theme ? { background: theme.background } : undefined}
+      data-renderer={rendererBackend}
     >
-      <canvas
-        ref={canvasRef}
-        className="w-full h-full"
-        style={{ 
-          background: 'transparent',
-          filter: 'drop-shadow(0 0 20px rgba(59, 130, 246, 0.1))'
-        }}
-      />
+      <div ref={layerRef} className="absolute inset-0" />
       
-      {!isPlaying && (
+      {(!isPlaying || isUnsupported) && (
         <motion.div
           className="absolute inset-0 flex items-center justify-center"
           initial={{ opacity: 0 }}
@@ -307,7 +202,9 @@ const Visualizer = ({
               <div className="w-8 h-8 rounded-full bg-gradient-to-br from-blue-500 to-purple-500 opacity-60" />
             </div>
             <p className="text-white/60 text-sm">
-              Play music to see visualization
+              {isUnsupported
+                ? 'Visualization is not supported in this browser'
+                : 'Play music to see visualization'}
             </p>
           </div>
         </motion.div>
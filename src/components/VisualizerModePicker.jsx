@@ -0,0 +1,71 @@
+import { BarChart3, CircleDot, Activity, Waves, Gauge, Crosshair, Sparkles, Shuffle } from 'lucide-react';
+import { ToggleGroup, ToggleGroupItem } from './ui/toggle-group';
+import { Toggle } from './ui/toggle';
+
+const MODE_OPTIONS = [
+  { value: 'bars', label: 'Bars', icon: BarChart3 },
+  { value: 'circular', label: 'Circular', icon: CircleDot },
+  { value: 'waveform', label: 'Oscilloscope', icon: Activity },
+  { value: 'spectrogram', label: 'Spectrogram', icon: Waves },
+  { value: 'meters', label: 'Level meters', icon: Gauge },
+  { value: 'goniometer', label: 'Goniometer', icon: Crosshair },
+  { value: 'particles', label: 'Particles', icon: Sparkles }
+];
+
+const OVERLAY_OPTIONS = [
+  { value: 'meters', label: 'Show level meters on top', icon: Gauge },
+  { value: 'goniometer', label: 'Show goniometer on top', icon: Crosshair }
+];
+
+const VisualizerModePicker = ({
+  mode,
+  autoCycle,
+  overlays,
+  onModeChange,
+  onAutoCycleChange,
+  onOverlaysChange
+}) => {
+  return (
+    <div className="dark flex items-center gap-1 rounded-lg bg-black/30 p-1 text-foreground backdrop-blur">
+      <ToggleGroup
+        type="single"
+        size="sm"
+        value={mode}
+        onValueChange={(value) => value && onModeChange(value)}
+      >
+        {MODE_OPTIONS.map(({ value, label, icon: Icon }) => (
+          <ToggleGroupItem key={value} value={value} aria-label={label} title={`${label} (V)`}>
+            <Icon />
+          </ToggleGroupItem>
+        ))}
+      </ToggleGroup>
+      <div className="mx-1 h-5 w-px bg-white/20" />
+      <ToggleGroup type="multiple" size="sm" value={overlays} onValueChange={onOverlaysChange}>
+        {OVERLAY_OPTIONS.map(({ value, label, icon: Icon }) => (
+          <ToggleGroupItem
+            key={value}
+            value={value}
+            aria-label={label}
+            title={label}
+            disabled={mode === value}
+            className="[&_svg]:size-3"
+          >
+            <Icon />
+          </ToggleGroupItem>
+        ))}
+      </ToggleGroup>
+      <div className="mx-1 h-5 w-px bg-white/20" />
+      <Toggle
+        size="sm"
+        pressed={autoCycle}
+        onPressedChange={onAutoCycleChange}
+        aria-label="Change mode on every track"
+        title="Change mode on every track"
+      >
+        <Shuffle />
+      </Toggle>
+    </div>
+  );
+};
+
+export default VisualizerModePicker;
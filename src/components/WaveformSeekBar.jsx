@@ -0,0 +1,274 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { ZoomIn, ZoomOut } from 'lucide-react';
+import { useWaveform } from '../hooks/useWaveform';
+import { getWaveformColumns } from '../utils/waveform';
+import { getPlaybackTime } from '../utils/playbackEngine';
+import { audioUtils } from '../config/audioSamples';
+import LoopMarkers from './LoopMarkers';
+
+const MAX_ZOOM = 64;
+const ZOOM_STEP = 2;
+// Pointer travel that turns a click into a drag (pan)
+const DRAG_THRESHOLD = 4;
+// After the user scrolls the view, wait this long before following the playhead again
+const FOLLOW_DELAY = 3000;
+
+const PLAYED_COLOR = '#3b82f6';
+const UNPLAYED_COLOR = 'rgba(255, 255, 255, 0.45)';
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+// Keep a view of `duration / zoom` seconds inside the track
+const clampView = ({ zoom, start }, duration) => {
+  const nextZoom = clamp(zoom, 1, MAX_ZOOM);
+  return { zoom: nextZoom, start: clamp(start, 0, duration - duration / nextZoom) };
+};
+
+// Seek bar showing the track's waveform. Click to seek, hover for the time under the
+// pointer, ctrl+wheel or the buttons to zoom, drag or shift+wheel to scroll.
+const WaveformSeekBar = ({ track, duration, currentTime, isPlaying, loopPractice, onSeek }) => {
+  const { waveform, buffered } = useWaveform(track);
+  const [view, setView] = useState({ zoom: 1, start: 0 });
+  const [hover, setHover] = useState(null); // { x, time }
+  const canvasRef = useRef(null);
+  const dragRef = useRef(null);
+  const columnsRef = useRef(null);
+  const lastScrollRef = useRef(0);
+
+  const viewLength = duration / view.zoom;
+  const viewEnd = view.start + viewLength;
+
+  // A new track starts zoomed out
+  useEffect(() => {
+    setView({ zoom: 1, start: 0 });
+  }, [track?.id]);
+
+  // Everything the draw loop reads, kept current without restarting it
+  const stateRef = useRef(null);
+  stateRef.current = { waveform, buffered, duration, currentTime, isPlaying, view, viewLength, hover };
+
+  const draw = useCallback(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    if (canvas.width !== canvas.clientWidth) canvas.width = canvas.clientWidth;
+    if (canvas.height !== canvas.clientHeight) canvas.height = canvas.clientHeight;
+
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const state = stateRef.current;
+    const time = state.isPlaying ? getPlaybackTime() : state.currentTime;
+    const toX = (t) => ((t - state.view.start) / state.viewLength) * width;
+    const playedX = state.duration ? toX(time) : 0;
+    const mid = height / 2;
+
+    ctx.clearRect(0, 0, width, height);
+
+    // Downloaded part of the file
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.06)';
+    ctx.fillRect(0, 0, width, height);
+    if (state.duration && state.buffered > 0) {
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.08)';
+      ctx.fillRect(0, 0, clamp(toX(state.buffered * state.duration), 0, width), height);
+    }
+
+    if (state.waveform && state.duration) {
+      const key = `${width}:${state.view.start}:${state.viewLength}`;
+      if (columnsRef.current?.waveform !== state.waveform || columnsRef.current.key !== key) {
+        columnsRef.current = {
+          waveform: state.waveform,
+          key,
+          columns: getWaveformColumns(state.waveform, state.view.start, state.view.start + state.viewLength, width)
+        };
+      }
+      const { min, max } = columnsRef.current.columns;
+      for (let x = 0; x < width; x++) {
+        const top = mid - max[x] * mid;
+        const bottom = mid - min[x] * mid;
+        ctx.fillStyle = x < playedX ? PLAYED_COLOR : UNPLAYED_COLOR;
+        ctx.fillRect(x, top, 1, Math.max(1, bottom - top));
+      }
+    } else {
+      // No overview yet: a plain progress bar
+      ctx.fillStyle = UNPLAYED_COLOR;
+      ctx.fillRect(0, mid - 2, width, 4);
+      ctx.fillStyle = PLAYED_COLOR;
+      ctx.fillRect(0, mid - 2, clamp(playedX, 0, width), 4);
+    }
+
+    if (state.duration) {
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(Math.round(playedX) - 1, 0, 2, height);
+    }
+    if (state.hover) {
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+      ctx.fillRect(Math.round(state.hover.x), 0, 1, height);
+    }
+  }, []);
+
+  // Animate the playhead while playing; otherwise redraw whenever something changes
+  useEffect(() => {
+    if (!isPlaying) return undefined;
+    let frame = null;
+    const loop = () => {
+      draw();
+      frame = requestAnimationFrame(loop);
+    };
+    loop();
+    return () => cancelAnimationFrame(frame);
+  }, [isPlaying, draw]);
+
+  useEffect(() => {
+    if (!isPlaying) draw();
+  });
+
+  useEffect(() => {
+    window.addEventListener('resize', draw);
+    return () => window.removeEventListener('resize', draw);
+  }, [draw]);
+
+  // Follow the playhead when zoomed in, unless the user just scrolled away from it
+  useEffect(() => {
+    if (!isPlaying || view.zoom === 1 || Date.now() - lastScrollRef.current < FOLLOW_DELAY) return;
+    if (currentTime < view.start || currentTime > viewEnd) {
+      setView((prev) => clampView({ ...prev, start: currentTime - viewLength * 0.05 }, duration));
+    }
+  }, [currentTime, isPlaying, view, viewEnd, viewLength, duration]);
+
+  const timeAt = (clientX) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const x = clamp(clientX - rect.left, 0, rect.width);
+    return { x, time: view.start + (x / rect.width) * viewLength };
+  };
+
+  const zoomAround = (time, factor) => {
+    setView((prev) => {
+      const zoom = clamp(prev.zoom * factor, 1, MAX_ZOOM);
+      const length = duration / zoom;
+      // Keep `time` under the same point of the bar
+      const fraction = (time - prev.start) / (duration / prev.zoom);
+      return clampView({ zoom, start: time - fraction * length }, duration);
+    });
+  };
+
+  const scrollBy = (seconds) => {
+    lastScrollRef.current = Date.now();
+    setView((prev) => clampView({ ...prev, start: prev.start + seconds }, duration));
+  };
+
+  // Native listener: React's wheel listeners are passive and can't prevent scrolling
+  const wheelRef = useRef(null);
+  wheelRef.current = (e) => {
+    if (!duration) return;
+    if (e.ctrlKey || e.metaKey) {
+      e.preventDefault();
+      zoomAround(timeAt(e.clientX).time, e.deltaY < 0 ? 1.25 : 0.8);
+    } else if (view.zoom > 1 && (e.shiftKey || Math.abs(e.deltaX) > Math.abs(e.deltaY))) {
+      e.preventDefault();
+      const delta = e.shiftKey ? e.deltaY : e.deltaX;
+      scrollBy((delta / canvasRef.current.clientWidth) * viewLength);
+    }
+  };
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const handleWheel = (e) => wheelRef.current(e);
+    canvas.addEventListener('wheel', handleWheel, { passive: false });
+    return () => canvas.removeEventListener('wheel', handleWheel);
+  }, []);
+
+  const handlePointerDown = (e) => {
+    if (!duration) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = { x: e.clientX, start: view.start, isPanning: false };
+  };
+
+  const handlePointerMove = (e) => {
+    if (!duration) return;
+    setHover(timeAt(e.clientX));
+
+    const drag = dragRef.current;
+    if (!drag || view.zoom === 1) return;
+    const dx = e.clientX - drag.x;
+    if (!drag.isPanning && Math.abs(dx) < DRAG_THRESHOLD) return;
+    drag.isPanning = true;
+    lastScrollRef.current = Date.now();
+    const seconds = (dx / canvasRef.current.clientWidth) * viewLength;
+    setView((prev) => clampView({ ...prev, start: drag.start - seconds }, duration));
+  };
+
+  const handlePointerUp = (e) => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (drag && !drag.isPanning) onSeek(timeAt(e.clientX).time);
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="relative h-12">
+        <canvas
+          ref={canvasRef}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={() => { dragRef.current = null; }}
+          onPointerLeave={() => setHover(null)}
+          className="w-full h-full rounded-lg cursor-pointer touch-none"
+        />
+        <LoopMarkers
+          loop={loopPractice.loop}
+          duration={duration}
+          isActive={loopPractice.isActive}
+          onChange={loopPractice.setRegion}
+          viewStart={view.start}
+          viewEnd={viewEnd}
+        />
+        {hover && (
+          <div
+            className="absolute top-1 -translate-x-1/2 px-1.5 py-0.5 rounded bg-black/70 text-xs text-white pointer-events-none tabular-nums"
+            style={{ left: hover.x }}
+          >
+            {audioUtils.formatTime(hover.time)}
+          </div>
+        )}
+      </div>
+
+      {duration > 0 && (
+        <div className="flex items-center gap-2 text-white/70">
+          <button
+            type="button"
+            onClick={() => zoomAround(currentTime, 1 / ZOOM_STEP)}
+            disabled={view.zoom === 1}
+            className="p-1 rounded hover:text-white disabled:opacity-30"
+            title="Zoom out"
+          >
+            <ZoomOut size={16} />
+          </button>
+          <button
+            type="button"
+            onClick={() => zoomAround(currentTime, ZOOM_STEP)}
+            disabled={view.zoom === MAX_ZOOM}
+            className="p-1 rounded hover:text-white disabled:opacity-30"
+            title="Zoom in"
+          >
+            <ZoomIn size={16} />
+          </button>
+          {view.zoom > 1 && (
+            <input
+              type="range"
+              min="0"
+              max={duration - viewLength}
+              step="any"
+              value={view.start}
+              onChange={(e) => scrollBy(parseFloat(e.target.value) - view.start)}
+              className="flex-1 h-1 bg-white/20 rounded-lg appearance-none cursor-pointer slider"
+              aria-label="Scroll waveform"
+            />
+          )}
+          <span className="ml-auto text-xs tabular-nums">{view.zoom > 1 ? `${Math.round(view.zoom)}×` : ''}</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WaveformSeekBar;
@@ -73,7 +73,17 @@ export const playerConfig = {
     maxBarHeight: 200,
     colorScheme: 'rainbow', // 'rainbow', 'blue', 'purple', 'green'
     animationSpeed: 0.1,
-    sensitivity: 1.5
+    sensitivity: 1.5,
+    scopeTimebase: 20, // ms across the oscilloscope: 5, 10, 20 or 50
+    scopeGain: 1,
+    scopeStereo: true, // overlay left and right instead of drawing their sum
+    spectrogramColormap: 'magma', // 'magma', 'viridis' or a color scheme name
+    spectrogramScale: 'log', // 'log', 'linear'
+    spectrogramMinDecibels: -110,
+    spectrogramMaxDecibels: -20,
+    spectrogramWaterfall: false, // scroll downwards instead of sideways
+    renderer: 'auto', // 'auto' (WebGL2 on a GPU), 'webgl2', 'canvas2d'
+    particleBudget: 1500 // most particles alive at once, lowered automatically on slow frames
   },
   
   // Player UI settings
@@ -84,7 +94,16 @@ export const playerConfig = {
     shuffle: false,
     repeat: 'none', // 'none', 'one', 'all'
     volume: 0.7,
-    crossfade: false
+    crossfade: false,
+    crossfadeDuration: 6, // seconds, up to 12
+    crossfadeCurve: 'equal-power', // 'linear', 'equal-power', 's-curve'
+    normalization: 'track', // 'off', 'track', 'album'
+    limiter: true,
+    countInBeats: 0, // clicks before an A-B loop starts, 0 for none
+    countInTempo: 100, // BPM
+    loopSpeedStep: 0, // speed added after each loop pass, 0 for none
+    loopTargetSpeed: 1, // speed-up stops here
+    waveformSeekBar: true // waveform overview instead of the plain progress bar
   },
   
   // Color schemes for visualizer
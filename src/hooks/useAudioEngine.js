@@ -0,0 +1,17 @@
+import { createContext, useContext } from 'react';
+
+export const AudioEngineContext = createContext(null);
+
+/**
+ * Access the shared audio engine (context, analyser, gain and playback state).
+ * Must be used inside AudioEngineProvider.
+ */
+export const useAudioEngine = () => {
+  const engine = useContext(AudioEngineContext);
+  if (!engine) {
+    throw new Error('useAudioEngine must be used within an AudioEngineProvider');
+  }
+  return engine;
+};
+
+export default useAudioEngine;
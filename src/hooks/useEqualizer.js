@@ -0,0 +1,167 @@
+import { useState, useEffect, useCallback } from 'react';
+import { createId } from '../lib/utils';
+import { useAudioEngine } from './useAudioEngine';
+import { isLibrarySupported, loadSessionValue, saveSessionValue } from '../utils/libraryDb';
+import {
+  EQ_BANDS,
+  EQ_PRESETS,
+  MAX_PARAMETRIC_BANDS,
+  createEqualizerSettings,
+  createParametricBand,
+  getBandFrequencies,
+  resampleGains,
+  applyEqualizer
+} from '../utils/equalizer';
+
+const STORAGE_KEY = 'equalizer';
+
+/**
+ * Equalizer settings (graphic or parametric) and user presets, applied to the shared
+ * audio graph and persisted in the library's session store
+ */
+export const useEqualizer = () => {
+  const { audioContext } = useAudioEngine();
+  const [settings, setSettings] = useState(createEqualizerSettings);
+  const [userPresets, setUserPresets] = useState([]);
+  const [isLoaded, setIsLoaded] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    if (!isLibrarySupported()) {
+      setIsLoaded(true);
+      return undefined;
+    }
+
+    loadSessionValue(STORAGE_KEY)
+      .then((stored) => {
+        if (cancelled || !stored) return;
+        setSettings(createEqualizerSettings(stored.settings));
+        setUserPresets(stored.userPresets || []);
+      })
+      .catch((error) => console.error('Error loading equalizer settings:', error))
+      .finally(() => {
+        if (!cancelled) setIsLoaded(true);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Re-apply when the context is created so the filters join the graph
+  useEffect(() => {
+    applyEqualizer(settings);
+  }, [settings, audioContext]);
+
+  useEffect(() => {
+    if (!isLoaded || !isLibrarySupported()) return;
+    saveSessionValue(STORAGE_KEY, { settings, userPresets })
+      .catch((error) => console.error('Error saving equalizer settings:', error));
+  }, [isLoaded, settings, userPresets]);
+
+  const setBandGain = useCallback((index, gain) => {
+    setSettings((prev) => ({
+      ...prev,
+      gains: prev.gains.map((value, i) => (i === index ? gain : value)),
+      preset: null
+    }));
+  }, []);
+
+  const setPreamp = useCallback((preamp) => {
+    setSettings((prev) => ({ ...prev, preamp }));
+  }, []);
+
+  const setEnabled = useCallback((enabled) => {
+    setSettings((prev) => ({ ...prev, enabled }));
+  }, []);
+
+  const setMode = useCallback((mode) => {
+    setSettings((prev) => ({ ...prev, mode }));
+  }, []);
+
+  // Parametric bands
+  const updateBand = useCallback((index, changes) => {
+    setSettings((prev) => ({
+      ...prev,
+      bands: prev.bands.map((band, i) => (i === index ? { ...band, ...changes } : band)),
+      preset: null
+    }));
+  }, []);
+
+  const addBand = useCallback((band) => {
+    setSettings((prev) => (prev.bands.length >= MAX_PARAMETRIC_BANDS
+      ? prev
+      : { ...prev, bands: [...prev.bands, createParametricBand(band)], preset: null }));
+  }, []);
+
+  const removeBand = useCallback((index) => {
+    setSettings((prev) => ({ ...prev, bands: prev.bands.filter((_, i) => i !== index), preset: null }));
+  }, []);
+
+  // Switch between 10 and 31 bands, carrying the current curve over
+  const setBandCount = useCallback((count) => {
+    setSettings((prev) => ({
+      ...prev,
+      gains: resampleGains(prev.gains, getBandFrequencies(prev.gains), EQ_BANDS[count])
+    }));
+  }, []);
+
+  const applyPreset = useCallback((id) => {
+    const preset = [...EQ_PRESETS, ...userPresets].find((item) => item.id === id);
+    if (!preset) return;
+    // Built-in presets are graphic; user presets remember the mode they were saved in
+    setSettings((prev) => ({
+      ...prev,
+      mode: preset.mode ?? 'graphic',
+      gains: resampleGains(preset.gains, getBandFrequencies(preset.gains), getBandFrequencies(prev.gains)),
+      bands: preset.bands ?? prev.bands,
+      preamp: preset.preamp ?? prev.preamp,
+      preset: id
+    }));
+  }, [userPresets]);
+
+  // Save the current curve and pre-amp under a name, replacing a preset with that name
+  const savePreset = useCallback((name) => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    const existing = userPresets.find((preset) => preset.name === trimmed);
+    const preset = {
+      id: existing?.id ?? createId('preset'),
+      name: trimmed,
+      mode: settings.mode,
+      gains: settings.gains,
+      bands: settings.bands,
+      preamp: settings.preamp
+    };
+    setUserPresets((prev) => (existing
+      ? prev.map((item) => (item.id === existing.id ? preset : item))
+      : [...prev, preset]));
+    setSettings((prev) => ({ ...prev, preset: preset.id }));
+  }, [userPresets, settings.mode, settings.gains, settings.bands, settings.preamp]);
+
+  const deletePreset = useCallback((id) => {
+    setUserPresets((prev) => prev.filter((preset) => preset.id !== id));
+    setSettings((prev) => (prev.preset === id ? { ...prev, preset: null } : prev));
+  }, []);
+
+  return {
+    settings,
+    frequencies: getBandFrequencies(settings.gains),
+    presets: EQ_PRESETS,
+    userPresets,
+    setBandGain,
+    setPreamp,
+    setEnabled,
+    setMode,
+    updateBand,
+    addBand,
+    removeBand,
+    setBandCount,
+    applyPreset,
+    savePreset,
+    deletePreset
+  };
+};
+
+export default useEqualizer;
@@ -0,0 +1,125 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+  isLibrarySupported,
+  loadTracks,
+  saveTracks,
+  deleteTrack,
+  updateTrack as updateStoredTrack,
+  recordPlay,
+  loadSessionValue,
+  saveSessionValue
+} from '../utils/libraryDb';
+
+const SESSION_KEY = 'player';
+
+/**
+ * Imported tracks and the saved player session, persisted in IndexedDB.
+ * Falls back to in-memory state when IndexedDB is unavailable.
+ */
+export const useLibrary = () => {
+  const [tracks, setTracks] = useState([]);
+  const [session, setSession] = useState(null);
+  const [isLoaded, setIsLoaded] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      if (!isLibrarySupported()) {
+        setIsLoaded(true);
+        return;
+      }
+      try {
+        const [storedTracks, storedSession] = await Promise.all([
+          loadTracks(),
+          loadSessionValue(SESSION_KEY)
+        ]);
+        if (cancelled) return;
+        setTracks(storedTracks);
+        setSession(storedSession);
+      } catch (error) {
+        console.error('Error loading library:', error);
+      } finally {
+        if (!cancelled) setIsLoaded(true);
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const addTracks = useCallback(async (newTracks) => {
+    setTracks((prev) => [...prev, ...newTracks]);
+    if (!isLibrarySupported()) return;
+    try {
+      await saveTracks(newTracks);
+    } catch (error) {
+      console.error('Error saving tracks to library:', error);
+    }
+  }, []);
+
+  const removeTrack = useCallback(async (id) => {
+    setTracks((prev) => {
+      const track = prev.find((item) => item.id === id);
+      if (track?.url) URL.revokeObjectURL(track.url);
+      return prev.filter((item) => item.id !== id);
+    });
+    if (!isLibrarySupported()) return;
+    try {
+      await deleteTrack(id);
+    } catch (error) {
+      console.error('Error removing track from library:', error);
+    }
+  }, []);
+
+  // Merge derived fields (e.g. measured loudness) into a track and store them
+  const updateTrack = useCallback(async (id, changes) => {
+    setTracks((prev) => prev.map((track) => (track.id === id ? { ...track, ...changes } : track)));
+    if (!isLibrarySupported()) return;
+    try {
+      await updateStoredTrack(id, changes);
+    } catch (error) {
+      console.error('Error updating track:', error);
+    }
+  }, []);
+
+  const markPlayed = useCallback(async (id) => {
+    if (!isLibrarySupported()) return;
+    try {
+      const updated = await recordPlay(id);
+      if (updated) {
+        setTracks((prev) => prev.map((track) => (
+          track.id === id
+            ? { ...track, playCount: updated.playCount, lastPlayedAt: updated.lastPlayedAt }
+            : track
+        )));
+      }
+    } catch (error) {
+      console.error('Error recording play:', error);
+    }
+  }, []);
+
+  const saveSession = useCallback(async (value) => {
+    if (!isLibrarySupported()) return;
+    try {
+      await saveSessionValue(SESSION_KEY, value);
+    } catch (error) {
+      console.error('Error saving session:', error);
+    }
+  }, []);
+
+  return useMemo(() => ({
+    tracks,
+    session,
+    isLoaded,
+    addTracks,
+    removeTrack,
+    updateTrack,
+    markPlayed,
+    saveSession
+  }), [tracks, session, isLoaded, addTracks, removeTrack, updateTrack, markPlayed, saveSession]);
+};
+
+export default useLibrary;
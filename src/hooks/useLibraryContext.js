@@ -0,0 +1,17 @@
+import { createContext, useContext } from 'react';
+
+export const LibraryContext = createContext(null);
+
+/**
+ * Access the shared library: all tracks, playlists and the queue being played.
+ * Must be used inside LibraryProvider.
+ */
+export const useLibraryContext = () => {
+  const library = useContext(LibraryContext);
+  if (!library) {
+    throw new Error('useLibraryContext must be used within a LibraryProvider');
+  }
+  return library;
+};
+
+export default useLibraryContext;
@@ -0,0 +1,133 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { createId } from '../lib/utils';
+import { setPlaybackLoop, subscribePlayback } from '../utils/playbackEngine';
+
+const EMPTY_LOOP = { start: null, end: null, enabled: false };
+
+const roundSpeed = (speed) => Math.round(speed * 100) / 100;
+
+/**
+ * A-B loop on the current track, with practice helpers: a count-in before the loop
+ * plays, a speed step after every pass and named loops saved with the track settings.
+ * The speed-up is temporary: it starts from the track's saved speed and is dropped
+ * when the loop goes off, the track changes or the saved speed is edited.
+ * @param {Object} options - { track, settings, updateSettings } for the current track
+ *   (see useTrackSettings) and { practice: { countInBeats, countInTempo, speedStep,
+ *   targetSpeed } }
+ * @returns {Object} Loop state and actions, plus `speed`: the rate to play at
+ */
+export const useLoopPractice = ({ track, settings, updateSettings, practice }) => {
+  const [loop, setLoop] = useState(EMPTY_LOOP);
+  const [passes, setPasses] = useState(0);
+  // Sped-up rate while practising, null to play at the saved speed
+  const [practiceSpeed, setPracticeSpeed] = useState(null);
+  const speed = practiceSpeed ?? settings.speed;
+  const speedRef = useRef(speed);
+  const trackId = track?.id;
+
+  useEffect(() => {
+    speedRef.current = speed;
+  }, [speed]);
+
+  // Loops belong to a track, so a new track starts without one
+  useEffect(() => {
+    setLoop(EMPTY_LOOP);
+    setPasses(0);
+  }, [trackId]);
+
+  const isValid = loop.start !== null && loop.end !== null && loop.end > loop.start;
+  const isActive = loop.enabled && isValid;
+
+  // Back to the saved speed once the loop is off or cleared, on a new track, or when
+  // the saved speed itself changes
+  useEffect(() => {
+    setPracticeSpeed(null);
+  }, [isActive, trackId, settings.speed]);
+
+  useEffect(() => {
+    setPlaybackLoop(isActive ? {
+      trackId,
+      start: loop.start,
+      end: loop.end,
+      countIn: { beats: practice.countInBeats, tempo: practice.countInTempo }
+    } : null);
+  }, [isActive, trackId, loop.start, loop.end, practice.countInBeats, practice.countInTempo]);
+
+  useEffect(() => () => setPlaybackLoop(null), []);
+
+  // Count passes and speed up after each one until the target speed is reached
+  const { speedStep, targetSpeed } = practice;
+  useEffect(() => subscribePlayback((event) => {
+    if (event.type === 'play') setPasses(0);
+    if (event.type !== 'loop' || event.trackId !== trackId) return;
+    setPasses(event.count);
+    if (speedStep > 0 && speedRef.current < targetSpeed) {
+      setPracticeSpeed(roundSpeed(Math.min(targetSpeed, speedRef.current + speedStep)));
+    }
+  }), [trackId, speedStep, targetSpeed]);
+
+  // Setting B after A (or A before B) turns the loop on
+  const setPointA = useCallback((time) => {
+    setLoop((prev) => {
+      const end = prev.end !== null && prev.end > time ? prev.end : null;
+      return { start: time, end, enabled: end !== null };
+    });
+  }, []);
+
+  const setPointB = useCallback((time) => {
+    setLoop((prev) => {
+      const start = prev.start !== null && prev.start < time ? prev.start : 0;
+      return { start, end: time, enabled: true };
+    });
+  }, []);
+
+  // Move both points at once, e.g. while dragging a marker
+  const setRegion = useCallback(({ start, end }) => {
+    setLoop((prev) => ({ ...prev, start, end }));
+  }, []);
+
+  const setEnabled = useCallback((enabled) => {
+    setLoop((prev) => ({ ...prev, enabled }));
+  }, []);
+
+  const clearLoop = useCallback(() => setLoop(EMPTY_LOOP), []);
+
+  const saveLoop = (name) => {
+    if (!isValid) return;
+    const saved = {
+      id: createId('loop'),
+      name: name.trim() || `Loop ${settings.loops.length + 1}`,
+      start: loop.start,
+      end: loop.end
+    };
+    updateSettings({ loops: [...settings.loops, saved] });
+  };
+
+  const loadLoop = (id) => {
+    const saved = settings.loops.find((item) => item.id === id);
+    if (saved) setLoop({ start: saved.start, end: saved.end, enabled: true });
+  };
+
+  const deleteLoop = (id) => {
+    updateSettings({ loops: settings.loops.filter((item) => item.id !== id) });
+  };
+
+  return {
+    loop,
+    isActive,
+    isValid,
+    passes,
+    speed,
+    savedLoops: settings.loops,
+    setPointA,
+    setPointB,
+    setRegion,
+    setEnabled,
+    clearLoop,
+    saveLoop,
+    loadLoop,
+    deleteLoop
+  };
+};
+
+export default useLoopPractice;
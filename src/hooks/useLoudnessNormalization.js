@@ -0,0 +1,66 @@
+import { useState, useEffect } from 'react';
+import { useLibraryContext } from './useLibraryContext';
+import { setNormalizationGain, setLimiterEnabled } from '../utils/audioContext';
+import {
+  getTrackLoudness,
+  analyzeTrackLoudness,
+  getMeasuredAlbumLoudness,
+  getNormalizationGain
+} from '../utils/loudness';
+
+/**
+ * Normalize playback loudness for the current track. Uses tagged gains when present,
+ * otherwise measures the track (and the next one ahead of time) and stores the result
+ * with the track.
+ * @param {Object} options - { track, nextTrack, mode: 'track' | 'album' | 'off', limiter }
+ * @returns {Object} { gain } in dB, { source: 'tags' | 'analysis' | null } and
+ *   { isMeasuring }
+ */
+export const useLoudnessNormalization = ({ track, nextTrack, mode, limiter }) => {
+  const { allTracks, updateTrack } = useLibraryContext();
+  // Bumped when a measurement lands, to pick up the new gain
+  const [, setMeasuredCount] = useState(0);
+  const isEnabled = mode !== 'off';
+
+  // Measure the current and next tracks when nothing is known about them yet
+  useEffect(() => {
+    if (!isEnabled) return undefined;
+    let cancelled = false;
+
+    [track, nextTrack].forEach((item) => {
+      if (!item || getTrackLoudness(item)) return;
+      analyzeTrackLoudness(item)
+        .then((loudness) => {
+          if (item.isLocal) updateTrack(item.id, { loudness });
+          if (!cancelled) setMeasuredCount((count) => count + 1);
+        })
+        .catch((error) => console.error('Error measuring loudness:', error));
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isEnabled, track, nextTrack, updateTrack]);
+
+  const loudness = track && isEnabled ? getTrackLoudness(track) : null;
+  const album = loudness && mode === 'album' && loudness.albumGain === null
+    ? getMeasuredAlbumLoudness(track, allTracks)
+    : null;
+  const gain = loudness ? getNormalizationGain(loudness, { mode, album, limiter }) : 0;
+
+  useEffect(() => {
+    setNormalizationGain(gain);
+  }, [gain]);
+
+  useEffect(() => {
+    setLimiterEnabled(isEnabled && limiter);
+  }, [isEnabled, limiter]);
+
+  return {
+    gain,
+    source: loudness?.source ?? null,
+    isMeasuring: isEnabled && !!track && !loudness
+  };
+};
+
+export default useLoudnessNormalization;
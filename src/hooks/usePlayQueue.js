@@ -0,0 +1,178 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import {
+  createQueueState,
+  shuffleIds,
+  reconcileShuffleOrder,
+  toQueueEntries,
+  queueNext,
+  queueLast,
+  peekNext as peekNextItem,
+  advance,
+  peekPrevious as peekPreviousItem,
+  retreat,
+  jumpTo as jumpToTrack,
+  getUpcomingContext
+} from '../utils/playQueue';
+
+/**
+ * The play queue: current track, up-next list, history and shuffle order for the
+ * tracks of the active context (library or playlist)
+ * @param {Object} options - { tracks, tracksById, isShuffled, contextKey }
+ */
+export const usePlayQueue = ({ tracks, tracksById, isShuffled, contextKey }) => {
+  const [state, setState] = useState(createQueueState);
+  const contextRef = useRef(contextKey);
+
+  const trackIds = useMemo(() => tracks.map((track) => track.id), [tracks]);
+  const contextOrder = isShuffled && state.shuffleOrder.length ? state.shuffleOrder : trackIds;
+
+  // Until something is picked the context's first track is current
+  const currentTrackId = state.currentId ?? contextOrder[0] ?? null;
+  const current = { ...state, currentId: currentTrackId };
+
+  const isAvailable = (trackId) => tracksById.has(trackId);
+  const options = { trackIds, isShuffled, isAvailable };
+
+  // Shuffle order is created when shuffle turns on or the context switches and is
+  // otherwise only patched for added or removed tracks, so it stays stable
+  useEffect(() => {
+    const contextChanged = contextRef.current !== contextKey;
+    contextRef.current = contextKey;
+
+    setState((prev) => {
+      if (!isShuffled) {
+        return prev.shuffleOrder.length ? { ...prev, shuffleOrder: [] } : prev;
+      }
+      const shuffleOrder = !prev.shuffleOrder.length || contextChanged
+        ? shuffleIds(trackIds, prev.currentId)
+        : reconcileShuffleOrder(prev.shuffleOrder, trackIds);
+      return shuffleOrder === prev.shuffleOrder ? prev : { ...prev, shuffleOrder };
+    });
+  }, [isShuffled, contextKey, trackIds]);
+
+  const peekNext = ({ wrap = true } = {}) => peekNextItem(current, { ...options, wrap });
+
+  // Each navigation returns the id of the track that is now current (or null)
+  const next = ({ wrap = true } = {}) => {
+    const item = peekNext({ wrap });
+    if (!item) return null;
+    setState(advance(current, item));
+    return item.trackId;
+  };
+
+  const previous = () => {
+    const item = peekPreviousItem(current, options);
+    if (!item) return null;
+    setState(retreat(current, item));
+    return item.trackId;
+  };
+
+  const jumpTo = (trackId) => {
+    setState(jumpToTrack(current, trackId));
+    return trackId;
+  };
+
+  const playQueued = (key) => {
+    const entry = state.upNext.find((item) => item.key === key);
+    if (!entry) return null;
+    setState(advance(current, { ...entry, fromQueue: true, source: 'queue' }));
+    return entry.trackId;
+  };
+
+  // Start the context over, reshuffling first when shuffle is on
+  const restart = () => {
+    const order = isShuffled ? shuffleIds(trackIds) : trackIds;
+    if (!order.length) return null;
+    setState({ ...jumpToTrack(current, order[0]), shuffleOrder: isShuffled ? order : [] });
+    return order[0];
+  };
+
+  const reshuffle = () => {
+    setState((prev) => ({ ...prev, shuffleOrder: shuffleIds(trackIds, currentTrackId) }));
+  };
+
+  const playNext = (ids) => {
+    setState((prev) => queueNext(prev, ids));
+  };
+
+  const addToQueue = (ids) => {
+    setState((prev) => queueLast(prev, ids));
+  };
+
+  const removeFromQueue = (key) => {
+    setState((prev) => ({ ...prev, upNext: prev.upNext.filter((entry) => entry.key !== key) }));
+  };
+
+  const reorderQueue = (keys) => {
+    setState((prev) => {
+      const byKey = new Map(prev.upNext.map((entry) => [entry.key, entry]));
+      return { ...prev, upNext: keys.map((key) => byKey.get(key)).filter(Boolean) };
+    });
+  };
+
+  const clearQueue = () => setState((prev) => ({ ...prev, upNext: [] }));
+
+  const clearHistory = () => setState((prev) => ({ ...prev, history: [], forward: [] }));
+
+  // Plain data for the saved session; the current track is saved alongside it
+  const serialized = useMemo(() => ({
+    currentFromQueue: state.currentFromQueue,
+    anchorId: state.anchorId,
+    upNext: state.upNext.map((entry) => entry.trackId),
+    history: state.history,
+    shuffleOrder: state.shuffleOrder,
+    contextKey
+  }), [state, contextKey]);
+
+  const restore = (saved, currentId = null) => {
+    saved = saved || {};
+    contextRef.current = saved.contextKey ?? null;
+    setState(createQueueState({
+      currentId,
+      currentFromQueue: !!saved.currentFromQueue,
+      anchorId: saved.anchorId ?? currentId,
+      upNext: toQueueEntries(saved.upNext || []),
+      history: saved.history || [],
+      shuffleOrder: saved.shuffleOrder || []
+    }));
+  };
+
+  const resolve = (trackId) => tracksById.get(trackId);
+
+  return {
+    currentTrackId,
+    upNext: state.upNext
+      .filter((entry) => isAvailable(entry.trackId))
+      .map((entry) => ({ key: entry.key, track: resolve(entry.trackId) })),
+    // Most recent first
+    history: [...state.history].reverse().map((entry) => resolve(entry.trackId)).filter(Boolean),
+    getUpcoming: (wrap = false) => getUpcomingContext(current, { ...options, wrap })
+      .map(resolve)
+      .filter(Boolean),
+    // Everything in playing order: the current track, tracks stepped back over, the
+    // up-next list and the rest of the context
+    getQueueTracks: (wrap = false) => [
+      currentTrackId,
+      ...state.forward.map((entry) => entry.trackId),
+      ...state.upNext.map((entry) => entry.trackId),
+      ...getUpcomingContext(current, { ...options, wrap, limit: Infinity })
+    ].map(resolve).filter(Boolean),
+    peekNext,
+    next,
+    previous,
+    jumpTo,
+    playQueued,
+    restart,
+    reshuffle,
+    playNext,
+    addToQueue,
+    removeFromQueue,
+    reorderQueue,
+    clearQueue,
+    clearHistory,
+    serialized,
+    restore
+  };
+};
+
+export default usePlayQueue;
@@ -0,0 +1,143 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { createId } from '../lib/utils';
+import {
+  isLibrarySupported,
+  loadPlaylists,
+  savePlaylist,
+  deletePlaylist
+} from '../utils/libraryDb';
+
+const persist = (playlist) => {
+  if (!isLibrarySupported()) return;
+  savePlaylist(playlist).catch((error) => console.error('Error saving playlist:', error));
+};
+
+const moveItem = (list, from, to) => {
+  const next = [...list];
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+};
+
+/**
+ * User playlists (ordered lists of track ids), persisted in IndexedDB
+ */
+export const usePlaylists = () => {
+  const [playlists, setPlaylists] = useState([]);
+  const [isLoaded, setIsLoaded] = useState(false);
+  // Each playlist as last written to storage, so only changed ones are saved again
+  const savedRef = useRef(new Map());
+
+  useEffect(() => {
+    let cancelled = false;
+
+    if (!isLibrarySupported()) {
+      setIsLoaded(true);
+      return undefined;
+    }
+
+    loadPlaylists()
+      .then((stored) => {
+        if (cancelled) return;
+        savedRef.current = new Map(stored.map((playlist) => [playlist.id, playlist]));
+        setPlaylists(stored);
+      })
+      .catch((error) => console.error('Error loading playlists:', error))
+      .finally(() => {
+        if (!cancelled) setIsLoaded(true);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Write new and changed playlists through to storage
+  useEffect(() => {
+    playlists.forEach((playlist) => {
+      if (savedRef.current.get(playlist.id) === playlist) return;
+      savedRef.current.set(playlist.id, playlist);
+      persist(playlist);
+    });
+  }, [playlists]);
+
+  // Apply a change to one playlist; the effect above saves it
+  const updatePlaylist = useCallback((id, update) => {
+    const updatedAt = Date.now();
+    setPlaylists((prev) => prev.map((playlist) => (
+      playlist.id === id ? { ...playlist, ...update(playlist), updatedAt } : playlist
+    )));
+  }, []);
+
+  // `extra` carries optional fields such as `missingEntries` from an imported playlist file
+  const createPlaylist = useCallback((name, trackIds = [], extra = {}) => {
+    const now = Date.now();
+    const playlist = {
+      ...extra,
+      id: createId('playlist'),
+      name: name.trim() || 'New Playlist',
+      trackIds: [...new Set(trackIds)],
+      createdAt: now,
+      updatedAt: now
+    };
+    setPlaylists((prev) => [...prev, playlist]);
+    return playlist;
+  }, []);
+
+  const renamePlaylist = useCallback((id, name) => {
+    if (!name.trim()) return;
+    updatePlaylist(id, () => ({ name: name.trim() }));
+  }, [updatePlaylist]);
+
+  const duplicatePlaylist = useCallback((id) => {
+    const source = playlists.find((playlist) => playlist.id === id);
+    if (!source) return null;
+    return createPlaylist(`${source.name} (copy)`, source.trackIds);
+  }, [playlists, createPlaylist]);
+
+  const removePlaylist = useCallback((id) => {
+    setPlaylists((prev) => prev.filter((playlist) => playlist.id !== id));
+    savedRef.current.delete(id);
+    if (!isLibrarySupported()) return;
+    deletePlaylist(id).catch((error) => console.error('Error deleting playlist:', error));
+  }, []);
+
+  // Tracks already in the playlist are skipped so ids stay unique
+  const addToPlaylist = useCallback((id, trackIds) => {
+    updatePlaylist(id, (playlist) => ({
+      trackIds: [...playlist.trackIds, ...trackIds.filter((trackId) => !playlist.trackIds.includes(trackId))]
+    }));
+  }, [updatePlaylist]);
+
+  const removeFromPlaylist = useCallback((id, trackId) => {
+    updatePlaylist(id, (playlist) => ({
+      trackIds: playlist.trackIds.filter((item) => item !== trackId)
+    }));
+  }, [updatePlaylist]);
+
+  const moveInPlaylist = useCallback((id, from, to) => {
+    updatePlaylist(id, (playlist) => ({ trackIds: moveItem(playlist.trackIds, from, to) }));
+  }, [updatePlaylist]);
+
+  const reorderPlaylist = useCallback((id, trackIds) => {
+    updatePlaylist(id, () => ({ trackIds }));
+  }, [updatePlaylist]);
+
+  return useMemo(() => ({
+    playlists,
+    isLoaded,
+    createPlaylist,
+    renamePlaylist,
+    duplicatePlaylist,
+    removePlaylist,
+    addToPlaylist,
+    removeFromPlaylist,
+    moveInPlaylist,
+    reorderPlaylist
+  }), [
+    playlists, isLoaded, createPlaylist, renamePlaylist, duplicatePlaylist, removePlaylist,
+    addToPlaylist, removeFromPlaylist, moveInPlaylist, reorderPlaylist
+  ]);
+};
+
+export default usePlaylists;
@@ -0,0 +1,17 @@
+import { createContext, useContext } from 'react';
+
+export const SettingsContext = createContext(null);
+
+/**
+ * Access the runtime settings ({ settings, updateSettings, resetSettings }).
+ * Must be used inside SettingsProvider.
+ */
+export const useSettings = () => {
+  const settings = useContext(SettingsContext);
+  if (!settings) {
+    throw new Error('useSettings must be used within a SettingsProvider');
+  }
+  return settings;
+};
+
+export default useSettings;
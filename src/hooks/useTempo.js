@@ -0,0 +1,17 @@
+import { useState, useEffect } from 'react';
+import { getTempo, onTempoChange } from '../utils/beatEngine';
+
+/**
+ * Tempo detected in what is playing
+ * @returns {Object} { bpm, confidence } with bpm null until there is enough to go on
+ *   and confidence from 0 to 1
+ */
+export const useTempo = () => {
+  const [tempo, setTempo] = useState(getTempo);
+
+  useEffect(() => onTempoChange(setTempo), []);
+
+  return tempo;
+};
+
+export default useTempo;
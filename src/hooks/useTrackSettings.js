@@ -0,0 +1,65 @@
+import { useState, useEffect, useCallback } from 'react';
+import { isLibrarySupported, loadSessionValue, saveSessionValue } from '../utils/libraryDb';
+
+const STORAGE_KEY = 'trackSettings';
+
+export const DEFAULT_TRACK_SETTINGS = {
+  speed: 1,
+  pitch: 0, // semitones
+  preservePitch: true,
+  loops: [] // Saved A-B loops: [{ id, name, start, end }]
+};
+
+/**
+ * Per-track player settings (speed, pitch, ...) keyed by track id, persisted in the
+ * library's session store so they apply to built-in and imported tracks alike
+ */
+export const useTrackSettings = () => {
+  const [settingsById, setSettingsById] = useState({});
+  const [isLoaded, setIsLoaded] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    if (!isLibrarySupported()) {
+      setIsLoaded(true);
+      return undefined;
+    }
+
+    loadSessionValue(STORAGE_KEY, {})
+      .then((stored) => {
+        if (!cancelled) setSettingsById(stored);
+      })
+      .catch((error) => console.error('Error loading track settings:', error))
+      .finally(() => {
+        if (!cancelled) setIsLoaded(true);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!isLoaded || !isLibrarySupported()) return;
+    saveSessionValue(STORAGE_KEY, settingsById)
+      .catch((error) => console.error('Error saving track settings:', error));
+  }, [isLoaded, settingsById]);
+
+  const getTrackSettings = useCallback((trackId) => ({
+    ...DEFAULT_TRACK_SETTINGS,
+    ...settingsById[trackId]
+  }), [settingsById]);
+
+  const updateTrackSettings = useCallback((trackId, changes) => {
+    setSettingsById((prev) => ({ ...prev, [trackId]: { ...prev[trackId], ...changes } }));
+  }, []);
+
+  return {
+    isLoaded,
+    getTrackSettings,
+    updateTrackSettings
+  };
+};
+
+export default useTrackSettings;
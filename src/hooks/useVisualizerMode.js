@@ -0,0 +1,73 @@
+import { useEffect, useCallback, useRef } from 'react';
+import { useSettings } from './useSettings';
+import { useAudioEngine } from './useAudioEngine';
+import { getSiblingMode } from '../utils/settings';
+
+// Cycles modes forward, with Shift backward
+const MODE_SHORTCUT = 'v';
+
+const isTyping = (target) => (
+  target instanceof HTMLElement &&
+  (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))
+);
+
+/**
+ * The persisted visualizer mode, with a keyboard shortcut and optional cycling on
+ * track change. Use once, where the visualizer is rendered.
+ * @returns {Object} { mode, autoCycle, overlays, setMode, cycleMode, setAutoCycle, setOverlays }
+ */
+export const useVisualizerMode = () => {
+  const { settings: { visualizer }, updateSettings } = useSettings();
+  const { playback } = useAudioEngine();
+  const { mode, autoCycle, overlays } = visualizer;
+  const modeRef = useRef(mode);
+  const lastTrackIdRef = useRef(playback.trackId);
+
+  modeRef.current = mode;
+
+  const setMode = useCallback((next) => {
+    updateSettings('visualizer', { mode: next });
+  }, [updateSettings]);
+
+  const cycleMode = useCallback((step = 1) => {
+    setMode(getSiblingMode(modeRef.current, step));
+  }, [setMode]);
+
+  const setAutoCycle = useCallback((enabled) => {
+    updateSettings('visualizer', { autoCycle: enabled });
+  }, [updateSettings]);
+
+  const setOverlays = useCallback((next) => {
+    updateSettings('visualizer', { overlays: next });
+  }, [updateSettings]);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (
+        event.key.toLowerCase() !== MODE_SHORTCUT ||
+        event.metaKey || event.ctrlKey || event.altKey ||
+        isTyping(event.target)
+      ) {
+        return;
+      }
+      event.preventDefault();
+      cycleMode(event.shiftKey ? -1 : 1);
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [cycleMode]);
+
+  // Only a switch from one track to another counts, not the first load
+  useEffect(() => {
+    const previous = lastTrackIdRef.current;
+    lastTrackIdRef.current = playback.trackId;
+    if (autoCycle && previous !== null && playback.trackId !== null && previous !== playback.trackId) {
+      cycleMode(1);
+    }
+  }, [playback.trackId, autoCycle, cycleMode]);
+
+  return { mode, autoCycle, overlays, setMode, cycleMode, setAutoCycle, setOverlays };
+};
+
+export default useVisualizerMode;
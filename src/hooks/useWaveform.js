@@ -0,0 +1,51 @@
+import { useState, useEffect } from 'react';
+import { getTrackWaveform } from '../utils/waveform';
+import { getDownloadProgress, subscribeDownloadProgress } from '../utils/trackDecoder';
+
+/**
+ * Waveform overview and download progress of a track
+ * @param {Object|null} track - Track with `id` and `file` or `url`
+ * @returns {Object} { waveform } (null until ready), { isLoading } and { buffered }
+ *   as the downloaded fraction of the file
+ */
+export const useWaveform = (track) => {
+  const [result, setResult] = useState({ trackId: null, waveform: null });
+  const [buffered, setBuffered] = useState(0);
+  const trackId = track?.id;
+
+  useEffect(() => {
+    if (!track) return undefined;
+    let cancelled = false;
+
+    getTrackWaveform(track)
+      .then((waveform) => {
+        if (!cancelled) setResult({ trackId: track.id, waveform });
+      })
+      .catch((error) => {
+        console.error('Error building waveform:', error);
+        if (!cancelled) setResult({ trackId: track.id, waveform: null });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [track]);
+
+  useEffect(() => {
+    if (!trackId) return undefined;
+    setBuffered(getDownloadProgress(trackId));
+    return subscribeDownloadProgress((id, fraction) => {
+      if (id === trackId) setBuffered(fraction);
+    });
+  }, [trackId]);
+
+  const isCurrent = !!trackId && result.trackId === trackId;
+
+  return {
+    waveform: isCurrent ? result.waveform : null,
+    isLoading: !!trackId && !isCurrent,
+    buffered
+  };
+};
+
+export default useWaveform;
@@ -3,4 +3,9 @@ import { twMerge } from "tailwind-merge"
 
 export function cn(...inputs) {
   return twMerge(clsx(inputs))
-} 
\ No newline at end of file
+}
+
+export function createId(prefix = "id") {
+  if (window.crypto?.randomUUID) return window.crypto.randomUUID()
+  return `${prefix}-${Date.now()}-${Math.random().toString(36).slice(2)}`
+}
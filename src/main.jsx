@@ -1,6 +1,11 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
+import AudioEngineProvider from './components/AudioEngineProvider'
+import LibraryProvider from './components/LibraryProvider'
+import SettingsProvider from './components/SettingsProvider'
+import PlaylistSidebar from './components/PlaylistSidebar'
+import { SidebarProvider } from './components/ui/sidebar'
 import './styles/global.css'
 
 // Initialize audio context on user interaction to comply with browser policies
@@ -21,6 +26,15 @@ document.addEventListener('touchstart', initializeAudioContext);
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <App />
+    <AudioEngineProvider>
+      <SettingsProvider>
+        <LibraryProvider>
+          <SidebarProvider defaultOpen={false}>
+            <PlaylistSidebar />
+            <App />
+          </SidebarProvider>
+        </LibraryProvider>
+      </SettingsProvider>
+    </AudioEngineProvider>
   </React.StrictMode>,
 )
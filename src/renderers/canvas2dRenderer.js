@@ -0,0 +1,125 @@
+// Canvas 2D spectrum renderer, the fallback when WebGL2 is unavailable
+import { getPaletteColor } from '../utils/settings';
+
+/**
+ * Create a renderer that draws into an existing 2D context. The context belongs to
+ * the caller, who clears it each frame, so begin() and present() do nothing.
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @returns {Object} Renderer, see ./index.js
+ */
+export const createCanvas2DRenderer = (ctx) => {
+  // Fade and zoom about the centre, for mode transitions
+  const withView = ({ alpha = 1, zoom = 1 } = {}, draw) => {
+    const { width, height } = ctx.canvas;
+    ctx.save();
+    ctx.globalAlpha *= alpha;
+    ctx.translate(width / 2, height / 2);
+    ctx.scale(zoom, zoom);
+    ctx.translate(-width / 2, -height / 2);
+    draw(width, height);
+    ctx.restore();
+  };
+
+  // Frequency bars (levels are 0-1 per band)
+  const drawBars = (levels, { palette, sensitivity, barSpacing, minBarHeight, glow }, view) => {
+    withView(view, (width, height) => {
+      const barCount = levels.length;
+      const barWidth = width / barCount;
+
+      for (let i = 0; i < barCount; i++) {
+        const barColor = getPaletteColor(palette, i / barCount);
+        const barHeight = Math.max(minBarHeight, Math.min(levels[i] * sensitivity, 1) * height);
+        const x = i * barWidth;
+        const y = height - barHeight;
+
+        // Create gradient
+        const gradient = ctx.createLinearGradient(0, height, 0, 0);
+        gradient.addColorStop(0, barColor + '40');
+        gradient.addColorStop(0.5, barColor + '80');
+        gradient.addColorStop(1, barColor);
+        ctx.fillStyle = gradient;
+
+        // Draw bar with rounded top
+        ctx.beginPath();
+        ctx.roundRect(x + barSpacing / 2, y, Math.max(1, barWidth - barSpacing), barHeight, [2, 2, 0, 0]);
+        ctx.fill();
+
+        // Add glow effect
+        if (glow) {
+          ctx.shadowColor = barColor;
+          ctx.shadowBlur = 10;
+          ctx.fill();
+          ctx.shadowBlur = 0;
+        }
+      }
+    });
+  };
+
+  // Bands as spokes around a circle
+  const drawCircular = (levels, { palette, accent, sensitivity, glow }, view) => {
+    withView(view, (width, height) => {
+      const centerX = width / 2;
+      const centerY = height / 2;
+      const radius = Math.min(width, height) / 4;
+
+      // Draw outer circle
+      ctx.beginPath();
+      ctx.arc(centerX, centerY, radius + 20, 0, 2 * Math.PI);
+      ctx.strokeStyle = accent + '20';
+      ctx.lineWidth = 2;
+      ctx.stroke();
+
+      // Draw frequency bars in circle
+      const barCount = levels.length;
+      const angleStep = (2 * Math.PI) / barCount;
+
+      for (let i = 0; i < barCount; i++) {
+        const angle = i * angleStep;
+        const barHeight = levels[i] * 60 * sensitivity;
+        const barColor = getPaletteColor(palette, i / barCount);
+
+        const x1 = centerX + Math.cos(angle) * radius;
+        const y1 = centerY + Math.sin(angle) * radius;
+        const x2 = centerX + Math.cos(angle) * (radius + barHeight);
+        const y2 = centerY + Math.sin(angle) * (radius + barHeight);
+
+        // Create gradient for each bar
+        const gradient = ctx.createLinearGradient(x1, y1, x2, y2);
+        gradient.addColorStop(0, barColor + '40');
+        gradient.addColorStop(1, barColor);
+
+        ctx.beginPath();
+        ctx.moveTo(x1, y1);
+        ctx.lineTo(x2, y2);
+        ctx.strokeStyle = gradient;
+        ctx.lineWidth = 3;
+        ctx.lineCap = 'round';
+        ctx.stroke();
+
+        // Add glow effect
+        if (glow) {
+          ctx.shadowColor = barColor;
+          ctx.shadowBlur = 5;
+          ctx.stroke();
+          ctx.shadowBlur = 0;
+        }
+      }
+
+      // Draw center circle
+      ctx.beginPath();
+      ctx.arc(centerX, centerY, 20, 0, 2 * Math.PI);
+      ctx.fillStyle = accent + '60';
+      ctx.fill();
+    });
+  };
+
+  return {
+    backend: 'canvas2d',
+    resize: () => {},
+    begin: () => {},
+    drawBars,
+    drawCircular,
+    present: () => {},
+    destroy: () => {}
+  };
+};
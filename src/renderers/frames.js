@@ -0,0 +1,77 @@
+// Analyser frames
+//
+// A frame is one snapshot of everything the visualizer reads from the analysers:
+// the shared frequency data in dB and the left/right time-domain windows. Frames are
+// plain typed arrays, so they can be transferred to the render worker (a
+// SharedArrayBuffer would need cross-origin isolation, which the app does not have)
+// and handed back for reuse.
+
+/**
+ * Allocate a frame sized for the analysers
+ * @param {AnalyserNode} analyser - Shared analyser
+ * @param {AnalyserNode[]|null} channelAnalysers - Left/right analysers, if any
+ */
+export const createFrame = (analyser, channelAnalysers) => {
+  const windowSize = (channelAnalysers?.[0] || analyser).fftSize;
+  return {
+    sampleRate: analyser.context.sampleRate,
+    fftSize: analyser.fftSize,
+    minDecibels: analyser.minDecibels,
+    maxDecibels: analyser.maxDecibels,
+    frequency: new Float32Array(analyser.frequencyBinCount),
+    left: new Float32Array(windowSize),
+    right: new Float32Array(windowSize)
+  };
+};
+
+/**
+ * Whether a frame still fits the analysers, which change size with the settings
+ */
+export const frameMatches = (frame, analyser, channelAnalysers) => (
+  frame.frequency.length === analyser.frequencyBinCount &&
+  frame.left.length === (channelAnalysers?.[0] || analyser).fftSize
+);
+
+/**
+ * Read the analysers into a frame. Without per-channel analysers both sides read
+ * the shared one.
+ */
+export const fillFrame = (frame, analyser, channelAnalysers) => {
+  const [left, right] = channelAnalysers || [analyser, analyser];
+  frame.sampleRate = analyser.context.sampleRate;
+  frame.fftSize = analyser.fftSize;
+  frame.minDecibels = analyser.minDecibels;
+  frame.maxDecibels = analyser.maxDecibels;
+  analyser.getFloatFrequencyData(frame.frequency);
+  left.getFloatTimeDomainData(frame.left);
+  right.getFloatTimeDomainData(frame.right);
+  return frame;
+};
+
+/**
+ * Buffers to transfer when posting a frame
+ */
+export const getFrameTransferables = (frame) => [frame.frequency.buffer, frame.left.buffer, frame.right.buffer];
+
+/**
+ * Stand-in for an AnalyserNode that reads from frames, for code that takes an
+ * analyser (the spectrum processor and the spectrogram)
+ * @returns {Object} The stand-in, plus setFrame(frame) to point it at a new frame
+ */
+export const createFrameAnalyser = () => {
+  let frame = null;
+  const context = { sampleRate: 44100 };
+
+  return {
+    context,
+    get fftSize() { return frame.fftSize; },
+    get frequencyBinCount() { return frame.frequency.length; },
+    get minDecibels() { return frame.minDecibels; },
+    get maxDecibels() { return frame.maxDecibels; },
+    getFloatFrequencyData: (out) => out.set(frame.frequency),
+    setFrame: (next) => {
+      frame = next;
+      context.sampleRate = next.sampleRate;
+    }
+  };
+};
@@ -0,0 +1,75 @@
+// Spectrum renderers
+//
+// Bars and circular modes draw through a renderer so they can run on the GPU. Both
+// backends share one interface:
+//
+//   backend                              'webgl2' or 'canvas2d'
+//   resize(width, height)                match the canvas size in pixels
+//   begin()                              start a frame
+//   drawBars(levels, style, view)        levels are 0-1 per band
+//   drawCircular(levels, style, view)
+//   present({ glow })                    finish the frame, adding glow if asked
+//   destroy()
+//
+// `style` carries { palette, accent, sensitivity, barSpacing, minBarHeight } and
+// `view` is { alpha, zoom } for fading between modes.
+import { createCanvas2DRenderer } from './canvas2dRenderer';
+import { createWebGLRenderer } from './webglRenderer';
+
+// Renderer strings of software rasterizers, which are slower than Canvas 2D for this
+const SOFTWARE_RENDERERS = /swiftshader|llvmpipe|softpipe|software|basic render/i;
+
+let support = null;
+
+/**
+ * Whether WebGL2 works here and whether it is a software implementation. Probed
+ * once on a throwaway canvas.
+ * @returns {{supported: boolean, software: boolean, renderer: string|null}}
+ */
+export const detectWebGL2 = () => {
+  if (support) return support;
+  support = { supported: false, software: false, renderer: null };
+  try {
+    const canvas = typeof OffscreenCanvas !== 'undefined'
+      ? new OffscreenCanvas(1, 1)
+      : document.createElement('canvas');
+    const gl = canvas.getContext('webgl2');
+    if (gl) {
+      const info = gl.getExtension('WEBGL_debug_renderer_info');
+      const renderer = String(gl.getParameter(info ? info.UNMASKED_RENDERER_WEBGL : gl.RENDERER));
+      support = { supported: true, software: SOFTWARE_RENDERERS.test(renderer), renderer };
+      gl.getExtension('WEBGL_lose_context')?.loseContext();
+    }
+  } catch (error) {
+    console.warn('WebGL2 probe failed:', error);
+  }
+  return support;
+};
+
+/**
+ * Backend a preference resolves to: 'auto' only picks WebGL2 on a GPU, 'webgl2'
+ * accepts software rendering too, and both fall back when WebGL2 is missing.
+ * @param {string} preference - 'auto', 'webgl2' or 'canvas2d'
+ */
+export const resolveRendererBackend = (preference) => {
+  if (preference === 'canvas2d') return 'canvas2d';
+  const { supported, software } = detectWebGL2();
+  if (!supported || (software && preference === 'auto')) return 'canvas2d';
+  return 'webgl2';
+};
+
+/**
+ * Create the renderer for a preference, falling back to Canvas 2D if WebGL2 fails
+ * @param {Object} options - { ctx, glCanvas, preference, onLost } where ctx is the 2D
+ *   context used for the fallback and glCanvas a separate canvas for WebGL2
+ */
+export const createSpectrumRenderer = ({ ctx, glCanvas, preference = 'auto', onLost }) => {
+  if (glCanvas && resolveRendererBackend(preference) === 'webgl2') {
+    try {
+      return createWebGLRenderer(glCanvas, { allowSoftware: preference === 'webgl2', onLost });
+    } catch (error) {
+      console.warn('WebGL2 renderer unavailable, using Canvas 2D:', error);
+    }
+  }
+  return createCanvas2DRenderer(ctx);
+};
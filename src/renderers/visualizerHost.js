@@ -0,0 +1,119 @@
+// Visualizer host
+//
+// Runs the visualizer scene in a worker when the browser can hand canvases over with
+// transferControlToOffscreen, so drawing stays smooth while the main thread is busy
+// with React. The main thread only reads the analysers (which live on the audio
+// context) and posts each frame. Without OffscreenCanvas the scene runs here instead,
+// behind the same interface.
+import VisualizerWorker from '../workers/visualizerWorker.js?worker';
+import { createVisualizerScene } from './visualizerScene';
+import { createFrame, fillFrame, frameMatches, getFrameTransferables } from './frames';
+
+// Frames in flight at once; when the worker falls behind, new frames are dropped
+const FRAME_POOL_SIZE = 3;
+
+/**
+ * Whether canvases can be handed to a worker here
+ */
+export const canRenderInWorker = () => (
+  typeof Worker !== 'undefined' &&
+  typeof OffscreenCanvas !== 'undefined' &&
+  typeof HTMLCanvasElement !== 'undefined' &&
+  'transferControlToOffscreen' in HTMLCanvasElement.prototype
+);
+
+// Scene on the main thread, drawing each frame as soon as it is pushed
+const createLocalHost = ({ canvas, glCanvas, options, width, height, onBackendChange }) => {
+  const scene = createVisualizerScene({ canvas, glCanvas, options, onBackendChange });
+  let frame = null;
+  scene.resize(width, height);
+
+  return {
+    inWorker: false,
+    resize: scene.resize,
+    setOptions: scene.setOptions,
+    pushFrame: (analyser, channelAnalysers) => {
+      if (!frame || !frameMatches(frame, analyser, channelAnalysers)) {
+        frame = createFrame(analyser, channelAnalysers);
+      }
+      scene.render(fillFrame(frame, analyser, channelAnalysers));
+      return true;
+    },
+    destroy: scene.destroy
+  };
+};
+
+const createWorkerHost = ({ canvas, glCanvas, options, width, height, onBackendChange, onError }) => {
+  const worker = new VisualizerWorker();
+  const offscreen = canvas.transferControlToOffscreen();
+  const glOffscreen = glCanvas.transferControlToOffscreen();
+  const freeFrames = [];
+  let pendingFrames = 0;
+
+  worker.onmessage = ({ data }) => {
+    switch (data.type) {
+      case 'release':
+        pendingFrames -= 1;
+        freeFrames.push(data.frame);
+        break;
+      case 'backend':
+        onBackendChange?.(data.backend);
+        break;
+      case 'error':
+        onError?.(new Error(data.message));
+        break;
+      default:
+        break;
+    }
+  };
+  worker.onerror = (event) => {
+    event.preventDefault();
+    onError?.(new Error(event.message || 'Visualizer worker failed to start'));
+  };
+
+  worker.postMessage(
+    { type: 'init', canvas: offscreen, glCanvas: glOffscreen, options, width, height },
+    [offscreen, glOffscreen]
+  );
+
+  // Reuse a returned frame of the right size, or allocate one while the pool has room
+  const takeFrame = (analyser, channelAnalysers) => {
+    let frame = freeFrames.pop();
+    while (frame && !frameMatches(frame, analyser, channelAnalysers)) {
+      frame = freeFrames.pop();
+    }
+    if (frame) return frame;
+    return pendingFrames < FRAME_POOL_SIZE ? createFrame(analyser, channelAnalysers) : null;
+  };
+
+  return {
+    inWorker: true,
+    resize: (nextWidth, nextHeight) => worker.postMessage({ type: 'resize', width: nextWidth, height: nextHeight }),
+    setOptions: (nextOptions) => worker.postMessage({ type: 'options', options: nextOptions }),
+    pushFrame: (analyser, channelAnalysers) => {
+      const frame = takeFrame(analyser, channelAnalysers);
+      if (!frame) return false;
+      fillFrame(frame, analyser, channelAnalysers);
+      pendingFrames += 1;
+      worker.postMessage({ type: 'frame', frame }, getFrameTransferables(frame));
+      return true;
+    },
+    destroy: () => worker.terminate()
+  };
+};
+
+/**
+ * Create the host that draws the visualizer into a pair of canvases. Once handed to
+ * a worker the canvases cannot be drawn from the main thread again, so after an
+ * error the caller needs fresh canvases and allowWorker set to false. Failing to
+ * start the worker throws; onError is only for failures once it is running.
+ * @param {Object} params - { canvas, glCanvas, options, width, height, allowWorker,
+ *   onBackendChange, onError } with options as described in ./visualizerScene.js
+ * @returns {Object} { inWorker, resize(width, height), setOptions(options),
+ *   pushFrame(analyser, channelAnalysers), destroy() } where pushFrame returns false
+ *   if the frame was dropped
+ */
+export const createVisualizerHost = ({ allowWorker = true, ...params }) => {
+  if (allowWorker && canRenderInWorker()) return createWorkerHost(params);
+  return createLocalHost(params);
+};
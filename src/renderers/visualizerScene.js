@@ -0,0 +1,570 @@
+// Visualizer scene
+//
+// Everything the visualizer draws, free of React and the DOM so it can run on the
+// main thread or in the render worker. The scene owns the canvases it is given and
+// draws one analyser frame (see ./frames.js) per render() call. Options mirror the
+// visualizer settings:
+//
+//   mode, overlays                       current mode and stereo overlays
+//   palette, accent, glow                colors, resolved from the theme
+//   sensitivity, bandCount, barSpacing, minBarHeight
+//   scopeTimebase, scopeGain, scopeStereo
+//   spectrogramColormap, spectrogramScale, spectrogramMinDecibels,
+//   spectrogramMaxDecibels, spectrogramWaterfall
+//   renderer                             'auto', 'webgl2' or 'canvas2d'
+//   particleBudget, particleEffect       particle count, and whether the theme adds
+//                                        faint particles to the other modes
+//   trackId                              what is playing; beat detection starts over
+//                                        when it changes
+import { createSpectrumProcessor, FREQUENCY_BANDS } from '../utils/spectrum';
+import { getPaletteColor } from '../utils/settings';
+import { createScopeTrigger, sampleAt } from '../utils/oscilloscope';
+import { createStereoMeter, meterPosition, METER_TICKS } from '../utils/stereoAnalysis';
+import {
+  createSpectrogram,
+  frequencyToAxis,
+  getFrequencyTicks,
+  getTimeStep,
+  formatFrequency
+} from '../utils/spectrogram';
+import { createParticleSystem } from '../utils/particles';
+import { createBeatDetector } from '../utils/beatDetection';
+import { createFrameAnalyser } from './frames';
+import { createSpectrumRenderer } from './index';
+
+// Switching modes cross-fades the old drawing into the new one over this long (ms)
+const MODE_TRANSITION = 400;
+
+const smoothstep = (t) => t * t * (3 - 2 * t);
+
+// Modes drawn directly with Canvas 2D rather than through the spectrum renderer
+const CANVAS_MODES = ['waveform', 'spectrogram', 'meters', 'goniometer', 'particles'];
+
+// Vertical graticule lines across the oscilloscope
+const SCOPE_DIVISIONS = 10;
+
+// Stereo displays
+const METER_COLORS = { low: '#22c55e', mid: '#eab308', high: '#ef4444' };
+const CLIP_LEVEL = -0.1; // dBFS
+const GONIOMETER_POINTS = 1024;
+const STEREO_PADDING = 24;
+const OVERLAY_SIZE = 140;
+const OVERLAY_MARGIN = 12;
+
+// Opacity of the particles a theme adds to the other modes
+const AMBIENT_PARTICLES = 0.4;
+
+// Room around the spectrogram for its axis labels
+const SPECTROGRAM_MARGIN = { top: 8, right: 8, bottom: 20, left: 40 };
+
+/**
+ * Create a scene drawing into a 2D canvas, with bars and circular modes going through
+ * a separate WebGL2 canvas when the renderer preference allows
+ * @param {Object} params - { canvas, glCanvas, options, onBackendChange } where the
+ *   canvases may be HTML or offscreen canvases and onBackendChange(backend) reports
+ *   the spectrum renderer in use
+ * @returns {Object} { resize(width, height), setOptions(options), render(frame), destroy() }
+ */
+export const createVisualizerScene = ({ canvas, glCanvas, options: initialOptions, onBackendChange }) => {
+  const ctx = canvas.getContext('2d');
+  const source = createFrameAnalyser();
+  const spectrum = createSpectrumProcessor();
+  const trigger = createScopeTrigger();
+  const meter = createStereoMeter();
+  const spectrogram = createSpectrogram();
+  const particles = createParticleSystem();
+  const beats = createBeatDetector();
+  let options = initialOptions;
+  let spectrumBands = null;
+  let spectrumStyle = null;
+  let renderer = null;
+  let isWebGLLost = false;
+  // Left/right windows of the current frame and their mix
+  let channels = null;
+  let mix = null;
+  // { from, start } while a mode switch is fading
+  let transition = null;
+  // Strongest bass beat since the particles last moved
+  let bassBeat = 0;
+
+  beats.onBeat(({ band, strength }) => {
+    if (band === 'bass') bassBeat = Math.max(bassBeat, strength);
+  });
+
+  // Bars and circular render on the GPU when allowed and possible. A lost WebGL
+  // context drops to Canvas 2D for the life of the scene.
+  const createRenderer = () => {
+    renderer?.destroy();
+    renderer = createSpectrumRenderer({
+      ctx,
+      glCanvas,
+      preference: isWebGLLost ? 'canvas2d' : options.renderer,
+      onLost: () => {
+        isWebGLLost = true;
+        createRenderer();
+      }
+    });
+    renderer.resize(canvas.width, canvas.height);
+    onBackendChange?.(renderer.backend);
+  };
+
+  const applyOptions = () => {
+    const { palette, accent, sensitivity, barSpacing, minBarHeight, glow, bandCount } = options;
+    // Bars and circle show log-spaced bands, so each octave gets the same room
+    spectrumBands = { scale: 'log', count: bandCount };
+    spectrumStyle = { palette, accent, sensitivity, barSpacing, minBarHeight, glow };
+  };
+
+  // Draw the oscilloscope from the left/right windows, triggered on their mix so
+  // left and right keep their phase relationship
+  const drawOscilloscope = () => {
+    const { scopeTimebase, scopeGain, scopeStereo, palette, accent, glow } = options;
+    const width = canvas.width;
+    const height = canvas.height;
+    const centerY = height / 2;
+
+    // Keep a quarter of the window for finding the trigger point
+    const length = Math.min((scopeTimebase / 1000) * source.context.sampleRate, mix.length * 0.75);
+    const start = trigger.find(mix, length);
+    const step = length / width;
+
+    // Graticule
+    ctx.beginPath();
+    for (let i = 1; i < SCOPE_DIVISIONS; i++) {
+      const x = (i * width) / SCOPE_DIVISIONS;
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, height);
+    }
+    ctx.moveTo(0, centerY);
+    ctx.lineTo(width, centerY);
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+    ctx.lineWidth = 1;
+    ctx.stroke();
+
+    const traces = scopeStereo
+      ? [
+        { samples: channels[0], color: getPaletteColor(palette, 0) + 'cc' },
+        { samples: channels[1], color: getPaletteColor(palette, 1) + 'cc' }
+      ]
+      : [{ samples: mix, color: accent }];
+
+    ctx.lineWidth = 2;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+
+    traces.forEach(({ samples, color }) => {
+      ctx.beginPath();
+      for (let x = 0; x <= width; x++) {
+        const value = Math.max(-1, Math.min(1, sampleAt(samples, start + x * step) * scopeGain));
+        const y = centerY - value * centerY;
+        if (x === 0) {
+          ctx.moveTo(x, y);
+        } else {
+          ctx.lineTo(x, y);
+        }
+      }
+      ctx.strokeStyle = color;
+      ctx.stroke();
+
+      // Add glow effect
+      if (glow) {
+        ctx.shadowColor = color;
+        ctx.shadowBlur = 10;
+        ctx.stroke();
+        ctx.shadowBlur = 0;
+      }
+    });
+  };
+
+  // Draw the spectrogram: the offscreen history plus frequency and time labels
+  const drawSpectrogram = () => {
+    const {
+      spectrogramColormap,
+      spectrogramScale,
+      spectrogramMinDecibels,
+      spectrogramMaxDecibels,
+      spectrogramWaterfall
+    } = options;
+    const plot = {
+      x: SPECTROGRAM_MARGIN.left,
+      y: SPECTROGRAM_MARGIN.top,
+      width: canvas.width - SPECTROGRAM_MARGIN.left - SPECTROGRAM_MARGIN.right,
+      height: canvas.height - SPECTROGRAM_MARGIN.top - SPECTROGRAM_MARGIN.bottom
+    };
+    if (plot.width <= 0 || plot.height <= 0) return;
+
+    spectrogram.update(source, {
+      width: plot.width,
+      height: plot.height,
+      waterfall: spectrogramWaterfall,
+      scale: spectrogramScale,
+      colormap: spectrogramColormap,
+      minDecibels: spectrogramMinDecibels,
+      maxDecibels: spectrogramMaxDecibels
+    });
+    spectrogram.draw(ctx, plot.x, plot.y);
+
+    const maxFrequency = spectrogram.getMaxFrequency();
+    const pixelsPerSecond = 1 / spectrogram.getFrameInterval();
+    const timeStep = getTimeStep(pixelsPerSecond);
+    const historyLength = (spectrogramWaterfall ? plot.height : plot.width) / pixelsPerSecond;
+
+    ctx.font = '10px sans-serif';
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+
+    getFrequencyTicks(spectrogramScale, maxFrequency).forEach((frequency) => {
+      const position = frequencyToAxis(frequency, spectrogramScale, maxFrequency);
+      if (spectrogramWaterfall) {
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.fillText(formatFrequency(frequency), plot.x + position * plot.width, plot.y + plot.height + 4);
+      } else {
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(formatFrequency(frequency), plot.x - 6, plot.y + (1 - position) * plot.height);
+      }
+    });
+
+    // Seconds ago, counted from the newest line
+    for (let seconds = timeStep; seconds < historyLength; seconds += timeStep) {
+      const offset = seconds * pixelsPerSecond;
+      if (spectrogramWaterfall) {
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(`-${seconds}s`, plot.x - 6, plot.y + offset);
+      } else {
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.fillText(`-${seconds}s`, plot.x + plot.width - offset, plot.y + plot.height + 4);
+      }
+    }
+  };
+
+  // Draw L/R level meters into a rectangle: RMS solid, peak translucent above it and
+  // a peak-hold line that turns red at full scale
+  const drawMeters = ({ x, y, width, height }, compact = false) => {
+    const { peak, rms, hold } = meter.reading;
+    const scaleWidth = compact ? 0 : 32;
+    const labelHeight = 16;
+    const gap = compact ? 4 : 8;
+    const meterHeight = height - labelHeight;
+    const barWidth = (width - scaleWidth - gap) / 2;
+
+    const gradient = ctx.createLinearGradient(0, y + meterHeight, 0, y);
+    gradient.addColorStop(0, METER_COLORS.low);
+    gradient.addColorStop(meterPosition(-18), METER_COLORS.low);
+    gradient.addColorStop(meterPosition(-6), METER_COLORS.mid);
+    gradient.addColorStop(1, METER_COLORS.high);
+
+    ctx.font = '10px sans-serif';
+    ctx.textBaseline = 'middle';
+
+    if (!compact) {
+      ctx.textAlign = 'right';
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+      METER_TICKS.forEach((tick) => {
+        const tickY = y + meterHeight * (1 - meterPosition(tick));
+        ctx.fillText(String(tick), x + scaleWidth - 6, tickY);
+        ctx.fillRect(x + scaleWidth - 4, tickY, 3, 1);
+      });
+    }
+
+    ['L', 'R'].forEach((label, channel) => {
+      const barX = x + scaleWidth + channel * (barWidth + gap);
+      const bottom = y + meterHeight;
+      const rmsHeight = meterHeight * meterPosition(rms[channel]);
+      const peakHeight = meterHeight * meterPosition(peak[channel]);
+      const holdY = bottom - meterHeight * meterPosition(hold[channel]);
+
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.08)';
+      ctx.fillRect(barX, y, barWidth, meterHeight);
+
+      ctx.fillStyle = gradient;
+      ctx.save();
+      ctx.globalAlpha *= 0.35;
+      ctx.fillRect(barX, bottom - peakHeight, barWidth, peakHeight);
+      ctx.restore();
+      ctx.fillRect(barX, bottom - rmsHeight, barWidth, rmsHeight);
+
+      ctx.fillStyle = hold[channel] > CLIP_LEVEL ? METER_COLORS.high : '#ffffff';
+      ctx.fillRect(barX, holdY - 1, barWidth, 2);
+
+      ctx.textAlign = 'center';
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+      ctx.fillText(label, barX + barWidth / 2, bottom + labelHeight / 2);
+      if (!compact) {
+        ctx.fillText(hold[channel].toFixed(1), barX + barWidth / 2, y - 8);
+      }
+    });
+  };
+
+  // Draw the phase correlation meter: -1 (out of phase) on the left, +1 (mono) on the right
+  const drawCorrelation = ({ x, y, width, height }, compact = false) => {
+    const { correlation } = meter.reading;
+    const centerX = x + width / 2;
+    const markerX = centerX + (correlation * width) / 2;
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.08)';
+    ctx.fillRect(x, y, width, height);
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
+    ctx.fillRect(centerX, y, 1, height);
+
+    let markerColor = METER_COLORS.low;
+    if (correlation < 0) markerColor = METER_COLORS.high;
+    else if (correlation < 0.3) markerColor = METER_COLORS.mid;
+    ctx.fillStyle = markerColor;
+    ctx.fillRect(Math.min(centerX, markerX), y + 1, Math.abs(markerX - centerX), height - 2);
+    ctx.fillRect(markerX - 1.5, y - 2, 3, height + 4);
+
+    if (!compact) {
+      ctx.font = '10px sans-serif';
+      ctx.textBaseline = 'top';
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+      ctx.textAlign = 'left';
+      ctx.fillText('-1', x, y + height + 4);
+      ctx.textAlign = 'right';
+      ctx.fillText('+1', x + width, y + height + 4);
+      ctx.textAlign = 'center';
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+      ctx.fillText(`Correlation ${correlation.toFixed(2)}`, centerX, y + height + 4);
+    }
+  };
+
+  // Draw the goniometer: mid (L+R) upwards and side (R-L) sideways, so mono is a
+  // vertical line and wide material spreads out
+  const drawGoniometer = ({ x, y, width, height }, compact = false) => {
+    const [left, right] = channels;
+    const size = Math.min(width, height);
+    const radius = size / 2;
+    const centerX = x + width / 2;
+    const centerY = y + height / 2;
+
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.12)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, radius, 0, 2 * Math.PI);
+    ctx.moveTo(centerX, centerY - radius);
+    ctx.lineTo(centerX, centerY + radius);
+    ctx.moveTo(centerX - radius, centerY);
+    ctx.lineTo(centerX + radius, centerY);
+    ctx.moveTo(centerX - radius * Math.SQRT1_2, centerY - radius * Math.SQRT1_2);
+    ctx.lineTo(centerX + radius * Math.SQRT1_2, centerY + radius * Math.SQRT1_2);
+    ctx.moveTo(centerX + radius * Math.SQRT1_2, centerY - radius * Math.SQRT1_2);
+    ctx.lineTo(centerX - radius * Math.SQRT1_2, centerY + radius * Math.SQRT1_2);
+    ctx.stroke();
+
+    if (!compact) {
+      ctx.font = '10px sans-serif';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'bottom';
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+      ctx.fillText('M', centerX, centerY - radius - 2);
+      ctx.fillText('L', centerX - radius * Math.SQRT1_2 - 6, centerY - radius * Math.SQRT1_2);
+      ctx.fillText('R', centerX + radius * Math.SQRT1_2 + 6, centerY - radius * Math.SQRT1_2);
+    }
+
+    const count = Math.min(GONIOMETER_POINTS, left.length);
+    const scale = radius * Math.SQRT1_2;
+    ctx.beginPath();
+    for (let i = left.length - count; i < left.length; i++) {
+      const px = centerX + Math.max(-radius, Math.min(radius, (right[i] - left[i]) * scale));
+      const py = centerY - Math.max(-radius, Math.min(radius, (left[i] + right[i]) * scale));
+      if (i === left.length - count) {
+        ctx.moveTo(px, py);
+      } else {
+        ctx.lineTo(px, py);
+      }
+    }
+    ctx.strokeStyle = options.accent + '80';
+    ctx.stroke();
+  };
+
+  // Stereo modes: the display centred with the correlation meter underneath
+  const drawStereoMode = (mode) => {
+    const { width, height } = canvas;
+    const correlationHeight = 10;
+    const areaHeight = height - 2 * STEREO_PADDING - correlationHeight - 24;
+    const areaWidth = mode === 'meters'
+      ? Math.min(width - 2 * STEREO_PADDING, 160)
+      : Math.min(width - 2 * STEREO_PADDING, areaHeight);
+    const area = { x: (width - areaWidth) / 2, y: STEREO_PADDING, width: areaWidth, height: areaHeight };
+
+    if (mode === 'meters') {
+      drawMeters(area);
+    } else {
+      drawGoniometer(area);
+    }
+    drawCorrelation({
+      x: area.x,
+      y: area.y + areaHeight + 12,
+      width: areaWidth,
+      height: correlationHeight
+    });
+  };
+
+  // Small stereo displays in the bottom corners, on a dark backing so any mode can sit below
+  const drawOverlays = () => {
+    const { mode, overlays } = options;
+    const { width, height } = canvas;
+    const size = Math.min(OVERLAY_SIZE, height * 0.4);
+    const panels = [];
+    if (overlays.includes('meters') && mode !== 'meters') {
+      panels.push({ type: 'meters', x: OVERLAY_MARGIN, width: size * 0.45 });
+    }
+    if (overlays.includes('goniometer') && mode !== 'goniometer') {
+      panels.push({ type: 'goniometer', x: width - OVERLAY_MARGIN - size, width: size });
+    }
+
+    panels.forEach(({ type, x, width: panelWidth }) => {
+      const panel = { x, y: height - OVERLAY_MARGIN - size, width: panelWidth, height: size };
+      const inner = {
+        x: panel.x + 8,
+        y: panel.y + 8,
+        width: panel.width - 16,
+        height: panel.height - 16
+      };
+
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.35)';
+      ctx.beginPath();
+      ctx.roundRect(panel.x, panel.y, panel.width, panel.height, 8);
+      ctx.fill();
+
+      if (type === 'meters') {
+        drawMeters(inner, true);
+      } else {
+        drawGoniometer({ ...inner, height: inner.height - 10 }, true);
+        drawCorrelation({ x: inner.x, y: inner.y + inner.height - 4, width: inner.width, height: 4 }, true);
+      }
+    });
+  };
+
+
+  // Spectrum modes go through the renderer; the rest draw with Canvas 2D, faded and
+  // zoomed here
+  const drawMode = (mode, { alpha, zoom }) => {
+    if (mode === 'circular') {
+      renderer.drawCircular(spectrum.getBands(spectrumBands), spectrumStyle, { alpha, zoom });
+      return;
+    }
+    if (!CANVAS_MODES.includes(mode)) {
+      renderer.drawBars(spectrum.getBands(spectrumBands), spectrumStyle, { alpha, zoom });
+      return;
+    }
+
+    ctx.save();
+    ctx.globalAlpha = alpha;
+    ctx.translate(canvas.width / 2, canvas.height / 2);
+    ctx.scale(zoom, zoom);
+    ctx.translate(-canvas.width / 2, -canvas.height / 2);
+    switch (mode) {
+      case 'waveform':
+        drawOscilloscope();
+        break;
+      case 'spectrogram':
+        drawSpectrogram();
+        break;
+      case 'particles':
+        particles.draw(ctx, options);
+        break;
+      default:
+        drawStereoMode(mode);
+        break;
+    }
+    ctx.restore();
+  };
+
+  // Take in a frame: the spectrum snapshot, the channel windows and their mix, and
+  // the level meters
+  const readFrame = (frame) => {
+    source.setFrame(frame);
+    spectrum.update(source);
+    beats.update(source);
+
+    const { left, right } = frame;
+    if (mix?.length !== left.length) mix = new Float32Array(left.length);
+    for (let i = 0; i < left.length; i++) {
+      mix[i] = (left[i] + right[i]) / 2;
+    }
+    channels = [left, right];
+    meter.update(left, right);
+  };
+
+  /**
+   * Draw one frame. The frame's arrays are only read during the call.
+   */
+  const render = (frame) => {
+    readFrame(frame);
+
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    renderer.begin();
+
+    const progress = transition
+      ? Math.min(1, (performance.now() - transition.start) / MODE_TRANSITION)
+      : 1;
+    const isParticleMode = options.mode === 'particles' || (progress < 1 && transition.from === 'particles');
+
+    // Particles keep moving while shown as a mode or added by the theme
+    if (isParticleMode || options.particleEffect) {
+      particles.update({
+        width: canvas.width,
+        height: canvas.height,
+        energies: {
+          bass: spectrum.getEnergy([FREQUENCY_BANDS.sub[0], FREQUENCY_BANDS.bass[1]]),
+          mid: spectrum.getEnergy([FREQUENCY_BANDS.lowMid[0], FREQUENCY_BANDS.highMid[1]]),
+          treble: spectrum.getEnergy([FREQUENCY_BANDS.presence[0], FREQUENCY_BANDS.brilliance[1]])
+        },
+        budget: options.particleBudget,
+        sensitivity: options.sensitivity,
+        beat: bassBeat
+      });
+      bassBeat = 0;
+    }
+    if (options.particleEffect && !isParticleMode) {
+      ctx.save();
+      ctx.globalAlpha = AMBIENT_PARTICLES;
+      particles.draw(ctx, options);
+      ctx.restore();
+    }
+
+    if (progress < 1) {
+      // Outgoing mode fades while the incoming one fades in and grows into place
+      const eased = smoothstep(progress);
+      drawMode(transition.from, { alpha: 1 - eased, zoom: 1 });
+      drawMode(options.mode, { alpha: eased, zoom: 0.9 + 0.1 * eased });
+    } else {
+      transition = null;
+      drawMode(options.mode, { alpha: 1, zoom: 1 });
+    }
+
+    renderer.present({ glow: options.glow });
+    drawOverlays();
+  };
+
+  const resize = (width, height) => {
+    canvas.width = width;
+    canvas.height = height;
+    renderer.resize(width, height);
+  };
+
+  // Restart the fade whenever the mode changes, from whatever is on screen, and the
+  // beat history whenever the track does
+  const setOptions = (nextOptions) => {
+    const previous = options;
+    options = nextOptions;
+    if (nextOptions.mode !== previous.mode) {
+      transition = { from: previous.mode, start: performance.now() };
+    }
+    applyOptions();
+    if (nextOptions.renderer !== previous.renderer) createRenderer();
+    if (nextOptions.trackId !== previous.trackId) beats.reset();
+  };
+
+  const destroy = () => {
+    renderer.destroy();
+  };
+
+  applyOptions();
+  createRenderer();
+
+  return { resize, setOptions, render, destroy };
+};
@@ -0,0 +1,416 @@
+// WebGL2 spectrum renderer
+//
+// Every shape (bar, spoke, ring segment, disc) is one instance of a rounded box drawn
+// with a distance-field fragment shader, so a frame is one draw call per mode however
+// many bands there are. The scene renders to a texture; glow is a separable blur of
+// that texture at half resolution, added back on top when the frame is presented.
+import { getPaletteColor } from '../utils/settings';
+
+// Floats per instance: start (2), end (2), width, corner radius, color (4), fade
+const STRIDE = 11;
+const RING_SEGMENTS = 96;
+const BLOOM_STRENGTH = 1.2;
+
+const SHAPE_VERTEX = `#version 300 es
+layout(location = 0) in vec2 a_corner;
+layout(location = 1) in vec4 a_segment;
+layout(location = 2) in vec2 a_size;
+layout(location = 3) in vec4 a_color;
+layout(location = 4) in float a_fade;
+uniform vec2 u_resolution;
+uniform float u_zoom;
+out vec2 v_local;
+out vec2 v_half;
+out float v_radius;
+out vec4 v_color;
+out float v_along;
+out float v_fade;
+
+void main() {
+  vec2 start = a_segment.xy;
+  vec2 end = a_segment.zw;
+  vec2 axis = end - start;
+  float len = length(axis);
+  vec2 dir = len > 0.0 ? axis / len : vec2(1.0, 0.0);
+  vec2 normal = vec2(-dir.y, dir.x);
+
+  v_half = vec2(len, a_size.x) * 0.5;
+  v_radius = min(a_size.y, min(v_half.x, v_half.y));
+  // One pixel of margin for the anti-aliased edge
+  v_local = a_corner * (v_half + 1.0);
+  v_along = clamp((v_local.x + v_half.x) / max(len, 1.0), 0.0, 1.0);
+  v_color = a_color;
+  v_fade = a_fade;
+
+  vec2 position = (start + end) * 0.5 + dir * v_local.x + normal * v_local.y;
+  position = (position - u_resolution * 0.5) * u_zoom + u_resolution * 0.5;
+  vec2 clip = position / u_resolution * 2.0 - 1.0;
+  gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+}`;
+
+const SHAPE_FRAGMENT = `#version 300 es
+precision mediump float;
+in vec2 v_local;
+in vec2 v_half;
+in float v_radius;
+in vec4 v_color;
+in float v_along;
+in float v_fade;
+uniform float u_alpha;
+out vec4 outColor;
+
+void main() {
+  vec2 q = abs(v_local) - (v_half - v_radius);
+  float edge = length(max(q, 0.0)) + min(max(q.x, q.y), 0.0) - v_radius;
+  float coverage = clamp(0.5 - edge, 0.0, 1.0);
+  // Faded shapes run from a quarter opacity at the start to full at the end
+  float shade = mix(1.0, mix(0.25, 1.0, v_along), v_fade);
+  float alpha = v_color.a * coverage * shade * u_alpha;
+  outColor = vec4(v_color.rgb * alpha, alpha);
+}`;
+
+const FULLSCREEN_VERTEX = `#version 300 es
+out vec2 v_uv;
+
+void main() {
+  vec2 position = vec2(float((gl_VertexID << 1) & 2), float(gl_VertexID & 2)) * 2.0 - 1.0;
+  v_uv = position * 0.5 + 0.5;
+  gl_Position = vec4(position, 0.0, 1.0);
+}`;
+
+const BLUR_FRAGMENT = `#version 300 es
+precision mediump float;
+in vec2 v_uv;
+uniform sampler2D u_texture;
+uniform vec2 u_step;
+out vec4 outColor;
+const float WEIGHTS[5] = float[5](0.227027, 0.1945946, 0.1216216, 0.054054, 0.016216);
+
+void main() {
+  vec4 sum = texture(u_texture, v_uv) * WEIGHTS[0];
+  for (int i = 1; i < 5; i++) {
+    vec2 offset = u_step * float(i);
+    sum += texture(u_texture, v_uv + offset) * WEIGHTS[i];
+    sum += texture(u_texture, v_uv - offset) * WEIGHTS[i];
+  }
+  outColor = sum;
+}`;
+
+const COMPOSITE_FRAGMENT = `#version 300 es
+precision mediump float;
+in vec2 v_uv;
+uniform sampler2D u_scene;
+uniform sampler2D u_bloom;
+uniform float u_bloomStrength;
+out vec4 outColor;
+
+void main() {
+  outColor = min(texture(u_scene, v_uv) + texture(u_bloom, v_uv) * u_bloomStrength, 1.0);
+}`;
+
+const compileShader = (gl, type, source) => {
+  const shader = gl.createShader(type);
+  gl.shaderSource(shader, source);
+  gl.compileShader(shader);
+  if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+    const log = gl.getShaderInfoLog(shader);
+    gl.deleteShader(shader);
+    throw new Error(`Shader compilation failed: ${log}`);
+  }
+  return shader;
+};
+
+const createProgram = (gl, vertexSource, fragmentSource) => {
+  const program = gl.createProgram();
+  const vertex = compileShader(gl, gl.VERTEX_SHADER, vertexSource);
+  const fragment = compileShader(gl, gl.FRAGMENT_SHADER, fragmentSource);
+  gl.attachShader(program, vertex);
+  gl.attachShader(program, fragment);
+  gl.linkProgram(program);
+  gl.deleteShader(vertex);
+  gl.deleteShader(fragment);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    const log = gl.getProgramInfoLog(program);
+    gl.deleteProgram(program);
+    throw new Error(`Program link failed: ${log}`);
+  }
+  const uniforms = {};
+  for (let i = 0; i < gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS); i++) {
+    const { name } = gl.getActiveUniform(program, i);
+    uniforms[name] = gl.getUniformLocation(program, name);
+  }
+  return { program, uniforms };
+};
+
+const colorCache = new Map();
+
+// '#rrggbb' or '#rgb' to 0-1 components; anything else draws white
+const parseColor = (color) => {
+  let rgb = colorCache.get(color);
+  if (rgb) return rgb;
+  let hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(color) ? color.slice(1) : 'ffffff';
+  if (hex.length === 3) hex = hex.replace(/./g, '$&$&');
+  const value = parseInt(hex, 16);
+  rgb = [((value >> 16) & 255) / 255, ((value >> 8) & 255) / 255, (value & 255) / 255];
+  colorCache.set(color, rgb);
+  return rgb;
+};
+
+/**
+ * Create a WebGL2 renderer on its own canvas
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Canvas without a context yet, or
+ *   with a WebGL2 one
+ * @param {Object} options - { allowSoftware, onLost }; software rendering is refused
+ *   unless allowed, and onLost is called if the GPU drops the context
+ * @returns {Object} Renderer, see ./index.js
+ * @throws {Error} If WebGL2 is unavailable or the shaders do not compile
+ */
+export const createWebGLRenderer = (canvas, { allowSoftware = false, onLost } = {}) => {
+  const gl = canvas.getContext('webgl2', {
+    alpha: true,
+    premultipliedAlpha: true,
+    antialias: false,
+    depth: false,
+    stencil: false,
+    failIfMajorPerformanceCaveat: !allowSoftware
+  });
+  if (!gl) throw new Error('WebGL2 is not available');
+
+  let lost = false;
+  const handleLost = (event) => {
+    event.preventDefault();
+    lost = true;
+    onLost?.();
+  };
+  canvas.addEventListener?.('webglcontextlost', handleLost);
+
+  const shapes = createProgram(gl, SHAPE_VERTEX, SHAPE_FRAGMENT);
+  const blur = createProgram(gl, FULLSCREEN_VERTEX, BLUR_FRAGMENT);
+  const composite = createProgram(gl, FULLSCREEN_VERTEX, COMPOSITE_FRAGMENT);
+
+  // Shape geometry: a unit quad, expanded per instance in the vertex shader
+  const vao = gl.createVertexArray();
+  gl.bindVertexArray(vao);
+  const cornerBuffer = gl.createBuffer();
+  gl.bindBuffer(gl.ARRAY_BUFFER, cornerBuffer);
+  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+  gl.enableVertexAttribArray(0);
+  gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+
+  const instanceBuffer = gl.createBuffer();
+  gl.bindBuffer(gl.ARRAY_BUFFER, instanceBuffer);
+  const bytes = STRIDE * 4;
+  [[1, 4, 0], [2, 2, 4], [3, 4, 6], [4, 1, 10]].forEach(([location, size, offset]) => {
+    gl.enableVertexAttribArray(location);
+    gl.vertexAttribPointer(location, size, gl.FLOAT, false, bytes, offset * 4);
+    gl.vertexAttribDivisor(location, 1);
+  });
+  gl.bindVertexArray(null);
+  // Empty VAO for the fullscreen passes, which generate their vertices
+  const emptyVao = gl.createVertexArray();
+
+  let instances = new Float32Array(STRIDE * 256);
+  let count = 0;
+
+  const targets = { scene: null, blurA: null, blurB: null };
+  let width = 0;
+  let height = 0;
+  let drewThisFrame = false;
+  let drewLastFrame = false;
+
+  const createTarget = (targetWidth, targetHeight) => {
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, targetWidth, targetHeight, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    const framebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+    return { texture, framebuffer, width: targetWidth, height: targetHeight };
+  };
+
+  const deleteTarget = (target) => {
+    if (!target) return;
+    gl.deleteTexture(target.texture);
+    gl.deleteFramebuffer(target.framebuffer);
+  };
+
+  const resize = (nextWidth, nextHeight) => {
+    nextWidth = Math.max(1, Math.floor(nextWidth));
+    nextHeight = Math.max(1, Math.floor(nextHeight));
+    if (lost || (nextWidth === width && nextHeight === height)) return;
+    width = nextWidth;
+    height = nextHeight;
+    canvas.width = width;
+    canvas.height = height;
+    Object.values(targets).forEach(deleteTarget);
+    targets.scene = createTarget(width, height);
+    targets.blurA = createTarget(Math.ceil(width / 2), Math.ceil(height / 2));
+    targets.blurB = createTarget(Math.ceil(width / 2), Math.ceil(height / 2));
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+  };
+
+  const push = (x1, y1, x2, y2, thickness, radius, color, alpha, fade) => {
+    if ((count + 1) * STRIDE > instances.length) {
+      const grown = new Float32Array(instances.length * 2);
+      grown.set(instances);
+      instances = grown;
+    }
+    const [r, g, b] = parseColor(color);
+    instances.set([x1, y1, x2, y2, thickness, radius, r, g, b, alpha, fade], count * STRIDE);
+    count++;
+  };
+
+  const flush = ({ alpha = 1, zoom = 1 } = {}) => {
+    if (!count) return;
+    gl.bindFramebuffer(gl.FRAMEBUFFER, targets.scene.framebuffer);
+    gl.viewport(0, 0, width, height);
+    gl.useProgram(shapes.program);
+    gl.uniform2f(shapes.uniforms.u_resolution, width, height);
+    gl.uniform1f(shapes.uniforms.u_zoom, zoom);
+    gl.uniform1f(shapes.uniforms.u_alpha, alpha);
+    gl.bindVertexArray(vao);
+    gl.bindBuffer(gl.ARRAY_BUFFER, instanceBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, instances.subarray(0, count * STRIDE), gl.STREAM_DRAW);
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+    gl.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, 4, count);
+    gl.bindVertexArray(null);
+    count = 0;
+    drewThisFrame = true;
+  };
+
+  const begin = () => {
+    if (lost || !targets.scene) return;
+    gl.bindFramebuffer(gl.FRAMEBUFFER, targets.scene.framebuffer);
+    gl.viewport(0, 0, width, height);
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    drewThisFrame = false;
+  };
+
+  const drawBars = (levels, { palette, sensitivity, barSpacing, minBarHeight }, view) => {
+    if (lost || !targets.scene) return;
+    const barCount = levels.length;
+    const barWidth = width / barCount;
+    const thickness = Math.max(1, barWidth - barSpacing);
+
+    for (let i = 0; i < barCount; i++) {
+      const barHeight = Math.max(minBarHeight, Math.min(levels[i] * sensitivity, 1) * height);
+      const x = i * barWidth + barSpacing / 2 + thickness / 2;
+      // Start below the bottom edge so only the top corners show rounded
+      push(x, height + 2, x, height - barHeight, thickness, 2, getPaletteColor(palette, i / barCount), 1, 1);
+    }
+    flush(view);
+  };
+
+  const drawCircular = (levels, { palette, accent, sensitivity }, view) => {
+    if (lost || !targets.scene) return;
+    const centerX = width / 2;
+    const centerY = height / 2;
+    const radius = Math.min(width, height) / 4;
+
+    // Outer ring as short segments
+    const ringRadius = radius + 20;
+    for (let i = 0; i < RING_SEGMENTS; i++) {
+      const a1 = (i / RING_SEGMENTS) * 2 * Math.PI;
+      const a2 = ((i + 1) / RING_SEGMENTS) * 2 * Math.PI;
+      push(
+        centerX + Math.cos(a1) * ringRadius, centerY + Math.sin(a1) * ringRadius,
+        centerX + Math.cos(a2) * ringRadius, centerY + Math.sin(a2) * ringRadius,
+        2, 0, accent, 0x20 / 255, 0
+      );
+    }
+
+    const barCount = levels.length;
+    const angleStep = (2 * Math.PI) / barCount;
+    for (let i = 0; i < barCount; i++) {
+      const angle = i * angleStep;
+      const barHeight = levels[i] * 60 * sensitivity;
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      push(
+        centerX + cos * radius, centerY + sin * radius,
+        centerX + cos * (radius + barHeight), centerY + sin * (radius + barHeight),
+        3, 1.5, getPaletteColor(palette, i / barCount), 1, 1
+      );
+    }
+
+    // Centre disc: a box as long as it is wide with fully rounded corners
+    push(centerX - 20, centerY, centerX + 20, centerY, 40, 20, accent, 0x60 / 255, 0);
+    flush(view);
+  };
+
+  const runFullscreen = ({ program, uniforms }, target, setUniforms) => {
+    gl.bindFramebuffer(gl.FRAMEBUFFER, target ? target.framebuffer : null);
+    gl.viewport(0, 0, target ? target.width : width, target ? target.height : height);
+    gl.useProgram(program);
+    setUniforms(uniforms);
+    gl.bindVertexArray(emptyVao);
+    gl.drawArrays(gl.TRIANGLES, 0, 3);
+    gl.bindVertexArray(null);
+  };
+
+  // Blur the scene into the bloom texture and composite both onto the canvas
+  const present = ({ glow = true } = {}) => {
+    if (lost || !targets.scene) return;
+    // Nothing drawn now or last frame: the canvas is already clear
+    if (!drewThisFrame && !drewLastFrame) return;
+    drewLastFrame = drewThisFrame;
+
+    gl.disable(gl.BLEND);
+    gl.activeTexture(gl.TEXTURE0);
+
+    if (glow) {
+      gl.bindTexture(gl.TEXTURE_2D, targets.scene.texture);
+      runFullscreen(blur, targets.blurA, (uniforms) => {
+        gl.uniform1i(uniforms.u_texture, 0);
+        gl.uniform2f(uniforms.u_step, 2 / width, 0);
+      });
+      gl.bindTexture(gl.TEXTURE_2D, targets.blurA.texture);
+      runFullscreen(blur, targets.blurB, (uniforms) => {
+        gl.uniform1i(uniforms.u_texture, 0);
+        gl.uniform2f(uniforms.u_step, 0, 1 / targets.blurA.height);
+      });
+    }
+
+    gl.bindTexture(gl.TEXTURE_2D, targets.scene.texture);
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, targets.blurB.texture);
+    gl.activeTexture(gl.TEXTURE0);
+    runFullscreen(composite, null, (uniforms) => {
+      gl.uniform1i(uniforms.u_scene, 0);
+      gl.uniform1i(uniforms.u_bloom, 1);
+      gl.uniform1f(uniforms.u_bloomStrength, glow ? BLOOM_STRENGTH : 0);
+    });
+  };
+
+  const destroy = () => {
+    canvas.removeEventListener?.('webglcontextlost', handleLost);
+    if (lost) return;
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    Object.values(targets).forEach(deleteTarget);
+    [shapes, blur, composite].forEach(({ program }) => gl.deleteProgram(program));
+    gl.deleteBuffer(cornerBuffer);
+    gl.deleteBuffer(instanceBuffer);
+    gl.deleteVertexArray(vao);
+    gl.deleteVertexArray(emptyVao);
+  };
+
+  resize(canvas.width, canvas.height);
+
+  return {
+    backend: 'webgl2',
+    resize,
+    begin,
+    drawBars,
+    drawCircular,
+    present,
+    destroy
+  };
+};
@@ -1,44 +1,166 @@
 // Web Audio API setup and analyzer utilities
+//
+// This module owns the one audio graph used by the whole app:
+//
+//   playback decks -> input bus -> [insert chain] -> analyser -> gain -> [limiter] -> destination
+//                                                        \-> stereo splitter -> left/right analysers
+//
+// The decks are the buffer sources of ./playbackEngine.js, each behind its own gain,
+// and both feed the input bus. The gain stage applies the volume and the loudness
+// normalization gain together.
+//
+// Every component observes the same analyser. React code
+// should go through AudioEngineProvider / useAudioEngine rather than keeping its own
+// AudioContext.
+import { FREQUENCY_BANDS, frequencyToBin, averageBins } from './spectrum';
+import { playerConfig } from '../config/audioSamples';
+
 let audioContext = null;
 let analyser = null;
 let dataArray = null;
-let source = null;
 let gainNode = null;
+let inputNode = null;
+let masterVolume = 1;
+let normalizationGain = 1;
+let limiter = null;
+// Per-channel analysers for time-domain views; the shared analyser only sees a downmix
+let channelSplitter = null;
+let channelAnalysers = null;
+let isLimiterEnabled = false;
+// { fftSize, smoothingTimeConstant, minDecibels, maxDecibels }, see setAnalyserOptions
+let analyserOptions = { ...playerConfig.audioContext };
+
+// Ordered effect nodes between the input bus and the analyser
+let inserts = [];
+
+const listeners = new Set();
+let snapshot = null;
+
+// Time constant for gain changes, so normalization steps between tracks do not click
+const GAIN_SMOOTHING = 0.05;
+
+// Seconds of signal each channel analyser holds: the longest oscilloscope timebase
+// plus room to search for a trigger point
+const CHANNEL_WINDOW = 0.08;
+
+const notify = () => {
+  snapshot = null;
+  listeners.forEach((listener) => {
+    try {
+      listener();
+    } catch (error) {
+      console.error('Audio engine listener error:', error);
+    }
+  });
+};
+
+/**
+ * Reconnect the input bus through the insert chain into the analyser
+ */
+const rebuildChain = () => {
+  if (!inputNode || !analyser) return;
+
+  inputNode.disconnect();
+  inserts.forEach(({ output }) => output.disconnect());
+
+  let tail = inputNode;
+  inserts.forEach(({ input, output }) => {
+    tail.connect(input);
+    tail = output;
+  });
+  tail.connect(analyser);
+};
+
+const applyAnalyserOptions = () => {
+  if (!analyser) return;
+  const { fftSize, smoothingTimeConstant, minDecibels, maxDecibels } = analyserOptions;
+  analyser.fftSize = fftSize;
+  analyser.smoothingTimeConstant = smoothingTimeConstant;
+  // Every assignment must leave min below max, so move the bound that makes room first
+  if (minDecibels >= analyser.maxDecibels) {
+    analyser.maxDecibels = maxDecibels;
+    analyser.minDecibels = minDecibels;
+  } else {
+    analyser.minDecibels = minDecibels;
+    analyser.maxDecibels = maxDecibels;
+  }
+};
+
+/**
+ * Create the context and the fixed part of the graph if needed
+ */
+const ensureGraph = () => {
+  if (!audioContext) {
+    audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    audioContext.onstatechange = notify;
+  }
+
+  if (!analyser) {
+    analyser = audioContext.createAnalyser();
+    applyAnalyserOptions();
+  }
+
+  if (!limiter) {
+    // Brickwall-style settings: catch peaks pushed over full scale by normalization
+    limiter = audioContext.createDynamicsCompressor();
+    limiter.threshold.value = -1;
+    limiter.knee.value = 0;
+    limiter.ratio.value = 20;
+    limiter.attack.value = 0.003;
+    limiter.release.value = 0.25;
+    limiter.connect(audioContext.destination);
+  }
+
+  if (!gainNode) {
+    gainNode = audioContext.createGain();
+    gainNode.gain.value = masterVolume * normalizationGain;
+    analyser.connect(gainNode);
+    gainNode.connect(isLimiterEnabled ? limiter : audioContext.destination);
+  }
+
+  if (!channelAnalysers) {
+    // Up-mix to stereo first so a mono source shows on both sides instead of left only
+    channelSplitter = audioContext.createGain();
+    channelSplitter.channelCount = 2;
+    channelSplitter.channelCountMode = 'explicit';
+    channelSplitter.channelInterpretation = 'speakers';
+    const splitter = audioContext.createChannelSplitter(2);
+    const fftSize = Math.min(32768, 2 ** Math.ceil(Math.log2(audioContext.sampleRate * CHANNEL_WINDOW)));
+    channelAnalysers = [0, 1].map((channel) => {
+      const channelAnalyser = audioContext.createAnalyser();
+      channelAnalyser.fftSize = fftSize;
+      splitter.connect(channelAnalyser, channel);
+      return channelAnalyser;
+    });
+    channelSplitter.connect(splitter);
+    analyser.connect(channelSplitter);
+  }
+
+  if (!inputNode) {
+    inputNode = audioContext.createGain();
+    rebuildChain();
+  }
+};
 
 /**
  * Initialize Web Audio API context and analyzer
- * @param {HTMLAudioElement} audioElement - The audio element to connect
  * @returns {Object} Audio context utilities
  */
-export const initializeAudioContext = (audioElement) => {
+export const initializeAudioContext = () => {
   try {
-    if (!audioContext) {
-      audioContext = new (window.AudioContext || window.webkitAudioContext)();
-    }
+    const created = !audioContext;
+    ensureGraph();
 
     if (audioContext.state === 'suspended') {
       audioContext.resume();
     }
 
-    if (!analyser) {
-      analyser = audioContext.createAnalyser();
-      analyser.fftSize = 256;
-      analyser.smoothingTimeConstant = 0.8;
-    }
-
-    if (!gainNode) {
-      gainNode = audioContext.createGain();
-    }
-
-    if (!source && audioElement) {
-      source = audioContext.createMediaElementSource(audioElement);
-      source.connect(analyser);
-      analyser.connect(gainNode);
-      gainNode.connect(audioContext.destination);
+    const bufferLength = analyser.frequencyBinCount;
+    if (!dataArray || dataArray.length !== bufferLength) {
+      dataArray = new Uint8Array(bufferLength);
     }
 
-    const bufferLength = analyser.frequencyBinCount;
-    dataArray = new Uint8Array(bufferLength);
+    if (created) notify();
 
     return {
       audioContext,
@@ -61,32 +183,53 @@ export const initializeAudioContext = (audioElement) => {
 };
 
 /**
- * Connect an audio element to the analyser
- * @param {HTMLAudioElement} audioElement - The audio element to connect
- * @returns {AnalyserNode} The connected analyser node
+ * Install or replace a named effect between the input bus and the analyser.
+ * Inserts are kept sorted by `order`; lower values sit closer to the source.
+ * @param {string} id - Unique insert name
+ * @param {{input: AudioNode, output: AudioNode}|null} nodes - Nodes to insert, or null to remove
+ * @param {number} order - Position in the chain
  */
-export const connectAnalyzer = (audioElement) => {
-  if (!audioContext) {
-    audioContext = new (window.AudioContext || window.webkitAudioContext)();
+export const setInsert = (id, nodes, order = 0) => {
+  const existing = inserts.find((insert) => insert.id === id);
+  if (existing) {
+    existing.output.disconnect();
   }
 
-  if (!analyser) {
-    analyser = audioContext.createAnalyser();
-    analyser.fftSize = 256;
-    analyser.smoothingTimeConstant = 0.8;
+  inserts = inserts.filter((insert) => insert.id !== id);
+  if (nodes) {
+    inserts.push({ id, order, input: nodes.input, output: nodes.output });
+    inserts.sort((a, b) => a.order - b.order);
   }
 
-  if (!gainNode) {
-    gainNode = audioContext.createGain();
-  }
+  rebuildChain();
+  notify();
+};
 
-  const newSource = audioContext.createMediaElementSource(audioElement);
-  newSource.connect(analyser);
-  analyser.connect(gainNode);
-  gainNode.connect(audioContext.destination);
+/**
+ * Subscribe to graph changes (context created, inserts changed)
+ * @param {Function} listener - Called with no arguments after each change
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeAudioEngine = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
 
-  source = newSource;
-  return analyser;
+/**
+ * Get a stable snapshot of the engine nodes, suitable for useSyncExternalStore
+ */
+export const getAudioEngineSnapshot = () => {
+  if (!snapshot) {
+    snapshot = {
+      audioContext,
+      analyser,
+      channelAnalysers,
+      gainNode,
+      inputNode,
+      state: audioContext ? audioContext.state : 'not-initialized'
+    };
+  }
+  return snapshot;
 };
 
 /**
@@ -95,6 +238,9 @@ export const connectAnalyzer = (audioElement) => {
 export const getFrequencyData = () => {
   if (!analyser || !dataArray) return null;
   try {
+    if (dataArray.length !== analyser.frequencyBinCount) {
+      dataArray = new Uint8Array(analyser.frequencyBinCount);
+    }
     analyser.getByteFrequencyData(dataArray);
     return dataArray;
   } catch (error) {
@@ -109,6 +255,9 @@ export const getFrequencyData = () => {
 export const getTimeDomainData = () => {
   if (!analyser || !dataArray) return null;
   try {
+    if (dataArray.length !== analyser.frequencyBinCount) {
+      dataArray = new Uint8Array(analyser.frequencyBinCount);
+    }
     analyser.getByteTimeDomainData(dataArray);
     return dataArray;
   } catch (error) {
@@ -117,19 +266,61 @@ export const getTimeDomainData = () => {
   }
 };
 
+const applyOutputGain = (smoothing = 0) => {
+  if (!gainNode) return;
+  try {
+    const value = masterVolume * normalizationGain;
+    if (smoothing) {
+      gainNode.gain.setTargetAtTime(value, audioContext.currentTime, smoothing);
+    } else {
+      gainNode.gain.setValueAtTime(value, audioContext.currentTime);
+    }
+  } catch (error) {
+    console.error('Error setting volume:', error);
+  }
+};
+
 /**
- * Set the volume using gain node
+ * Set the volume using gain node. The value is remembered and applied once the
+ * graph exists.
  */
 export const setVolume = (volume) => {
-  if (!gainNode) {
-    console.warn('Gain node not initialized');
-    return;
-  }
+  masterVolume = Math.max(0, Math.min(1, volume));
+  applyOutputGain();
+};
+
+/**
+ * Set the loudness normalization gain, applied on top of the volume
+ * @param {number} db - Gain in dB (0 to disable)
+ */
+export const setNormalizationGain = (db) => {
+  normalizationGain = Math.pow(10, db / 20);
+  applyOutputGain(GAIN_SMOOTHING);
+};
+
+/**
+ * Route the output through the peak limiter or straight to the destination
+ * @param {boolean} enabled - Whether the limiter is in the path
+ */
+export const setLimiterEnabled = (enabled) => {
+  if (enabled === isLimiterEnabled) return;
+  isLimiterEnabled = enabled;
+  if (!gainNode) return;
+  gainNode.disconnect();
+  gainNode.connect(enabled ? limiter : audioContext.destination);
+};
+
+/**
+ * Configure the shared analyser. Applies right away if it exists and is remembered
+ * for when it is created; readers pick up a new bin count on their next frame.
+ * @param {Object} options - { fftSize, smoothingTimeConstant, minDecibels, maxDecibels }
+ */
+export const setAnalyserOptions = (options) => {
+  analyserOptions = { ...analyserOptions, ...options };
   try {
-    const clampedVolume = Math.max(0, Math.min(1, volume));
-    gainNode.gain.setValueAtTime(clampedVolume, audioContext.currentTime);
+    applyAnalyserOptions();
   } catch (error) {
-    console.error('Error setting volume:', error);
+    console.error('Error configuring analyser:', error);
   }
 };
 
@@ -145,72 +336,71 @@ export const getAverageFrequency = () => {
 };
 
 /**
- * Get bass frequencies (low-end spectrum)
+ * Average byte level (0-255) between two frequencies
+ * @param {number} low - Lower edge in Hz
+ * @param {number} high - Upper edge in Hz
  */
-export const getBassFrequency = () => {
+export const getFrequencyRangeLevel = (low, high) => {
   const frequencyData = getFrequencyData();
   if (!frequencyData) return 0;
-  const bassRange = Math.floor(frequencyData.length / 8);
-  let sum = 0;
-  for (let i = 0; i < bassRange; i++) sum += frequencyData[i];
-  return sum / bassRange;
+  const { sampleRate } = audioContext;
+  const { fftSize } = analyser;
+  return averageBins(
+    frequencyData,
+    frequencyToBin(low, sampleRate, fftSize),
+    frequencyToBin(Math.min(high, sampleRate / 2), sampleRate, fftSize)
+  );
 };
 
 /**
- * Get mid frequencies
+ * Get bass frequencies (20-250 Hz)
  */
-export const getMidFrequency = () => {
-  const frequencyData = getFrequencyData();
-  if (!frequencyData) return 0;
-  const start = Math.floor(frequencyData.length / 8);
-  const end = Math.floor(frequencyData.length * 5 / 8);
-  let sum = 0;
-  for (let i = start; i < end; i++) sum += frequencyData[i];
-  return sum / (end - start);
-};
+export const getBassFrequency = () => getFrequencyRangeLevel(FREQUENCY_BANDS.sub[0], FREQUENCY_BANDS.bass[1]);
 
 /**
- * Get treble frequencies (high-end spectrum)
+ * Get mid frequencies (250 Hz-4 kHz)
  */
-export const getTrebleFrequency = () => {
-  const frequencyData = getFrequencyData();
-  if (!frequencyData) return 0;
-  const start = Math.floor(frequencyData.length * 5 / 8);
-  let sum = 0;
-  for (let i = start; i < frequencyData.length; i++) sum += frequencyData[i];
-  return sum / (frequencyData.length - start);
-};
+export const getMidFrequency = () => getFrequencyRangeLevel(FREQUENCY_BANDS.lowMid[0], FREQUENCY_BANDS.highMid[1]);
 
 /**
- * Detect beats based on frequency analysis
+ * Get treble frequencies (4-20 kHz)
  */
-export const detectBeat = (threshold = 200) => {
-  const bassLevel = getBassFrequency();
-  return bassLevel > threshold;
-};
+export const getTrebleFrequency = () => getFrequencyRangeLevel(FREQUENCY_BANDS.presence[0], FREQUENCY_BANDS.brilliance[1]);
 
 /**
  * Clean up audio context resources
  */
 export const cleanupAudioContext = async () => {
   try {
-    if (source) {
-      source.disconnect();
-      source = null;
+    inserts.forEach(({ output }) => output.disconnect());
+    inserts = [];
+    if (inputNode) {
+      inputNode.disconnect();
+      inputNode = null;
     }
     if (analyser) {
       analyser.disconnect();
       analyser = null;
     }
+    if (channelSplitter) {
+      channelSplitter.disconnect();
+      channelSplitter = null;
+      channelAnalysers = null;
+    }
     if (gainNode) {
       gainNode.disconnect();
       gainNode = null;
     }
+    if (limiter) {
+      limiter.disconnect();
+      limiter = null;
+    }
     if (audioContext && audioContext.state !== 'closed') {
       await audioContext.close();
-      audioContext = null;
     }
+    audioContext = null;
     dataArray = null;
+    notify();
   } catch (error) {
     console.error('Error cleaning up audio context:', error);
   }
@@ -235,6 +425,7 @@ export const resumeAudioContext = async () => {
   if (audioContext && audioContext.state === 'suspended') {
     try {
       await audioContext.resume();
+      notify();
       return true;
     } catch (error) {
       console.error('Error resuming audio context:', error);
@@ -246,4 +437,6 @@ export const resumeAudioContext = async () => {
 
 export const getAudioContext = () => audioContext;
 export const getAnalyser = () => analyser;
+export const getChannelAnalysers = () => channelAnalysers;
 export const getGainNode = () => gainNode;
+export const getInputNode = () => inputNode;
@@ -0,0 +1,264 @@
+// Beat, onset and tempo detection
+//
+// Onsets are found with spectral flux: how much louder each bin got since the last
+// frame, summed over the spectrum. A frame is an onset when its flux rises above an
+// adaptive threshold (the recent mean plus a multiple of the spread), so quiet and
+// loud passages both trigger. The same test on the bass, mid and treble bins gives
+// per-band beats. Tempo comes from the intervals between recent onsets, folded into
+// one octave of BPM and voted into a histogram; its peak is the tempo and the share
+// of votes near the peak the confidence.
+import { FREQUENCY_BANDS, MIN_FREQUENCY, MAX_FREQUENCY, frequencyToBin } from './spectrum';
+
+// Bands with their own beats: range in Hz and the shortest gap between beats (s)
+export const BEAT_BANDS = {
+  bass: { range: [FREQUENCY_BANDS.sub[0], FREQUENCY_BANDS.bass[1]], interval: 0.25 },
+  mid: { range: [FREQUENCY_BANDS.lowMid[0], FREQUENCY_BANDS.highMid[1]], interval: 0.15 },
+  treble: { range: [FREQUENCY_BANDS.presence[0], FREQUENCY_BANDS.brilliance[1]], interval: 0.1 }
+};
+const ONSET_RANGE = [MIN_FREQUENCY, MAX_FREQUENCY];
+const ONSET_INTERVAL = 0.08; // s
+
+// Adaptive threshold: frames of flux history, and how many deviations above the mean
+const FLUX_HISTORY = 45;
+const THRESHOLD_DEVIATIONS = 1.5;
+// Keeps near-silence from triggering on noise
+const MIN_FLUX = 0.004;
+
+// Tempo: onsets considered (s), intervals counted, and the BPM octave they fold into
+const TEMPO_WINDOW = 8;
+const MAX_ONSET_INTERVAL = 2;
+const MIN_BPM = 80;
+const MAX_BPM = 160;
+const MIN_TEMPO_ONSETS = 6;
+// Votes within this many BPM of the peak count towards it
+const TEMPO_TOLERANCE = 2;
+// Changes smaller than these are not reported
+const BPM_CHANGE = 1;
+const CONFIDENCE_CHANGE = 0.1;
+
+const NO_TEMPO = { bpm: null, confidence: 0 };
+
+/**
+ * Fold a tempo into [MIN_BPM, MAX_BPM) by octaves
+ */
+export const foldTempo = (bpm) => {
+  let folded = bpm;
+  while (folded < MIN_BPM) folded *= 2;
+  while (folded >= MAX_BPM) folded /= 2;
+  return folded;
+};
+
+/**
+ * Tempo of a list of onset times, from the intervals between every pair of them
+ * @param {number[]} times - Onset times in seconds, oldest first
+ * @returns {Object} { bpm, confidence } with bpm null when there is too little to go on
+ */
+export const estimateTempo = (times) => {
+  if (times.length < MIN_TEMPO_ONSETS) return NO_TEMPO;
+
+  const votes = new Float32Array(MAX_BPM - MIN_BPM);
+  let total = 0;
+  for (let i = 0; i < times.length; i++) {
+    for (let j = i + 1; j < times.length && times[j] - times[i] <= MAX_ONSET_INTERVAL; j++) {
+      const bpm = foldTempo(60 / (times[j] - times[i]));
+      // Split the vote between the two nearest whole BPM
+      const index = Math.min(votes.length - 1, Math.floor(bpm - MIN_BPM));
+      const fraction = bpm - MIN_BPM - index;
+      votes[index] += 1 - fraction;
+      if (index + 1 < votes.length) votes[index + 1] += fraction;
+      total += 1;
+    }
+  }
+  if (!total) return NO_TEMPO;
+
+  let peak = 0;
+  for (let i = 1; i < votes.length; i++) {
+    if (votes[i] > votes[peak]) peak = i;
+  }
+
+  // Refine the peak to the weighted mean of its neighbourhood
+  let weight = 0;
+  let sum = 0;
+  for (let i = Math.max(0, peak - TEMPO_TOLERANCE); i <= Math.min(votes.length - 1, peak + TEMPO_TOLERANCE); i++) {
+    weight += votes[i];
+    sum += votes[i] * (MIN_BPM + i);
+  }
+  return { bpm: sum / weight, confidence: weight / total };
+};
+
+// Mean plus deviations of a flux history, over the frames filled so far
+const getThreshold = (history, length) => {
+  let mean = 0;
+  for (let i = 0; i < length; i++) mean += history[i];
+  mean /= length;
+  let variance = 0;
+  for (let i = 0; i < length; i++) variance += (history[i] - mean) ** 2;
+  return mean + THRESHOLD_DEVIATIONS * Math.sqrt(variance / length) + MIN_FLUX;
+};
+
+// Flux detector for one bin range, firing once per rise above the threshold
+const createFluxTrigger = (range, interval) => {
+  const history = new Float32Array(FLUX_HISTORY);
+  let filled = 0;
+  let cursor = 0;
+  let isAbove = false;
+  let lastTime = -Infinity;
+
+  return {
+    range,
+    // Returns the strength (0-1) of a new event, or 0
+    test: (flux, time) => {
+      const threshold = filled ? getThreshold(history, filled) : Infinity;
+      history[cursor] = flux;
+      cursor = (cursor + 1) % FLUX_HISTORY;
+      filled = Math.min(FLUX_HISTORY, filled + 1);
+
+      const wasAbove = isAbove;
+      isAbove = flux > threshold;
+      if (!isAbove || wasAbove || time - lastTime < interval) return 0;
+      lastTime = time;
+      return Math.min(1, (flux - threshold) / threshold);
+    },
+    reset: () => {
+      filled = 0;
+      cursor = 0;
+      isAbove = false;
+      lastTime = -Infinity;
+    }
+  };
+};
+
+/**
+ * Create a beat detector. Call update() once per frame with the analyser; listeners
+ * are called from inside update().
+ * @returns {Object} { update(analyser, time), onBeat(listener), onOnset(listener),
+ *   onTempoChange(listener), getTempo(), reset() } where each on* returns an
+ *   unsubscribe function. Beat listeners get { band, time, strength }, onset
+ *   listeners { time, strength } and tempo listeners { bpm, confidence }.
+ */
+export const createBeatDetector = () => {
+  const listeners = { beat: new Set(), onset: new Set(), tempo: new Set() };
+  const onset = createFluxTrigger(ONSET_RANGE, ONSET_INTERVAL);
+  const bands = Object.entries(BEAT_BANDS).map(([band, { range, interval }]) => (
+    { band, trigger: createFluxTrigger(range, interval) }
+  ));
+  let levels = null;
+  let previous = null;
+  // Flux needs two frames to compare
+  let isPrimed = false;
+  let layoutKey = '';
+  // [from, to) bins of the onset range and each band
+  let binRanges = [];
+  let onsetTimes = [];
+  let tempo = NO_TEMPO;
+
+  const emit = (type, event) => {
+    listeners[type].forEach((listener) => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('Beat listener error:', error);
+      }
+    });
+  };
+
+  const subscribe = (type) => (listener) => {
+    listeners[type].add(listener);
+    return () => listeners[type].delete(listener);
+  };
+
+  const layout = (sampleRate, fftSize, binCount) => {
+    binRanges = [onset, ...bands.map(({ trigger }) => trigger)].map(({ range: [low, high] }) => [
+      Math.max(1, Math.floor(frequencyToBin(low, sampleRate, fftSize))),
+      Math.min(binCount, Math.ceil(frequencyToBin(Math.min(high, sampleRate / 2), sampleRate, fftSize)))
+    ]);
+    levels = new Float32Array(binCount);
+    previous = new Float32Array(binCount);
+    isPrimed = false;
+  };
+
+  // Mean rise in level over a bin range
+  const getFlux = ([from, to]) => {
+    let flux = 0;
+    for (let i = from; i < to; i++) {
+      const rise = levels[i] - previous[i];
+      if (rise > 0) flux += rise;
+    }
+    return to > from ? flux / (to - from) : 0;
+  };
+
+  const updateTempo = () => {
+    const next = estimateTempo(onsetTimes);
+    const changed = next.bpm === null || tempo.bpm === null
+      ? next.bpm !== tempo.bpm
+      : Math.abs(next.bpm - tempo.bpm) >= BPM_CHANGE || Math.abs(next.confidence - tempo.confidence) >= CONFIDENCE_CHANGE;
+    if (!changed) return;
+    tempo = next;
+    emit('tempo', tempo);
+  };
+
+  /**
+   * Read a frame from the analyser (or anything with the same frequency API)
+   * @param {AnalyserNode} analyser - Source of float frequency data
+   * @param {number} time - Frame time in seconds
+   */
+  const update = (analyser, time = performance.now() / 1000) => {
+    const { sampleRate } = analyser.context;
+    const nextLayoutKey = `${sampleRate}:${analyser.fftSize}`;
+    if (nextLayoutKey !== layoutKey) {
+      layoutKey = nextLayoutKey;
+      layout(sampleRate, analyser.fftSize, analyser.frequencyBinCount);
+    }
+
+    // Compare levels between the analyser's decibel bounds rather than raw power, so
+    // flux follows loudness as heard
+    [previous, levels] = [levels, previous];
+    analyser.getFloatFrequencyData(levels);
+    const { minDecibels, maxDecibels } = analyser;
+    for (let i = 0; i < levels.length; i++) {
+      levels[i] = Math.max(0, Math.min(1, (levels[i] - minDecibels) / (maxDecibels - minDecibels)));
+    }
+    if (!isPrimed) {
+      isPrimed = true;
+      return;
+    }
+
+    const onsetStrength = onset.test(getFlux(binRanges[0]), time);
+    bands.forEach(({ band, trigger }, i) => {
+      const strength = trigger.test(getFlux(binRanges[i + 1]), time);
+      if (strength) emit('beat', { band, time, strength });
+    });
+
+    const firstRecent = onsetTimes.findIndex((onsetTime) => time - onsetTime <= TEMPO_WINDOW);
+    const expired = firstRecent === -1 ? onsetTimes.length : firstRecent;
+    if (expired) onsetTimes = onsetTimes.slice(expired);
+    if (onsetStrength) {
+      onsetTimes.push(time);
+      emit('onset', { time, strength: onsetStrength });
+    }
+    if (onsetStrength || expired) updateTempo();
+  };
+
+  /**
+   * Forget the history, e.g. on a track change. Reports a cleared tempo.
+   */
+  const reset = () => {
+    onset.reset();
+    bands.forEach(({ trigger }) => trigger.reset());
+    isPrimed = false;
+    onsetTimes = [];
+    if (tempo.bpm !== null) {
+      tempo = NO_TEMPO;
+      emit('tempo', tempo);
+    }
+  };
+
+  return {
+    update,
+    onBeat: subscribe('beat'),
+    onOnset: subscribe('onset'),
+    onTempoChange: subscribe('tempo'),
+    getTempo: () => tempo,
+    reset
+  };
+};
@@ -0,0 +1,86 @@
+// Shared beat engine: one beat detector (see ./beatDetection.js) reading the shared
+// analyser on the main thread, for UI and visualizations to subscribe to. It only
+// polls the analyser while something is subscribed and a track is playing, and
+// starts over on every track change.
+import { getAnalyser } from './audioContext';
+import { subscribePlayback, getPlaybackSnapshot } from './playbackEngine';
+import { createBeatDetector } from './beatDetection';
+
+const detector = createBeatDetector();
+let subscribers = 0;
+let animationFrame = null;
+let unsubscribePlayback = null;
+
+const tick = () => {
+  const analyser = getAnalyser();
+  if (analyser) detector.update(analyser);
+  animationFrame = requestAnimationFrame(tick);
+};
+
+const stopLoop = () => {
+  cancelAnimationFrame(animationFrame);
+  animationFrame = null;
+};
+
+// Tick only while playing; paused or stopped there is nothing to detect
+const followStatus = () => {
+  if (getPlaybackSnapshot().status !== 'playing') stopLoop();
+  else if (animationFrame === null) animationFrame = requestAnimationFrame(tick);
+};
+
+const start = () => {
+  unsubscribePlayback = subscribePlayback((event) => {
+    if (event.type === 'loaded' || event.type === 'trackchange') detector.reset();
+    if (event.type !== 'timeupdate') followStatus();
+  });
+  followStatus();
+};
+
+const stop = () => {
+  stopLoop();
+  unsubscribePlayback();
+  unsubscribePlayback = null;
+  detector.reset();
+};
+
+// Wrap a detector subscription so the engine runs while anyone listens
+const withEngine = (subscribe) => (listener) => {
+  const unsubscribe = subscribe(listener);
+  if (subscribers++ === 0) start();
+
+  let isSubscribed = true;
+  return () => {
+    if (!isSubscribed) return;
+    isSubscribed = false;
+    unsubscribe();
+    if (--subscribers === 0) stop();
+  };
+};
+
+/**
+ * Subscribe to per-band beats
+ * @param {Function} listener - Called with { band, time, strength } where band is
+ *   'bass', 'mid' or 'treble' and strength is 0 to 1
+ * @returns {Function} Unsubscribe
+ */
+export const onBeat = withEngine(detector.onBeat);
+
+/**
+ * Subscribe to onsets across the whole spectrum
+ * @param {Function} listener - Called with { time, strength }
+ * @returns {Function} Unsubscribe
+ */
+export const onOnset = withEngine(detector.onOnset);
+
+/**
+ * Subscribe to tempo estimates
+ * @param {Function} listener - Called with { bpm, confidence } when either changes
+ *   noticeably; bpm is null until there are enough onsets
+ * @returns {Function} Unsubscribe
+ */
+export const onTempoChange = withEngine(detector.onTempoChange);
+
+/**
+ * Latest tempo estimate, { bpm, confidence }
+ */
+export const getTempo = detector.getTempo;
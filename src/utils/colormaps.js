@@ -0,0 +1,61 @@
+// Colormaps for intensity displays, as 256-entry RGBA lookup tables
+import { playerConfig } from '../config/audioSamples';
+
+// Ten evenly spaced samples of matplotlib's perceptually uniform maps
+const PERCEPTUAL_MAPS = {
+  magma: [
+    '#000004', '#180f3d', '#440f76', '#721f81', '#9e2f7f',
+    '#cd4071', '#f1605d', '#fd9668', '#feca8d', '#fcfdbf'
+  ],
+  viridis: [
+    '#440154', '#482878', '#3e4989', '#31688e', '#26828e',
+    '#1f9e89', '#35b779', '#6ece58', '#b5de2b', '#fde725'
+  ]
+};
+
+export const COLORMAPS = [...Object.keys(PERCEPTUAL_MAPS), ...Object.keys(playerConfig.colorSchemes)];
+
+const LUT_SIZE = 256;
+const lutCache = new Map();
+
+const parseHex = (hex) => {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+};
+
+// Color schemes start at their first color, so quiet cells fade in from black instead
+const getStops = (name) => (
+  PERCEPTUAL_MAPS[name] ||
+  ['#000000', ...(playerConfig.colorSchemes[name] || playerConfig.colorSchemes.rainbow)]
+);
+
+/**
+ * Lookup table for a colormap
+ * @param {string} name - One of COLORMAPS
+ * @returns {Uint8ClampedArray} 256 RGBA entries, quiet to loud
+ */
+export const getColormapLut = (name) => {
+  let lut = lutCache.get(name);
+  if (lut) return lut;
+
+  const stops = getStops(name).map(parseHex);
+  lut = new Uint8ClampedArray(LUT_SIZE * 4);
+  for (let i = 0; i < LUT_SIZE; i++) {
+    const position = (i / (LUT_SIZE - 1)) * (stops.length - 1);
+    const index = Math.min(stops.length - 2, Math.floor(position));
+    const fraction = position - index;
+    for (let c = 0; c < 3; c++) {
+      lut[i * 4 + c] = stops[index][c] + (stops[index + 1][c] - stops[index][c]) * fraction;
+    }
+    lut[i * 4 + 3] = 255;
+  }
+
+  lutCache.set(name, lut);
+  return lut;
+};
+
+/**
+ * CSS gradient of a colormap, for previews
+ * @param {string} name - One of COLORMAPS
+ */
+export const getColormapGradient = (name) => `linear-gradient(to right, ${getStops(name).join(', ')})`;
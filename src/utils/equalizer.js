@@ -0,0 +1,222 @@
+// Equalizer: a pre-amp followed by one BiquadFilter per band, installed as an insert
+// between the input bus and the analyser (so the visualizer shows the EQ'd signal).
+//
+//   input bus -> pre-amp -> band filter -> ... -> band filter -> analyser
+//
+// In graphic mode the bands are fixed octave/third-octave filters with only a gain
+// (lowshelf, peaking ..., highshelf). In parametric mode each band has its own type,
+// frequency, gain and Q.
+//
+// Settings are plain objects ({ enabled, mode, gains, bands, preamp, preset }) so they
+// can be stored as-is; the nodes are rebuilt whenever the context or the number of
+// filters changes.
+import { getAudioContext, setInsert } from './audioContext';
+
+export const MAX_BAND_GAIN = 12;
+export const MAX_PREAMP = 12;
+
+// ISO octave and third-octave centre frequencies
+export const EQ_BANDS = {
+  10: [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000],
+  31: [
+    20, 25, 31.5, 40, 50, 63, 80, 100, 125, 160, 200, 250, 315, 400, 500, 630, 800,
+    1000, 1250, 1600, 2000, 2500, 3150, 4000, 5000, 6300, 8000, 10000, 12500, 16000, 20000
+  ]
+};
+
+// Bandwidths of one octave and one third of an octave
+const BAND_Q = { 10: 1.41, 31: 4.32 };
+
+export const MIN_FREQUENCY = 20;
+export const MAX_FREQUENCY = 20000;
+export const MIN_Q = 0.1;
+export const MAX_Q = 18;
+export const MAX_PARAMETRIC_BANDS = 8;
+
+/**
+ * Filter types available to parametric bands; pass and notch filters ignore gain
+ */
+export const FILTER_TYPES = [
+  { value: 'peaking', label: 'Peak', hasGain: true },
+  { value: 'lowshelf', label: 'Low shelf', hasGain: true },
+  { value: 'highshelf', label: 'High shelf', hasGain: true },
+  { value: 'lowpass', label: 'Low pass', hasGain: false },
+  { value: 'highpass', label: 'High pass', hasGain: false },
+  { value: 'notch', label: 'Notch', hasGain: false }
+];
+
+export const filterHasGain = (type) => FILTER_TYPES.find((item) => item.value === type)?.hasGain ?? false;
+
+const INSERT_ID = 'equalizer';
+const INSERT_ORDER = 20;
+// Time constant for parameter changes, short enough to feel instant without zipper noise
+const SMOOTHING = 0.015;
+
+/**
+ * Built-in presets, as 10-band gains in dB (resampled for 31 bands)
+ */
+export const EQ_PRESETS = [
+  { id: 'flat', name: 'Flat', gains: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { id: 'bass-boost', name: 'Bass Boost', gains: [6, 5, 4, 2, 0, 0, 0, 0, 0, 0] },
+  { id: 'treble-boost', name: 'Treble Boost', gains: [0, 0, 0, 0, 0, 0, 2, 4, 5, 6] },
+  { id: 'vocal', name: 'Vocal', gains: [-2, -2, -1, 1, 3, 4, 3, 1, 0, -1] },
+  { id: 'rock', name: 'Rock', gains: [5, 4, 2, -1, -2, -1, 1, 3, 4, 5] },
+  { id: 'pop', name: 'Pop', gains: [-1, 1, 3, 4, 3, 0, -1, -1, 1, 2] },
+  { id: 'jazz', name: 'Jazz', gains: [3, 2, 1, 2, -1, -1, 0, 1, 2, 3] },
+  { id: 'classical', name: 'Classical', gains: [4, 3, 2, 1, -1, -1, 0, 2, 3, 4] },
+  { id: 'electronic', name: 'Electronic', gains: [5, 4, 1, 0, -2, 1, 0, 1, 4, 5] }
+];
+
+export const createParametricBand = (overrides = {}) => ({
+  type: 'peaking',
+  frequency: 1000,
+  gain: 0,
+  Q: 1,
+  ...overrides
+});
+
+const DEFAULT_PARAMETRIC_BANDS = [
+  createParametricBand({ type: 'lowshelf', frequency: 80, Q: 0.71 }),
+  createParametricBand({ frequency: 250 }),
+  createParametricBand({ frequency: 1000 }),
+  createParametricBand({ frequency: 4000 }),
+  createParametricBand({ type: 'highshelf', frequency: 10000, Q: 0.71 })
+];
+
+/**
+ * Default settings: enabled, flat, 10-band graphic mode
+ */
+export const createEqualizerSettings = (overrides = {}) => ({
+  enabled: true,
+  mode: 'graphic', // 'graphic' | 'parametric'
+  gains: new Array(EQ_BANDS[10].length).fill(0),
+  bands: DEFAULT_PARAMETRIC_BANDS,
+  preamp: 0,
+  preset: 'flat',
+  ...overrides
+});
+
+export const getBandFrequencies = (gains) => EQ_BANDS[gains.length] || EQ_BANDS[10];
+
+/**
+ * Map gains onto another set of bands, interpolating on a log-frequency axis
+ * @param {number[]} gains - Gains for the bands of `from`
+ * @param {number[]} from - Source centre frequencies
+ * @param {number[]} to - Target centre frequencies
+ */
+export const resampleGains = (gains, from, to) => {
+  if (from.length === to.length) return [...gains];
+  return to.map((frequency) => {
+    if (frequency <= from[0]) return gains[0];
+    if (frequency >= from[from.length - 1]) return gains[gains.length - 1];
+    const upper = from.findIndex((f) => f >= frequency);
+    const t = Math.log2(frequency / from[upper - 1]) / Math.log2(from[upper] / from[upper - 1]);
+    return Math.round((gains[upper - 1] + t * (gains[upper] - gains[upper - 1])) * 10) / 10;
+  });
+};
+
+/**
+ * Pre-amp that cancels the largest boost, so a full-scale signal cannot clip
+ */
+export const getHeadroomPreamp = (gains) => -Math.max(0, ...gains);
+
+const dbToGain = (db) => Math.pow(10, db / 20);
+
+/**
+ * The filters the settings describe, as { type, frequency, gain, Q }
+ */
+export const getFilterSpecs = (settings) => {
+  if (settings.mode === 'parametric') return settings.bands;
+  const frequencies = getBandFrequencies(settings.gains);
+  return frequencies.map((frequency, index) => ({
+    type: index === 0 ? 'lowshelf' : index === frequencies.length - 1 ? 'highshelf' : 'peaking',
+    frequency,
+    gain: settings.gains[index],
+    Q: BAND_Q[frequencies.length]
+  }));
+};
+
+let graph = null; // { audioContext, preamp, filters, output }
+let isInserted = false;
+let responseContext = null;
+
+const buildGraph = (audioContext, count) => {
+  const preamp = audioContext.createGain();
+  const filters = Array.from({ length: count }, () => audioContext.createBiquadFilter());
+  const output = [preamp, ...filters].reduce((previous, node) => {
+    previous.connect(node);
+    return node;
+  });
+  return { audioContext, preamp, filters, output };
+};
+
+const configureFilter = (filter, spec, time) => {
+  filter.type = spec.type;
+  filter.frequency.setTargetAtTime(spec.frequency, time, SMOOTHING);
+  filter.gain.setTargetAtTime(spec.gain, time, SMOOTHING);
+  filter.Q.setTargetAtTime(spec.Q, time, SMOOTHING);
+};
+
+/**
+ * Apply equalizer settings to the audio graph. Does nothing until the audio context
+ * exists, so call it again once it does.
+ * @param {Object} settings - See createEqualizerSettings
+ */
+export const applyEqualizer = (settings) => {
+  const audioContext = getAudioContext();
+  if (!audioContext) return;
+
+  const specs = getFilterSpecs(settings);
+  if (!graph || graph.audioContext !== audioContext || graph.filters.length !== specs.length) {
+    graph = buildGraph(audioContext, specs.length);
+    // Swap the new chain in (or the old one out)
+    isInserted = null;
+  }
+
+  // Pass and notch filters change the signal even at 0 dB, so disabling takes the
+  // whole chain out of the graph
+  if (settings.enabled !== isInserted) {
+    setInsert(
+      INSERT_ID,
+      settings.enabled ? { input: graph.preamp, output: graph.output } : null,
+      INSERT_ORDER
+    );
+    isInserted = settings.enabled;
+  }
+
+  const now = audioContext.currentTime;
+  graph.preamp.gain.setTargetAtTime(dbToGain(settings.preamp), now, SMOOTHING);
+  graph.filters.forEach((filter, index) => configureFilter(filter, specs[index], now));
+};
+
+/**
+ * Combined magnitude response of the settings, pre-amp included
+ * @param {Object} settings - See createEqualizerSettings
+ * @param {Float32Array} frequencies - Frequencies to evaluate, in Hz
+ * @returns {Float32Array} Gain in dB at each frequency
+ */
+export const getEqualizerResponse = (settings, frequencies) => {
+  // Filters on a scratch context respond to new settings at once, without the
+  // smoothing applied to the live ones
+  const sampleRate = getAudioContext()?.sampleRate ?? 48000;
+  if (!responseContext || responseContext.sampleRate !== sampleRate) {
+    responseContext = new OfflineAudioContext(1, 1, sampleRate);
+  }
+
+  const response = new Float32Array(frequencies.length).fill(settings.preamp);
+  const magnitude = new Float32Array(frequencies.length);
+  const phase = new Float32Array(frequencies.length);
+  const filter = responseContext.createBiquadFilter();
+
+  getFilterSpecs(settings).forEach((spec) => {
+    filter.type = spec.type;
+    filter.frequency.value = spec.frequency;
+    filter.gain.value = spec.gain;
+    filter.Q.value = spec.Q;
+    filter.getFrequencyResponse(frequencies, magnitude, phase);
+    for (let i = 0; i < frequencies.length; i++) {
+      response[i] += 20 * Math.log10(Math.max(magnitude[i], 1e-6));
+    }
+  });
+  return response;
+};
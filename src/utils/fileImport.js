@@ -0,0 +1,168 @@
+// Local file import: drag-and-drop, file picker and folder scanning
+// Builds track objects with the same shape as the entries in audioSamples.
+import { audioUtils } from '../config/audioSamples.js';
+import { readTrackMetadata } from './metadataParser.js';
+import { createId } from '../lib/utils.js';
+
+export const AUDIO_EXTENSIONS = ['mp3', 'flac', 'ogg', 'oga', 'opus', 'm4a', 'mp4', 'aac', 'wav', 'webm', 'weba'];
+
+const getExtension = (name) => {
+  const dot = name.lastIndexOf('.');
+  return dot === -1 ? '' : name.slice(dot + 1).toLowerCase();
+};
+
+/**
+ * Check whether a file looks like something the browser can play
+ * @param {File} file - Candidate file
+ */
+export const isAudioFile = (file) =>
+  file.type.startsWith('audio/') || AUDIO_EXTENSIONS.includes(getExtension(file.name));
+
+/**
+ * Get the path of a file relative to the picked/dropped folder, or its name
+ * @param {File} file - Imported file
+ */
+export const getRelativePath = (file) =>
+  file.relativePath || file.webkitRelativePath || file.name;
+
+const readDirectoryEntries = (reader) =>
+  new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+
+const readEntryFile = (entry) =>
+  new Promise((resolve, reject) => entry.file(resolve, reject));
+
+/**
+ * Recursively collect files below a FileSystemEntry
+ * @param {FileSystemEntry} entry - File or directory entry
+ * @returns {Promise<File[]>} Files with a `relativePath` property attached
+ */
+const walkEntry = async (entry) => {
+  if (entry.isFile) {
+    const file = await readEntryFile(entry);
+    Object.defineProperty(file, 'relativePath', { value: entry.fullPath.replace(/^\//, '') });
+    return [file];
+  }
+
+  if (entry.isDirectory) {
+    const reader = entry.createReader();
+    const files = [];
+    // readEntries returns results in batches until it yields an empty array
+    let batch = await readDirectoryEntries(reader);
+    while (batch.length) {
+      for (const child of batch) {
+        files.push(...await walkEntry(child));
+      }
+      batch = await readDirectoryEntries(reader);
+    }
+    return files;
+  }
+
+  return [];
+};
+
+/**
+ * Collect files from a drop event, descending into dropped folders
+ * @param {DataTransfer} dataTransfer - The drop event's dataTransfer
+ * @returns {Promise<File[]>} All dropped files
+ */
+export const collectDroppedFiles = async (dataTransfer) => {
+  const items = Array.from(dataTransfer.items || []);
+  const entries = items
+    .filter((item) => item.kind === 'file')
+    .map((item) => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+
+  if (!entries.length) {
+    return Array.from(dataTransfer.files || []);
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    files.push(...await walkEntry(entry));
+  }
+  return files;
+};
+
+/**
+ * Read the duration of a playable URL through a detached audio element
+ * @param {string} url - Object URL of the file
+ * @returns {Promise<number>} Duration in seconds, or 0 if unknown
+ */
+export const readDuration = (url) =>
+  new Promise((resolve) => {
+    const probe = new Audio();
+    const finish = (value) => {
+      probe.removeAttribute('src');
+      probe.load();
+      resolve(value);
+    };
+    probe.preload = 'metadata';
+    probe.onloadedmetadata = () => finish(isFinite(probe.duration) ? probe.duration : 0);
+    probe.onerror = () => finish(0);
+    probe.src = url;
+  });
+
+/**
+ * Guess title and artist from a file name such as "Artist - Title.mp3"
+ * @param {string} name - File name
+ */
+export const parseFileName = (name) => {
+  const base = name.replace(/\.[^.]+$/, '').replace(/_/g, ' ').trim();
+  const match = base.match(/^(?:\d+[\s.-]+)?(.+?)\s+-\s+(.+)$/);
+  if (match) {
+    return { artist: match[1].trim(), title: match[2].trim() };
+  }
+  return { artist: 'Unknown Artist', title: base };
+};
+
+/**
+ * Build a track entry for a local file
+ * @param {File} file - Audio file
+ * @returns {Promise<Object>} Track in the audioSamples shape
+ */
+export const createTrackFromFile = async (file) => {
+  const url = URL.createObjectURL(file);
+  const [seconds, metadata] = await Promise.all([
+    readDuration(url),
+    readTrackMetadata(file).catch((error) => {
+      console.warn(`Could not read tags from ${file.name}:`, error);
+      return {};
+    })
+  ]);
+  const { tags, ...fields } = metadata;
+  const durationSeconds = seconds || tags?.duration || 0;
+
+  return {
+    id: createId('local'),
+    ...parseFileName(file.name),
+    album: null,
+    cover: null,
+    genre: null,
+    year: null,
+    ...fields,
+    duration: audioUtils.formatTime(durationSeconds),
+    durationSeconds,
+    url,
+    comments: tags?.comments || {},
+    path: getRelativePath(file),
+    file,
+    isLocal: true
+  };
+};
+
+/**
+ * Turn a list of files into tracks, skipping anything that isn't audio
+ * @param {File[]} files - Picked or dropped files
+ * @returns {Promise<Object[]>} Tracks sorted by relative path
+ */
+export const importAudioFiles = async (files) => {
+  const audioFiles = files
+    .filter(isAudioFile)
+    .sort((a, b) => getRelativePath(a).localeCompare(getRelativePath(b), undefined, { numeric: true }));
+
+  const tracks = [];
+  for (const file of audioFiles) {
+    tracks.push(await createTrackFromFile(file));
+  }
+  return tracks;
+};
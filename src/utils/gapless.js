@@ -0,0 +1,151 @@
+// Encoder delay/padding detection for gapless playback
+//
+// MP3 and AAC encoders add silent samples before (delay/priming) and after (padding)
+// the audio. LAME records them in the Info/Xing frame, iTunes in an iTunSMPB tag.
+// Some browsers already drop them in decodeAudioData and some do not, so the decoded
+// length decides whether we still have to trim.
+import { parseMetadata } from './metadataParser';
+
+// mpg123/FFmpeg convention: decoders emit 528 + 1 samples of their own delay
+const MP3_DECODER_DELAY = 529;
+
+const MP3_SAMPLE_RATES = {
+  3: [44100, 48000, 32000], // MPEG-1
+  2: [22050, 24000, 16000], // MPEG-2
+  0: [11025, 12000, 8000] // MPEG-2.5
+};
+
+const readAscii = (bytes, offset, length) =>
+  String.fromCharCode(...bytes.subarray(offset, offset + length));
+
+const readUint32BE = (bytes, offset) =>
+  ((bytes[offset] << 24) >>> 0) + (bytes[offset + 1] << 16) + (bytes[offset + 2] << 8) + bytes[offset + 3];
+
+// Size of a leading ID3v2 tag including its header (and footer, if flagged)
+const getId3Size = (bytes) => {
+  if (bytes.length < 10 || readAscii(bytes, 0, 3) !== 'ID3') return 0;
+  const size = (bytes[6] << 21) | (bytes[7] << 14) | (bytes[8] << 7) | bytes[9];
+  return size + 10 + (bytes[5] & 0x10 ? 10 : 0);
+};
+
+/**
+ * Read the first MPEG audio frame and its Xing/Info and LAME tags
+ * @param {Uint8Array} bytes - File bytes
+ * @returns {Object|null} { sampleRate, samplesPerFrame, frames, encoderDelay, padding }
+ *   (frames/encoderDelay/padding are null when the tags are missing)
+ */
+export const readMp3Info = (bytes) => {
+  const start = getId3Size(bytes);
+  const limit = Math.min(bytes.length - 4, start + 65536);
+
+  for (let offset = start; offset < limit; offset++) {
+    if (bytes[offset] !== 0xff || (bytes[offset + 1] & 0xe0) !== 0xe0) continue;
+
+    const version = (bytes[offset + 1] >> 3) & 0x03;
+    const layer = (bytes[offset + 1] >> 1) & 0x03;
+    const rateIndex = (bytes[offset + 2] >> 2) & 0x03;
+    // Layer III only; version 1 is reserved
+    if (layer !== 1 || version === 1 || rateIndex === 3) continue;
+
+    const isMpeg1 = version === 3;
+    const isMono = ((bytes[offset + 3] >> 6) & 0x03) === 3;
+    const sideInfoSize = isMpeg1 ? (isMono ? 17 : 32) : (isMono ? 9 : 17);
+    const info = {
+      sampleRate: MP3_SAMPLE_RATES[version][rateIndex],
+      samplesPerFrame: isMpeg1 ? 1152 : 576,
+      frames: null,
+      encoderDelay: null,
+      padding: null
+    };
+
+    let tag = offset + 4 + sideInfoSize;
+    const tagId = readAscii(bytes, tag, 4);
+    if (tagId !== 'Xing' && tagId !== 'Info') return info;
+
+    const flags = readUint32BE(bytes, tag + 4);
+    tag += 8;
+    if (flags & 0x01) {
+      info.frames = readUint32BE(bytes, tag);
+      tag += 4;
+    }
+    if (flags & 0x02) tag += 4; // byte count
+    if (flags & 0x04) tag += 100; // seek table
+    if (flags & 0x08) tag += 4; // quality
+
+    // LAME extension: 9-byte encoder string, then delay/padding as two 12-bit values at +21
+    if (tag + 24 <= bytes.length && /^(LAME|Lavc|Lavf|GOGO)/.test(readAscii(bytes, tag, 4))) {
+      info.encoderDelay = (bytes[tag + 21] << 4) | (bytes[tag + 22] >> 4);
+      info.padding = ((bytes[tag + 22] & 0x0f) << 8) | bytes[tag + 23];
+    }
+    return info;
+  }
+
+  return null;
+};
+
+/**
+ * Parse an iTunSMPB value (" 00000000 00000840 000001CC 0000000000A3C6F4 ...")
+ * @param {string} value - Tag value
+ * @returns {Object|null} { encoderDelay, padding, totalSamples }
+ */
+export const parseITunSMPB = (value) => {
+  const fields = String(value).trim().split(/\s+/).map((field) => parseInt(field, 16));
+  if (fields.length < 4 || fields.slice(1, 4).some(isNaN) || !fields[3]) return null;
+  return { encoderDelay: fields[1], padding: fields[2], totalSamples: fields[3] };
+};
+
+/**
+ * Work out encoder delay/padding for a file
+ * @param {ArrayBuffer|Uint8Array} buffer - Whole file contents (read before decoding detaches it)
+ * @returns {Object|null} { sampleRate, encoderDelay, padding, totalSamples } in source samples
+ */
+export const readGaplessInfo = (buffer) => {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const mp3 = readMp3Info(bytes);
+
+  if (mp3?.frames && mp3.encoderDelay !== null) {
+    const decoded = mp3.frames * mp3.samplesPerFrame;
+    const encoderDelay = mp3.encoderDelay + MP3_DECODER_DELAY;
+    const totalSamples = decoded - mp3.encoderDelay - mp3.padding;
+    if (totalSamples <= 0) return null;
+    return {
+      sampleRate: mp3.sampleRate,
+      encoderDelay,
+      padding: Math.max(0, decoded - encoderDelay - totalSamples),
+      totalSamples
+    };
+  }
+
+  const tags = parseMetadata(bytes);
+  const smpb = tags.comments.ITUNSMPB ? parseITunSMPB(tags.comments.ITUNSMPB) : null;
+  const sampleRate = tags.sampleRate || mp3?.sampleRate;
+  if (!smpb || !sampleRate) return null;
+  return { sampleRate, ...smpb };
+};
+
+/**
+ * Decide which part of a decoded buffer is real audio
+ * @param {Object|null} info - Result of readGaplessInfo
+ * @param {AudioBuffer} audioBuffer - Decoded audio (resampled to the context rate)
+ * @returns {{start: number, end: number}} Playable region in seconds
+ */
+export const getPlayableRange = (info, audioBuffer) => {
+  const full = { start: 0, end: audioBuffer.duration };
+  if (!info) return full;
+
+  const ratio = audioBuffer.sampleRate / info.sampleRate;
+  const trimmedLength = info.totalSamples * ratio;
+  const untrimmedLength = (info.encoderDelay + info.totalSamples + info.padding) * ratio;
+  const { length } = audioBuffer;
+
+  // The decoder already removed delay/padding, or the tag does not describe this file
+  if (Math.abs(length - trimmedLength) <= Math.abs(length - untrimmedLength)) return full;
+  if (Math.abs(length - untrimmedLength) > length * 0.01) return full;
+
+  const startSample = info.encoderDelay * ratio;
+  const endSample = Math.min(length, startSample + trimmedLength);
+  return {
+    start: startSample / audioBuffer.sampleRate,
+    end: endSample / audioBuffer.sampleRate
+  };
+};
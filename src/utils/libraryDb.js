@@ -0,0 +1,325 @@
+// Persistent music library backed by IndexedDB
+//
+// Stores:
+//   tracks  - track metadata, play counts and timestamps (no blobs)
+//   blobs   - the imported audio files, keyed by track id
+//   artwork - cover thumbnails, keyed by track id
+//   session - key/value player state (current track, position, volume, ...)
+//   playlists - user playlists as ordered lists of track ids
+//   waveforms - waveform overview peaks, keyed by track id
+//
+// Schema changes go through MIGRATIONS: bump DB_VERSION and append a step. Each step
+// runs inside the versionchange transaction for every version the stored database
+// is behind.
+
+const DB_NAME = 'player-library';
+export const DB_VERSION = 3;
+
+const TRACK_FIELDS = [
+  'id', 'title', 'artist', 'album', 'albumArtist', 'genre', 'year', 'trackNumber',
+  'discNumber', 'duration', 'durationSeconds', 'comments', 'path', 'loudness'
+];
+
+const THUMBNAIL_SIZE = 256;
+
+/**
+ * Migration steps; MIGRATIONS[n] upgrades a database from version n to n + 1
+ * @type {Array<(db: IDBDatabase, transaction: IDBTransaction) => void>}
+ */
+const MIGRATIONS = [
+  (db) => {
+    const tracks = db.createObjectStore('tracks', { keyPath: 'id' });
+    tracks.createIndex('addedAt', 'addedAt');
+    tracks.createIndex('lastPlayedAt', 'lastPlayedAt');
+    db.createObjectStore('blobs', { keyPath: 'id' });
+    db.createObjectStore('artwork', { keyPath: 'id' });
+    db.createObjectStore('session', { keyPath: 'key' });
+  },
+  (db) => {
+    const playlists = db.createObjectStore('playlists', { keyPath: 'id' });
+    playlists.createIndex('createdAt', 'createdAt');
+  },
+  (db) => {
+    db.createObjectStore('waveforms', { keyPath: 'id' });
+  }
+];
+
+let dbPromise = null;
+
+const requestToPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const transactionDone = (transaction) =>
+  new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+
+/**
+ * Check if IndexedDB is available
+ */
+export const isLibrarySupported = () => typeof indexedDB !== 'undefined';
+
+/**
+ * Open (and if needed upgrade) the library database
+ * @returns {Promise<IDBDatabase>} The open database
+ */
+export const openLibraryDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        for (let version = event.oldVersion; version < DB_VERSION; version++) {
+          MIGRATIONS[version](db, request.transaction);
+        }
+      };
+
+      request.onsuccess = () => {
+        const db = request.result;
+        // Let a newer tab upgrade the schema
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+      request.onblocked = () => console.warn('Library upgrade blocked by another open tab');
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * Scale an image URL down to a square-bounded JPEG thumbnail
+ * @param {string} url - Image URL (usually an object URL of embedded cover art)
+ * @returns {Promise<Blob|null>} Thumbnail blob, or null if the image can't be read
+ */
+export const createThumbnail = (url) =>
+  new Promise((resolve) => {
+    const image = new Image();
+    image.onload = () => {
+      const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(image.width, image.height));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.max(1, Math.round(image.width * scale));
+      canvas.height = Math.max(1, Math.round(image.height * scale));
+      canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+      canvas.toBlob((blob) => resolve(blob), 'image/jpeg', 0.85);
+    };
+    image.onerror = () => resolve(null);
+    image.src = url;
+  });
+
+// IndexedDB breaks ties in the addedAt index by the (random) id, so every track gets
+// its own timestamp to keep a batch in the order it was imported
+let lastAddedAt = 0;
+const nextAddedAt = () => {
+  lastAddedAt = Math.max(Date.now(), lastAddedAt + 1);
+  return lastAddedAt;
+};
+
+const toRecord = (track) => {
+  const record = {};
+  TRACK_FIELDS.forEach((field) => {
+    record[field] = track[field] ?? null;
+  });
+  return {
+    ...record,
+    fileName: track.file?.name || null,
+    mimeType: track.file?.type || null,
+    size: track.file?.size || 0,
+    addedAt: nextAddedAt(),
+    playCount: 0,
+    lastPlayedAt: null,
+    hasArtwork: false
+  };
+};
+
+/**
+ * Save imported tracks: metadata, the audio blob and an artwork thumbnail
+ * @param {Object[]} tracks - Tracks created by fileImport (must carry `file`)
+ */
+export const saveTracks = async (tracks) => {
+  const thumbnails = await Promise.all(
+    tracks.map((track) => (track.cover ? createThumbnail(track.cover) : null))
+  );
+
+  const db = await openLibraryDb();
+  const transaction = db.transaction(['tracks', 'blobs', 'artwork'], 'readwrite');
+  const trackStore = transaction.objectStore('tracks');
+
+  tracks.forEach((track, index) => {
+    const record = toRecord(track);
+    record.hasArtwork = !!thumbnails[index];
+    trackStore.put(record);
+    if (track.file) {
+      transaction.objectStore('blobs').put({ id: track.id, blob: track.file });
+    }
+    if (thumbnails[index]) {
+      transaction.objectStore('artwork').put({ id: track.id, blob: thumbnails[index] });
+    }
+  });
+
+  await transactionDone(transaction);
+};
+
+/**
+ * Update stored metadata for a track without touching its blobs
+ * @param {string} id - Track id
+ * @param {Object} changes - Fields to merge
+ */
+export const updateTrack = async (id, changes) => {
+  const db = await openLibraryDb();
+  const transaction = db.transaction('tracks', 'readwrite');
+  const store = transaction.objectStore('tracks');
+  const existing = await requestToPromise(store.get(id));
+  if (existing) {
+    store.put({ ...existing, ...changes, id });
+  }
+  await transactionDone(transaction);
+};
+
+/**
+ * Load every stored track with fresh object URLs for its audio and artwork
+ * @returns {Promise<Object[]>} Tracks in the order they were added
+ */
+export const loadTracks = async () => {
+  const db = await openLibraryDb();
+  const transaction = db.transaction(['tracks', 'blobs', 'artwork'], 'readonly');
+  const [records, blobs, artwork] = await Promise.all([
+    requestToPromise(transaction.objectStore('tracks').index('addedAt').getAll()),
+    requestToPromise(transaction.objectStore('blobs').getAll()),
+    requestToPromise(transaction.objectStore('artwork').getAll())
+  ]);
+
+  const blobsById = new Map(blobs.map(({ id, blob }) => [id, blob]));
+  const artworkById = new Map(artwork.map(({ id, blob }) => [id, blob]));
+
+  return records
+    .filter((record) => blobsById.has(record.id))
+    .map((record) => ({
+      ...record,
+      url: URL.createObjectURL(blobsById.get(record.id)),
+      cover: artworkById.has(record.id) ? URL.createObjectURL(artworkById.get(record.id)) : null,
+      file: blobsById.get(record.id),
+      isLocal: true
+    }));
+};
+
+/**
+ * Remove a track and its blobs from the library
+ * @param {string} id - Track id
+ */
+export const deleteTrack = async (id) => {
+  const db = await openLibraryDb();
+  const stores = ['tracks', 'blobs', 'artwork', 'waveforms'];
+  const transaction = db.transaction(stores, 'readwrite');
+  stores.forEach((name) => transaction.objectStore(name).delete(id));
+  await transactionDone(transaction);
+};
+
+/**
+ * Read a stored waveform overview
+ * @param {string} id - Track id
+ * @returns {Promise<Object|null>} The waveform, or null if none is stored
+ */
+export const loadWaveform = async (id) => {
+  const db = await openLibraryDb();
+  const entry = await requestToPromise(db.transaction('waveforms').objectStore('waveforms').get(id));
+  return entry ? entry.waveform : null;
+};
+
+/**
+ * Store a track's waveform overview (also for built-in tracks, which are not in the
+ * tracks store)
+ * @param {string} id - Track id
+ * @param {Object} waveform - Waveform from utils/waveform
+ */
+export const saveWaveform = async (id, waveform) => {
+  const db = await openLibraryDb();
+  const transaction = db.transaction('waveforms', 'readwrite');
+  transaction.objectStore('waveforms').put({ id, waveform });
+  await transactionDone(transaction);
+};
+
+/**
+ * Increment a track's play count and stamp its last-played time
+ * @param {string} id - Track id
+ * @returns {Promise<Object|null>} The updated record, or null for tracks not in the library
+ */
+export const recordPlay = async (id) => {
+  const db = await openLibraryDb();
+  const transaction = db.transaction('tracks', 'readwrite');
+  const store = transaction.objectStore('tracks');
+  const existing = await requestToPromise(store.get(id));
+  let updated = null;
+  if (existing) {
+    updated = { ...existing, playCount: (existing.playCount || 0) + 1, lastPlayedAt: Date.now() };
+    store.put(updated);
+  }
+  await transactionDone(transaction);
+  return updated;
+};
+
+/**
+ * Read a value from the session store
+ * @param {string} key - Session key
+ * @param {*} fallback - Value returned when nothing is stored
+ */
+export const loadSessionValue = async (key, fallback = null) => {
+  const db = await openLibraryDb();
+  const entry = await requestToPromise(db.transaction('session').objectStore('session').get(key));
+  return entry ? entry.value : fallback;
+};
+
+/**
+ * Write a value to the session store
+ * @param {string} key - Session key
+ * @param {*} value - Structured-cloneable value
+ */
+export const saveSessionValue = async (key, value) => {
+  const db = await openLibraryDb();
+  const transaction = db.transaction('session', 'readwrite');
+  transaction.objectStore('session').put({ key, value });
+  await transactionDone(transaction);
+};
+
+/**
+ * Load all playlists in creation order
+ * @returns {Promise<Object[]>} Playlists ({id, name, trackIds, createdAt, updatedAt})
+ */
+export const loadPlaylists = async () => {
+  const db = await openLibraryDb();
+  return requestToPromise(db.transaction('playlists').objectStore('playlists').index('createdAt').getAll());
+};
+
+/**
+ * Create or replace a playlist
+ * @param {Object} playlist - Playlist record
+ */
+export const savePlaylist = async (playlist) => {
+  const db = await openLibraryDb();
+  const transaction = db.transaction('playlists', 'readwrite');
+  transaction.objectStore('playlists').put(playlist);
+  await transactionDone(transaction);
+};
+
+/**
+ * Delete a playlist (its tracks stay in the library)
+ * @param {string} id - Playlist id
+ */
+export const deletePlaylist = async (id) => {
+  const db = await openLibraryDb();
+  const transaction = db.transaction('playlists', 'readwrite');
+  transaction.objectStore('playlists').delete(id);
+  await transactionDone(transaction);
+};
@@ -0,0 +1,269 @@
+// Loudness normalization: per-track and per-album gains from tags or measurement
+//
+// ReplayGain tags (REPLAYGAIN_TRACK_GAIN/ALBUM_GAIN), Opus R128 gains and iTunes
+// Sound Check (iTunNORM) are used when present. Otherwise the decoded audio is
+// measured with the EBU R128 / ITU-R BS.1770 integrated loudness algorithm. Gains are
+// expressed relative to the ReplayGain 2.0 reference of -18 LUFS.
+import { decodeTrack } from './trackDecoder';
+
+export const REFERENCE_LOUDNESS = -18;
+
+// Opus R128 gains are relative to -23 LUFS
+const R128_REFERENCE = -23;
+
+// BS.1770 gating
+const BLOCK_SECONDS = 0.4;
+const STEPS_PER_BLOCK = 4; // 75% overlap
+const ABSOLUTE_GATE = -70;
+const RELATIVE_GATE = -10;
+
+// Measurements of tracks without stored loudness (e.g. the built-in samples), by id
+const measured = new Map();
+const pending = new Map();
+
+const parseGain = (value) => {
+  const gain = parseFloat(String(value).replace(/db/i, ''));
+  return Number.isFinite(gain) ? gain : null;
+};
+
+const parsePeak = (value) => {
+  const peak = parseFloat(value);
+  return Number.isFinite(peak) && peak > 0 ? peak : null;
+};
+
+/**
+ * Parse an iTunNORM value (" 00000212 00000210 0000142F ..."): the first two fields
+ * are per-channel loudness in milliwatts, fields 7 and 8 the 16-bit sample peaks
+ * @returns {Object|null} { gain, peak }
+ */
+export const parseITunNORM = (value) => {
+  const fields = String(value).trim().split(/\s+/).map((field) => parseInt(field, 16));
+  if (fields.length < 2 || fields.slice(0, 2).some((field) => !(field > 0))) return null;
+  const peak = fields.length >= 8 ? Math.max(fields[6], fields[7]) / 32768 : null;
+  return {
+    gain: -10 * Math.log10(Math.max(fields[0], fields[1]) / 1000),
+    peak: peak > 0 ? peak : null
+  };
+};
+
+/**
+ * Read normalization gains from a track's tag comments
+ * @param {Object} comments - Upper-cased tag map from metadataParser
+ * @returns {Object|null} { trackGain, albumGain, trackPeak, albumPeak, source: 'tags' }
+ */
+export const readTagLoudness = (comments) => {
+  if (!comments) return null;
+  let trackGain = parseGain(comments.REPLAYGAIN_TRACK_GAIN);
+  let albumGain = parseGain(comments.REPLAYGAIN_ALBUM_GAIN);
+  let trackPeak = parsePeak(comments.REPLAYGAIN_TRACK_PEAK);
+  const albumPeak = parsePeak(comments.REPLAYGAIN_ALBUM_PEAK);
+
+  // Opus: Q7.8 fixed point dB
+  if (trackGain === null && comments.R128_TRACK_GAIN) {
+    trackGain = parseInt(comments.R128_TRACK_GAIN, 10) / 256 + (R128_REFERENCE - REFERENCE_LOUDNESS);
+  }
+  if (albumGain === null && comments.R128_ALBUM_GAIN) {
+    albumGain = parseInt(comments.R128_ALBUM_GAIN, 10) / 256 + (R128_REFERENCE - REFERENCE_LOUDNESS);
+  }
+
+  if (trackGain === null && comments.ITUNNORM) {
+    const soundCheck = parseITunNORM(comments.ITUNNORM);
+    if (soundCheck) {
+      trackGain = soundCheck.gain;
+      trackPeak = trackPeak ?? soundCheck.peak;
+    }
+  }
+
+  if (trackGain === null && albumGain === null) return null;
+  return { trackGain: trackGain ?? albumGain, albumGain, trackPeak, albumPeak, source: 'tags' };
+};
+
+// K-weighting filter coefficients (BS.1770 pre-filter and RLB high-pass) for any rate
+const getKWeighting = (sampleRate) => {
+  let K = Math.tan((Math.PI * 1681.974450955533) / sampleRate);
+  let Q = 0.7071752369554196;
+  const Vh = Math.pow(10, 3.999843853973347 / 20);
+  const Vb = Math.pow(Vh, 0.4996667741545416);
+  let a0 = 1 + K / Q + K * K;
+  const shelf = {
+    b: [(Vh + (Vb * K) / Q + K * K) / a0, (2 * (K * K - Vh)) / a0, (Vh - (Vb * K) / Q + K * K) / a0],
+    a: [(2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0]
+  };
+
+  K = Math.tan((Math.PI * 38.13547087602444) / sampleRate);
+  Q = 0.5003270373238773;
+  a0 = 1 + K / Q + K * K;
+  const highPass = {
+    b: [1, -2, 1],
+    a: [(2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0]
+  };
+
+  return [shelf, highPass];
+};
+
+// Surround channels count 1.41x, LFE not at all (5.1 in WAVE/Web Audio order)
+const getChannelWeight = (channel, channelCount) => {
+  if (channelCount < 6) return 1;
+  if (channel === 3) return 0;
+  return channel >= 4 ? 1.41 : 1;
+};
+
+/**
+ * Measure integrated loudness and sample peak (EBU R128)
+ * @param {AudioBuffer} audioBuffer - Decoded audio
+ * @param {Object} range - { start, end } in seconds to measure (defaults to all of it)
+ * @returns {Object} { integrated } in LUFS (null for silence) and { peak } as linear amplitude
+ */
+export const measureLoudness = (audioBuffer, { start = 0, end = audioBuffer.duration } = {}) => {
+  const { sampleRate, numberOfChannels } = audioBuffer;
+  const first = Math.floor(start * sampleRate);
+  const last = Math.min(audioBuffer.length, Math.floor(end * sampleRate));
+  const stepLength = Math.round((BLOCK_SECONDS / STEPS_PER_BLOCK) * sampleRate);
+  const stepCount = Math.floor((last - first) / stepLength);
+  const stepEnergy = new Float64Array(stepCount);
+  const filters = getKWeighting(sampleRate);
+  let peak = 0;
+
+  for (let channel = 0; channel < numberOfChannels; channel++) {
+    const weight = getChannelWeight(channel, numberOfChannels);
+    const data = audioBuffer.getChannelData(channel);
+    // Direct form I state for the two cascaded biquads
+    let x1 = 0, x2 = 0, y1 = 0, y2 = 0, z1 = 0, z2 = 0;
+    const [shelf, highPass] = filters;
+
+    for (let i = first; i < last; i++) {
+      const x = data[i];
+      const abs = Math.abs(x);
+      if (abs > peak) peak = abs;
+      if (!weight) continue;
+
+      const y = shelf.b[0] * x + shelf.b[1] * x1 + shelf.b[2] * x2 - shelf.a[0] * y1 - shelf.a[1] * y2;
+      x2 = x1;
+      x1 = x;
+      const z = highPass.b[0] * y + highPass.b[1] * y1 + highPass.b[2] * y2 - highPass.a[0] * z1 - highPass.a[1] * z2;
+      y2 = y1;
+      y1 = y;
+      z2 = z1;
+      z1 = z;
+
+      const step = Math.floor((i - first) / stepLength);
+      if (step < stepCount) stepEnergy[step] += weight * z * z;
+    }
+  }
+
+  // Mean square per 400 ms block, stepping 100 ms at a time
+  const blockLength = stepLength * STEPS_PER_BLOCK;
+  const blocks = [];
+  for (let step = 0; step + STEPS_PER_BLOCK <= stepCount; step++) {
+    let energy = 0;
+    for (let j = 0; j < STEPS_PER_BLOCK; j++) energy += stepEnergy[step + j];
+    blocks.push(energy / blockLength);
+  }
+
+  const toLoudness = (energy) => -0.691 + 10 * Math.log10(energy);
+  const gatedMean = (threshold) => {
+    const kept = blocks.filter((energy) => energy > 0 && toLoudness(energy) > threshold);
+    return kept.length ? kept.reduce((sum, energy) => sum + energy, 0) / kept.length : 0;
+  };
+
+  const absolute = gatedMean(ABSOLUTE_GATE);
+  if (!absolute) return { integrated: null, peak };
+  const relative = gatedMean(toLoudness(absolute) + RELATIVE_GATE);
+  return { integrated: toLoudness(relative || absolute), peak };
+};
+
+/**
+ * Loudness info already known for a track (stored, tagged or measured this session)
+ * @returns {Object|null} { trackGain, albumGain, trackPeak, albumPeak, integrated?, source }
+ */
+export const getTrackLoudness = (track) => (
+  track.loudness || readTagLoudness(track.comments) || measured.get(track.id) || null
+);
+
+/**
+ * Decode and measure a track, once per track id
+ * @param {Object} track - Track with `id` and `file` or `url`
+ * @returns {Promise<Object>} { trackGain, albumGain: null, trackPeak, albumPeak: null,
+ *   integrated, source: 'analysis' }
+ */
+export const analyzeTrackLoudness = (track) => {
+  if (measured.has(track.id)) return Promise.resolve(measured.get(track.id));
+  if (pending.has(track.id)) return pending.get(track.id);
+
+  const promise = decodeTrack(track)
+    .then(({ buffer, start, end }) => {
+      const { integrated, peak } = measureLoudness(buffer, { start, end });
+      const loudness = {
+        trackGain: integrated === null ? 0 : REFERENCE_LOUDNESS - integrated,
+        albumGain: null,
+        trackPeak: peak,
+        albumPeak: null,
+        integrated,
+        duration: end - start,
+        source: 'analysis'
+      };
+      measured.set(track.id, loudness);
+      return loudness;
+    })
+    .finally(() => pending.delete(track.id));
+
+  pending.set(track.id, promise);
+  return promise;
+};
+
+const getAlbumKey = (track) => (
+  track.album ? `${track.albumArtist || track.artist || ''}\u0000${track.album}` : null
+);
+
+/**
+ * Album loudness from the measured tracks of the same album, combined by energy
+ * (weighted by duration). Only tracks measured so far are included.
+ * @param {Object} track - Track whose album to look at
+ * @param {Object[]} tracks - Tracks to search
+ * @returns {Object|null} { gain, peak }
+ */
+export const getMeasuredAlbumLoudness = (track, tracks) => {
+  const key = getAlbumKey(track);
+  if (!key) return null;
+
+  let energy = 0;
+  let duration = 0;
+  let peak = 0;
+  tracks.forEach((item) => {
+    if (getAlbumKey(item) !== key) return;
+    const loudness = getTrackLoudness(item);
+    if (typeof loudness?.integrated !== 'number') return;
+    energy += loudness.duration * Math.pow(10, loudness.integrated / 10);
+    duration += loudness.duration;
+    peak = Math.max(peak, loudness.trackPeak || 0);
+  });
+
+  if (!duration) return null;
+  return { gain: REFERENCE_LOUDNESS - 10 * Math.log10(energy / duration), peak: peak || null };
+};
+
+/**
+ * The gain to apply for a track
+ * @param {Object} loudness - Result of getTrackLoudness
+ * @param {Object} options - { mode: 'track' | 'album', album: getMeasuredAlbumLoudness
+ *   result, limiter } where limiter false clamps the gain so the peak cannot clip
+ * @returns {number} Gain in dB
+ */
+export const getNormalizationGain = (loudness, { mode, album = null, limiter = true }) => {
+  let gain = loudness.trackGain;
+  let peak = loudness.trackPeak;
+  if (mode === 'album') {
+    if (loudness.albumGain !== null && loudness.albumGain !== undefined) {
+      gain = loudness.albumGain;
+      peak = loudness.albumPeak ?? peak;
+    } else if (album) {
+      gain = album.gain;
+      peak = album.peak ?? peak;
+    }
+  }
+
+  if (!limiter && peak) {
+    gain = Math.min(gain, -20 * Math.log10(peak));
+  }
+  return gain;
+};
@@ -0,0 +1,794 @@
+// Pure-JS audio tag reader
+// Supports ID3v1, ID3v2.2/2.3/2.4 (including APIC cover art), FLAC and Ogg
+// Vorbis/Opus comments, and MP4/M4A `ilst` atoms. Works on an ArrayBuffer so it can
+// run against files, fetched responses or small test fixtures alike. For files,
+// readTrackMetadata only reads the parts that hold tags, not the audio.
+
+// ID3v1 genre table (including the Winamp extensions)
+export const ID3_GENRES = [
+  'Blues', 'Classic Rock', 'Country', 'Dance', 'Disco', 'Funk', 'Grunge', 'Hip-Hop',
+  'Jazz', 'Metal', 'New Age', 'Oldies', 'Other', 'Pop', 'R&B', 'Rap', 'Reggae', 'Rock',
+  'Techno', 'Industrial', 'Alternative', 'Ska', 'Death Metal', 'Pranks', 'Soundtrack',
+  'Euro-Techno', 'Ambient', 'Trip-Hop', 'Vocal', 'Jazz+Funk', 'Fusion', 'Trance',
+  'Classical', 'Instrumental', 'Acid', 'House', 'Game', 'Sound Clip', 'Gospel', 'Noise',
+  'AlternRock', 'Bass', 'Soul', 'Punk', 'Space', 'Meditative', 'Instrumental Pop',
+  'Instrumental Rock', 'Ethnic', 'Gothic', 'Darkwave', 'Techno-Industrial', 'Electronic',
+  'Pop-Folk', 'Eurodance', 'Dream', 'Southern Rock', 'Comedy', 'Cult', 'Gangsta',
+  'Top 40', 'Christian Rap', 'Pop/Funk', 'Jungle', 'Native American', 'Cabaret',
+  'New Wave', 'Psychadelic', 'Rave', 'Showtunes', 'Trailer', 'Lo-Fi', 'Tribal',
+  'Acid Punk', 'Acid Jazz', 'Polka', 'Retro', 'Musical', 'Rock & Roll', 'Hard Rock',
+  'Folk', 'Folk-Rock', 'National Folk', 'Swing', 'Fast Fusion', 'Bebob', 'Latin',
+  'Revival', 'Celtic', 'Bluegrass', 'Avantgarde', 'Gothic Rock', 'Progressive Rock',
+  'Psychedelic Rock', 'Symphonic Rock', 'Slow Rock', 'Big Band', 'Chorus',
+  'Easy Listening', 'Acoustic', 'Humour', 'Speech', 'Chanson', 'Opera', 'Chamber Music',
+  'Sonata', 'Symphony', 'Booty Bass', 'Primus', 'Porn Groove', 'Satire', 'Slow Jam',
+  'Club', 'Tango', 'Samba', 'Folklore', 'Ballad', 'Power Ballad', 'Rhythmic Soul',
+  'Freestyle', 'Duet', 'Punk Rock', 'Drum Solo', 'A capella', 'Euro-House', 'Dance Hall',
+  'Goa', 'Drum & Bass', 'Club-House', 'Hardcore', 'Terror', 'Indie', 'BritPop',
+  'Negerpunk', 'Polsk Punk', 'Beat', 'Christian Gangsta Rap', 'Heavy Metal', 'Black Metal',
+  'Crossover', 'Contemporary Christian', 'Christian Rock', 'Merengue', 'Salsa',
+  'Thrash Metal', 'Anime', 'JPop', 'Synthpop'
+];
+
+const decoders = {};
+const getDecoder = (encoding) => {
+  if (!decoders[encoding]) {
+    decoders[encoding] = new TextDecoder(encoding);
+  }
+  return decoders[encoding];
+};
+
+const readAscii = (bytes, offset, length) =>
+  String.fromCharCode(...bytes.subarray(offset, offset + length));
+
+const trimNulls = (text) => text.replace(/\0+$/, '').trim();
+
+const createEmptyTags = (format) => ({
+  format,
+  title: null,
+  artist: null,
+  album: null,
+  albumArtist: null,
+  genre: null,
+  year: null,
+  trackNumber: null,
+  discNumber: null,
+  duration: null,
+  sampleRate: null,
+  picture: null,
+  comments: {}
+});
+
+const parseYear = (value) => {
+  const match = String(value || '').match(/\d{4}/);
+  return match ? parseInt(match[0], 10) : null;
+};
+
+// "3/12" -> 3
+const parseIndex = (value) => {
+  const number = parseInt(String(value || '').split('/')[0], 10);
+  return isNaN(number) ? null : number;
+};
+
+// "(17)", "17", "(17)Rock" or plain text -> genre name. Only a bare number or one in
+// parentheses is an ID3v1 index; "80s Pop" or "8-bit" are names.
+const parseGenre = (value) => {
+  if (!value) return null;
+  if (/^\d+$/.test(value)) return ID3_GENRES[parseInt(value, 10)] || null;
+  const match = value.match(/^\((\d+)\)(.*)$/);
+  if (match) {
+    return match[2].trim() || ID3_GENRES[parseInt(match[1], 10)] || null;
+  }
+  return value;
+};
+
+// ---------------------------------------------------------------------------
+// ID3v2
+
+const ID3_TEXT_FIELDS = {
+  TIT2: 'title', TT2: 'title',
+  TPE1: 'artist', TP1: 'artist',
+  TALB: 'album', TAL: 'album',
+  TPE2: 'albumArtist', TP2: 'albumArtist',
+  TCON: 'genre', TCO: 'genre',
+  TYER: 'year', TDRC: 'year', TYE: 'year',
+  TRCK: 'trackNumber', TRK: 'trackNumber',
+  TPOS: 'discNumber', TPA: 'discNumber',
+  TLEN: 'duration', TLE: 'duration'
+};
+
+const ID3_ENCODINGS = ['iso-8859-1', 'utf-16', 'utf-16be', 'utf-8'];
+
+const readSyncsafe = (bytes, offset) =>
+  ((bytes[offset] & 0x7f) << 21) |
+  ((bytes[offset + 1] & 0x7f) << 14) |
+  ((bytes[offset + 2] & 0x7f) << 7) |
+  (bytes[offset + 3] & 0x7f);
+
+const readUint32BE = (bytes, offset) =>
+  ((bytes[offset] << 24) >>> 0) + (bytes[offset + 1] << 16) + (bytes[offset + 2] << 8) + bytes[offset + 3];
+
+const readUint24BE = (bytes, offset) =>
+  (bytes[offset] << 16) + (bytes[offset + 1] << 8) + bytes[offset + 2];
+
+// Reverse the unsynchronisation scheme (0xFF 0x00 -> 0xFF)
+const removeUnsync = (bytes) => {
+  const out = new Uint8Array(bytes.length);
+  let length = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    out[length++] = bytes[i];
+    if (bytes[i] === 0xff && bytes[i + 1] === 0x00) i++;
+  }
+  return out.subarray(0, length);
+};
+
+const decodeId3Text = (bytes, encoding) => {
+  if (encoding === 1 && bytes.length >= 2) {
+    if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+      return getDecoder('utf-16be').decode(bytes.subarray(2));
+    }
+    if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+      return getDecoder('utf-16le').decode(bytes.subarray(2));
+    }
+    return getDecoder('utf-16le').decode(bytes);
+  }
+  return getDecoder(ID3_ENCODINGS[encoding] || 'iso-8859-1').decode(bytes);
+};
+
+// Find the end of a null-terminated string; UTF-16 uses a two-byte aligned terminator
+const findTerminator = (bytes, offset, encoding) => {
+  const wide = encoding === 1 || encoding === 2;
+  for (let i = offset; i < bytes.length; i += wide ? 2 : 1) {
+    if (bytes[i] === 0 && (!wide || bytes[i + 1] === 0)) {
+      return { end: i, next: i + (wide ? 2 : 1) };
+    }
+  }
+  return { end: bytes.length, next: bytes.length };
+};
+
+const readId3TextFrame = (data) => {
+  const encoding = data[0];
+  return decodeId3Text(data.subarray(1), encoding)
+    .split('\0')
+    .map((value) => value.trim())
+    .filter(Boolean);
+};
+
+const readId3Picture = (data, isV22) => {
+  const encoding = data[0];
+  let offset = 1;
+  let mimeType;
+
+  if (isV22) {
+    const format = readAscii(data, 1, 3).toLowerCase();
+    mimeType = format === 'png' ? 'image/png' : 'image/jpeg';
+    offset = 4;
+  } else {
+    const mime = findTerminator(data, offset, 0);
+    mimeType = readAscii(data, offset, mime.end - offset) || 'image/jpeg';
+    if (!mimeType.includes('/')) mimeType = `image/${mimeType.toLowerCase()}`;
+    offset = mime.next;
+  }
+
+  const pictureType = data[offset];
+  offset += 1;
+  const description = findTerminator(data, offset, encoding);
+
+  return {
+    mimeType,
+    pictureType,
+    description: decodeId3Text(data.subarray(offset, description.end), encoding),
+    data: data.slice(description.next)
+  };
+};
+
+// Split a "description\0value" payload used by TXXX and COMM
+const readId3DescribedText = (data, offset) => {
+  const encoding = data[0];
+  const description = findTerminator(data, offset, encoding);
+  return {
+    description: decodeId3Text(data.subarray(offset, description.end), encoding).trim(),
+    value: trimNulls(decodeId3Text(data.subarray(description.next), encoding))
+  };
+};
+
+const applyId3Frame = (tags, id, data, isV22) => {
+  const field = ID3_TEXT_FIELDS[id];
+
+  if (field) {
+    const values = readId3TextFrame(data);
+    if (!values.length) return;
+    const value = values[0];
+    if (field === 'year') tags.year = parseYear(value);
+    else if (field === 'trackNumber' || field === 'discNumber') tags[field] = parseIndex(value);
+    else if (field === 'genre') tags.genre = parseGenre(value);
+    else if (field === 'duration') tags.duration = parseInt(value, 10) / 1000 || null;
+    else tags[field] = field === 'artist' ? values.join('; ') : value;
+    return;
+  }
+
+  if (id === 'TXXX' || id === 'TXX') {
+    const { description, value } = readId3DescribedText(data, 1);
+    if (description) tags.comments[description.toUpperCase()] = value;
+    return;
+  }
+
+  if (id === 'COMM' || id === 'COM') {
+    const { description, value } = readId3DescribedText(data, 4);
+    // iTunes stores gapless and normalisation info in described comments
+    const key = description ? description.toUpperCase() : 'COMMENT';
+    if (!(key in tags.comments)) tags.comments[key] = value;
+    return;
+  }
+
+  if ((id === 'APIC' || id === 'PIC') && data.length > 4) {
+    const picture = readId3Picture(data, isV22);
+    // Prefer the front cover (type 3), otherwise keep the first picture
+    if (!tags.picture || (picture.pictureType === 3 && tags.picture.pictureType !== 3)) {
+      tags.picture = picture;
+    }
+  }
+};
+
+/**
+ * Parse an ID3v2 tag at the start of the buffer
+ * @param {Uint8Array} bytes - File bytes
+ * @returns {{tags: Object, size: number}|null} Tags and total tag size, or null
+ */
+export const parseId3v2 = (bytes) => {
+  if (bytes.length < 10 || readAscii(bytes, 0, 3) !== 'ID3') return null;
+
+  const version = bytes[3];
+  const flags = bytes[5];
+  const tagSize = readSyncsafe(bytes, 6);
+  const footerSize = flags & 0x10 ? 10 : 0;
+  const totalSize = 10 + tagSize + footerSize;
+  if (version < 2 || version > 4) return { tags: null, size: totalSize };
+
+  let body = bytes.subarray(10, Math.min(bytes.length, 10 + tagSize));
+  if (version < 4 && flags & 0x80) {
+    body = removeUnsync(body);
+  }
+
+  let offset = 0;
+  if (flags & 0x40 && version > 2) {
+    offset = version === 4 ? readSyncsafe(body, 0) : readUint32BE(body, 0) + 4;
+  }
+
+  const isV22 = version === 2;
+  const headerSize = isV22 ? 6 : 10;
+  const tags = createEmptyTags(`id3v2.${version}`);
+
+  while (offset + headerSize <= body.length) {
+    const id = readAscii(body, offset, isV22 ? 3 : 4);
+    if (!/^[A-Z0-9]+$/.test(id)) break; // padding
+
+    let size;
+    if (isV22) size = readUint24BE(body, offset + 3);
+    else if (version === 4) size = readSyncsafe(body, offset + 4);
+    else size = readUint32BE(body, offset + 4);
+
+    const formatFlags = isV22 ? 0 : body[offset + 9];
+    let data = body.subarray(offset + headerSize, offset + headerSize + size);
+    offset += headerSize + size;
+
+    if (version === 4) {
+      if (formatFlags & 0x0c) continue; // compressed or encrypted
+      if (formatFlags & 0x40) data = data.subarray(1); // group id
+      if (formatFlags & 0x01) data = data.subarray(4); // data length indicator
+      if (formatFlags & 0x02) data = removeUnsync(data);
+    } else if (version === 3) {
+      if (formatFlags & 0xc0) continue; // compressed or encrypted
+      if (formatFlags & 0x20) data = data.subarray(1); // group id
+    }
+
+    if (data.length) {
+      try {
+        applyId3Frame(tags, id, data, isV22);
+      } catch (error) {
+        console.warn(`Skipping malformed ${id} frame:`, error);
+      }
+    }
+  }
+
+  return { tags, size: totalSize };
+};
+
+/**
+ * Parse an ID3v1 tag from the last 128 bytes of the buffer
+ * @param {Uint8Array} bytes - File bytes
+ */
+export const parseId3v1 = (bytes) => {
+  if (bytes.length < 128) return null;
+  const tag = bytes.subarray(bytes.length - 128);
+  if (readAscii(tag, 0, 3) !== 'TAG') return null;
+
+  const latin1 = getDecoder('iso-8859-1');
+  const field = (start, length) => trimNulls(latin1.decode(tag.subarray(start, start + length))) || null;
+
+  const tags = createEmptyTags('id3v1');
+  tags.title = field(3, 30);
+  tags.artist = field(33, 30);
+  tags.album = field(63, 30);
+  tags.year = parseYear(field(93, 4));
+  // ID3v1.1 stores the track number in the last byte of the comment
+  if (tag[125] === 0 && tag[126] !== 0) {
+    tags.trackNumber = tag[126];
+    tags.comments.COMMENT = field(97, 28);
+  } else {
+    tags.comments.COMMENT = field(97, 30);
+  }
+  tags.genre = ID3_GENRES[tag[127]] || null;
+  return tags;
+};
+
+// ---------------------------------------------------------------------------
+// Vorbis comments (FLAC, Ogg Vorbis, Opus)
+
+const VORBIS_FIELDS = {
+  TITLE: 'title',
+  ARTIST: 'artist',
+  ALBUM: 'album',
+  ALBUMARTIST: 'albumArtist',
+  'ALBUM ARTIST': 'albumArtist',
+  GENRE: 'genre',
+  DATE: 'year',
+  YEAR: 'year',
+  TRACKNUMBER: 'trackNumber',
+  DISCNUMBER: 'discNumber'
+};
+
+const readUint32LE = (bytes, offset) =>
+  bytes[offset] + (bytes[offset + 1] << 8) + (bytes[offset + 2] << 16) + ((bytes[offset + 3] << 24) >>> 0);
+
+const decodeBase64 = (text) => {
+  const binary = atob(text.replace(/\s/g, ''));
+  const out = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) out[i] = binary.charCodeAt(i);
+  return out;
+};
+
+// FLAC METADATA_BLOCK_PICTURE layout, also used base64-encoded in Vorbis comments
+const parseFlacPicture = (data) => {
+  let offset = 0;
+  const pictureType = readUint32BE(data, offset);
+  const mimeLength = readUint32BE(data, offset + 4);
+  offset += 8;
+  const mimeType = readAscii(data, offset, mimeLength);
+  offset += mimeLength;
+  const descriptionLength = readUint32BE(data, offset);
+  offset += 4;
+  const description = getDecoder('utf-8').decode(data.subarray(offset, offset + descriptionLength));
+  offset += descriptionLength + 16; // width, height, depth, colours
+  const dataLength = readUint32BE(data, offset);
+  offset += 4;
+  return {
+    mimeType,
+    pictureType,
+    description,
+    data: data.slice(offset, offset + dataLength)
+  };
+};
+
+/**
+ * Parse a Vorbis comment block (vendor string, then KEY=value list; little-endian)
+ * @param {Uint8Array} data - Block contents without any framing header
+ * @param {Object} tags - Tag object to fill
+ */
+export const parseVorbisComment = (data, tags) => {
+  const utf8 = getDecoder('utf-8');
+  let offset = 4 + readUint32LE(data, 0);
+  const count = readUint32LE(data, offset);
+  offset += 4;
+
+  for (let i = 0; i < count && offset + 4 <= data.length; i++) {
+    const length = readUint32LE(data, offset);
+    offset += 4;
+    const entry = utf8.decode(data.subarray(offset, offset + length));
+    offset += length;
+
+    const separator = entry.indexOf('=');
+    if (separator === -1) continue;
+    const key = entry.slice(0, separator).toUpperCase();
+    const value = entry.slice(separator + 1).trim();
+    const field = VORBIS_FIELDS[key];
+
+    if (key === 'METADATA_BLOCK_PICTURE') {
+      try {
+        const picture = parseFlacPicture(decodeBase64(value));
+        if (!tags.picture || picture.pictureType === 3) tags.picture = picture;
+      } catch (error) {
+        console.warn('Skipping malformed embedded picture:', error);
+      }
+    } else if (field === 'year') {
+      tags.year = tags.year || parseYear(value);
+    } else if (field === 'trackNumber' || field === 'discNumber') {
+      tags[field] = tags[field] || parseIndex(value);
+    } else if (field === 'artist' && tags.artist) {
+      tags.artist = `${tags.artist}; ${value}`;
+    } else if (field) {
+      tags[field] = tags[field] || value;
+    } else if (!(key in tags.comments)) {
+      tags.comments[key] = value;
+    }
+  }
+
+  return tags;
+};
+
+/**
+ * Parse FLAC metadata blocks (STREAMINFO, VORBIS_COMMENT, PICTURE)
+ * @param {Uint8Array} bytes - File bytes
+ * @param {number} start - Offset of the "fLaC" marker
+ */
+export const parseFlac = (bytes, start = 0) => {
+  if (readAscii(bytes, start, 4) !== 'fLaC') return null;
+
+  const tags = createEmptyTags('flac');
+  let offset = start + 4;
+  let isLast = false;
+
+  while (!isLast && offset + 4 <= bytes.length) {
+    const header = bytes[offset];
+    isLast = (header & 0x80) !== 0;
+    const type = header & 0x7f;
+    const length = readUint24BE(bytes, offset + 1);
+    const data = bytes.subarray(offset + 4, offset + 4 + length);
+    offset += 4 + length;
+
+    if (type === 0 && data.length >= 18) {
+      const sampleRate = (data[10] << 12) | (data[11] << 4) | (data[12] >> 4);
+      const totalSamples = (data[13] & 0x0f) * 2 ** 32 + readUint32BE(data, 14);
+      if (sampleRate && totalSamples) tags.duration = totalSamples / sampleRate;
+      tags.sampleRate = sampleRate || null;
+    } else if (type === 4) {
+      parseVorbisComment(data, tags);
+    } else if (type === 6) {
+      const picture = parseFlacPicture(data);
+      if (!tags.picture || picture.pictureType === 3) tags.picture = picture;
+    }
+  }
+
+  return tags;
+};
+
+// Reassemble the first few logical packets of an Ogg bitstream
+const readOggPackets = (bytes, maxPackets) => {
+  const packets = [];
+  let current = [];
+  let offset = 0;
+
+  while (offset + 27 <= bytes.length && packets.length < maxPackets) {
+    if (readAscii(bytes, offset, 4) !== 'OggS') break;
+    const segmentCount = bytes[offset + 26];
+    const table = bytes.subarray(offset + 27, offset + 27 + segmentCount);
+    let dataOffset = offset + 27 + segmentCount;
+
+    for (let i = 0; i < table.length; i++) {
+      current.push(bytes.subarray(dataOffset, dataOffset + table[i]));
+      dataOffset += table[i];
+      if (table[i] < 255) {
+        const length = current.reduce((sum, part) => sum + part.length, 0);
+        const packet = new Uint8Array(length);
+        let position = 0;
+        current.forEach((part) => {
+          packet.set(part, position);
+          position += part.length;
+        });
+        packets.push(packet);
+        current = [];
+        if (packets.length >= maxPackets) break;
+      }
+    }
+    offset = dataOffset;
+  }
+
+  return packets;
+};
+
+/**
+ * Parse the comment header of an Ogg Vorbis or Opus stream
+ * @param {Uint8Array} bytes - File bytes
+ */
+export const parseOgg = (bytes) => {
+  if (readAscii(bytes, 0, 4) !== 'OggS') return null;
+
+  const [identification, comment] = readOggPackets(bytes, 2);
+  if (!identification || !comment) return createEmptyTags('ogg');
+
+  if (readAscii(comment, 0, 8) === 'OpusTags') {
+    return parseVorbisComment(comment.subarray(8), createEmptyTags('opus'));
+  }
+  if (comment[0] === 3 && readAscii(comment, 1, 6) === 'vorbis') {
+    return parseVorbisComment(comment.subarray(7), createEmptyTags('vorbis'));
+  }
+  return createEmptyTags('ogg');
+};
+
+// ---------------------------------------------------------------------------
+// MP4 / M4A
+
+const MP4_TEXT_FIELDS = {
+  '©nam': 'title',
+  '©ART': 'artist',
+  '©alb': 'album',
+  aART: 'albumArtist',
+  '©gen': 'genre',
+  '©day': 'year'
+};
+
+const MP4_CONTAINERS = ['moov', 'udta', 'trak', 'mdia', 'minf', 'stbl'];
+const MP4_AUDIO_ENTRIES = ['mp4a', 'alac', 'ac-3', 'ec-3', 'Opus', 'fLaC'];
+
+// Iterate child atoms in [start, end)
+const readAtoms = (bytes, start, end) => {
+  const atoms = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = readUint32BE(bytes, offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    let headerSize = 8;
+
+    if (size === 1) {
+      size = readUint32BE(bytes, offset + 8) * 2 ** 32 + readUint32BE(bytes, offset + 12);
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize) break;
+
+    atoms.push({ type, start: offset + headerSize, end: Math.min(offset + size, end) });
+    offset += size;
+  }
+
+  return atoms;
+};
+
+const readMp4Data = (bytes, item) => {
+  const data = readAtoms(bytes, item.start, item.end).find((atom) => atom.type === 'data');
+  if (!data) return null;
+  return {
+    type: readUint32BE(bytes, data.start) & 0xffffff,
+    payload: bytes.subarray(data.start + 8, data.end)
+  };
+};
+
+const applyMp4Item = (bytes, item, tags) => {
+  const utf8 = getDecoder('utf-8');
+
+  if (item.type === '----') {
+    let name = null;
+    let value = null;
+    readAtoms(bytes, item.start, item.end).forEach((child) => {
+      if (child.type === 'name') name = utf8.decode(bytes.subarray(child.start + 4, child.end));
+      if (child.type === 'data') value = utf8.decode(bytes.subarray(child.start + 8, child.end));
+    });
+    if (name && value !== null) tags.comments[name.toUpperCase()] = value.trim();
+    return;
+  }
+
+  const data = readMp4Data(bytes, item);
+  if (!data) return;
+  const field = MP4_TEXT_FIELDS[item.type];
+
+  if (field) {
+    const value = utf8.decode(data.payload).trim();
+    tags[field] = field === 'year' ? parseYear(value) : value;
+  } else if (item.type === 'gnre' && data.payload.length >= 2) {
+    tags.genre = tags.genre || ID3_GENRES[((data.payload[0] << 8) | data.payload[1]) - 1] || null;
+  } else if ((item.type === 'trkn' || item.type === 'disk') && data.payload.length >= 4) {
+    tags[item.type === 'trkn' ? 'trackNumber' : 'discNumber'] = (data.payload[2] << 8) | data.payload[3] || null;
+  } else if (item.type === 'covr' && !tags.picture) {
+    tags.picture = {
+      mimeType: data.type === 14 ? 'image/png' : 'image/jpeg',
+      pictureType: 3,
+      description: '',
+      data: data.payload.slice()
+    };
+  }
+};
+
+const walkMp4 = (bytes, start, end, tags) => {
+  readAtoms(bytes, start, end).forEach((atom) => {
+    if (MP4_CONTAINERS.includes(atom.type)) {
+      walkMp4(bytes, atom.start, atom.end, tags);
+    } else if (atom.type === 'meta') {
+      // iTunes "meta" is a full atom with 4 bytes of version/flags; QuickTime's is not
+      const hasVersion = readAscii(bytes, atom.start + 4, 4) !== 'hdlr';
+      walkMp4(bytes, atom.start + (hasVersion ? 4 : 0), atom.end, tags);
+    } else if (atom.type === 'ilst') {
+      readAtoms(bytes, atom.start, atom.end).forEach((item) => applyMp4Item(bytes, item, tags));
+    } else if (atom.type === 'mvhd') {
+      const version = bytes[atom.start];
+      const timescale = readUint32BE(bytes, atom.start + (version === 1 ? 20 : 12));
+      const duration = version === 1
+        ? readUint32BE(bytes, atom.start + 24) * 2 ** 32 + readUint32BE(bytes, atom.start + 28)
+        : readUint32BE(bytes, atom.start + 16);
+      if (timescale) tags.duration = duration / timescale;
+    } else if (atom.type === 'stsd' && !tags.sampleRate) {
+      // Full atom (version/flags + entry count), then sample entries; an audio entry
+      // keeps its rate as 16.16 fixed point after 24 bytes of reserved/format fields
+      const entry = readAtoms(bytes, atom.start + 8, atom.end)
+        .find((item) => MP4_AUDIO_ENTRIES.includes(item.type));
+      if (entry && entry.start + 28 <= entry.end) {
+        tags.sampleRate = readUint32BE(bytes, entry.start + 24) >>> 16 || null;
+      }
+    }
+  });
+};
+
+/**
+ * Parse iTunes-style metadata from an MP4/M4A file
+ * @param {Uint8Array} bytes - File bytes
+ */
+export const parseMp4 = (bytes) => {
+  if (bytes.length < 12 || readAscii(bytes, 4, 4) !== 'ftyp') return null;
+  const tags = createEmptyTags('mp4');
+  walkMp4(bytes, 0, bytes.length, tags);
+  return tags;
+};
+
+// ---------------------------------------------------------------------------
+
+// Fill gaps in `primary` with values from `fallback`
+const mergeTags = (primary, fallback) => {
+  if (!fallback) return primary;
+  if (!primary) return fallback;
+  Object.keys(primary).forEach((key) => {
+    if (key === 'comments') {
+      primary.comments = { ...fallback.comments, ...primary.comments };
+    } else if (primary[key] === null || primary[key] === '') {
+      primary[key] = fallback[key];
+    }
+  });
+  return primary;
+};
+
+const toBytes = (buffer) => (buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer));
+
+/**
+ * Read tags from an audio file's bytes
+ * @param {ArrayBuffer|Uint8Array} buffer - Whole file contents, or at least the start
+ *   of the file up to the end of its tags
+ * @param {ArrayBuffer|Uint8Array} [tail] - The file's last bytes, searched for an
+ *   ID3v1 tag; defaults to the end of `buffer`
+ * @returns {Object} Tags: format, title, artist, album, albumArtist, genre, year,
+ *   trackNumber, discNumber, duration, sampleRate (FLAC/MP4), picture ({mimeType, data}) and a comments map
+ *   of any other fields keyed by upper-case name
+ */
+export const parseMetadata = (buffer, tail = buffer) => {
+  const bytes = toBytes(buffer);
+
+  try {
+    const id3 = parseId3v2(bytes);
+    const bodyStart = id3 ? id3.size : 0;
+
+    const container =
+      parseFlac(bytes, bodyStart) ||
+      (bodyStart === 0 ? parseOgg(bytes) || parseMp4(bytes) : null);
+
+    const tags = mergeTags(mergeTags(container, id3?.tags), parseId3v1(toBytes(tail)));
+    return tags || createEmptyTags(null);
+  } catch (error) {
+    console.error('Error parsing audio metadata:', error);
+    return createEmptyTags(null);
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Reading tags from files
+
+// Bytes read from the start of a file before looking at how long its tags are
+const HEAD_READ = 64 * 1024;
+const ID3V1_SIZE = 128;
+
+const readSlice = async (file, start, end) => new Uint8Array(await file.slice(start, end).arrayBuffer());
+
+// How many bytes from the start of the file hold its tags, as far as `bytes` shows:
+// the ID3v2 tag, then FLAC metadata blocks or the Ogg pages up to the comment
+// header. More than bytes.length means read that much and measure again.
+const measureTagHead = (bytes) => {
+  if (bytes.length < 10) return 10;
+  let offset = readAscii(bytes, 0, 3) === 'ID3'
+    ? 10 + readSyncsafe(bytes, 6) + (bytes[5] & 0x10 ? 10 : 0)
+    : 0;
+  if (offset + 4 > bytes.length) return offset + 4;
+
+  if (readAscii(bytes, offset, 4) === 'fLaC') {
+    offset += 4;
+    for (;;) {
+      if (offset + 4 > bytes.length) return offset + 4;
+      const isLast = (bytes[offset] & 0x80) !== 0;
+      offset += 4 + readUint24BE(bytes, offset + 1);
+      if (isLast) return offset;
+    }
+  }
+
+  if (offset === 0 && readAscii(bytes, 0, 4) === 'OggS') {
+    // The comment header is the second packet
+    let packets = 0;
+    for (;;) {
+      if (offset + 27 > bytes.length) return offset + 27;
+      const segmentCount = bytes[offset + 26];
+      if (offset + 27 + segmentCount > bytes.length) return offset + 27 + segmentCount;
+      const table = bytes.subarray(offset + 27, offset + 27 + segmentCount);
+      offset += 27 + segmentCount + table.reduce((sum, length) => sum + length, 0);
+      packets += table.filter((length) => length < 255).length;
+      if (packets >= 2) return offset;
+    }
+  }
+
+  return offset;
+};
+
+// The ftyp and moov atoms of an MP4, joined; moov may sit after the audio in `mdat`,
+// which is skipped by reading only the top-level atom headers
+const readMp4Head = async (file, head) => {
+  const parts = [];
+  let offset = 0;
+
+  while (offset + 8 <= file.size) {
+    const header = offset + 16 <= head.length
+      ? head.subarray(offset, offset + 16)
+      : await readSlice(file, offset, offset + 16);
+    const type = readAscii(header, 4, 4);
+    let size = readUint32BE(header, 0);
+    if (size === 1 && header.length >= 16) size = readUint32BE(header, 8) * 2 ** 32 + readUint32BE(header, 12);
+    else if (size === 0) size = file.size - offset;
+    if (size < 8) break;
+
+    if (type === 'ftyp' || type === 'moov') {
+      const end = Math.min(file.size, offset + size);
+      parts.push(end <= head.length ? head.subarray(offset, end) : await readSlice(file, offset, end));
+    }
+    if (type === 'moov') break;
+    offset += size;
+  }
+
+  const bytes = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  parts.reduce((position, part) => {
+    bytes.set(part, position);
+    return position + part.length;
+  }, 0);
+  return bytes;
+};
+
+// Start of the file, grown until it covers the tags
+const readTagHead = async (file) => {
+  let bytes = await readSlice(file, 0, Math.min(file.size, HEAD_READ));
+  if (bytes.length >= 12 && readAscii(bytes, 4, 4) === 'ftyp') return readMp4Head(file, bytes);
+
+  for (;;) {
+    const needed = Math.min(file.size, measureTagHead(bytes));
+    if (needed <= bytes.length) return bytes;
+    // Read a little past what is needed so the next block header usually comes along
+    bytes = await readSlice(file, 0, Math.min(file.size, needed + HEAD_READ));
+  }
+};
+
+/**
+ * Read tags from a File/Blob and map them onto track fields. Only the tags are read:
+ * the start of the file up to the end of its tags, and the last 128 bytes for ID3v1.
+ * @param {Blob} file - Audio file
+ * @returns {Promise<Object>} Track fields that were found (title, artist, album,
+ *   genre, year, cover object URL, ...) plus the raw `tags`
+ */
+export const readTrackMetadata = async (file) => {
+  const [head, tail] = await Promise.all([
+    readTagHead(file),
+    readSlice(file, Math.max(0, file.size - ID3V1_SIZE), file.size)
+  ]);
+  const tags = parseMetadata(head, tail);
+  const fields = { tags };
+
+  ['title', 'artist', 'album', 'albumArtist', 'genre', 'year', 'trackNumber', 'discNumber'].forEach((key) => {
+    if (tags[key] !== null && tags[key] !== '') fields[key] = tags[key];
+  });
+
+  if (tags.picture?.data.length) {
+    fields.cover = URL.createObjectURL(new Blob([tags.picture.data], { type: tags.picture.mimeType }));
+  }
+
+  return fields;
+};
@@ -0,0 +1,113 @@
+// Oscilloscope triggering
+//
+// Each frame shows `length` samples out of a longer analyser window. Starting the
+// trace at a rising zero crossing makes a periodic signal stand still; when there
+// are several crossings to choose from, the one whose trace looks most like the
+// previous frame wins, so harmonically rich material does not hop between them.
+
+// Milliseconds of signal across the screen
+export const SCOPE_TIMEBASES = [5, 10, 20, 50];
+export const MIN_SCOPE_GAIN = 0.25;
+export const MAX_SCOPE_GAIN = 8;
+
+// The signal must dip this far below the level before a crossing counts again, so
+// noise around the level does not retrigger
+const TRIGGER_HYSTERESIS = 0.01;
+// Crossings compared per frame, and points compared per crossing
+const MAX_CANDIDATES = 16;
+const MATCH_POINTS = 64;
+
+/**
+ * Sample value at a fractional index, interpolated linearly
+ * @param {Float32Array} samples - Time-domain samples
+ * @param {number} position - Fractional index
+ */
+export const sampleAt = (samples, position) => {
+  const index = Math.max(0, Math.min(samples.length - 1, Math.floor(position)));
+  const next = Math.min(samples.length - 1, index + 1);
+  return samples[index] + (samples[next] - samples[index]) * (position - index);
+};
+
+/**
+ * Rising crossings of a level at sub-sample precision
+ * @param {Float32Array} samples - Time-domain samples
+ * @param {number} searchLength - Only crossings before this index are returned
+ * @param {Object} options - { level, hysteresis, limit }
+ * @returns {number[]} Fractional indices, earliest first
+ */
+export const findRisingCrossings = (samples, searchLength, {
+  level = 0,
+  hysteresis = TRIGGER_HYSTERESIS,
+  limit = MAX_CANDIDATES
+} = {}) => {
+  const crossings = [];
+  const end = Math.min(searchLength, samples.length - 1);
+  let armed = false;
+
+  for (let i = 0; i < end && crossings.length < limit; i++) {
+    if (samples[i] < level - hysteresis) armed = true;
+    if (armed && samples[i] < level && samples[i + 1] >= level) {
+      crossings.push(i + (level - samples[i]) / (samples[i + 1] - samples[i]));
+      armed = false;
+    }
+  }
+  return crossings;
+};
+
+/**
+ * Create a trigger that remembers the last trace it chose
+ * @returns {Object} { find(samples, length), reset() }, where find returns the
+ *   fractional index the trace should start at
+ */
+export const createScopeTrigger = () => {
+  let previous = null;
+
+  const capture = (samples, start, length) => {
+    const points = new Float32Array(MATCH_POINTS);
+    for (let i = 0; i < MATCH_POINTS; i++) {
+      points[i] = sampleAt(samples, start + (i / MATCH_POINTS) * length);
+    }
+    return points;
+  };
+
+  const mismatch = (samples, start, length) => {
+    let error = 0;
+    for (let i = 0; i < MATCH_POINTS; i++) {
+      error += Math.abs(sampleAt(samples, start + (i / MATCH_POINTS) * length) - previous[i]);
+    }
+    return error;
+  };
+
+  const find = (samples, length) => {
+    const searchLength = Math.floor(samples.length - length);
+    if (searchLength <= 0) return 0;
+
+    const crossings = findRisingCrossings(samples, searchLength);
+    if (!crossings.length) {
+      // Silence or DC: free-run on the newest samples
+      previous = null;
+      return searchLength;
+    }
+
+    let best = crossings[0];
+    if (previous?.length === MATCH_POINTS) {
+      let bestError = Infinity;
+      crossings.forEach((crossing) => {
+        const error = mismatch(samples, crossing, length);
+        if (error < bestError) {
+          bestError = error;
+          best = crossing;
+        }
+      });
+    }
+
+    previous = capture(samples, best, length);
+    return best;
+  };
+
+  const reset = () => {
+    previous = null;
+  };
+
+  return { find, reset };
+};
@@ -0,0 +1,205 @@
+// Particle system for the particles visualizer mode
+//
+// Particles stream out from the centre, one population per band: bass particles are
+// big and slow and take the low end of the palette, treble ones small, fast and from
+// the high end. Each band emits in proportion to its energy and a beat fires a burst
+// of all three. Particles live in flat typed arrays, capped by a budget that shrinks
+// while frames run long, culling the oldest, and grows back when they are quick again.
+
+export const MIN_PARTICLE_BUDGET = 100;
+export const MAX_PARTICLE_BUDGET = 5000;
+
+// Per band: palette range, size range (px), speed range (px/s) and life range (s)
+const BAND_STYLES = {
+  bass: { palette: [0, 1 / 3], size: [3, 6], speed: [40, 120], life: [1.5, 2.5] },
+  mid: { palette: [1 / 3, 2 / 3], size: [2, 4], speed: [80, 200], life: [1.2, 2] },
+  treble: { palette: [2 / 3, 1], size: [1, 2.5], speed: [140, 320], life: [0.8, 1.5] }
+};
+const BANDS = Object.keys(BAND_STYLES);
+
+// Share of the budget a beat emits at once, and how much faster those particles go
+const BURST_SHARE = 0.08;
+const BURST_SPEED = 2;
+// Speed lost per second to drag, as a fraction
+const DRAG = 0.6;
+
+// Frame times (s) above which the budget shrinks and below which it grows back
+const SLOW_FRAME = 1 / 45;
+const FAST_FRAME = 1 / 55;
+// Longer gaps are pauses, not slow frames
+const MAX_FRAME_GAP = 0.25;
+
+// Fade levels particles are drawn at, so each color needs a handful of fills
+const ALPHA_STEPS = 4;
+
+const random = ([min, max]) => min + Math.random() * (max - min);
+
+/**
+ * Create a particle system. Call update() once per frame, then draw().
+ * @returns {Object} { update(options), draw(ctx, options), getCount(), getLimit() }
+ */
+export const createParticleSystem = () => {
+  const x = new Float32Array(MAX_PARTICLE_BUDGET);
+  const y = new Float32Array(MAX_PARTICLE_BUDGET);
+  const vx = new Float32Array(MAX_PARTICLE_BUDGET);
+  const vy = new Float32Array(MAX_PARTICLE_BUDGET);
+  const age = new Float32Array(MAX_PARTICLE_BUDGET);
+  const life = new Float32Array(MAX_PARTICLE_BUDGET);
+  const size = new Float32Array(MAX_PARTICLE_BUDGET);
+  const tint = new Float32Array(MAX_PARTICLE_BUDGET); // palette position, 0 to 1
+  let count = 0;
+  let limit = MAX_PARTICLE_BUDGET;
+  let frameTime = 1 / 60;
+  let lastTime = null;
+  // Fractional particles owed per band, carried between frames
+  const pending = { bass: 0, mid: 0, treble: 0 };
+  // 0-1, kicked up by each beat and decaying after
+  let pulse = 0;
+
+  const emit = (band, centerX, centerY, speedScale) => {
+    if (count >= limit) return;
+    const style = BAND_STYLES[band];
+    const angle = Math.random() * 2 * Math.PI;
+    const speed = random(style.speed) * speedScale;
+    x[count] = centerX;
+    y[count] = centerY;
+    vx[count] = Math.cos(angle) * speed;
+    vy[count] = Math.sin(angle) * speed;
+    age[count] = 0;
+    life[count] = random(style.life);
+    size[count] = random(style.size);
+    tint[count] = random(style.palette);
+    count++;
+  };
+
+  // Drop particle i by moving the last one into its place
+  const remove = (i) => {
+    count--;
+    x[i] = x[count];
+    y[i] = y[count];
+    vx[i] = vx[count];
+    vy[i] = vy[count];
+    age[i] = age[count];
+    life[i] = life[count];
+    size[i] = size[count];
+    tint[i] = tint[count];
+  };
+
+  // Shrink the limit while frames are slow, and grow it back towards the budget
+  const adjustLimit = (elapsed, budget) => {
+    if (elapsed > 0 && elapsed < MAX_FRAME_GAP) {
+      frameTime += (elapsed - frameTime) * 0.1;
+    }
+    if (frameTime > SLOW_FRAME) {
+      limit = Math.max(MIN_PARTICLE_BUDGET, limit * 0.97);
+    } else if (frameTime < FAST_FRAME) {
+      limit = limit * 1.01 + 1;
+    }
+    limit = Math.min(budget, limit);
+  };
+
+  // Drop the oldest particles until there are no more than the limit allows
+  const cull = () => {
+    let excess = count - Math.floor(limit);
+    if (excess <= 0) return;
+    const cutoff = age.slice(0, count).sort()[count - excess];
+    for (let i = count - 1; i >= 0 && excess > 0; i--) {
+      if (age[i] < cutoff) continue;
+      remove(i);
+      excess--;
+    }
+  };
+
+  /**
+   * Advance one frame
+   * @param {Object} options - { width, height, energies, budget, sensitivity, beat, time }
+   *   where energies are { bass, mid, treble } from 0 to 1, beat is the strength (0-1)
+   *   of a beat in this frame or 0, and time is in seconds
+   */
+  const update = ({ width, height, energies, budget, sensitivity = 1, beat = 0, time = performance.now() / 1000 }) => {
+    const elapsed = lastTime === null ? 0 : time - lastTime;
+    lastTime = time;
+    adjustLimit(elapsed, Math.max(MIN_PARTICLE_BUDGET, Math.min(MAX_PARTICLE_BUDGET, budget)));
+    cull();
+    const dt = Math.min(elapsed, MAX_FRAME_GAP);
+
+    const centerX = width / 2;
+    const centerY = height / 2;
+    pulse = Math.max(0, pulse - dt * 3);
+
+    // Stronger beats swell the particles more and burst more of them
+    if (beat > 0) {
+      pulse = Math.max(pulse, 0.5 + beat / 2);
+      const burst = limit * BURST_SHARE * (0.5 + beat / 2);
+      BANDS.forEach((band) => {
+        for (let i = 0; i < burst / BANDS.length; i++) emit(band, centerX, centerY, BURST_SPEED);
+      });
+    }
+
+    // At full energy each band keeps a third of the limit alive
+    BANDS.forEach((band) => {
+      const level = Math.min(1, energies[band] * sensitivity);
+      const { life: [minLife, maxLife] } = BAND_STYLES[band];
+      pending[band] += (limit / BANDS.length / ((minLife + maxLife) / 2)) * level * level * dt;
+      const speedScale = 0.5 + level;
+      while (pending[band] >= 1) {
+        pending[band] -= 1;
+        emit(band, centerX, centerY, speedScale);
+      }
+    });
+
+    const drag = Math.exp(-DRAG * dt);
+    for (let i = count - 1; i >= 0; i--) {
+      age[i] += dt;
+      if (age[i] >= life[i] || x[i] < 0 || x[i] > width || y[i] < 0 || y[i] > height) {
+        remove(i);
+        continue;
+      }
+      vx[i] *= drag;
+      vy[i] *= drag;
+      x[i] += vx[i] * dt;
+      y[i] += vy[i] * dt;
+    }
+  };
+
+  /**
+   * Draw the particles, fading and shrinking with age and swelling on beats
+   * @param {CanvasRenderingContext2D} ctx - Target context
+   * @param {Object} options - { palette, glow }
+   */
+  const draw = (ctx, { palette, glow }) => {
+    const baseAlpha = ctx.globalAlpha;
+    const grow = 1 + pulse * 0.5;
+
+    palette.forEach((color, colorIndex) => {
+      ctx.fillStyle = color;
+      if (glow) {
+        ctx.shadowColor = color;
+        ctx.shadowBlur = 8;
+      }
+      for (let step = 0; step < ALPHA_STEPS; step++) {
+        ctx.globalAlpha = baseAlpha * (step + 1) / ALPHA_STEPS;
+        ctx.beginPath();
+        for (let i = 0; i < count; i++) {
+          const remaining = 1 - age[i] / life[i];
+          if (Math.min(palette.length - 1, Math.floor(tint[i] * palette.length)) !== colorIndex) continue;
+          if (Math.min(ALPHA_STEPS - 1, Math.floor(remaining * ALPHA_STEPS)) !== step) continue;
+          const radius = size[i] * (0.5 + remaining / 2) * grow;
+          ctx.moveTo(x[i] + radius, y[i]);
+          ctx.arc(x[i], y[i], radius, 0, 2 * Math.PI);
+        }
+        ctx.fill();
+      }
+      ctx.shadowBlur = 0;
+    });
+
+    ctx.globalAlpha = baseAlpha;
+  };
+
+  return {
+    update,
+    draw,
+    getCount: () => count,
+    getLimit: () => Math.floor(limit)
+  };
+};
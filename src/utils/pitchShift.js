@@ -0,0 +1,50 @@
+// Pitch shifting via the pitch-shifter AudioWorklet, installed as an insert ahead of
+// the equalizer. The worklet is only loaded once a shift other than 1 is asked for.
+import processorUrl from '../worklets/pitchShifterProcessor.js?url';
+import { getAudioContext, setInsert } from './audioContext';
+
+const INSERT_ID = 'pitch-shift';
+const INSERT_ORDER = 10;
+
+let node = null;
+let loading = null; // { audioContext, promise }
+let pitchRatio = 1;
+
+const loadProcessor = (audioContext) => {
+  if (!loading || loading.audioContext !== audioContext) {
+    loading = { audioContext, promise: audioContext.audioWorklet.addModule(processorUrl) };
+  }
+  return loading.promise;
+};
+
+export const semitonesToRatio = (semitones) => Math.pow(2, semitones / 12);
+
+/**
+ * Shift the pitch of everything played without changing its speed. Does nothing
+ * until the audio context exists, so call it again once it does.
+ * @param {number} ratio - Frequency ratio (1 leaves the pitch alone, 2 is an octave up)
+ */
+export const setPitchRatio = async (ratio) => {
+  pitchRatio = ratio;
+  const audioContext = getAudioContext();
+  if (!audioContext?.audioWorklet) return;
+
+  if (!node || node.context !== audioContext) {
+    if (ratio === 1) return;
+    try {
+      await loadProcessor(audioContext);
+    } catch (error) {
+      console.error('Error loading pitch shifter:', error);
+      loading = null;
+      return;
+    }
+    // Another call may have created the node while the module loaded
+    if (getAudioContext() !== audioContext) return;
+    if (!node || node.context !== audioContext) {
+      node = new AudioWorkletNode(audioContext, 'pitch-shifter');
+      setInsert(INSERT_ID, { input: node, output: node }, INSERT_ORDER);
+    }
+  }
+
+  node.parameters.get('pitchRatio').setValueAtTime(pitchRatio, audioContext.currentTime);
+};
@@ -0,0 +1,176 @@
+// Play queue model: an explicit up-next list in front of the playing context
+// (library or playlist), a played history and a stable shuffle permutation.
+// Every function here is pure; usePlayQueue holds the state.
+import { createId } from '../lib/utils.js';
+
+// Played entries kept for "previous"
+export const HISTORY_LIMIT = 100;
+
+/**
+ * Create an empty queue state
+ * @param {Object} overrides - Fields to start from (e.g. a restored session)
+ */
+export const createQueueState = (overrides = {}) => ({
+  currentId: null,
+  // Whether the current track came from the up-next list rather than the context
+  currentFromQueue: false,
+  // Last context track played; the context resumes after it once the queue drains
+  anchorId: null,
+  upNext: [], // [{ key, trackId }]
+  history: [], // [{ trackId, fromQueue }], oldest first
+  forward: [], // Entries stepped back over with "previous", replayed first by "next"
+  shuffleOrder: [],
+  ...overrides
+});
+
+/**
+ * Fisher-Yates shuffle of track ids
+ * @param {string[]} ids - Ids to shuffle
+ * @param {string|null} firstId - Id to keep at the front (usually the playing track)
+ */
+export const shuffleIds = (ids, firstId = null) => {
+  const order = ids.filter((id) => id !== firstId);
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  return ids.includes(firstId) ? [firstId, ...order] : order;
+};
+
+/**
+ * Keep an existing shuffle order in step with the context: removed ids are
+ * dropped and new ids are shuffled in after the existing ones.
+ * Returns the same array when nothing changed.
+ */
+export const reconcileShuffleOrder = (order, ids) => {
+  const available = new Set(ids);
+  const kept = order.filter((id) => available.has(id));
+  const keptSet = new Set(kept);
+  const added = ids.filter((id) => !keptSet.has(id));
+  if (!added.length && kept.length === order.length) return order;
+  return [...kept, ...shuffleIds(added)];
+};
+
+export const toQueueEntries = (trackIds) => trackIds.map((trackId) => ({ key: createId('queue'), trackId }));
+
+/**
+ * Put tracks at the front of the up-next list, in the order given
+ */
+export const queueNext = (state, trackIds) => ({ ...state, upNext: [...toQueueEntries(trackIds), ...state.upNext] });
+
+/**
+ * Put tracks at the end of the up-next list
+ */
+export const queueLast = (state, trackIds) => ({ ...state, upNext: [...state.upNext, ...toQueueEntries(trackIds)] });
+
+const getContextOrder = (state, { trackIds, isShuffled }) => (
+  isShuffled && state.shuffleOrder.length ? state.shuffleOrder : trackIds
+);
+
+const getAnchor = (state) => (state.currentFromQueue ? state.anchorId : state.currentId);
+
+const getContextIndex = (state, order) => order.indexOf(getAnchor(state));
+
+/**
+ * Work out what plays after the current track, without changing anything
+ * @param {Object} state - Queue state
+ * @param {Object} options - { trackIds, isShuffled, isAvailable, wrap }
+ * @returns {Object|null} { trackId, fromQueue, source: 'forward'|'queue'|'context', key? }
+ */
+export const peekNext = (state, { trackIds, isShuffled, isAvailable, wrap = true }) => {
+  const forward = state.forward.find((entry) => isAvailable(entry.trackId));
+  if (forward) return { ...forward, source: 'forward' };
+
+  const queued = state.upNext.find((entry) => isAvailable(entry.trackId));
+  if (queued) return { trackId: queued.trackId, key: queued.key, fromQueue: true, source: 'queue' };
+
+  const order = getContextOrder(state, { trackIds, isShuffled });
+  if (!order.length) return null;
+  const index = getContextIndex(state, order);
+  let trackId = null;
+  if (index === -1) trackId = order[0];
+  else if (index < order.length - 1) trackId = order[index + 1];
+  else if (wrap) trackId = order[0];
+  return trackId ? { trackId, fromQueue: false, source: 'context' } : null;
+};
+
+const pushHistory = (state) => {
+  if (!state.currentId) return state.history;
+  return [...state.history, { trackId: state.currentId, fromQueue: state.currentFromQueue }]
+    .slice(-HISTORY_LIMIT);
+};
+
+/**
+ * Move to an item returned by peekNext
+ */
+export const advance = (state, next) => ({
+  ...state,
+  history: pushHistory(state),
+  forward: next.source === 'forward'
+    ? state.forward.slice(state.forward.findIndex((entry) => entry.trackId === next.trackId) + 1)
+    : state.forward,
+  upNext: next.source === 'queue' ? state.upNext.filter((entry) => entry.key !== next.key) : state.upNext,
+  currentId: next.trackId,
+  currentFromQueue: next.fromQueue,
+  anchorId: next.fromQueue ? getAnchor(state) : next.trackId
+});
+
+/**
+ * Work out what "previous" goes back to: the last played track, or the one before
+ * the current track in the context when there is no history
+ */
+export const peekPrevious = (state, { trackIds, isShuffled, isAvailable }) => {
+  for (let i = state.history.length - 1; i >= 0; i--) {
+    if (isAvailable(state.history[i].trackId)) {
+      return { ...state.history[i], index: i, source: 'history' };
+    }
+  }
+
+  const order = getContextOrder(state, { trackIds, isShuffled });
+  if (!order.length) return null;
+  const index = getContextIndex(state, order);
+  const trackId = order[index > 0 ? index - 1 : order.length - 1];
+  return { trackId, fromQueue: false, source: 'context' };
+};
+
+/**
+ * Move to an item returned by peekPrevious. Going back through history remembers
+ * the current track so "next" returns to it.
+ */
+export const retreat = (state, previous) => {
+  const fromHistory = previous.source === 'history';
+  return {
+    ...state,
+    history: fromHistory ? state.history.slice(0, previous.index) : state.history,
+    forward: fromHistory && state.currentId
+      ? [{ trackId: state.currentId, fromQueue: state.currentFromQueue }, ...state.forward]
+      : state.forward,
+    currentId: previous.trackId,
+    currentFromQueue: previous.fromQueue,
+    anchorId: previous.fromQueue ? getAnchor(state) : previous.trackId
+  };
+};
+
+/**
+ * Play a context track directly (e.g. picked from the track list)
+ */
+export const jumpTo = (state, trackId) => ({
+  ...state,
+  history: trackId === state.currentId ? state.history : pushHistory(state),
+  forward: [],
+  currentId: trackId,
+  currentFromQueue: false,
+  anchorId: trackId
+});
+
+/**
+ * Upcoming context tracks after the anchor, for display
+ * @param {Object} options - { trackIds, isShuffled, wrap, limit }
+ */
+export const getUpcomingContext = (state, { trackIds, isShuffled, wrap = false, limit = 50 }) => {
+  const order = getContextOrder(state, { trackIds, isShuffled });
+  const index = getContextIndex(state, order);
+  const after = order.slice(index + 1);
+  const upcoming = wrap && index !== -1 ? [...after, ...order.slice(0, index + 1)] : after;
+  return upcoming.slice(0, limit);
+};
@@ -0,0 +1,659 @@
+// Playback engine: decoded tracks on two decks, joined sample-accurately
+//
+//   deck source (AudioBufferSourceNode) -> deck gain -> engine input bus
+//
+// The current track plays on one deck. As soon as the next queue item is decoded it
+// is scheduled on the other deck to start on the exact sample the current one ends,
+// so consecutive tracks play without a gap. With crossfade on, the next track starts
+// earlier instead and the two deck gains follow mirrored fade curves. Decks then swap
+// roles. Both decks feed the same input bus, so the analyser hears the mix.
+//
+// Each track can play at its own speed (source playbackRate). Positions are kept in
+// track time, so context time runs `rate` times slower or faster than the track.
+//
+// An A-B loop on the current track uses the source's own loop points, so it repeats
+// sample-accurately and the track never reaches its end (nothing is scheduled after it).
+import {
+  initializeAudioContext,
+  getAudioContext,
+  getInputNode,
+  resumeAudioContext
+} from './audioContext';
+import { decodeTrack } from './trackDecoder';
+
+const TIME_UPDATE_INTERVAL = 250;
+
+export const MAX_CROSSFADE = 12;
+
+/**
+ * Crossfade curves: gain of the incoming track for x in [0, 1]. The outgoing track
+ * follows the mirror image, so equal-power keeps the summed power constant.
+ */
+export const CROSSFADE_CURVES = {
+  linear: (x) => x,
+  'equal-power': (x) => Math.sin((x * Math.PI) / 2),
+  's-curve': (x) => (1 - Math.cos(Math.PI * x)) / 2
+};
+
+const CURVE_POINTS = 128;
+// Manual skips fade the previous track out this quickly instead of cutting it off
+const SKIP_FADE = 0.5;
+// Keeps a track's fade-in and fade-out automation from overlapping
+const FADE_MARGIN = 0.05;
+// Lead time for anything scheduled "now", so automation never lands in the past
+const SCHEDULE_AHEAD = 0.02;
+// Count-in clicks: length in seconds and pitch of the first and remaining beats
+const CLICK_LENGTH = 0.05;
+const CLICK_FREQUENCIES = [1760, 880];
+
+let decks = null; // [{ gain }, { gain }]
+let current = null; // Entry for the track being played
+let upcoming = null; // Entry for the track that follows it
+let outgoing = null; // Entry still fading out after a crossfade or skip
+let status = 'idle'; // 'idle' | 'loading' | 'paused' | 'playing' | 'error'
+let position = 0; // Seconds into the current track when it was last started or paused
+let startedAt = 0; // Context time at which `position` is heard
+let autoPlay = false;
+let lastError = null;
+let timer = null;
+let promoteTimer = null;
+let crossfade = { duration: 0, curve: 'equal-power' };
+let loop = null; // { trackId, start, end, countIn: { beats, tempo } }
+let loopCount = 0; // Passes completed since the loop started playing
+let clicks = []; // Count-in oscillators still scheduled
+
+// Playback rate per track id; tracks not listed play at 1
+const rates = new Map();
+
+const listeners = new Set();
+let snapshot = null;
+
+// Listeners get every event; anything but a time update may change the snapshot
+const emit = (event) => {
+  if (event.type !== 'timeupdate') snapshot = null;
+  listeners.forEach((listener) => {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error('Playback listener error:', error);
+    }
+  });
+};
+
+const ensureDecks = () => {
+  initializeAudioContext();
+  const audioContext = getAudioContext();
+  if (!decks || decks[0].gain.context !== audioContext) {
+    decks = [0, 1].map(() => {
+      const gain = audioContext.createGain();
+      gain.connect(getInputNode());
+      return { gain };
+    });
+  }
+  return decks;
+};
+
+const getOtherDeck = (deck) => (deck === decks[0] ? decks[1] : decks[0]);
+
+// The loop only applies while its track is current
+const getActiveLoop = () => (loop && current?.track.id === loop.trackId ? loop : null);
+
+// Rebase the position on each pass through the loop, so every pass is counted once
+const checkLoopPass = () => {
+  const activeLoop = getActiveLoop();
+  if (!activeLoop || status !== 'playing') return;
+  const now = getAudioContext().currentTime;
+  const time = position + Math.max(0, now - startedAt) * current.rate;
+  if (time < activeLoop.end) return;
+
+  position = getPlaybackTime();
+  startedAt = now;
+  loopCount += Math.floor((time - activeLoop.start) / (activeLoop.end - activeLoop.start));
+  emit({ type: 'loop', trackId: current.track.id, count: loopCount });
+};
+
+const startTimer = () => {
+  if (timer) return;
+  timer = setInterval(() => {
+    checkLoopPass();
+    emit({ type: 'timeupdate', time: getPlaybackTime() });
+  }, TIME_UPDATE_INTERVAL);
+};
+
+const stopTimer = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+const createFadeCurve = (fadeIn) => {
+  const shape = CROSSFADE_CURVES[crossfade.curve];
+  const values = new Float32Array(CURVE_POINTS);
+  for (let i = 0; i < CURVE_POINTS; i++) {
+    const x = i / (CURVE_POINTS - 1);
+    values[i] = shape(fadeIn ? x : 1 - x);
+  }
+  return values;
+};
+
+// Drop a deck's automation and set its level right away
+const resetDeckGain = (deck, value) => {
+  const { gain } = deck.gain;
+  gain.cancelScheduledValues(0);
+  gain.setValueAtTime(value, getAudioContext().currentTime);
+};
+
+const startSource = (entry, when, offset) => {
+  const source = getAudioContext().createBufferSource();
+  const activeLoop = entry === current ? getActiveLoop() : null;
+  source.buffer = entry.decoded.buffer;
+  source.playbackRate.value = entry.rate;
+  source.connect(entry.deck.gain);
+  source.onended = () => handleSourceEnded(entry, source);
+  if (activeLoop) {
+    source.loop = true;
+    source.loopStart = entry.decoded.start + activeLoop.start;
+    source.loopEnd = entry.decoded.start + activeLoop.end;
+    source.start(when, entry.decoded.start + offset);
+  } else {
+    source.start(when, entry.decoded.start + offset, entry.decoded.duration - offset);
+  }
+  entry.source = source;
+};
+
+const stopSource = (entry) => {
+  if (!entry?.source) return;
+  entry.source.onended = null;
+  try {
+    entry.source.stop();
+  } catch {
+    // Already stopped
+  }
+  entry.source.disconnect();
+  entry.source = null;
+};
+
+const releaseOutgoing = () => {
+  stopSource(outgoing);
+  outgoing = null;
+};
+
+// Metronome clicks into the input bus ahead of a loop
+const scheduleCountIn = (startAt, { beats, tempo }) => {
+  const audioContext = getAudioContext();
+  const interval = 60 / tempo;
+
+  for (let beat = 0; beat < beats; beat++) {
+    const when = startAt + beat * interval;
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+    oscillator.frequency.value = CLICK_FREQUENCIES[beat === 0 ? 0 : 1];
+    gain.gain.setValueAtTime(0.5, when);
+    gain.gain.exponentialRampToValueAtTime(0.001, when + CLICK_LENGTH);
+    oscillator.connect(gain).connect(getInputNode());
+    oscillator.onended = () => gain.disconnect();
+    oscillator.start(when);
+    oscillator.stop(when + CLICK_LENGTH);
+    clicks.push(oscillator);
+  }
+  return startAt + beats * interval;
+};
+
+const cancelCountIn = () => {
+  clicks.forEach((oscillator) => {
+    try {
+      oscillator.stop();
+    } catch {
+      // Already stopped
+    }
+  });
+  clicks = [];
+};
+
+// Manual skips: fade the playing track out briefly on its own deck
+const fadeOutCurrent = () => {
+  const now = getAudioContext().currentTime;
+  const length = Math.min(crossfade.duration, SKIP_FADE);
+  const { gain } = current.deck.gain;
+
+  if (gain.cancelAndHoldAtTime) {
+    gain.cancelAndHoldAtTime(now);
+  } else {
+    const value = gain.value;
+    gain.cancelScheduledValues(0);
+    gain.setValueAtTime(value, now);
+  }
+  gain.linearRampToValueAtTime(0, now + length);
+  current.source.stop(now + length);
+  current.endAt = now + length;
+  outgoing = current;
+};
+
+// Start the next track on the other deck: exactly when the current one runs out, or
+// earlier by the crossfade length with both decks fading
+const scheduleUpcoming = () => {
+  if (status !== 'playing' || !upcoming?.decoded || upcoming.source || getActiveLoop()) return;
+
+  const now = getAudioContext().currentTime;
+  const endAt = startedAt + (current.decoded.duration - position) / current.rate;
+  // Repeating a track loops it seamlessly rather than fading it into itself
+  const fade = upcoming.track.id === current.track.id
+    ? 0
+    : Math.max(0, Math.min(
+      crossfade.duration,
+      current.decoded.duration / current.rate / 2 - FADE_MARGIN,
+      upcoming.decoded.duration / upcoming.rate / 2 - FADE_MARGIN
+    ));
+  // If decoding finished too late to join seamlessly, start as soon as possible
+  const startAt = Math.max(endAt - fade, now + SCHEDULE_AHEAD);
+  const fadeLength = fade > 0 ? endAt - startAt : 0;
+
+  current.endAt = endAt;
+  upcoming.startAt = startAt;
+  upcoming.deck = getOtherDeck(current.deck);
+
+  // The other deck may still carry the tail of the last crossfade or skip. Let it
+  // finish when it ends in time; otherwise cut it and start the deck clean.
+  const incoming = upcoming.deck.gain.gain;
+  if (outgoing?.deck === upcoming.deck && outgoing.endAt <= startAt) {
+    incoming.cancelScheduledValues(startAt);
+  } else {
+    if (outgoing?.deck === upcoming.deck) releaseOutgoing();
+    resetDeckGain(upcoming.deck, 0);
+  }
+
+  if (fadeLength > SCHEDULE_AHEAD) {
+    incoming.setValueCurveAtTime(createFadeCurve(true), startAt, fadeLength);
+    current.deck.gain.gain.setValueCurveAtTime(createFadeCurve(false), startAt, fadeLength);
+  } else {
+    incoming.setValueAtTime(1, startAt);
+  }
+  startSource(upcoming, startAt, 0);
+
+  // The upcoming track becomes current as soon as it is heard
+  const entry = upcoming;
+  promoteTimer = setTimeout(() => {
+    if (upcoming === entry && entry.source) promoteUpcoming();
+  }, (startAt - now) * 1000);
+};
+
+// Cancel a scheduled transition, including the current track's planned fade-out
+const unscheduleUpcoming = () => {
+  clearTimeout(promoteTimer);
+  promoteTimer = null;
+  if (!upcoming?.source) return;
+  stopSource(upcoming);
+  current.deck.gain.gain.cancelScheduledValues(upcoming.startAt);
+};
+
+// Timers lag behind the audio clock (e.g. in background tabs), so catch up on a
+// transition that has already started before changing anything
+const syncPromotion = () => {
+  if (upcoming?.source && getAudioContext().currentTime >= upcoming.startAt) promoteUpcoming();
+};
+
+const createEntry = (track) => {
+  const entry = {
+    track,
+    decoded: null,
+    error: null,
+    deck: null,
+    source: null,
+    rate: rates.get(track.id) ?? 1,
+    startAt: 0,
+    endAt: 0
+  };
+  decodeTrack(track).then(
+    (decoded) => {
+      entry.decoded = decoded;
+      handleDecoded(entry);
+    },
+    (error) => {
+      entry.error = error;
+      handleDecodeError(entry);
+    }
+  );
+  return entry;
+};
+
+const handleDecoded = (entry) => {
+  if (entry === current && status === 'loading') {
+    status = 'paused';
+    position = Math.min(position, entry.decoded.duration);
+    emit({ type: 'loaded', trackId: entry.track.id, duration: entry.decoded.duration });
+    if (autoPlay) resumePlayback();
+  } else if (entry === upcoming) {
+    scheduleUpcoming();
+    emit({ type: 'statechange' });
+  }
+};
+
+const handleDecodeError = (entry) => {
+  console.error('Error decoding track:', entry.error);
+  // A failed upcoming track reports its error once it becomes current
+  if (entry !== current) return;
+  status = 'error';
+  lastError = entry.error;
+  stopTimer();
+  emit({ type: 'error', trackId: entry.track.id, error: entry.error });
+};
+
+// Make the upcoming entry current, either as it starts or once the current one ran out
+const promoteUpcoming = () => {
+  clearTimeout(promoteTimer);
+  promoteTimer = null;
+
+  const previous = current;
+  current = upcoming;
+  upcoming = null;
+  position = 0;
+
+  if (current.source) {
+    startedAt = current.startAt;
+    // Still fading out (or playing its last samples)
+    if (previous.source) {
+      releaseOutgoing();
+      outgoing = previous;
+    }
+  } else if (current.error) {
+    status = 'error';
+    lastError = current.error;
+    stopTimer();
+  } else {
+    // Not scheduled yet (still decoding): carry on as soon as it is ready
+    status = 'loading';
+    autoPlay = true;
+    stopTimer();
+  }
+
+  emit({ type: 'trackchange', trackId: current.track.id, previousTrackId: previous.track.id });
+  if (status === 'error') emit({ type: 'error', trackId: current.track.id, error: lastError });
+  if (status === 'loading' && current.decoded) handleDecoded(current);
+};
+
+const handleSourceEnded = (entry, source) => {
+  if (entry === outgoing && entry.source === source) {
+    releaseOutgoing();
+    return;
+  }
+  if (entry !== current || entry.source !== source) return;
+  entry.source = null;
+
+  if (upcoming) {
+    promoteUpcoming();
+    return;
+  }
+
+  position = current.decoded.duration;
+  status = 'paused';
+  stopTimer();
+  emit({ type: 'ended', trackId: current.track.id });
+};
+
+/**
+ * Subscribe to playback events ({ type: 'statechange' | 'loaded' | 'play' | 'pause' |
+ * 'timeupdate' | 'trackchange' | 'ended' | 'loop' | 'error', ... })
+ * @param {Function} listener - Called with each event
+ * @returns {Function} Unsubscribe
+ */
+export const subscribePlayback = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Current playback state, stable between changes (for useSyncExternalStore)
+ */
+export const getPlaybackSnapshot = () => {
+  if (!snapshot) {
+    snapshot = {
+      trackId: current?.track.id ?? null,
+      status,
+      duration: current?.decoded?.duration ?? 0,
+      nextTrackId: upcoming?.track.id ?? null,
+      isNextReady: !!upcoming?.decoded,
+      error: lastError?.message ?? null
+    };
+  }
+  return snapshot;
+};
+
+/**
+ * Seconds into the current track
+ */
+export const getPlaybackTime = () => {
+  if (!current) return 0;
+  if (status !== 'playing') return position;
+  const elapsed = Math.max(0, getAudioContext().currentTime - startedAt);
+  const time = position + elapsed * current.rate;
+  const activeLoop = getActiveLoop();
+  if (activeLoop && time >= activeLoop.end) {
+    const length = activeLoop.end - activeLoop.start;
+    return activeLoop.start + ((time - activeLoop.start) % length);
+  }
+  return Math.min(time, current.decoded.duration);
+};
+
+/**
+ * Make a track current, decoding it if needed. While playing with crossfade on, the
+ * previous track fades out briefly instead of stopping.
+ * @param {Object} track - Track with `id` and `file` or `url`
+ * @param {Object} options - { autoplay, position } where position is in seconds
+ */
+export const loadPlaybackTrack = (track, { autoplay = false, position: startPosition = 0 } = {}) => {
+  const wasPlaying = status === 'playing';
+  if (wasPlaying) syncPromotion();
+  unscheduleUpcoming();
+  releaseOutgoing();
+  cancelCountIn();
+  if (wasPlaying && current.source && crossfade.duration > 0) {
+    fadeOutCurrent();
+  } else {
+    stopSource(current);
+  }
+  stopTimer();
+
+  // Reuse the pre-decoded upcoming entry when skipping to it; otherwise the upcoming
+  // track stays decoded and is rescheduled once playback starts
+  const reuseUpcoming = upcoming && upcoming.track.id === track.id && !upcoming.error;
+  current = reuseUpcoming ? upcoming : createEntry(track);
+  if (reuseUpcoming) upcoming = null;
+  position = startPosition;
+  autoPlay = autoplay;
+  lastError = null;
+  status = 'loading';
+  emit({ type: 'statechange' });
+
+  if (current.decoded) handleDecoded(current);
+};
+
+/**
+ * Start or resume the current track. While it is still decoding, playback starts
+ * as soon as it is ready.
+ */
+export const resumePlayback = async () => {
+  if (!current) return;
+  if (status === 'loading') {
+    autoPlay = true;
+    return;
+  }
+  if (status !== 'paused') return;
+
+  ensureDecks();
+  await resumeAudioContext();
+  if (status !== 'paused') return;
+
+  autoPlay = false;
+  // Stay off the deck a skipped track is still fading out on
+  current.deck = outgoing ? getOtherDeck(outgoing.deck) : current.deck || decks[0];
+  resetDeckGain(current.deck, 1);
+  if (position >= current.decoded.duration) position = 0;
+  startedAt = getAudioContext().currentTime;
+
+  // A loop starts from A, after the count-in when there is one
+  const activeLoop = getActiveLoop();
+  loopCount = 0;
+  if (activeLoop && (activeLoop.countIn.beats > 0 || position >= activeLoop.end)) {
+    position = activeLoop.start;
+    startedAt = scheduleCountIn(startedAt + SCHEDULE_AHEAD, activeLoop.countIn);
+  }
+  startSource(current, startedAt, position);
+  status = 'playing';
+  startTimer();
+  emit({ type: 'play' });
+  scheduleUpcoming();
+};
+
+export const pausePlayback = () => {
+  if (status === 'loading') {
+    autoPlay = false;
+    return;
+  }
+  if (status !== 'playing') return;
+
+  syncPromotion();
+  position = getPlaybackTime();
+  unscheduleUpcoming();
+  releaseOutgoing();
+  cancelCountIn();
+  stopSource(current);
+  status = 'paused';
+  stopTimer();
+  emit({ type: 'pause' });
+};
+
+/**
+ * Jump to a position in the current track
+ * @param {number} time - Seconds
+ */
+export const seekPlayback = (time) => {
+  if (!current) return;
+  if (status === 'playing') syncPromotion();
+  position = Math.max(0, Math.min(time, current.decoded?.duration ?? time));
+  // Past B the loop would only come round after the end of the track
+  const activeLoop = getActiveLoop();
+  if (activeLoop && position >= activeLoop.end) position = activeLoop.start;
+
+  if (status === 'playing') {
+    unscheduleUpcoming();
+    releaseOutgoing();
+    cancelCountIn();
+    stopSource(current);
+    resetDeckGain(current.deck, 1);
+    startedAt = getAudioContext().currentTime;
+    startSource(current, startedAt, position);
+    scheduleUpcoming();
+  }
+  emit({ type: 'timeupdate', time: position });
+};
+
+/**
+ * Tell the engine what follows the current track so it can be decoded and
+ * scheduled ahead of time. Pass the current track again to repeat it; null to stop.
+ * @param {Object|null} track - Next track
+ */
+export const setNextPlaybackTrack = (track) => {
+  if (status === 'playing') syncPromotion();
+  if ((upcoming?.track.id ?? null) === (track?.id ?? null)) return;
+  unscheduleUpcoming();
+  upcoming = track ? createEntry(track) : null;
+  emit({ type: 'statechange' });
+};
+
+/**
+ * Set the playback speed of a track (pitch follows it). Applies immediately when the
+ * track is playing and is remembered for later loads.
+ * @param {string} trackId - Track id
+ * @param {number} rate - Speed factor, 1 for normal
+ */
+export const setTrackPlaybackRate = (trackId, rate) => {
+  if ((rates.get(trackId) ?? 1) === rate) return;
+  rates.set(trackId, rate);
+  if (status === 'playing') syncPromotion();
+
+  if (current?.track.id === trackId) {
+    if (status === 'playing') {
+      const now = getAudioContext().currentTime;
+      // Rebase the position so time already played keeps its old rate. During a
+      // count-in nothing has played yet, so the source just starts at the new rate.
+      if (startedAt <= now) {
+        position = getPlaybackTime();
+        startedAt = now;
+      }
+      current.source.playbackRate.setValueAtTime(rate, startedAt);
+    }
+    current.rate = rate;
+  }
+  if (upcoming?.track.id === trackId) upcoming.rate = rate;
+
+  // The current track now ends at a different time (or the next one plays differently)
+  if (status === 'playing' && upcoming?.source) {
+    unscheduleUpcoming();
+    scheduleUpcoming();
+  }
+};
+
+/**
+ * Loop a region of a track. Takes effect whenever that track is current; moving the
+ * loop points of a playing loop does not interrupt it.
+ * @param {Object|null} region - { trackId, start, end } in seconds and optionally
+ *   { countIn: { beats, tempo } } clicked before the loop starts playing; null to stop
+ */
+export const setPlaybackLoop = (region) => {
+  if (status === 'playing') syncPromotion();
+  const wasActive = !!getActiveLoop();
+  const isValid = region && region.end > region.start;
+  loop = isValid
+    ? { ...region, countIn: { beats: 0, tempo: 120, ...region.countIn } }
+    : null;
+
+  const activeLoop = getActiveLoop();
+  if (status !== 'playing' || (!wasActive && !activeLoop)) return;
+
+  const time = getPlaybackTime();
+  if (wasActive && activeLoop && current.source && time < activeLoop.end) {
+    // Keep playing and let the source pick up the new loop points
+    position = time;
+    startedAt = getAudioContext().currentTime;
+    current.source.loopStart = current.decoded.start + activeLoop.start;
+    current.source.loopEnd = current.decoded.start + activeLoop.end;
+    return;
+  }
+  if (!activeLoop) loopCount = 0;
+  // Restart the source looped or unlooped (this also schedules the next track again)
+  seekPlayback(time);
+};
+
+/**
+ * Configure crossfading between consecutive tracks
+ * @param {Object} options - { duration } in seconds (0 plays gaplessly) and
+ *   { curve } as a key of CROSSFADE_CURVES
+ */
+export const setCrossfade = ({ duration = crossfade.duration, curve = crossfade.curve } = {}) => {
+  crossfade = {
+    duration: Math.max(0, Math.min(MAX_CROSSFADE, duration)),
+    curve: CROSSFADE_CURVES[curve] ? curve : 'equal-power'
+  };
+
+  // Reschedule a pending transition with the new settings
+  if (status === 'playing' && upcoming?.source) {
+    syncPromotion();
+    unscheduleUpcoming();
+    scheduleUpcoming();
+  }
+};
+
+/**
+ * Stop playback and forget the loaded tracks
+ */
+export const stopPlayback = () => {
+  unscheduleUpcoming();
+  releaseOutgoing();
+  cancelCountIn();
+  stopSource(current);
+  stopTimer();
+  current = null;
+  upcoming = null;
+  position = 0;
+  status = 'idle';
+  emit({ type: 'statechange' });
+};
@@ -0,0 +1,258 @@
+// M3U/M3U8 and PLS playlist parsing, serialization and path resolution
+import { getRelativePath } from './fileImport.js';
+
+export const PLAYLIST_EXTENSIONS = ['m3u', 'm3u8', 'pls'];
+
+const getExtension = (name) => {
+  const dot = name.lastIndexOf('.');
+  return dot === -1 ? '' : name.slice(dot + 1).toLowerCase();
+};
+
+const isUrl = (path) => /^[a-z][a-z0-9+.-]*:\/\//i.test(path);
+
+/**
+ * Check whether a file is a playlist we can read
+ * @param {File} file - Candidate file
+ */
+export const isPlaylistFile = (file) => PLAYLIST_EXTENSIONS.includes(getExtension(file.name));
+
+// "Artist - Title" -> { artist, title }
+const splitDisplayTitle = (text) => {
+  const separator = text.indexOf(' - ');
+  if (separator === -1) return { artist: null, title: text.trim() || null };
+  return { artist: text.slice(0, separator).trim(), title: text.slice(separator + 3).trim() };
+};
+
+/**
+ * Parse an extended or plain M3U playlist
+ * @param {string} text - File contents
+ * @returns {Object[]} Entries: { path, title, artist, duration } (duration in seconds or null)
+ */
+export const parseM3U = (text) => {
+  const entries = [];
+  let pending = null;
+
+  text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((rawLine) => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    if (line.startsWith('#EXTINF:')) {
+      const info = line.slice(8);
+      const comma = info.indexOf(',');
+      // Attributes like tvg-id="..." may sit between the duration and the comma
+      const duration = parseFloat(info.slice(0, comma === -1 ? undefined : comma));
+      pending = {
+        duration: duration >= 0 ? duration : null,
+        ...splitDisplayTitle(comma === -1 ? '' : info.slice(comma + 1))
+      };
+      return;
+    }
+    if (line.startsWith('#')) return;
+
+    entries.push({ title: null, artist: null, duration: null, ...pending, path: line });
+    pending = null;
+  });
+
+  return entries;
+};
+
+/**
+ * Parse a PLS playlist
+ * @param {string} text - File contents
+ * @returns {Object[]} Entries: { path, title, artist, duration }
+ */
+export const parsePLS = (text) => {
+  const fields = {};
+
+  text.split(/\r?\n/).forEach((rawLine) => {
+    const match = rawLine.trim().match(/^(File|Title|Length)(\d+)\s*=\s*(.*)$/i);
+    if (!match) return;
+    const index = parseInt(match[2], 10);
+    fields[index] = fields[index] || {};
+    fields[index][match[1].toLowerCase()] = match[3].trim();
+  });
+
+  return Object.keys(fields)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .filter((index) => fields[index].file)
+    .map((index) => {
+      const { file, title, length } = fields[index];
+      const duration = parseFloat(length);
+      return {
+        path: file,
+        duration: duration >= 0 ? duration : null,
+        ...splitDisplayTitle(title || '')
+      };
+    });
+};
+
+/**
+ * Parse a playlist file by extension, falling back to sniffing the contents
+ * @param {string} name - File name
+ * @param {string} text - File contents
+ */
+export const parsePlaylist = (name, text) => {
+  const extension = getExtension(name);
+  if (extension === 'pls' || /^\s*\[playlist\]/i.test(text)) {
+    return parsePLS(text);
+  }
+  return parseM3U(text);
+};
+
+const formatDisplayTitle = (track) =>
+  track.artist && track.artist !== 'Unknown Artist' ? `${track.artist} - ${track.title}` : track.title;
+
+const getTrackSeconds = (track) => {
+  if (track.durationSeconds) return Math.round(track.durationSeconds);
+  const parts = String(track.duration || '').split(':').map(Number);
+  if (parts.some(isNaN) || parts.length < 2) return -1;
+  return parts.reduce((total, part) => total * 60 + part, 0);
+};
+
+// Local tracks are written by their imported relative path, remote ones by URL
+const getTrackLocation = (track) => (track.isLocal ? track.path || track.title : track.url);
+
+/**
+ * Serialize tracks as an extended M3U (UTF-8, i.e. M3U8)
+ * @param {Object[]} tracks - Tracks in play order
+ */
+export const serializeM3U = (tracks) => [
+  '#EXTM3U',
+  ...tracks.flatMap((track) => [
+    `#EXTINF:${getTrackSeconds(track)},${formatDisplayTitle(track)}`,
+    getTrackLocation(track)
+  ]),
+  ''
+].join('\n');
+
+/**
+ * Serialize tracks as a PLS playlist
+ * @param {Object[]} tracks - Tracks in play order
+ */
+export const serializePLS = (tracks) => [
+  '[playlist]',
+  ...tracks.flatMap((track, index) => [
+    `File${index + 1}=${getTrackLocation(track)}`,
+    `Title${index + 1}=${formatDisplayTitle(track)}`,
+    `Length${index + 1}=${getTrackSeconds(track)}`
+  ]),
+  `NumberOfEntries=${tracks.length}`,
+  'Version=2',
+  ''
+].join('\n');
+
+// Normalise separators, decode file:// URLs and collapse "." / ".." segments
+export const normalizePath = (path) => {
+  let value = path.trim();
+  if (/^file:\/\//i.test(value)) {
+    value = value.replace(/^file:\/\/(localhost)?/i, '');
+  }
+  try {
+    value = decodeURIComponent(value);
+  } catch {
+    // Leave undecodable paths as written
+  }
+
+  const segments = [];
+  value.replace(/\\/g, '/').split('/').forEach((segment) => {
+    if (!segment || segment === '.') return;
+    if (segment === '..') segments.pop();
+    else segments.push(segment);
+  });
+  return segments.join('/');
+};
+
+const getDirectory = (path) => {
+  const normalized = normalizePath(path);
+  const slash = normalized.lastIndexOf('/');
+  return slash === -1 ? '' : normalized.slice(0, slash);
+};
+
+/**
+ * Match playlist entries to known tracks. Relative entries are resolved against the
+ * playlist's own folder; absolute or foreign paths fall back to the longest matching
+ * path suffix, then to a unique file-name match.
+ * @param {Object[]} entries - Parsed playlist entries
+ * @param {Object[]} tracks - Tracks to match against (imported tracks carry `path`)
+ * @param {string} playlistPath - Relative path of the playlist file inside the dropped folder
+ * @returns {{matched: Object[], unmatched: Object[]}} Matched tracks in order, and entries left over
+ */
+export const resolvePlaylistEntries = (entries, tracks, playlistPath = '') => {
+  const baseDirectory = getDirectory(playlistPath);
+  const byUrl = new Map(tracks.filter((track) => !track.isLocal).map((track) => [track.url, track]));
+  const localTracks = tracks
+    .filter((track) => track.isLocal && track.path)
+    .map((track) => ({ track, path: normalizePath(track.path).toLowerCase() }));
+
+  const matched = [];
+  const unmatched = [];
+
+  entries.forEach((entry) => {
+    let track = null;
+
+    if (isUrl(entry.path) && !/^file:/i.test(entry.path)) {
+      track = byUrl.get(entry.path) || null;
+    } else {
+      const relative = normalizePath(baseDirectory ? `${baseDirectory}/${entry.path}` : entry.path).toLowerCase();
+      const absolute = normalizePath(entry.path).toLowerCase();
+
+      track = localTracks.find((item) => item.path === relative)?.track || null;
+
+      if (!track) {
+        const suffixMatches = localTracks.filter((item) =>
+          absolute === item.path || absolute.endsWith(`/${item.path}`) || item.path.endsWith(`/${absolute}`)
+        );
+        if (suffixMatches.length === 1) track = suffixMatches[0].track;
+      }
+
+      if (!track) {
+        const fileName = absolute.split('/').pop();
+        const nameMatches = localTracks.filter((item) => item.path.split('/').pop() === fileName);
+        if (nameMatches.length === 1) track = nameMatches[0].track;
+      }
+    }
+
+    if (track) matched.push(track);
+    else unmatched.push(entry);
+  });
+
+  return { matched, unmatched };
+};
+
+/**
+ * Read a playlist file and match its entries against the known tracks
+ * @param {File} file - Playlist file (may carry a relative path from a dropped folder)
+ * @param {Object[]} tracks - Tracks to match against
+ * @returns {Promise<{name: string, matched: Object[], unmatched: Object[]}>}
+ */
+export const readPlaylistFile = async (file, tracks) => {
+  const text = await file.text();
+  const entries = parsePlaylist(file.name, text);
+  const dot = file.name.lastIndexOf('.');
+  return {
+    name: dot > 0 ? file.name.slice(0, dot) : file.name,
+    ...resolvePlaylistEntries(entries, tracks, getRelativePath(file))
+  };
+};
+
+/**
+ * Offer a playlist to the user as a file download
+ * @param {Object[]} tracks - Tracks in play order
+ * @param {string} name - Base file name
+ * @param {'m3u'|'pls'} format - Output format
+ */
+export const downloadPlaylist = (tracks, name, format = 'm3u') => {
+  const isPls = format === 'pls';
+  const text = isPls ? serializePLS(tracks) : serializeM3U(tracks);
+  const blob = new Blob([text], { type: isPls ? 'audio/x-scpls' : 'audio/x-mpegurl' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${name.replace(/[\\/:*?"<>|]+/g, '_') || 'playlist'}.${isPls ? 'pls' : 'm3u8'}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
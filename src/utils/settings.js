@@ -0,0 +1,132 @@
+// Runtime settings: the analyser and visualizer parts of playerConfig, as defaults
+// the user can override from the settings panel
+import { playerConfig, visualizerThemes } from '../config/audioSamples';
+import { SCOPE_TIMEBASES, MIN_SCOPE_GAIN, MAX_SCOPE_GAIN } from './oscilloscope';
+import { SPECTROGRAM_SCALES } from './spectrogram';
+import { COLORMAPS } from './colormaps';
+import { MIN_PARTICLE_BUDGET, MAX_PARTICLE_BUDGET } from './particles';
+
+// Powers of two accepted by AnalyserNode.fftSize (32 to 32768); tiny sizes are useless here
+export const FFT_SIZES = [256, 512, 1024, 2048, 4096, 8192, 16384, 32768];
+
+export const MIN_DECIBELS = -140;
+export const MAX_DECIBELS = 0;
+// AnalyserNode rejects a decibel range where min is not below max
+const MIN_DECIBEL_SPAN = 10;
+
+export const SETTINGS_SECTIONS = ['analyser', 'visualizer'];
+
+// Visualizer modes in cycling order
+export const VISUALIZER_MODES = ['bars', 'circular', 'waveform', 'spectrogram', 'meters', 'goniometer', 'particles'];
+// Stereo displays that can also be drawn small on top of any mode
+export const VISUALIZER_OVERLAYS = ['meters', 'goniometer'];
+
+// How bars and circular are drawn, see src/renderers
+export const RENDERER_PREFERENCES = ['auto', 'webgl2', 'canvas2d'];
+
+/**
+ * Settings as configured in playerConfig
+ */
+export const DEFAULT_SETTINGS = {
+  analyser: { ...playerConfig.audioContext },
+  visualizer: {
+    ...playerConfig.visualizer,
+    theme: null, // Key of visualizerThemes; overrides the color scheme when set
+    mode: VISUALIZER_MODES[0],
+    autoCycle: false, // Move to the next mode on every track change
+    overlays: []
+  }
+};
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+// Keep stored or edited values inside what the audio graph and renderers accept
+const sanitize = ({ analyser, visualizer }) => {
+  const minDecibels = clamp(analyser.minDecibels, MIN_DECIBELS, MAX_DECIBELS - MIN_DECIBEL_SPAN);
+  const spectrogramMinDecibels = clamp(
+    visualizer.spectrogramMinDecibels,
+    MIN_DECIBELS,
+    MAX_DECIBELS - MIN_DECIBEL_SPAN
+  );
+  return {
+    analyser: {
+      ...analyser,
+      fftSize: FFT_SIZES.includes(analyser.fftSize) ? analyser.fftSize : DEFAULT_SETTINGS.analyser.fftSize,
+      smoothingTimeConstant: clamp(analyser.smoothingTimeConstant, 0, 0.99),
+      minDecibels,
+      maxDecibels: clamp(analyser.maxDecibels, minDecibels + MIN_DECIBEL_SPAN, MAX_DECIBELS)
+    },
+    visualizer: {
+      ...visualizer,
+      colorScheme: playerConfig.colorSchemes[visualizer.colorScheme]
+        ? visualizer.colorScheme
+        : DEFAULT_SETTINGS.visualizer.colorScheme,
+      theme: visualizerThemes[visualizer.theme] ? visualizer.theme : null,
+      mode: VISUALIZER_MODES.includes(visualizer.mode) ? visualizer.mode : VISUALIZER_MODES[0],
+      scopeTimebase: SCOPE_TIMEBASES.includes(visualizer.scopeTimebase)
+        ? visualizer.scopeTimebase
+        : DEFAULT_SETTINGS.visualizer.scopeTimebase,
+      scopeGain: clamp(visualizer.scopeGain, MIN_SCOPE_GAIN, MAX_SCOPE_GAIN),
+      spectrogramColormap: COLORMAPS.includes(visualizer.spectrogramColormap)
+        ? visualizer.spectrogramColormap
+        : DEFAULT_SETTINGS.visualizer.spectrogramColormap,
+      spectrogramScale: SPECTROGRAM_SCALES.includes(visualizer.spectrogramScale)
+        ? visualizer.spectrogramScale
+        : DEFAULT_SETTINGS.visualizer.spectrogramScale,
+      spectrogramMinDecibels,
+      spectrogramMaxDecibels: clamp(
+        visualizer.spectrogramMaxDecibels,
+        spectrogramMinDecibels + MIN_DECIBEL_SPAN,
+        MAX_DECIBELS
+      ),
+      renderer: RENDERER_PREFERENCES.includes(visualizer.renderer)
+        ? visualizer.renderer
+        : DEFAULT_SETTINGS.visualizer.renderer,
+      particleBudget: Math.round(clamp(visualizer.particleBudget, MIN_PARTICLE_BUDGET, MAX_PARTICLE_BUDGET)),
+      overlays: Array.isArray(visualizer.overlays)
+        ? VISUALIZER_OVERLAYS.filter((overlay) => visualizer.overlays.includes(overlay))
+        : []
+    }
+  };
+};
+
+/**
+ * Merge overrides section by section over the defaults
+ * @param {Object} overrides - Partial settings, e.g. { visualizer: { barCount: 32 } }
+ * @returns {Object} Complete, valid settings
+ */
+export const createSettings = (overrides = {}) => sanitize(Object.fromEntries(
+  SETTINGS_SECTIONS.map((section) => [
+    section,
+    { ...DEFAULT_SETTINGS[section], ...overrides?.[section] }
+  ])
+));
+
+/**
+ * Mode a number of steps away, wrapping around
+ * @param {string} mode - Current mode
+ * @param {number} step - 1 for the next mode, -1 for the previous one
+ */
+export const getSiblingMode = (mode, step = 1) => {
+  const index = VISUALIZER_MODES.indexOf(mode);
+  const count = VISUALIZER_MODES.length;
+  return VISUALIZER_MODES[(((index + step) % count) + count) % count];
+};
+
+/**
+ * Colors the visualizer draws with: the theme's bar colors, or the color scheme
+ * @param {Object} visualizer - Visualizer settings
+ * @returns {string[]} Hex colors, low to high frequencies
+ */
+export const getVisualizerPalette = (visualizer) => (
+  visualizerThemes[visualizer.theme]?.barColors || playerConfig.colorSchemes[visualizer.colorScheme]
+);
+
+/**
+ * Pick the palette color for a position
+ * @param {string[]} palette - Colors
+ * @param {number} fraction - Position from 0 to 1
+ */
+export const getPaletteColor = (palette, fraction) => (
+  palette[Math.min(palette.length - 1, Math.floor(fraction * palette.length))]
+);
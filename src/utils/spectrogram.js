@@ -0,0 +1,206 @@
+// Scrolling spectrogram
+//
+// Each analyser frame becomes one line of pixels in an offscreen ring buffer, so a
+// frame costs a single line of ImageData however long the history is, whatever the
+// fftSize. Drawing copies the buffer to the screen in two slices, oldest first.
+// Lines run top to bottom (time left to right), or left to right for the waterfall
+// (newest at the top).
+import { MIN_FREQUENCY, frequencyToBin } from './spectrum';
+import { getColormapLut } from './colormaps';
+
+export const SPECTROGRAM_SCALES = ['log', 'linear'];
+
+// Frequencies worth labelling on a log axis
+const LOG_TICKS = [50, 100, 200, 500, 1000, 2000, 5000, 10000, 20000];
+// Seconds between time labels; the first one leaving enough room is used
+const TIME_STEPS = [1, 2, 5, 10, 30, 60];
+const MIN_TICK_SPACING = 60; // px
+
+/**
+ * Frequency at a position along the frequency axis
+ * @param {number} position - 0 (lowest) to 1 (highest)
+ * @param {string} scale - 'log' or 'linear'
+ * @param {number} maxFrequency - Top of the axis in Hz
+ */
+export const axisToFrequency = (position, scale, maxFrequency) => (
+  scale === 'log'
+    ? MIN_FREQUENCY * Math.pow(maxFrequency / MIN_FREQUENCY, position)
+    : position * maxFrequency
+);
+
+/**
+ * Position of a frequency along the frequency axis, the inverse of axisToFrequency
+ */
+export const frequencyToAxis = (frequency, scale, maxFrequency) => (
+  scale === 'log'
+    ? Math.log(frequency / MIN_FREQUENCY) / Math.log(maxFrequency / MIN_FREQUENCY)
+    : frequency / maxFrequency
+);
+
+/**
+ * Frequencies to label along the axis
+ * @param {string} scale - 'log' or 'linear'
+ * @param {number} maxFrequency - Top of the axis in Hz
+ */
+export const getFrequencyTicks = (scale, maxFrequency) => {
+  if (scale === 'log') return LOG_TICKS.filter((frequency) => frequency < maxFrequency);
+  const step = maxFrequency > 12000 ? 5000 : 2000;
+  const ticks = [];
+  for (let frequency = step; frequency < maxFrequency; frequency += step) ticks.push(frequency);
+  return ticks;
+};
+
+/**
+ * Seconds between time labels so they stay readable
+ * @param {number} pixelsPerSecond - How fast the history scrolls
+ */
+export const getTimeStep = (pixelsPerSecond) => (
+  TIME_STEPS.find((step) => step * pixelsPerSecond >= MIN_TICK_SPACING) || TIME_STEPS[TIME_STEPS.length - 1]
+);
+
+export const formatFrequency = (frequency) => (
+  frequency >= 1000 ? `${frequency / 1000}k` : String(frequency)
+);
+
+const createBuffer = () => (
+  typeof OffscreenCanvas !== 'undefined'
+    ? new OffscreenCanvas(1, 1)
+    : document.createElement('canvas')
+);
+
+/**
+ * Create a spectrogram. Call update() once per frame, then draw().
+ * @returns {Object} { update(analyser, options), draw(ctx, x, y), getFrameInterval(), getMaxFrequency() }
+ *   where options are { width, height, waterfall, scale, colormap, minDecibels, maxDecibels }
+ */
+export const createSpectrogram = () => {
+  const buffer = createBuffer();
+  const bufferCtx = buffer.getContext('2d');
+  let sizeKey = '';
+  let layoutKey = '';
+  let line = null;
+  let history = 0;
+  let cursor = 0;
+  let waterfall = false;
+  // Fractional [from, to) bins per pixel along the frequency axis, lowest first
+  let binRanges = null;
+  let decibels = null;
+  let maxFrequency = 0;
+  let frameInterval = 1 / 60;
+  let lastTime = null;
+
+  const resize = (width, height) => {
+    buffer.width = width;
+    buffer.height = height;
+    history = waterfall ? height : width;
+    line = waterfall ? bufferCtx.createImageData(width, 1) : bufferCtx.createImageData(1, height);
+    cursor = 0;
+  };
+
+  const layout = (span, scale, sampleRate, fftSize) => {
+    maxFrequency = sampleRate / 2;
+    binRanges = new Float32Array(span * 2);
+    for (let p = 0; p < span; p++) {
+      binRanges[p * 2] = frequencyToBin(axisToFrequency(p / span, scale, maxFrequency), sampleRate, fftSize);
+      binRanges[p * 2 + 1] = frequencyToBin(axisToFrequency((p + 1) / span, scale, maxFrequency), sampleRate, fftSize);
+    }
+  };
+
+  // Loudest bin in range, so narrow peaks survive when many bins share a pixel
+  const levelAt = (from, to) => {
+    if (to - from < 1) {
+      const index = Math.min(decibels.length - 2, Math.floor((from + to) / 2));
+      const fraction = (from + to) / 2 - index;
+      return decibels[index] + (decibels[index + 1] - decibels[index]) * fraction;
+    }
+    let level = -Infinity;
+    const last = Math.min(decibels.length, Math.ceil(to));
+    for (let i = Math.floor(from); i < last; i++) {
+      if (decibels[i] > level) level = decibels[i];
+    }
+    return level;
+  };
+
+  const update = (analyser, {
+    width,
+    height,
+    waterfall: isWaterfall = false,
+    scale = 'log',
+    colormap = 'magma',
+    minDecibels = -110,
+    maxDecibels = -20
+  }) => {
+    width = Math.max(1, Math.floor(width));
+    height = Math.max(1, Math.floor(height));
+
+    const nextSizeKey = `${width}x${height}:${isWaterfall}`;
+    if (nextSizeKey !== sizeKey) {
+      sizeKey = nextSizeKey;
+      waterfall = isWaterfall;
+      resize(width, height);
+      layoutKey = '';
+    }
+
+    const span = waterfall ? width : height;
+    const { sampleRate } = analyser.context;
+    const nextLayoutKey = `${span}:${scale}:${sampleRate}:${analyser.fftSize}`;
+    if (nextLayoutKey !== layoutKey) {
+      layoutKey = nextLayoutKey;
+      layout(span, scale, sampleRate, analyser.fftSize);
+    }
+
+    if (decibels?.length !== analyser.frequencyBinCount) {
+      decibels = new Float32Array(analyser.frequencyBinCount);
+    }
+    analyser.getFloatFrequencyData(decibels);
+
+    const lut = getColormapLut(colormap);
+    const range = maxDecibels - minDecibels;
+    const pixels = line.data;
+    for (let p = 0; p < span; p++) {
+      const level = (levelAt(binRanges[p * 2], binRanges[p * 2 + 1]) - minDecibels) / range;
+      const color = Math.max(0, Math.min(255, Math.round(level * 255))) * 4;
+      // Low frequencies at the bottom of a column, on the left of a row
+      const offset = (waterfall ? p : span - 1 - p) * 4;
+      pixels[offset] = lut[color];
+      pixels[offset + 1] = lut[color + 1];
+      pixels[offset + 2] = lut[color + 2];
+      pixels[offset + 3] = 255;
+    }
+
+    if (waterfall) {
+      // Walk backwards so the newest row is always where drawing starts
+      cursor = (cursor - 1 + history) % history;
+      bufferCtx.putImageData(line, 0, cursor);
+    } else {
+      bufferCtx.putImageData(line, cursor, 0);
+      cursor = (cursor + 1) % history;
+    }
+
+    // Track how fast lines arrive, for the time axis
+    const now = performance.now() / 1000;
+    if (lastTime !== null) {
+      frameInterval += (Math.min(0.25, now - lastTime) - frameInterval) * 0.05;
+    }
+    lastTime = now;
+  };
+
+  const draw = (ctx, x, y) => {
+    if (!history) return;
+    const { width, height } = buffer;
+    if (waterfall) {
+      ctx.drawImage(buffer, 0, cursor, width, height - cursor, x, y, width, height - cursor);
+      if (cursor) ctx.drawImage(buffer, 0, 0, width, cursor, x, y + height - cursor, width, cursor);
+    } else {
+      ctx.drawImage(buffer, cursor, 0, width - cursor, height, x, y, width - cursor, height);
+      if (cursor) ctx.drawImage(buffer, 0, 0, cursor, height, x + width - cursor, y, cursor, height);
+    }
+  };
+
+  return {
+    update,
+    draw,
+    getFrameInterval: () => frameInterval,
+    getMaxFrequency: () => maxFrequency
+  };
+};
@@ -0,0 +1,193 @@
+// Spectrum analysis in real frequencies
+//
+// FFT bin i of an analyser covers i * sampleRate / fftSize Hz, so how many bins a
+// range of Hz spans depends on both. Everything here works in Hz and converts to
+// (fractional) bins for the analyser at hand; bands narrower than a bin read the
+// spectrum interpolated at their centre instead of borrowing a neighbour's bin.
+
+/**
+ * Named frequency ranges in Hz, shared by every visualization
+ */
+export const FREQUENCY_BANDS = {
+  sub: [20, 60],
+  bass: [60, 250],
+  lowMid: [250, 500],
+  mid: [500, 2000],
+  highMid: [2000, 4000],
+  presence: [4000, 6000],
+  brilliance: [6000, 20000]
+};
+
+export const MIN_FREQUENCY = 20;
+export const MAX_FREQUENCY = 20000;
+
+// Band layouts: 'log' spreads `count` bands evenly over the log axis, the others use
+// ISO-style centres spaced by an octave or a third of one around 1 kHz
+export const SPECTRUM_SCALES = ['log', 'octave', 'third-octave'];
+const BANDS_PER_OCTAVE = { octave: 1, 'third-octave': 3 };
+
+/**
+ * Centre frequency of an FFT bin
+ * @param {number} bin - Bin index
+ * @param {number} sampleRate - Context sample rate
+ * @param {number} fftSize - Analyser FFT size
+ */
+export const binToFrequency = (bin, sampleRate, fftSize) => (bin * sampleRate) / fftSize;
+
+/**
+ * Fractional bin index of a frequency
+ * @param {number} frequency - Frequency in Hz
+ * @param {number} sampleRate - Context sample rate
+ * @param {number} fftSize - Analyser FFT size
+ */
+export const frequencyToBin = (frequency, sampleRate, fftSize) => (frequency * fftSize) / sampleRate;
+
+/**
+ * Lay out spectrum bands between two frequencies
+ * @param {Object} options - { scale } from SPECTRUM_SCALES, { count } for 'log' and the
+ *   { minFrequency, maxFrequency } range
+ * @returns {Array<{low: number, center: number, high: number}>} Bands in Hz, low to high
+ */
+export const getBandEdges = ({
+  scale = 'log',
+  count = 64,
+  minFrequency = MIN_FREQUENCY,
+  maxFrequency = MAX_FREQUENCY
+} = {}) => {
+  const perOctave = BANDS_PER_OCTAVE[scale];
+
+  if (!perOctave) {
+    const ratio = Math.pow(maxFrequency / minFrequency, 1 / count);
+    return Array.from({ length: count }, (_, i) => {
+      const low = minFrequency * Math.pow(ratio, i);
+      return { low, center: low * Math.sqrt(ratio), high: low * ratio };
+    });
+  }
+
+  const halfBand = Math.pow(2, 1 / (2 * perOctave));
+  const first = Math.ceil(perOctave * Math.log2(minFrequency / 1000));
+  const last = Math.floor(perOctave * Math.log2(maxFrequency / 1000));
+  const bands = [];
+  for (let k = first; k <= last; k++) {
+    const center = 1000 * Math.pow(2, k / perOctave);
+    bands.push({ low: center / halfBand, center, high: center * halfBand });
+  }
+  return bands;
+};
+
+// Power of the spectrum at a fractional bin, interpolated between its neighbours
+const powerAt = (powers, bin) => {
+  const index = Math.max(0, Math.min(powers.length - 1, Math.floor(bin)));
+  const next = Math.min(powers.length - 1, index + 1);
+  const fraction = Math.max(0, Math.min(1, bin - index));
+  return powers[index] + (powers[next] - powers[index]) * fraction;
+};
+
+// Mean power over [from, to) in fractional bins; partly covered bins count partly
+const meanPower = (powers, from, to) => {
+  if (to - from <= 1) return powerAt(powers, (from + to) / 2);
+
+  let sum = 0;
+  let weight = 0;
+  const first = Math.max(0, Math.floor(from));
+  const last = Math.min(powers.length, Math.ceil(to));
+  for (let i = first; i < last; i++) {
+    const covered = Math.min(i + 1, to) - Math.max(i, from);
+    if (covered <= 0) continue;
+    sum += powers[i] * covered;
+    weight += covered;
+  }
+  return weight ? sum / weight : 0;
+};
+
+/**
+ * Average of byte frequency data over a range of fractional bins, weighting partly
+ * covered bins by how much of them is in range
+ * @param {Uint8Array} data - Byte frequency data
+ * @param {number} from - First bin (inclusive)
+ * @param {number} to - Last bin (exclusive)
+ */
+export const averageBins = (data, from, to) => meanPower(data, from, to);
+
+/**
+ * Create a spectrum processor. Call update() once per frame with the analyser, then
+ * read any number of band layouts and named energies from the same snapshot.
+ * @returns {Object} { update(analyser), getBands(options), getEnergy(range), getEnergies() }
+ *   where levels are 0 to 1 between the analyser's min and max decibels
+ */
+export const createSpectrumProcessor = () => {
+  let decibels = null;
+  let powers = null;
+  let sampleRate = 0;
+  let fftSize = 0;
+  let minDecibels = -100;
+  let maxDecibels = -30;
+  // Layout key -> { bands, values }
+  const layouts = new Map();
+
+  const toLevel = (power) => {
+    const db = power > 0 ? 10 * Math.log10(power) : -Infinity;
+    return Math.max(0, Math.min(1, (db - minDecibels) / (maxDecibels - minDecibels)));
+  };
+
+  const levelBetween = (low, high) => {
+    if (!powers) return 0;
+    return toLevel(meanPower(
+      powers,
+      frequencyToBin(low, sampleRate, fftSize),
+      frequencyToBin(high, sampleRate, fftSize)
+    ));
+  };
+
+  const update = (analyser) => {
+    if (!analyser) return false;
+    if (decibels?.length !== analyser.frequencyBinCount) {
+      decibels = new Float32Array(analyser.frequencyBinCount);
+      powers = new Float32Array(analyser.frequencyBinCount);
+    }
+    if (analyser.context.sampleRate !== sampleRate || analyser.fftSize !== fftSize) {
+      layouts.clear();
+    }
+    sampleRate = analyser.context.sampleRate;
+    fftSize = analyser.fftSize;
+    minDecibels = analyser.minDecibels;
+    maxDecibels = analyser.maxDecibels;
+
+    analyser.getFloatFrequencyData(decibels);
+    // Average in power, not in dB, so a loud bin is not diluted by quiet neighbours
+    for (let i = 0; i < decibels.length; i++) {
+      powers[i] = Math.pow(10, decibels[i] / 10);
+    }
+    return true;
+  };
+
+  const getBands = (options = {}) => {
+    const nyquist = sampleRate / 2 || MAX_FREQUENCY;
+    const resolved = {
+      ...options,
+      maxFrequency: Math.min(options.maxFrequency ?? MAX_FREQUENCY, nyquist)
+    };
+    const key = JSON.stringify(resolved);
+    let layout = layouts.get(key);
+    if (!layout) {
+      const bands = getBandEdges(resolved);
+      layout = { bands, values: new Float32Array(bands.length) };
+      layouts.set(key, layout);
+    }
+    layout.bands.forEach(({ low, high }, i) => {
+      layout.values[i] = levelBetween(low, high);
+    });
+    return layout.values;
+  };
+
+  const getEnergy = (range) => {
+    const [low, high] = typeof range === 'string' ? FREQUENCY_BANDS[range] : range;
+    return levelBetween(low, high);
+  };
+
+  const getEnergies = () => Object.fromEntries(
+    Object.keys(FREQUENCY_BANDS).map((name) => [name, getEnergy(name)])
+  );
+
+  return { update, getBands, getEnergy, getEnergies };
+};
@@ -0,0 +1,98 @@
+// Stereo level and phase analysis over left/right time-domain windows
+//
+// Levels are in dBFS. Peaks fall back at a fixed rate and the peak-hold marker
+// stays put for a while first, the way hardware meters behave; correlation is
+// +1 for mono, 0 for unrelated channels and -1 for channels in opposite phase.
+
+// Quietest level meters show
+export const METER_FLOOR = -60;
+// Scale ticks in dBFS
+export const METER_TICKS = [0, -6, -12, -18, -24, -36, -48];
+
+const PEAK_FALL_RATE = 24; // dB per second
+const PEAK_HOLD_TIME = 1.5; // seconds
+const CORRELATION_SMOOTHING = 0.3; // seconds
+// Below this energy per sample the channels count as silent and correlation rests at 0
+const SILENCE_ENERGY = 1e-8;
+
+/**
+ * Convert a linear amplitude to dBFS, clamped to the meter floor
+ * @param {number} amplitude - Linear amplitude, 1 is full scale
+ */
+export const toDecibels = (amplitude) => (
+  amplitude > 0 ? Math.max(METER_FLOOR, 20 * Math.log10(amplitude)) : METER_FLOOR
+);
+
+/**
+ * Map a level to a 0-1 meter position
+ * @param {number} db - Level in dBFS
+ */
+export const meterPosition = (db) => Math.max(0, Math.min(1, 1 - db / METER_FLOOR));
+
+/**
+ * Phase correlation of two channels
+ * @param {Float32Array} left - Left samples
+ * @param {Float32Array} right - Right samples
+ * @returns {number} -1 to 1, or 0 for silence
+ */
+export const getCorrelation = (left, right) => {
+  let lr = 0;
+  let ll = 0;
+  let rr = 0;
+  for (let i = 0; i < left.length; i++) {
+    lr += left[i] * right[i];
+    ll += left[i] * left[i];
+    rr += right[i] * right[i];
+  }
+  if (ll + rr < SILENCE_ENERGY * left.length) return 0;
+  if (!ll || !rr) return 0;
+  return Math.max(-1, Math.min(1, lr / Math.sqrt(ll * rr)));
+};
+
+/**
+ * Create a stereo meter. Call update() once per frame with the latest windows.
+ * @returns {Object} { update(left, right, time), reading } where reading is
+ *   { peak: [l, r], rms: [l, r], hold: [l, r], correlation }
+ */
+export const createStereoMeter = () => {
+  const reading = {
+    peak: [METER_FLOOR, METER_FLOOR],
+    rms: [METER_FLOOR, METER_FLOOR],
+    hold: [METER_FLOOR, METER_FLOOR],
+    correlation: 0
+  };
+  const holdSince = [0, 0];
+  let lastTime = null;
+
+  const update = (left, right, time = performance.now() / 1000) => {
+    const elapsed = lastTime === null ? 0 : Math.max(0, time - lastTime);
+    lastTime = time;
+
+    [left, right].forEach((samples, channel) => {
+      let peak = 0;
+      let sum = 0;
+      for (let i = 0; i < samples.length; i++) {
+        const value = Math.abs(samples[i]);
+        if (value > peak) peak = value;
+        sum += samples[i] * samples[i];
+      }
+
+      const peakDb = toDecibels(peak);
+      reading.peak[channel] = Math.max(peakDb, reading.peak[channel] - PEAK_FALL_RATE * elapsed);
+      reading.rms[channel] = toDecibels(Math.sqrt(sum / samples.length));
+
+      if (peakDb >= reading.hold[channel]) {
+        reading.hold[channel] = peakDb;
+        holdSince[channel] = time;
+      } else if (time - holdSince[channel] > PEAK_HOLD_TIME) {
+        reading.hold[channel] = Math.max(peakDb, reading.hold[channel] - PEAK_FALL_RATE * elapsed);
+      }
+    });
+
+    const amount = elapsed ? 1 - Math.exp(-elapsed / CORRELATION_SMOOTHING) : 1;
+    reading.correlation += (getCorrelation(left, right) - reading.correlation) * amount;
+    return reading;
+  };
+
+  return { update, reading };
+};
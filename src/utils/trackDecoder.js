@@ -0,0 +1,140 @@
+// Fetch and decode tracks into AudioBuffers for the playback engine.
+//
+// Decoded audio is large (about 10 MB per stereo minute), so only the last few
+// tracks are kept; the engine holds on to whatever it is playing itself.
+// Files are read once even when several consumers (playback, waveform) want them,
+// and download progress is published per track.
+import { initializeAudioContext, getAudioContext } from './audioContext';
+import { readGaplessInfo, getPlayableRange } from './gapless';
+
+const CACHE_SIZE = 3;
+
+// trackId -> Promise<decoded track>, oldest first
+const cache = new Map();
+// trackId -> Promise<ArrayBuffer> while the file is being read
+const pendingReads = new Map();
+// trackId -> fraction of the file downloaded so far
+const downloads = new Map();
+const downloadListeners = new Set();
+
+const setDownloadProgress = (trackId, fraction) => {
+  downloads.set(trackId, fraction);
+  downloadListeners.forEach((listener) => listener(trackId, fraction));
+};
+
+// Stream the response to report progress; the size is only known from Content-Length
+const fetchTrackBytes = async (track) => {
+  if (track.file) {
+    const bytes = await track.file.arrayBuffer();
+    setDownloadProgress(track.id, 1);
+    return bytes;
+  }
+
+  const response = await fetch(track.url, { mode: 'cors' });
+  if (!response.ok) throw new Error(`Failed to fetch ${track.url}: ${response.status}`);
+  const total = Number(response.headers.get('Content-Length'));
+  if (!response.body || !total) {
+    const bytes = await response.arrayBuffer();
+    setDownloadProgress(track.id, 1);
+    return bytes;
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    loaded += value.length;
+    // Compressed responses can run past Content-Length
+    setDownloadProgress(track.id, Math.min(loaded / total, 0.99));
+  }
+
+  const bytes = new Uint8Array(loaded);
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  });
+  setDownloadProgress(track.id, 1);
+  return bytes.buffer;
+};
+
+/**
+ * Read a track's encoded file. Readers of the same track share one fetch and each
+ * get their own copy, since decoding detaches the buffer it is given.
+ * @param {Object} track - Track with `id` and `file` or `url`
+ * @returns {Promise<ArrayBuffer>} The file's bytes
+ */
+export const readTrackBytes = async (track) => {
+  let pending = pendingReads.get(track.id);
+  if (!pending) {
+    pending = fetchTrackBytes(track).finally(() => pendingReads.delete(track.id));
+    pendingReads.set(track.id, pending);
+  }
+  return (await pending).slice(0);
+};
+
+/**
+ * How much of a track has been downloaded
+ * @param {string} trackId - Track id
+ * @returns {number} Fraction from 0 to 1 (0 when it has not been read yet)
+ */
+export const getDownloadProgress = (trackId) => downloads.get(trackId) ?? 0;
+
+/**
+ * Subscribe to download progress of any track
+ * @param {Function} listener - Called with (trackId, fraction)
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeDownloadProgress = (listener) => {
+  downloadListeners.add(listener);
+  return () => downloadListeners.delete(listener);
+};
+
+const decode = async (track) => {
+  if (!getAudioContext()) initializeAudioContext();
+  const audioContext = getAudioContext();
+  if (!audioContext) throw new Error('Web Audio API is not available');
+
+  const bytes = await readTrackBytes(track);
+  // decodeAudioData detaches the buffer, so read the encoder tags first
+  const gaplessInfo = readGaplessInfo(bytes);
+  const buffer = await audioContext.decodeAudioData(bytes);
+  const { start, end } = getPlayableRange(gaplessInfo, buffer);
+
+  return {
+    trackId: track.id,
+    buffer,
+    start,
+    end,
+    duration: end - start
+  };
+};
+
+/**
+ * Decode a track, reusing a cached or in-flight result
+ * @param {Object} track - Track with `id` and `file` or `url`
+ * @returns {Promise<Object>} { trackId, buffer, start, end, duration } where start/end
+ *   bound the playable audio in seconds once encoder delay/padding is trimmed
+ */
+export const decodeTrack = (track) => {
+  let pending = cache.get(track.id);
+  if (pending) {
+    // Refresh its position in the LRU order
+    cache.delete(track.id);
+  } else {
+    pending = decode(track).catch((error) => {
+      cache.delete(track.id);
+      throw error;
+    });
+  }
+  cache.set(track.id, pending);
+
+  while (cache.size > CACHE_SIZE) {
+    cache.delete(cache.keys().next().value);
+  }
+  return pending;
+};
+
@@ -0,0 +1,122 @@
+// Waveform overviews for the seek bar: min/max peaks per slice of track time.
+//
+// Tracks are decoded with their own OfflineAudioContext, so an overview can be drawn
+// before the audio context exists, and kept both in memory and in the library
+// database so each track is only analysed once.
+import { readTrackBytes } from './trackDecoder';
+import { readGaplessInfo, getPlayableRange } from './gapless';
+import { isLibrarySupported, loadWaveform, saveWaveform } from './libraryDb';
+
+// Peaks per second of track time; enough detail for the deepest zoom
+export const PEAKS_PER_SECOND = 100;
+// The overview needs far less than the playback sample rate
+const DECODE_SAMPLE_RATE = 22050;
+// Bump when the stored format changes so old overviews are recomputed
+const WAVEFORM_VERSION = 1;
+const CACHE_SIZE = 20;
+
+// trackId -> Promise<waveform>, oldest first
+const cache = new Map();
+
+const computeWaveform = async (track) => {
+  const bytes = await readTrackBytes(track);
+  const gaplessInfo = readGaplessInfo(bytes);
+  const context = new OfflineAudioContext(1, 1, DECODE_SAMPLE_RATE);
+  const buffer = await context.decodeAudioData(bytes);
+  // Same time base as playback: encoder delay and padding trimmed
+  const { start, end } = getPlayableRange(gaplessInfo, buffer);
+
+  const channels = Array.from({ length: buffer.numberOfChannels }, (_, i) => buffer.getChannelData(i));
+  const first = Math.round(start * buffer.sampleRate);
+  const last = Math.min(buffer.length, Math.round(end * buffer.sampleRate));
+  const samplesPerPeak = buffer.sampleRate / PEAKS_PER_SECOND;
+  const count = Math.max(1, Math.ceil((end - start) * PEAKS_PER_SECOND));
+  const min = new Float32Array(count);
+  const max = new Float32Array(count);
+
+  for (let peak = 0; peak < count; peak++) {
+    const from = first + Math.floor(peak * samplesPerPeak);
+    const to = Math.min(last, first + Math.floor((peak + 1) * samplesPerPeak));
+    let low = 0;
+    let high = 0;
+    channels.forEach((data) => {
+      for (let i = from; i < to; i++) {
+        if (data[i] < low) low = data[i];
+        else if (data[i] > high) high = data[i];
+      }
+    });
+    min[peak] = low;
+    max[peak] = high;
+  }
+
+  return { version: WAVEFORM_VERSION, duration: end - start, peaksPerSecond: PEAKS_PER_SECOND, min, max };
+};
+
+const loadOrComputeWaveform = async (track) => {
+  const canStore = isLibrarySupported();
+  if (canStore) {
+    const stored = await loadWaveform(track.id).catch(() => null);
+    if (stored?.version === WAVEFORM_VERSION) return stored;
+  }
+
+  const waveform = await computeWaveform(track);
+  if (canStore) {
+    saveWaveform(track.id, waveform).catch((error) => console.error('Error saving waveform:', error));
+  }
+  return waveform;
+};
+
+/**
+ * Get a track's waveform overview, from cache or by decoding it
+ * @param {Object} track - Track with `id` and `file` or `url`
+ * @returns {Promise<Object>} { duration, peaksPerSecond, min, max } with one min/max
+ *   pair (Float32Array, -1 to 1) per 1/peaksPerSecond seconds
+ */
+export const getTrackWaveform = (track) => {
+  let pending = cache.get(track.id);
+  if (pending) {
+    cache.delete(track.id);
+  } else {
+    pending = loadOrComputeWaveform(track).catch((error) => {
+      cache.delete(track.id);
+      throw error;
+    });
+  }
+  cache.set(track.id, pending);
+
+  while (cache.size > CACHE_SIZE) {
+    cache.delete(cache.keys().next().value);
+  }
+  return pending;
+};
+
+/**
+ * Reduce the peaks in a time range to one min/max pair per column
+ * @param {Object} waveform - Result of getTrackWaveform
+ * @param {number} start - Range start in seconds
+ * @param {number} end - Range end in seconds
+ * @param {number} columns - Number of columns (usually pixels)
+ * @returns {{min: Float32Array, max: Float32Array}} Column peaks
+ */
+export const getWaveformColumns = (waveform, start, end, columns) => {
+  const min = new Float32Array(columns);
+  const max = new Float32Array(columns);
+  const first = start * waveform.peaksPerSecond;
+  const peaksPerColumn = ((end - start) * waveform.peaksPerSecond) / columns;
+  const count = waveform.min.length;
+
+  for (let column = 0; column < columns; column++) {
+    const from = Math.floor(first + column * peaksPerColumn);
+    // Zoomed in past the peak resolution, neighbouring columns share a peak
+    const to = Math.min(count, Math.max(from + 1, Math.floor(first + (column + 1) * peaksPerColumn)));
+    let low = 0;
+    let high = 0;
+    for (let i = Math.max(0, from); i < to; i++) {
+      if (waveform.min[i] < low) low = waveform.min[i];
+      if (waveform.max[i] > high) high = waveform.max[i];
+    }
+    min[column] = low;
+    max[column] = high;
+  }
+  return { min, max };
+};
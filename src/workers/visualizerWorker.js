@@ -0,0 +1,42 @@
+// Visualizer render worker (loaded by renderers/visualizerHost.js)
+//
+// Owns the visualizer canvases once they are transferred here and draws the frames
+// the main thread posts. Each frame goes back after drawing so its buffers can be
+// refilled instead of allocated every frame.
+import { createVisualizerScene } from '../renderers/visualizerScene';
+import { getFrameTransferables } from '../renderers/frames';
+
+let scene = null;
+
+const handlers = {
+  init: ({ canvas, glCanvas, options, width, height }) => {
+    scene = createVisualizerScene({
+      canvas,
+      glCanvas,
+      options,
+      onBackendChange: (backend) => self.postMessage({ type: 'backend', backend })
+    });
+    scene.resize(width, height);
+  },
+  resize: ({ width, height }) => scene?.resize(width, height),
+  options: ({ options }) => scene?.setOptions(options),
+  frame: ({ frame }) => {
+    try {
+      scene?.render(frame);
+    } finally {
+      self.postMessage({ type: 'release', frame }, getFrameTransferables(frame));
+    }
+  },
+  destroy: () => {
+    scene?.destroy();
+    scene = null;
+  }
+};
+
+self.onmessage = ({ data }) => {
+  try {
+    handlers[data.type]?.(data);
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
@@ -0,0 +1,84 @@
+// AudioWorklet pitch shifter (runs on the audio thread; loaded by utils/pitchShift.js)
+//
+// Delay-line granular shifter: two read taps sweep through a short delay line at a
+// speed set by the pitch ratio, each faded in and out with a sin^2 window half a
+// period apart from the other, so their gains always sum to 1. Duration is left
+// untouched; only pitch changes.
+
+// Sweep length; longer windows smear transients, shorter ones sound grainy
+const WINDOW_SECONDS = 0.05;
+
+class PitchShifterProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [{ name: 'pitchRatio', defaultValue: 1, minValue: 0.25, maxValue: 4, automationRate: 'k-rate' }];
+  }
+
+  constructor() {
+    super();
+    this.windowLength = Math.round(WINDOW_SECONDS * sampleRate);
+    // Room for a full window of delay plus interpolation
+    this.bufferLength = this.windowLength * 2;
+    this.buffers = [];
+    this.writeIndex = 0;
+    this.phase = 0;
+  }
+
+  read(buffer, writeIndex, delay) {
+    let position = writeIndex - delay;
+    if (position < 0) position += this.bufferLength;
+    const index = Math.floor(position);
+    const fraction = position - index;
+    const next = index + 1 === this.bufferLength ? 0 : index + 1;
+    return buffer[index] + (buffer[next] - buffer[index]) * fraction;
+  }
+
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    const ratio = parameters.pitchRatio[0];
+
+    // Unity ratio: pass through untouched
+    if (Math.abs(ratio - 1) < 1e-4) {
+      output.forEach((channel, index) => {
+        if (input[index]) channel.set(input[index]);
+      });
+      return true;
+    }
+
+    while (this.buffers.length < output.length) {
+      this.buffers.push(new Float32Array(this.bufferLength));
+    }
+
+    const frames = output[0]?.length ?? 0;
+    const step = (1 - ratio) / this.windowLength;
+    const startIndex = this.writeIndex;
+    const startPhase = this.phase;
+
+    output.forEach((channel, channelIndex) => {
+      const buffer = this.buffers[channelIndex];
+      const source = input[channelIndex] || input[0];
+      let writeIndex = startIndex;
+      let phase = startPhase;
+
+      for (let i = 0; i < frames; i++) {
+        buffer[writeIndex] = source ? source[i] : 0;
+
+        const otherPhase = phase + 0.5 < 1 ? phase + 0.5 : phase - 0.5;
+        const gain = Math.sin(Math.PI * phase) ** 2;
+        channel[i] = gain * this.read(buffer, writeIndex, phase * this.windowLength)
+          + (1 - gain) * this.read(buffer, writeIndex, otherPhase * this.windowLength);
+
+        phase += step;
+        if (phase >= 1) phase -= 1;
+        else if (phase < 0) phase += 1;
+        writeIndex = writeIndex + 1 === this.bufferLength ? 0 : writeIndex + 1;
+      }
+
+      this.writeIndex = writeIndex;
+      this.phase = phase;
+    });
+    return true;
+  }
+}
+
+registerProcessor('pitch-shifter', PitchShifterProcessor);
@@ -0,0 +1,159 @@
+// Tag parsing against tiny hand-built files in ./fixtures (tags only, no real audio)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseMetadata, readTrackMetadata } from '../src/utils/metadataParser.js';
+
+const loadFixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url));
+const readFixture = (name) => parseMetadata(loadFixture(name));
+
+// A Blob that counts the bytes read through slice()
+const createCountingFile = (parts) => {
+  const blob = new Blob(parts);
+  const file = {
+    size: blob.size,
+    bytesRead: 0,
+    slice: (start, end) => {
+      const part = blob.slice(start, end);
+      file.bytesRead += part.size;
+      return part;
+    }
+  };
+  return file;
+};
+
+const AUDIO_PADDING = new Uint8Array(1024 * 1024);
+
+test('ID3v2.3 Latin-1 frames with a numeric genre', () => {
+  const tags = readFixture('id3v23.mp3');
+  assert.equal(tags.format, 'id3v2.3');
+  assert.equal(tags.title, 'Fixture Song');
+  assert.equal(tags.artist, 'Test Artist');
+  assert.equal(tags.album, 'Test Album');
+  assert.equal(tags.genre, 'Rock');
+  assert.equal(tags.year, 1999);
+  assert.equal(tags.trackNumber, 3);
+});
+
+test('ID3v2.4 UTF-8 frames keep a genre name that starts with digits', () => {
+  const tags = readFixture('id3v24.mp3');
+  assert.equal(tags.format, 'id3v2.4');
+  assert.equal(tags.title, 'Café Fixture');
+  assert.equal(tags.artist, 'Ünïcode Artist');
+  assert.equal(tags.genre, '80s Pop');
+  assert.equal(tags.year, 2021);
+  assert.equal(tags.trackNumber, 7);
+});
+
+const JPEG = [0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46, 0x00, 0xff, 0x00, 0xff, 0xd9];
+const PNG = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00, 0x00, 0x0d, 0x49, 0x48, 0x44, 0x52];
+
+test('ID3v2.3 APIC prefers the front cover', () => {
+  const tags = readFixture('apic.mp3');
+  assert.equal(tags.title, 'Cover Song');
+  assert.equal(tags.picture.mimeType, 'image/png');
+  assert.equal(tags.picture.pictureType, 3);
+  assert.equal(tags.picture.description, 'Front');
+  assert.deepEqual([...tags.picture.data], PNG);
+});
+
+test('ID3v2.2 PIC frame inside an unsynchronised tag', () => {
+  const tags = readFixture('id3v22-unsync.mp3');
+  assert.equal(tags.format, 'id3v2.2');
+  assert.equal(tags.title, 'Old Format');
+  assert.equal(tags.picture.mimeType, 'image/jpeg');
+  assert.equal(tags.picture.description, 'Cover');
+  assert.deepEqual([...tags.picture.data], JPEG);
+});
+
+test('ID3v1.1 trailer when there is no ID3v2 tag', () => {
+  const tags = readFixture('id3v1.mp3');
+  assert.equal(tags.format, 'id3v1');
+  assert.equal(tags.title, 'Trailer Title');
+  assert.equal(tags.artist, 'Trailer Artist');
+  assert.equal(tags.album, 'Trailer Album');
+  assert.equal(tags.year, 1987);
+  assert.equal(tags.trackNumber, 9);
+  assert.equal(tags.genre, 'Pop');
+  assert.equal(tags.comments.COMMENT, 'Old tag');
+});
+
+test('FLAC stream info and Vorbis comments', () => {
+  const tags = readFixture('vorbis.flac');
+  assert.equal(tags.format, 'flac');
+  assert.equal(tags.title, 'Vorbis Fixture');
+  assert.equal(tags.artist, 'First; Second');
+  assert.equal(tags.album, 'Comment Album');
+  assert.equal(tags.genre, '2 Tone');
+  assert.equal(tags.year, 2004);
+  assert.equal(tags.trackNumber, 4);
+  assert.equal(tags.sampleRate, 44100);
+  assert.equal(tags.duration, 2);
+  assert.deepEqual(tags.comments, { MOOD: 'calm' });
+});
+
+test('MP4 ilst items, freeform atoms and movie duration', () => {
+  const tags = readFixture('tags.m4a');
+  assert.equal(tags.format, 'mp4');
+  assert.equal(tags.title, 'MP4 Fixture');
+  assert.equal(tags.artist, 'MP4 Artist');
+  assert.equal(tags.genre, 'Hip-Hop');
+  assert.equal(tags.year, 2010);
+  assert.equal(tags.trackNumber, 5);
+  assert.equal(tags.duration, 3);
+  assert.deepEqual(tags.comments, { MOOD: 'bright' });
+});
+
+test('unknown bytes give empty tags', () => {
+  const tags = parseMetadata(new Uint8Array(64));
+  assert.equal(tags.format, null);
+  assert.equal(tags.title, null);
+});
+
+test('reading a file skips the audio between the tags and an ID3v1 trailer', async () => {
+  const trailer = loadFixture('id3v1.mp3');
+  const file = createCountingFile([loadFixture('apic.mp3'), AUDIO_PADDING, trailer.subarray(-128)]);
+  const { tags, title, album } = await readTrackMetadata(file);
+  assert.equal(title, 'Cover Song');
+  assert.equal(album, 'Trailer Album');
+  assert.equal(tags.picture.mimeType, 'image/png');
+  assert.ok(file.bytesRead < 128 * 1024);
+});
+
+test('reading a file grows the first read to fit a large ID3v2 tag', async () => {
+  const picture = new Uint8Array(200 * 1024).fill(0x42);
+  const frame = new Uint8Array(10 + 13 + picture.length);
+  frame.set(new TextEncoder().encode('APIC'), 0);
+  new DataView(frame.buffer).setUint32(4, frame.length - 10);
+  frame.set(new TextEncoder().encode('\0image/png\0\x03\0'), 10);
+  frame.set(picture, 23);
+  const header = new Uint8Array([0x49, 0x44, 0x33, 3, 0, 0, 0, 0, 0, 0]);
+  [21, 14, 7, 0].forEach((shift, i) => { header[6 + i] = (frame.length >> shift) & 0x7f; });
+
+  const file = createCountingFile([header, frame, AUDIO_PADDING]);
+  const { tags } = await readTrackMetadata(file);
+  assert.equal(tags.picture.data.length, picture.length);
+  assert.ok(file.bytesRead < 512 * 1024);
+});
+
+test('reading an MP4 finds moov after the audio', async () => {
+  const m4a = loadFixture('tags.m4a');
+  const ftypSize = new DataView(m4a.buffer, m4a.byteOffset).getUint32(0);
+  const mdat = new Uint8Array(8 + AUDIO_PADDING.length);
+  new DataView(mdat.buffer).setUint32(0, mdat.length);
+  mdat.set(new TextEncoder().encode('mdat'), 4);
+
+  const file = createCountingFile([m4a.subarray(0, ftypSize), mdat, m4a.subarray(ftypSize)]);
+  const { tags, title } = await readTrackMetadata(file);
+  assert.equal(title, 'MP4 Fixture');
+  assert.equal(tags.duration, 3);
+  assert.ok(file.bytesRead < 128 * 1024);
+});
+
+test('reading a FLAC file stops at the last metadata block', async () => {
+  const file = createCountingFile([loadFixture('vorbis.flac'), AUDIO_PADDING]);
+  const { artist, tags } = await readTrackMetadata(file);
+  assert.equal(artist, 'First; Second');
+  assert.equal(tags.sampleRate, 44100);
+  assert.ok(file.bytesRead < 128 * 1024);
+});
@@ -0,0 +1,128 @@
+// Play queue model: up-next ordering, history and the stable shuffle
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  HISTORY_LIMIT,
+  createQueueState,
+  shuffleIds,
+  reconcileShuffleOrder,
+  queueNext,
+  queueLast,
+  peekNext,
+  advance,
+  peekPrevious,
+  retreat,
+  jumpTo,
+  getUpcomingContext
+} from '../src/utils/playQueue.js';
+
+// createId reads crypto from window, as in the browser
+globalThis.window ??= globalThis;
+
+const trackIds = ['a', 'b', 'c', 'd', 'e'];
+const options = { trackIds, isShuffled: false, isAvailable: () => true };
+
+const next = (state, extra = {}) => advance(state, peekNext(state, { ...options, ...extra }));
+const previous = (state) => retreat(state, peekPrevious(state, options));
+const upNextIds = (state) => state.upNext.map((entry) => entry.trackId);
+
+test('play next goes in front of the up-next list, add to queue behind it', () => {
+  let state = createQueueState();
+  state = queueLast(state, ['a']);
+  state = queueLast(state, ['b']);
+  state = queueNext(state, ['c', 'd']);
+  assert.deepEqual(upNextIds(state), ['c', 'd', 'a', 'b']);
+  assert.equal(new Set(state.upNext.map((entry) => entry.key)).size, 4);
+});
+
+test('queued tracks play first, then the context carries on after where it left off', () => {
+  let state = jumpTo(createQueueState(), 'b');
+  state = queueLast(state, ['e', 'a']);
+
+  state = next(state);
+  assert.equal(state.currentId, 'e');
+  assert.equal(state.currentFromQueue, true);
+  state = next(state);
+  assert.equal(state.currentId, 'a');
+  assert.deepEqual(state.upNext, []);
+  state = next(state);
+  assert.equal(state.currentId, 'c');
+  assert.equal(state.currentFromQueue, false);
+});
+
+test('unavailable queued tracks are skipped', () => {
+  const state = queueLast(jumpTo(createQueueState(), 'a'), ['gone', 'd']);
+  const item = peekNext(state, { ...options, isAvailable: (id) => id !== 'gone' });
+  assert.equal(item.trackId, 'd');
+  assert.equal(item.source, 'queue');
+});
+
+test('the end of the context wraps only when asked to', () => {
+  const state = jumpTo(createQueueState(), 'e');
+  assert.equal(peekNext(state, options).trackId, 'a');
+  assert.equal(peekNext(state, { ...options, wrap: false }), null);
+});
+
+test('previous walks back through history and next replays what it stepped over', () => {
+  let state = jumpTo(createQueueState(), 'a');
+  state = queueNext(state, ['d']);
+  state = next(state);
+  state = next(state);
+  assert.equal(state.currentId, 'b');
+  assert.deepEqual(state.history.map((entry) => entry.trackId), ['a', 'd']);
+
+  state = previous(state);
+  assert.equal(state.currentId, 'd');
+  assert.equal(state.currentFromQueue, true);
+  state = previous(state);
+  assert.equal(state.currentId, 'a');
+  assert.deepEqual(state.forward.map((entry) => entry.trackId), ['d', 'b']);
+
+  state = next(state);
+  assert.equal(state.currentId, 'd');
+  state = next(state);
+  assert.equal(state.currentId, 'b');
+  assert.deepEqual(state.forward, []);
+  assert.equal(next(state).currentId, 'c');
+});
+
+test('previous without history steps back through the context, wrapping at the start', () => {
+  assert.equal(previous(jumpTo(createQueueState(), 'c')).currentId, 'b');
+  assert.equal(previous(jumpTo(createQueueState(), 'a')).currentId, 'e');
+});
+
+test('history keeps the most recent entries only', () => {
+  let state = jumpTo(createQueueState(), 'a');
+  for (let i = 0; i < HISTORY_LIMIT + 10; i++) state = next(state);
+  assert.equal(state.history.length, HISTORY_LIMIT);
+});
+
+test('a shuffle keeps the given first track in front', () => {
+  const order = shuffleIds(trackIds, 'c');
+  assert.equal(order[0], 'c');
+  assert.deepEqual([...order].sort(), trackIds);
+});
+
+test('reconciling a shuffle keeps its order through inserts and removals', () => {
+  const order = ['c', 'a', 'e', 'b', 'd'];
+  assert.equal(reconcileShuffleOrder(order, trackIds), order);
+
+  const removed = reconcileShuffleOrder(order, ['a', 'b', 'd', 'e']);
+  assert.deepEqual(removed, ['a', 'e', 'b', 'd']);
+
+  const added = reconcileShuffleOrder(order, [...trackIds, 'f', 'g']);
+  assert.deepEqual(added.slice(0, 5), order);
+  assert.deepEqual(added.slice(5).sort(), ['f', 'g']);
+
+  const both = reconcileShuffleOrder(order, ['a', 'b', 'c', 'h']);
+  assert.deepEqual(both, ['c', 'a', 'b', 'h']);
+});
+
+test('next follows the shuffle order when shuffled', () => {
+  const state = { ...jumpTo(createQueueState(), 'e'), shuffleOrder: ['c', 'e', 'a', 'd', 'b'] };
+  assert.equal(peekNext(state, { ...options, isShuffled: true }).trackId, 'a');
+  assert.deepEqual(
+    getUpcomingContext(state, { ...options, isShuffled: true, wrap: true }),
+    ['a', 'd', 'b', 'c', 'e']
+  );
+});
@@ -0,0 +1,131 @@
+// M3U/PLS parsing, serialization and matching entries back to tracks
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseM3U,
+  parsePLS,
+  parsePlaylist,
+  serializeM3U,
+  serializePLS,
+  normalizePath,
+  resolvePlaylistEntries
+} from '../src/utils/playlistFormats.js';
+
+const localTrack = (path, fields = {}) => ({
+  id: path,
+  path,
+  title: path.split('/').pop().replace(/\.\w+$/, ''),
+  artist: 'Unknown Artist',
+  isLocal: true,
+  ...fields
+});
+
+const tracks = [
+  localTrack('Music/Album/01 Opening.mp3', { artist: 'Band', title: 'Opening', durationSeconds: 201.4 }),
+  localTrack('Music/Album/02 Closing.flac', { duration: '4:05' }),
+  { id: 1, title: 'Stream', artist: 'Remote', duration: '3:45', url: 'https://example.com/stream.mp3' }
+];
+
+test('extended M3U: durations, "Artist - Title", attributes, comments and a BOM', () => {
+  const entries = parseM3U([
+    '\uFEFF#EXTM3U',
+    '#EXTINF:123 tvg-id="x",Someone - Song',
+    'songs/song.mp3',
+    '# a comment',
+    '',
+    '#EXTINF:-1,Live feed',
+    'http://radio.example/live',
+    'bare.ogg'
+  ].join('\r\n'));
+
+  assert.deepEqual(entries, [
+    { path: 'songs/song.mp3', title: 'Song', artist: 'Someone', duration: 123 },
+    { path: 'http://radio.example/live', title: 'Live feed', artist: null, duration: null },
+    { path: 'bare.ogg', title: null, artist: null, duration: null }
+  ]);
+});
+
+test('PLS entries come back in index order, skipping ones without a file', () => {
+  const entries = parsePLS([
+    '[playlist]',
+    'File2=b.mp3',
+    'Title2=B Artist - B',
+    'Length2=60',
+    'File1 = a.mp3',
+    'Length1=-1',
+    'Title3=No file',
+    'NumberOfEntries=3'
+  ].join('\n'));
+
+  assert.deepEqual(entries, [
+    { path: 'a.mp3', duration: null, artist: null, title: null },
+    { path: 'b.mp3', duration: 60, artist: 'B Artist', title: 'B' }
+  ]);
+});
+
+test('the format is picked by extension, or by a [playlist] header', () => {
+  assert.equal(parsePlaylist('list.pls', 'File1=a.mp3\n')[0].path, 'a.mp3');
+  assert.equal(parsePlaylist('list.txt', '[playlist]\nFile1=a.mp3\n')[0].path, 'a.mp3');
+  assert.equal(parsePlaylist('list.m3u8', 'a.mp3\n')[0].path, 'a.mp3');
+});
+
+test('M3U round trip resolves to the same tracks in the same order', () => {
+  const text = serializeM3U(tracks);
+  assert.match(text, /^#EXTM3U\n#EXTINF:201,Band - Opening\nMusic\/Album\/01 Opening\.mp3\n/);
+
+  const entries = parseM3U(text);
+  assert.deepEqual(entries.map((entry) => entry.duration), [201, 245, 225]);
+  const { matched, unmatched } = resolvePlaylistEntries(entries, tracks);
+  assert.deepEqual(matched, tracks);
+  assert.deepEqual(unmatched, []);
+});
+
+test('PLS round trip resolves to the same tracks in the same order', () => {
+  const text = serializePLS(tracks);
+  assert.match(text, /NumberOfEntries=3\nVersion=2\n$/);
+
+  const entries = parsePLS(text);
+  assert.equal(entries[2].title, 'Stream');
+  assert.equal(entries[2].artist, 'Remote');
+  const { matched, unmatched } = resolvePlaylistEntries(entries, tracks);
+  assert.deepEqual(matched, tracks);
+  assert.deepEqual(unmatched, []);
+});
+
+test('paths are normalised: file URLs, escapes, backslashes and dot segments', () => {
+  assert.equal(normalizePath('file:///home/me/My%20Music/a.mp3'), 'home/me/My Music/a.mp3');
+  assert.equal(normalizePath('file://localhost/C:/Music/a.mp3'), 'C:/Music/a.mp3');
+  assert.equal(normalizePath('..\\Music\\.\\Album\\..\\a.mp3'), 'Music/a.mp3');
+  assert.equal(normalizePath('100%.mp3'), '100%.mp3');
+});
+
+test('relative entries resolve against the playlist folder', () => {
+  const library = [localTrack('Music/Album/a.mp3'), localTrack('Music/Other/a.mp3')];
+  const entries = parseM3U('a.mp3\n../Other/a.mp3\n');
+  const { matched } = resolvePlaylistEntries(entries, library, 'Music/Album/list.m3u');
+  assert.deepEqual(matched, [library[0], library[1]]);
+});
+
+test('absolute entries fall back to a unique path suffix, then a unique file name', () => {
+  const library = [
+    localTrack('Album/01 Intro.mp3'),
+    localTrack('Other/01 Intro.mp3'),
+    localTrack('Album/02 Song.mp3')
+  ];
+  const entries = parseM3U([
+    'C:\\Users\\me\\Music\\Album\\01 Intro.mp3',
+    '/mnt/music/Elsewhere/02 SONG.mp3',
+    '/mnt/music/Elsewhere/01 Intro.mp3',
+    'missing.mp3',
+    'https://example.com/unknown.mp3'
+  ].join('\n'));
+
+  const { matched, unmatched } = resolvePlaylistEntries(entries, library);
+  assert.deepEqual(matched, [library[0], library[2]]);
+  // Two tracks share the file name, so the third entry stays unmatched
+  assert.deepEqual(unmatched.map((entry) => entry.path), [
+    '/mnt/music/Elsewhere/01 Intro.mp3',
+    'missing.mp3',
+    'https://example.com/unknown.mp3'
+  ]);
+});